@@ -1,158 +1,1193 @@
 // ============================================================================
-// DRAGGABLE DEBUG PANEL
-// ============================================================================
-/*(function() {
-    const debugBox = document.createElement('div');
-    debugBox.style.position = 'fixed';
-    debugBox.style.top = '10px';
-    debugBox.style.right = '10px';
-    debugBox.style.width = '400px';
-    debugBox.style.height = '600px';
-    debugBox.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
-    debugBox.style.color = '#00ff00';
-    debugBox.style.fontFamily = 'monospace';
-    debugBox.style.fontSize = '12px';
-    debugBox.style.padding = '10px';
-    debugBox.style.overflowY = 'auto';
-    debugBox.style.zIndex = '99999';
-    debugBox.style.border = '2px solid #00ff00';
-    debugBox.style.cursor = 'move';
-    debugBox.style.resize = 'both';
-    
-    const header = document.createElement('div');
-    header.style.padding = '5px';
-    header.style.backgroundColor = '#222';
-    header.style.borderBottom = '1px solid #00ff00';
-    header.style.cursor = 'move';
-    header.innerText = 'CPH Mod Debugger';
-    
-    const content = document.createElement('div');
-    content.style.height = 'calc(100% - 30px)';
-    content.style.overflowY = 'auto';
-    
-    debugBox.appendChild(header);
-    debugBox.appendChild(content);
-    document.body.appendChild(debugBox);
-
-    let isDragging = false;
-    let initialX, initialY;
-
-    header.addEventListener('mousedown', dragStart);
-    document.addEventListener('mousemove', drag);
-    document.addEventListener('mouseup', dragEnd);
-
-    function dragStart(e) {
-        initialX = e.clientX - debugBox.offsetLeft;
-        initialY = e.clientY - debugBox.offsetTop;
-        isDragging = true;
-    }
-
-    function drag(e) {
-        if (isDragging) {
-            e.preventDefault();
-            const currentX = e.clientX - initialX;
-            const currentY = e.clientY - initialY;
+// MOD LOG
+// ============================================================================
+// The mod logs through log.* instead of console.* directly. Entries still go
+// to the console, and the last few hundred are kept for the diagnostics
+// overlay. The global console itself is never replaced.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_LOG_ENTRIES = 500;
+
+function createModLog() {
+    const entries = [];
+    const listeners = new Set();
+
+    function write(level, args) {
+        const consoleMethod = level === 'debug' || level === 'info' ? 'log' : level;
+        console[consoleMethod](...args);
+
+        const message = args.map(arg => {
+            if (arg instanceof Error) return arg.stack || arg.message;
+            if (typeof arg === 'object' && arg !== null) {
+                try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+            }
+            return String(arg);
+        }).join(' ');
+        const entry = { time: new Date(), level, message };
+        entries.push(entry);
+        if (entries.length > MAX_LOG_ENTRIES) entries.shift();
+        listeners.forEach(listener => listener(entry));
+    }
+
+    return {
+        debug: (...args) => write('debug', args),
+        info: (...args) => write('info', args),
+        warn: (...args) => write('warn', args),
+        error: (...args) => write('error', args),
+        entries: () => entries.slice(),
+        clear: () => { entries.length = 0; },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+const log = createModLog();
+
+// ============================================================================
+// CITY PRESETS
+// ============================================================================
+// Playable variants of the same map, each registered as its own city. A preset
+// with bounds plays on a demand subset built by tools/build-presets.js, which
+// the installer puts in cities/data/<code>; its population is the number of
+// residents in that subset (the tool warns when they differ). CPH is the full map.
+
+const CITY_PRESETS = [
+    {
+        name: "Copenhagen",
+        code: "CPH",
+        description: "The Capital of Denmark",
+        population: 2166432,
+        initialViewState: {
+            zoom: 13.5,
+            latitude: 55.676109,
+            longitude: 12.568618,
+            bearing: 0
+        },
+        minZoom: 8,
+        maxZoom: 17,
+        bounds: null
+    },
+    {
+        name: "Copenhagen - Indre By",
+        code: "IBY",
+        description: "The city core: Indre By, Christianshavn and the inner bridge districts. A short campaign.",
+        population: 51790,
+        initialViewState: {
+            zoom: 14.5,
+            latitude: 55.6805,
+            longitude: 12.5860,
+            bearing: 0
+        },
+        minZoom: 12,
+        maxZoom: 17,
+        bounds: [12.545, 55.665, 12.605, 55.695]
+    },
+    {
+        name: "North Zealand",
+        code: "NSJ",
+        description: "From Lyngby to Helsingør and Hillerød. A long campaign on the suburban lines.",
+        population: 146524,
+        initialViewState: {
+            zoom: 11,
+            latitude: 55.93,
+            longitude: 12.42,
+            bearing: 0
+        },
+        minZoom: 9,
+        maxZoom: 17,
+        bounds: [12.05, 55.78, 12.65, 56.15]
+    }
+];
+
+function findPreset(cityCode) {
+    return CITY_PRESETS.find(preset => preset.code === cityCode) || null;
+}
+
+// What registerCity gets: the preset without the mod-only fields
+function toCityConfig(preset) {
+    const config = Object.assign({}, preset);
+    delete config.bounds;
+    return config;
+}
+
+// ============================================================================
+// TILE SERVER DISCOVERY
+// ============================================================================
+// serve.js takes its port from "tileServer" in manifest.json and moves on to the
+// next free port in the range if that one is taken. It reports the port it got
+// at /tileserver.json, so we probe the range to find it.
+
+// The server reports the id of the mod it belongs to ("id" in manifest.json)
+const DEFAULT_MOD_ID = 'com.mhmoeller.CPH';   // used if manifest.json can't be read
+const TILE_SERVER_HOST = '127.0.0.1';
+// Used if manifest.json can't be read. foundation: 'auto' | 'local' | 'remote'
+const DEFAULT_TILE_SERVER = { port: 8081, portRange: 10, foundation: 'auto' };
+const PROBE_TIMEOUT_MS = 1500;
+
+// Folder this script was loaded from (document.currentScript is only set while it first runs)
+const MOD_BASE_URL = (typeof document !== 'undefined' && document.currentScript && document.currentScript.src)
+    ? new URL('.', document.currentScript.src).href
+    : null;
+
+async function fetchJSON(url, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// manifest.json from the mod folder, or null if it can't be fetched
+let modManifest;
+
+async function loadModManifest() {
+    if (modManifest === undefined) {
+        modManifest = MOD_BASE_URL
+            ? await fetchJSON(new URL('manifest.json', MOD_BASE_URL).href, PROBE_TIMEOUT_MS)
+            : null;
+    }
+    return modManifest;
+}
+
+let tileServerConfig = null;
+let modId = DEFAULT_MOD_ID;
+
+async function loadTileServerConfig() {
+    if (!tileServerConfig) {
+        const manifest = await loadModManifest();
+        tileServerConfig = Object.assign({}, DEFAULT_TILE_SERVER, manifest && manifest.tileServer);
+        modId = (manifest && manifest.id) || DEFAULT_MOD_ID;
+    }
+    return tileServerConfig;
+}
+
+// { url, archives } of our running tile server, or null if none answers
+async function findTileServer() {
+    const config = await loadTileServerConfig();
+    const ports = [];
+    for (let port = config.port; port < config.port + config.portRange; port++) ports.push(port);
+
+    const answers = await Promise.all(ports.map(port =>
+        fetchJSON(`http://${TILE_SERVER_HOST}:${port}/tileserver.json`, PROBE_TIMEOUT_MS)
+    ));
+    const index = answers.findIndex(status => status && status.id === modId);
+    if (index === -1) return null;
+    return { url: `http://${TILE_SERVER_HOST}:${ports[index]}`, archives: answers[index].archives || [] };
+}
+
+// ============================================================================
+// TILE SERVER HEALTH CHECK
+// ============================================================================
+// Without the tile server the vector map renders empty, so we only use it while
+// it answers /health and fall back to the foundation tiles otherwise.
+
+const HEALTH_CHECK_INTERVAL_MS = 10000;
+const REMOTE_FOUNDATION_TILES_URL = 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png';
+// scripts/foundation.pmtiles, built with tools/build-foundation.js
+const LOCAL_FOUNDATION_ARCHIVE = 'foundation';
+// Used until the archive's TileJSON has been read
+const DEFAULT_FOUNDATION_FORMAT = { ext: 'png', type: 'raster' };
+
+const tileServer = {
+    url: null,       // base URL while the server is reachable
+    archives: [],    // archive names the server reported
+    online: null,    // null until the first check
+    lastCheck: null,
+    foundationFormat: null,   // { ext, type } of the local foundation archive, from its TileJSON
+    loadedCity: null   // code of the loaded preset, null while another city is loaded
+};
+
+// The tile format of the local foundation archive (png, jpg, webp or mvt), or null
+async function fetchFoundationFormat(serverUrl) {
+    const tileJSON = await fetchJSON(`${serverUrl}/${LOCAL_FOUNDATION_ARCHIVE}.json`, PROBE_TIMEOUT_MS);
+    const match = tileJSON && Array.isArray(tileJSON.tiles) && /\.(\w+)$/.exec(tileJSON.tiles[0] || '');
+    if (!match) return null;
+    return { ext: match[1], type: match[1] === 'mvt' ? 'vector' : 'raster' };
+}
+
+// { url, type } of the local foundation tiles when configured and available,
+// otherwise CartoDB. With foundation: 'local' the remote map is never used.
+function getFoundationTiles(serverUrl, archives) {
+    const remote = { url: REMOTE_FOUNDATION_TILES_URL, type: 'raster' };
+    const mode = tileServerConfig ? tileServerConfig.foundation : DEFAULT_TILE_SERVER.foundation;
+    if (mode === 'remote') return remote;
+
+    const hasLocal = serverUrl && archives.includes(LOCAL_FOUNDATION_ARCHIVE);
+    if (hasLocal || mode === 'local') {
+        const baseUrl = serverUrl || `http://${TILE_SERVER_HOST}:${tileServerConfig ? tileServerConfig.port : DEFAULT_TILE_SERVER.port}`;
+        const format = tileServer.foundationFormat || DEFAULT_FOUNDATION_FORMAT;
+        return { url: `${baseUrl}/${LOCAL_FOUNDATION_ARCHIVE}/{z}/{x}/{y}.${format.ext}`, type: format.type };
+    }
+    return remote;
+}
+
+// Every preset uses the same tiles
+function applyMapConfig(api, serverUrl, archives) {
+    if (!api.map.setTileURLOverride) return;
+    const foundation = getFoundationTiles(serverUrl, archives);
+    const foundationName = foundation.url === REMOTE_FOUNDATION_TILES_URL ? 'CartoDB' : 'Local';
+    CITY_PRESETS.forEach(preset => setTileURLOverride(api, preset.code, serverUrl, foundation));
+
+    if (serverUrl) {
+        log.info(`Map config: PMTiles (Local, ${serverUrl}) + ${foundationName} (Foundation)`);
+    } else {
+        log.info(`Map config: ${foundationName} foundation only (tile server not running)`);
+    }
+}
+
+function setTileURLOverride(api, cityCode, serverUrl, foundation) {
+    if (serverUrl) {
+        api.map.setTileURLOverride({
+            cityCode,
             
-            debugBox.style.left = currentX + 'px';
-            debugBox.style.top = currentY + 'px';
-            debugBox.style.right = 'auto';
+            // VISUAL Local PMTiles
+            tilesUrl: `${serverUrl}/general-tiles/{z}/{x}/{y}.mvt`,
+            tileType: 'vector', 
+            
+            // FUNDAMENTAL: Local foundation.pmtiles or CartoDB (Doesn't block the game)
+            foundationTilesUrl: foundation.url,
+            
+            maxZoom: 17,
+            minZoom: 8
+        });
+    } else {
+        // Foundation only, so the map isn't blank while the server is down
+        api.map.setTileURLOverride({
+            cityCode,
+            tilesUrl: foundation.url,
+            tileType: foundation.type,
+            foundationTilesUrl: foundation.url,
+            maxZoom: 17,
+            minZoom: 8
+        });
+    }
+}
+
+function warnTileServerDown(api) {
+    notify(api,
+        'CPH map server is not running. Start serve.bat (Windows) or serve.sh (macOS/Linux) ' +
+        'from the CPH mod folder and keep it open. The map will be restored automatically.',
+        'warning'
+    );
+}
+
+async function checkTileServer(api) {
+    let found = null;
+    if (tileServer.url) {
+        const health = await fetchJSON(`${tileServer.url}/health`, PROBE_TIMEOUT_MS);
+        if (health && health.id === modId) found = { url: tileServer.url, archives: health.archives || [] };
+    }
+    // The server may have come back on another port
+    if (!found) found = await findTileServer();
+
+    const url = found ? found.url : null;
+    const archives = found ? found.archives : [];
+    const online = Boolean(url);
+    const changed = online !== tileServer.online || url !== tileServer.url ||
+        archives.join() !== tileServer.archives.join();
+    const wasOffline = tileServer.online === false;
+    tileServer.lastCheck = new Date();
+    tileServer.online = online;
+    tileServer.url = url;
+    tileServer.archives = archives;
+    if (!changed) return;
+
+    if (archives.includes(LOCAL_FOUNDATION_ARCHIVE)) {
+        tileServer.foundationFormat = await fetchFoundationFormat(url) || tileServer.foundationFormat;
+    }
+    applyMapConfig(api, url, archives);
+    if (!tileServer.loadedCity) return;
+    if (!online) {
+        warnTileServerDown(api);
+    } else if (wasOffline) {
+        notify(api, 'CPH map server is running again, map restored.', 'success');
+    }
+}
+
+// The timer lives in the mod state so a hot reload replaces it instead of adding another
+function startTileServerMonitor(api) {
+    const state = getModState();
+    if (state.monitorTimer) clearInterval(state.monitorTimer);
+    state.monitorTimer = setInterval(() => {
+        checkTileServer(api).catch(error => log.warn('Tile server check failed:', error));
+    }, HEALTH_CHECK_INTERVAL_MS);
+}
+
+// ============================================================================
+// BOOTSTRAP
+// ============================================================================
+// Waits for the game API with a timeout, retries a failed start a few times,
+// checks the game version and API, and keeps its state on window so a hot
+// reload of this script never registers CPH twice.
+
+const API_POLL_INTERVAL_MS = 500;
+const API_WAIT_TIMEOUT_MS = 20000;
+const BOOTSTRAP_ATTEMPTS = 3;
+const BOOTSTRAP_RETRY_DELAY_MS = 2000;
+const REQUIRED_GAME_VERSION = '>=0.11.0'; // used if manifest.json can't be read
+const MOD_STATE_KEY = '__cphMod';
+
+const CAPABILITIES = [
+    { name: 'registerCity', required: true, purpose: 'add Copenhagen to the city list' },
+    { name: 'map.setTileURLOverride', purpose: 'show the Copenhagen map' },
+    { name: 'map.setDefaultLayerVisibility', purpose: 'set the default map layers' },
+    { name: 'hooks.onCityLoad', purpose: 'set up Copenhagen when it is loaded' },
+    { name: 'ui.showNotification', purpose: 'show messages' }
+];
+
+function getModState() {
+    if (!window[MOD_STATE_KEY]) {
+        window[MOD_STATE_KEY] = {
+            apiReady: false,
+            gameVersion: null,
+            registeredCities: [],
+            cityLoadHookRegistered: false,
+            onCityLoad: null,   // replaced on every (re)load, called by the single registered hook
+            monitorTimer: null,
+            errors: [],         // errors caught by initMod(), shown in the diagnostics overlay
+            closeDiagnostics: null,
+            diagnosticsKeyHandler: null,
+            toggleDiagnostics: null,
+            transitVisibility: {},      // transit overlay layers currently shown
+            transitStyleListener: null, // { map, handler } that re-adds the overlay after a style change
+            water: null,                // depth query API, see setupWaterDepth()
+            waterTooltipOn: false,
+            waterKeyHandler: null,
+            removeWaterTooltip: null
+        };
+    }
+    return window[MOD_STATE_KEY];
+}
+
+function hasCapability(api, name) {
+    const fn = name.split('.').reduce((obj, key) => obj && obj[key], api);
+    return typeof fn === 'function';
+}
+
+function notify(api, message, type) {
+    if (hasCapability(api, 'ui.showNotification')) api.ui.showNotification(message, type);
+    else log.info(`[${type}] ${message}`);
+}
+
+function getGameVersion(api) {
+    if (typeof api.version === 'string') return api.version;
+    if (typeof api.getVersion === 'function') return api.getVersion();
+    return null;
+}
+
+function compareVersions(a, b) {
+    const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < 3; i++) {
+        if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+    }
+    return 0;
+}
+
+// Supports space-separated comparators like ">=0.11.0 <1.0.0"
+function satisfiesVersion(version, range) {
+    return range.trim().split(/\s+/).every(part => {
+        const match = part.match(/^(>=|<=|>|<|=)?v?(\d+(?:\.\d+){0,2})$/);
+        if (!match) return true;
+        const cmp = compareVersions(version, match[2]);
+        switch (match[1]) {
+            case '>=': return cmp >= 0;
+            case '<=': return cmp <= 0;
+            case '>': return cmp > 0;
+            case '<': return cmp < 0;
+            default: return cmp === 0;
         }
+    });
+}
+
+// Reports an unsupported game version and all missing API functions in one
+// notification. Returns false if the mod can't run at all.
+function checkCompatibility(api, manifest) {
+    const problems = [];
+
+    const required = (manifest && manifest.subwayBuilderVersion) || REQUIRED_GAME_VERSION;
+    const version = getGameVersion(api);
+    if (version && !satisfiesVersion(version, required)) {
+        problems.push(`Subway Builder ${version} is not supported (needs ${required}).`);
+    } else if (!version) {
+        log.warn(`Could not determine the game version (mod needs ${required}).`);
+    }
+
+    const missing = CAPABILITIES.filter(cap => !hasCapability(api, cap.name));
+    missing.forEach(cap => problems.push(`Missing ${cap.name}: can't ${cap.purpose}.`));
+
+    if (problems.length > 0) {
+        log.warn("CPH mod compatibility problems:\n  " + problems.join('\n  '));
+        notify(api, `CPH mod: ${problems.join(' ')}`, 'warning');
+    }
+    return !missing.some(cap => cap.required);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// DIAGNOSTICS OVERLAY
+// ============================================================================
+// Off by default. Ctrl+Shift+D (diagnostics.hotkey in manifest.json) toggles
+// it and the choice is remembered; diagnostics.enabled opens it on every start.
+// Shows the mod log and what the mod currently knows about the game and map.
+
+const DEFAULT_DIAGNOSTICS = { enabled: false, hotkey: 'Ctrl+Shift+D' };
+const DIAGNOSTICS_STORAGE_KEY = 'cph.diagnostics.open';
+const DIAGNOSTICS_ELEMENT_ID = 'cph-diagnostics';
+const DIAGNOSTICS_REFRESH_MS = 1000;
+const LOG_LEVEL_COLORS = { debug: '#888888', info: '#00ff00', warn: '#ffcc00', error: '#ff4444' };
+
+function matchesHotkey(event, hotkey) {
+    const parts = hotkey.toLowerCase().split('+').map(part => part.trim());
+    const key = parts.pop();
+    return event.key.toLowerCase() === key &&
+        event.ctrlKey === parts.includes('ctrl') &&
+        event.shiftKey === parts.includes('shift') &&
+        event.altKey === parts.includes('alt') &&
+        event.metaKey === parts.includes('meta');
+}
+
+function readStoredSetting(key) {
+    try {
+        return window.localStorage ? window.localStorage.getItem(key) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function storeSetting(key, value) {
+    try {
+        if (window.localStorage) window.localStorage.setItem(key, value);
+    } catch (error) {
+        // Storage can be disabled; the overlay then just starts closed
     }
+}
 
-    function dragEnd() { isDragging = false; }
+// The game's map (MapLibre) instance, if the API exposes it
+function getMapInstance(api) {
+    try {
+        if (hasCapability(api, 'map.getMap')) return api.map.getMap();
+        if (hasCapability(api, 'utils.getMap')) return api.utils.getMap();
+    } catch (error) {
+        // Not available yet
+    }
+    return null;
+}
 
-    const originalLog = console.log;
-    const originalError = console.error;
+// The map may not exist yet while a city is loading
+const MAP_WAIT_ATTEMPTS = 10;
+const MAP_WAIT_INTERVAL_MS = 500;
 
-    function logToScreen(msg, type = 'INFO') {
-        const line = document.createElement('div');
-        const time = new Date().toLocaleTimeString();
-        line.innerText = `[${time}] [${type}] ${msg}`;
-        if (type === 'ERROR') line.style.color = '#ff4444';
-        content.appendChild(line);
-        content.scrollTop = content.scrollHeight;
+async function waitForMapInstance(api) {
+    let map = getMapInstance(api);
+    for (let attempt = 1; !map && attempt < MAP_WAIT_ATTEMPTS; attempt++) {
+        await delay(MAP_WAIT_INTERVAL_MS);
+        map = getMapInstance(api);
     }
-    
-    console.log = function(...args) { logToScreen(args.join(' '), 'LOG'); originalLog.apply(console, args); };
-    console.error = function(...args) { logToScreen(args.join(' '), 'ERROR'); originalError.apply(console, args); };
-})();
-*/
+    return map;
+}
+
+function describeViewport(api) {
+    const map = api && getMapInstance(api);
+    if (!map || typeof map.getZoom !== 'function') return 'unavailable';
+    const center = map.getCenter();
+    const bounds = map.getBounds();
+    const round = n => n.toFixed(4);
+    return `zoom ${map.getZoom().toFixed(2)}, center ${round(center.lat)}, ${round(center.lng)}, ` +
+        `bounds [${[bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].map(round).join(', ')}]`;
+}
+
+function getDiagnosticsStatus() {
+    const state = getModState();
+    const api = window.SubwayBuilderAPI;
+    const time = date => date ? date.toLocaleTimeString() : 'never';
+
+    let apiStatus = 'not available yet';
+    if (state.apiReady) apiStatus = `ready (game ${state.gameVersion || 'version unknown'})`;
+    else if (api) apiStatus = 'found, initializing';
+
+    let serverStatus = 'not checked yet';
+    if (tileServer.online) serverStatus = `online at ${tileServer.url} (${tileServer.archives.join(', ') || 'no archives'})`;
+    else if (tileServer.online === false) serverStatus = 'not reachable';
+
+    const cityStatus = state.registeredCities.length === 0 ? 'none registered' : CITY_PRESETS
+        .filter(preset => state.registeredCities.includes(preset.code))
+        .map(preset => {
+            const view = preset.initialViewState;
+            return `\n  ${preset.code} "${preset.name}", population ${preset.population}, ` +
+                `start ${view.latitude}, ${view.longitude} at zoom ${view.zoom}, zoom range ${preset.minZoom}-${preset.maxZoom}` +
+                (preset.bounds ? `, bounds [${preset.bounds.join(', ')}]` : '') +
+                (tileServer.loadedCity === preset.code ? ' (loaded)' : '');
+        }).join('');
+
+    return [
+        ['API', apiStatus],
+        ['Tile server', `${serverStatus}, last check ${time(tileServer.lastCheck)}`],
+        ['Cities', cityStatus],
+        ['Viewport', describeViewport(api)],
+        ['Errors', state.errors.length === 0 ? 'none'
+            : state.errors.map(error => `[${new Date(error.time).toLocaleTimeString()}] ${error.message}`).join('\n')]
+    ];
+}
+
+function createElement(tag, style, text) {
+    const element = document.createElement(tag);
+    Object.assign(element.style, style);
+    if (text !== undefined) element.innerText = text;
+    return element;
+}
+
+function makeDraggable(box, handle) {
+    let offsetX = 0;
+    let offsetY = 0;
+
+    const drag = (e) => {
+        e.preventDefault();
+        box.style.left = (e.clientX - offsetX) + 'px';
+        box.style.top = (e.clientY - offsetY) + 'px';
+        box.style.right = 'auto';
+    };
+    const dragEnd = () => {
+        document.removeEventListener('mousemove', drag);
+        document.removeEventListener('mouseup', dragEnd);
+    };
+    handle.addEventListener('mousedown', (e) => {
+        if (e.target !== handle) return;
+        offsetX = e.clientX - box.offsetLeft;
+        offsetY = e.clientY - box.offsetTop;
+        document.addEventListener('mousemove', drag);
+        document.addEventListener('mouseup', dragEnd);
+    });
+}
+
+// Builds the overlay and starts updating it. Returns a function that removes it again.
+function openDiagnosticsOverlay() {
+    const box = createElement('div', {
+        position: 'fixed', top: '10px', right: '10px', width: '460px', height: '600px',
+        display: 'flex', flexDirection: 'column',
+        backgroundColor: 'rgba(0, 0, 0, 0.9)', color: '#00ff00', border: '2px solid #00ff00',
+        fontFamily: 'monospace', fontSize: '12px', zIndex: '99999', resize: 'both', overflow: 'hidden'
+    });
+    box.id = DIAGNOSTICS_ELEMENT_ID;
+
+    const header = createElement('div', {
+        padding: '5px', backgroundColor: '#222', borderBottom: '1px solid #00ff00', cursor: 'move',
+        display: 'flex', gap: '6px', alignItems: 'center'
+    }, 'CPH Mod Diagnostics');
+    const levelSelect = createElement('select', { marginLeft: 'auto' });
+    LOG_LEVELS.forEach(level => levelSelect.appendChild(Object.assign(document.createElement('option'), { value: level, text: level })));
+    levelSelect.value = 'info';
+    const filterInput = createElement('input', { width: '110px' });
+    filterInput.placeholder = 'filter';
+    const clearButton = createElement('button', {}, 'Clear');
+    const closeButton = createElement('button', {}, 'x');
+    header.append(levelSelect, filterInput, clearButton, closeButton);
+
+    const status = createElement('div', { padding: '5px', borderBottom: '1px solid #00ff00', whiteSpace: 'pre-wrap' });
+    const logView = createElement('div', { padding: '5px', flex: '1', overflowY: 'auto', whiteSpace: 'pre-wrap' });
+    box.append(header, status, logView);
+    document.body.appendChild(box);
+    makeDraggable(box, header);
+
+    function isShown(entry) {
+        const filter = filterInput.value.trim().toLowerCase();
+        return LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(levelSelect.value) &&
+            (!filter || entry.message.toLowerCase().includes(filter));
+    }
+
+    function appendEntry(entry) {
+        if (!isShown(entry)) return;
+        const atBottom = logView.scrollTop + logView.clientHeight >= logView.scrollHeight - 5;
+        const line = createElement('div', { color: LOG_LEVEL_COLORS[entry.level] },
+            `[${entry.time.toLocaleTimeString()}] [${entry.level.toUpperCase()}] ${entry.message}`);
+        logView.appendChild(line);
+        if (atBottom) logView.scrollTop = logView.scrollHeight;
+    }
+
+    function renderLog() {
+        logView.innerHTML = '';
+        log.entries().forEach(appendEntry);
+        logView.scrollTop = logView.scrollHeight;
+    }
+
+    function renderStatus() {
+        status.innerHTML = '';
+        getDiagnosticsStatus().forEach(([label, value]) => {
+            status.appendChild(createElement('div', {}, `${label}: ${value}`));
+        });
+    }
+
+    levelSelect.addEventListener('change', renderLog);
+    filterInput.addEventListener('input', renderLog);
+    clearButton.addEventListener('click', () => { log.clear(); renderLog(); });
+    closeButton.addEventListener('click', () => setDiagnosticsOpen(false));
+
+    renderStatus();
+    renderLog();
+    const unsubscribe = log.subscribe(appendEntry);
+    const timer = setInterval(renderStatus, DIAGNOSTICS_REFRESH_MS);
+
+    return () => {
+        unsubscribe();
+        clearInterval(timer);
+        box.remove();
+    };
+}
+
+function setDiagnosticsOpen(open) {
+    const state = getModState();
+    if (open && !state.closeDiagnostics) {
+        state.closeDiagnostics = openDiagnosticsOverlay();
+    } else if (!open && state.closeDiagnostics) {
+        state.closeDiagnostics();
+        state.closeDiagnostics = null;
+    }
+    storeSetting(DIAGNOSTICS_STORAGE_KEY, open ? '1' : '0');
+}
+
+// Also available from the developer console as window.__cphMod.toggleDiagnostics()
+async function setupDiagnostics() {
+    if (typeof document === 'undefined') return;
+    const state = getModState();
+
+    // A hot reload replaces the previous overlay and hotkey listener
+    if (state.closeDiagnostics) state.closeDiagnostics();
+    state.closeDiagnostics = null;
+    const stale = document.getElementById(DIAGNOSTICS_ELEMENT_ID);
+    if (stale) stale.remove();
+    if (state.diagnosticsKeyHandler) document.removeEventListener('keydown', state.diagnosticsKeyHandler);
+
+    const manifest = await loadModManifest();
+    const config = Object.assign({}, DEFAULT_DIAGNOSTICS, manifest && manifest.diagnostics);
+
+    state.toggleDiagnostics = () => setDiagnosticsOpen(!state.closeDiagnostics);
+    state.diagnosticsKeyHandler = (event) => {
+        if (!matchesHotkey(event, config.hotkey)) return;
+        event.preventDefault();
+        state.toggleDiagnostics();
+    };
+    document.addEventListener('keydown', state.diagnosticsKeyHandler);
+
+    const stored = readStoredSetting(DIAGNOSTICS_STORAGE_KEY);
+    if (config.enabled || stored === '1') setDiagnosticsOpen(true);
+}
+
+// ============================================================================
+// TRANSIT OVERLAY
+// ============================================================================
+// The existing S-tog, Metro and other lines as a reference, drawn from
+// data/transit_overlay.geojson (tools/build-transit.js --overlay). Which of its
+// layers show is set like the game's default layers, in transitOverlay.layers
+// in manifest.json, and applied whenever a city loads.
+
+const DEFAULT_TRANSIT_OVERLAY = {
+    file: 'data/transit_overlay.geojson',
+    layers: { transitLines: true, transitStations: true }
+};
+const TRANSIT_SOURCE_ID = 'cph-transit';
+const TRANSIT_FETCH_TIMEOUT_MS = 10000;
+// The map layers behind each name in transitOverlay.layers
+const TRANSIT_LAYERS = {
+    transitLines: {
+        id: 'cph-transit-lines',
+        type: 'line',
+        filter: ['==', ['get', 'kind'], 'line'],
+        layout: { 'line-cap': 'round', 'line-join': 'round' },
+        paint: {
+            'line-color': ['get', 'color'],
+            'line-width': ['match', ['get', 'mode'], 'bus', 1.5, 3],
+            'line-opacity': 0.7
+        }
+    },
+    transitStations: {
+        id: 'cph-transit-stations',
+        type: 'circle',
+        filter: ['==', ['get', 'kind'], 'station'],
+        paint: {
+            'circle-radius': ['match', ['get', 'mode'], 'bus', 2.5, 4],
+            'circle-color': '#ffffff',
+            'circle-stroke-color': '#333333',
+            'circle-stroke-width': 1.5
+        }
+    }
+};
+
+async function loadTransitOverlayConfig() {
+    const manifest = await loadModManifest();
+    const configured = (manifest && manifest.transitOverlay) || {};
+    return Object.assign({}, DEFAULT_TRANSIT_OVERLAY, configured, {
+        layers: Object.assign({}, DEFAULT_TRANSIT_OVERLAY.layers, configured.layers)
+    });
+}
+
+// The overlay GeoJSON from the mod folder, or null if there is none
+let transitOverlayData;
+
+async function loadTransitOverlay(config) {
+    if (transitOverlayData === undefined) {
+        transitOverlayData = MOD_BASE_URL
+            ? await fetchJSON(new URL(config.file, MOD_BASE_URL).href, TRANSIT_FETCH_TIMEOUT_MS)
+            : null;
+        if (!transitOverlayData) log.info(`No transit overlay at ${config.file} (build it with tools/build-transit.js --overlay)`);
+    }
+    return transitOverlayData;
+}
+
+function addTransitLayers(map, data, visibility) {
+    if (!map.getSource(TRANSIT_SOURCE_ID)) map.addSource(TRANSIT_SOURCE_ID, { type: 'geojson', data });
+    for (const [name, layer] of Object.entries(TRANSIT_LAYERS)) {
+        if (!map.getLayer(layer.id)) map.addLayer(Object.assign({ source: TRANSIT_SOURCE_ID }, layer));
+        map.setLayoutProperty(layer.id, 'visibility', visibility[name] ? 'visible' : 'none');
+    }
+}
+
+// Shows the overlay layers that are on in visibility ({ transitLines: true, ... })
+// and hides the others. The overlay is added to the map on first use, and
+// again when the map style is replaced, which drops it.
+async function setTransitOverlayVisibility(api, visibility) {
+    const state = getModState();
+    state.transitVisibility = visibility;
+
+    const map = await waitForMapInstance(api);
+    if (!map) {
+        log.debug('Transit overlay: the map is not available');
+        return;
+    }
+    const anyVisible = Object.keys(TRANSIT_LAYERS).some(name => visibility[name]);
+    if (!anyVisible && !map.getSource(TRANSIT_SOURCE_ID)) return;
+
+    const data = await loadTransitOverlay(await loadTransitOverlayConfig());
+    if (!data) return;
+    const apply = () => {
+        try {
+            addTransitLayers(map, data, getModState().transitVisibility);
+        } catch (error) {
+            log.warn('Could not show the transit overlay:', error);
+        }
+    };
+
+    // One listener per map, replaced on a hot reload
+    if (state.transitStyleListener) state.transitStyleListener.map.off('styledata', state.transitStyleListener.handler);
+    const handler = () => {
+        if (map.isStyleLoaded() && !map.getLayer(TRANSIT_LAYERS.transitLines.id)) apply();
+    };
+    map.on('styledata', handler);
+    state.transitStyleListener = { map, handler };
+    if (map.isStyleLoaded()) apply();
+}
+
+// ============================================================================
+// WATER DEPTH
+// ============================================================================
+// Depth queries on ocean_depth_index.json.gz, and a tooltip with the depth
+// under the cursor and what crossing the water from the last clicked point
+// would take: a rough difficulty, the bridge span and the tunnel depth.
+// Ctrl+Shift+B (waterDepth.hotkey in manifest.json) switches the tooltip on
+// and off, and the choice is remembered. The queries are also available as
+// window.__cphMod.water.depthAt(lon, lat) and .profileAlong(lineString).
+
+const DEFAULT_WATER_DEPTH = { file: 'data/ocean_depth_index.json.gz', tooltip: true, hotkey: 'Ctrl+Shift+B' };
+const WATER_TOOLTIP_STORAGE_KEY = 'cph.waterDepth.tooltip';
+const WATER_TOOLTIP_ELEMENT_ID = 'cph-water-depth';
+const DEPTH_FETCH_TIMEOUT_MS = 30000;
+const PROFILE_STEP_M = 25;
+const EARTH_RADIUS_M = 6371000;
+// Difficulty by the deepest water on the way (m); deeper than the last is 'very high'
+const DIFFICULTY_LEVELS = ['low', 'medium', 'high', 'very high'];
+const DIFFICULTY_DEPTHS = [3, 10, 20];
+// More water than this on the way makes a crossing one level harder
+const LONG_CROSSING_M = 2000;
+// A tunnel runs this far below the seabed (its height plus cover), and its
+// ramps climb at most MAX_TRACK_GRADIENT
+const TUNNEL_COVER_M = 10;
+const MAX_TRACK_GRADIENT = 0.035;
+
+// Even-odd test against all rings: the outline and its holes
+function insideRings(lon, lat, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceMeters([lon1, lat1], [lon2, lat2]) {
+    const toRad = Math.PI / 180;
+    const x = (lon2 - lon1) * toRad * Math.cos((lat1 + lat2) / 2 * toRad);
+    const y = (lat2 - lat1) * toRad;
+    return Math.hypot(x, y) * EARTH_RADIUS_M;
+}
+
+// Depths are elevations as in the index: negative below the surface, null on land
+function createDepthIndex(data) {
+    const { cs, bbox, grid, depths } = data;
+    const cells = new Map();
+    for (const [x, y, ...items] of data.cells) cells.set(y * grid[0] + x, items);
+
+    function depthAt(lon, lat) {
+        const x = Math.floor((lon - bbox[0]) / cs);
+        const y = Math.floor((lat - bbox[1]) / cs);
+        if (x < 0 || y < 0 || x >= grid[0] || y >= grid[1]) return null;
+        for (const i of cells.get(y * grid[0] + x) || []) {
+            const { b, d, p } = depths[i];
+            if (lon < b[0] || lon > b[2] || lat < b[1] || lat > b[3]) continue;
+            if (insideRings(lon, lat, p)) return d;
+        }
+        return null;
+    }
+
+    // line: a GeoJSON LineString (or Feature), or [[lon, lat], ...]. Returns
+    // { length, samples: [{ distance, lon, lat, depth }], stretches: [{ from, to, length, maxDepth }],
+    //   waterLength, maxDepth }, with a sample every step meters
+    function profileAlong(line, step = PROFILE_STEP_M) {
+        const coords = Array.isArray(line) ? line : (line.geometry || line).coordinates;
+        const samples = [];
+        const add = (lon, lat, distance) => samples.push({ distance: Math.round(distance), lon, lat, depth: depthAt(lon, lat) });
+        let length = 0;
+        if (coords.length > 0) add(coords[0][0], coords[0][1], 0);
+        for (let k = 1; k < coords.length; k++) {
+            const [lon0, lat0] = coords[k - 1];
+            const [lon1, lat1] = coords[k];
+            const segment = distanceMeters(coords[k - 1], coords[k]);
+            const n = Math.max(1, Math.ceil(segment / step));
+            for (let i = 1; i <= n; i++) {
+                add(lon0 + (lon1 - lon0) * i / n, lat0 + (lat1 - lat0) * i / n, length + segment * i / n);
+            }
+            length += segment;
+        }
+
+        // Runs of samples in water
+        const stretches = [];
+        let current = null;
+        for (const sample of samples) {
+            if (sample.depth === null) {
+                current = null;
+                continue;
+            }
+            if (!current) stretches.push(current = { from: sample.distance, to: sample.distance, maxDepth: sample.depth });
+            current.to = sample.distance;
+            current.maxDepth = Math.min(current.maxDepth, sample.depth);
+        }
+        stretches.forEach(stretch => { stretch.length = stretch.to - stretch.from; });
+
+        return {
+            length: Math.round(length),
+            samples,
+            stretches,
+            waterLength: stretches.reduce((sum, stretch) => sum + stretch.length, 0),
+            maxDepth: stretches.length ? Math.min(...stretches.map(stretch => stretch.maxDepth)) : null
+        };
+    }
+
+    return { depthAt, profileAlong };
+}
+
+// A rough idea of what crossing the water on a profile takes, or null if it
+// stays on land. Depths and lengths are in positive meters.
+function estimateCrossing(profile) {
+    if (!profile || profile.stretches.length === 0) return null;
+    const maxDepth = -profile.maxDepth;
+    let level = DIFFICULTY_DEPTHS.findIndex(depth => maxDepth <= depth);
+    if (level === -1) level = DIFFICULTY_DEPTHS.length;
+    if (profile.waterLength > LONG_CROSSING_M) level = Math.min(level + 1, DIFFICULTY_LEVELS.length - 1);
+    const tunnelDepth = maxDepth + TUNNEL_COVER_M;
+    return {
+        difficulty: DIFFICULTY_LEVELS[level],
+        waterLength: profile.waterLength,
+        maxDepth,
+        longestStretch: Math.max(...profile.stretches.map(stretch => stretch.length)),
+        tunnelDepth,
+        rampLength: Math.round(tunnelDepth / MAX_TRACK_GRADIENT)
+    };
+}
+
+async function loadWaterDepthConfig() {
+    const manifest = await loadModManifest();
+    return Object.assign({}, DEFAULT_WATER_DEPTH, manifest && manifest.waterDepth);
+}
+
+// ocean_depth_index.json.gz from the mod folder; the browser unpacks it
+async function fetchGzipJSON(url, timeoutMs) {
+    if (typeof DecompressionStream === 'undefined') return null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) return null;
+        return await new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).json();
+    } catch (error) {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// The depth index, loaded on first use (null until then, or if it can't be read).
+// A failed load is forgotten, so the next query tries again.
+let depthIndex = null;
+let depthIndexPromise = null;
+
+function loadDepthIndex() {
+    if (!depthIndexPromise) {
+        depthIndexPromise = (async () => {
+            const config = await loadWaterDepthConfig();
+            const data = MOD_BASE_URL ? await fetchGzipJSON(new URL(config.file, MOD_BASE_URL).href, DEPTH_FETCH_TIMEOUT_MS) : null;
+            if (!data) {
+                log.warn(`Could not load the water depths from ${config.file}`);
+                depthIndexPromise = null;
+                return null;
+            }
+            log.info(`Water depths loaded: ${data.depths.length} depth areas`);
+            depthIndex = createDepthIndex(data);
+            return depthIndex;
+        })();
+    }
+    return depthIndexPromise;
+}
+
+function formatDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
+
+// Tooltip lines for the cursor at [lon, lat], measured from anchor (the last
+// clicked point, or null). null if there is nothing to show.
+function describeWater(index, anchor, position) {
+    const lines = [];
+    const depth = index.depthAt(position[0], position[1]);
+    if (depth !== null) lines.push(`Water depth: ${-depth} m`);
+    const crossing = anchor && estimateCrossing(index.profileAlong([anchor, position]));
+    if (crossing) {
+        lines.push(
+            `From the last point: ${formatDistance(crossing.waterLength)} of water, up to ${crossing.maxDepth} m deep`,
+            `Difficulty: ${crossing.difficulty}`,
+            `Bridge: ${formatDistance(crossing.longestStretch)} without land, piers in up to ${crossing.maxDepth} m of water`,
+            `Tunnel: track ${crossing.tunnelDepth} m down, ${formatDistance(crossing.rampLength)} of ramp at each end`
+        );
+    }
+    return lines.length ? lines : null;
+}
+
+// Shows the tooltip on the map while it is switched on. Returns a function
+// that removes it and its listeners again.
+function attachWaterTooltip(map, index) {
+    const state = getModState();
+    const tooltip = createElement('div', {
+        position: 'fixed',
+        zIndex: '10000',
+        pointerEvents: 'none',
+        display: 'none',
+        padding: '6px 8px',
+        background: 'rgba(0, 0, 0, 0.8)',
+        color: '#ffffff',
+        font: '12px monospace',
+        borderRadius: '4px',
+        whiteSpace: 'pre'
+    });
+    tooltip.id = WATER_TOOLTIP_ELEMENT_ID;
+    document.body.appendChild(tooltip);
+
+    let anchor = null;
+    let pending = null;
+    let frame = null;
+    const hide = () => { tooltip.style.display = 'none'; };
+    const update = () => {
+        frame = null;
+        const lines = state.waterTooltipOn && pending ? describeWater(index, anchor, [pending.lngLat.lng, pending.lngLat.lat]) : null;
+        if (!lines) {
+            hide();
+            return;
+        }
+        tooltip.innerText = lines.join('\n');
+        tooltip.style.left = `${pending.originalEvent.clientX + 16}px`;
+        tooltip.style.top = `${pending.originalEvent.clientY + 16}px`;
+        tooltip.style.display = 'block';
+    };
+
+    const onMove = (event) => {
+        pending = event;
+        if (frame === null) frame = requestAnimationFrame(update);
+    };
+    const onClick = (event) => { anchor = [event.lngLat.lng, event.lngLat.lat]; };
+    const clearAnchor = () => { anchor = null; };
+    const onKey = (event) => { if (event.key === 'Escape') clearAnchor(); };
+    map.on('mousemove', onMove);
+    map.on('mouseout', hide);
+    map.on('click', onClick);
+    map.on('contextmenu', clearAnchor);
+    document.addEventListener('keydown', onKey);
+
+    return () => {
+        map.off('mousemove', onMove);
+        map.off('mouseout', hide);
+        map.off('click', onClick);
+        map.off('contextmenu', clearAnchor);
+        document.removeEventListener('keydown', onKey);
+        if (frame !== null) cancelAnimationFrame(frame);
+        tooltip.remove();
+    };
+}
+
+// Attaches the tooltip to the map of a loaded preset, or removes it (active false)
+async function setWaterTooltip(api, active) {
+    const state = getModState();
+    if (state.removeWaterTooltip) state.removeWaterTooltip();
+    state.removeWaterTooltip = null;
+    if (!active || typeof document === 'undefined') return;
+
+    const map = await waitForMapInstance(api);
+    const index = map && await loadDepthIndex();
+    if (!map || !index) return;
+    state.removeWaterTooltip = attachWaterTooltip(map, index);
+}
+
+// The hotkey and the query API (depthAt and profileAlong return null until
+// ready() has loaded the depths); called once per load of this script
+async function setupWaterDepth() {
+    const state = getModState();
+    state.water = {
+        ready: () => loadDepthIndex().then(Boolean),
+        depthAt: (lon, lat) => depthIndex ? depthIndex.depthAt(lon, lat) : null,
+        profileAlong: (line, step) => depthIndex ? depthIndex.profileAlong(line, step) : null,
+        estimateCrossing
+    };
+    if (typeof document === 'undefined') return;
+
+    if (state.waterKeyHandler) document.removeEventListener('keydown', state.waterKeyHandler);
+    const stale = document.getElementById(WATER_TOOLTIP_ELEMENT_ID);
+    if (stale) stale.remove();
+
+    const config = await loadWaterDepthConfig();
+    const stored = readStoredSetting(WATER_TOOLTIP_STORAGE_KEY);
+    state.waterTooltipOn = stored === null ? Boolean(config.tooltip) : stored === '1';
+    state.waterKeyHandler = (event) => {
+        if (!matchesHotkey(event, config.hotkey)) return;
+        event.preventDefault();
+        state.waterTooltipOn = !state.waterTooltipOn;
+        storeSetting(WATER_TOOLTIP_STORAGE_KEY, state.waterTooltipOn ? '1' : '0');
+        log.info(`Water depth tooltip ${state.waterTooltipOn ? 'on' : 'off'}`);
+    };
+    document.addEventListener('keydown', state.waterKeyHandler);
+}
+
 // ============================================================================
 // MOD INITIALIZATION
 // ============================================================================
 
-function waitForAPI() {
-    return new Promise((resolve) => {
+function waitForAPI(timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
         function check() {
             if (window.SubwayBuilderAPI) resolve(window.SubwayBuilderAPI);
-            else setTimeout(check, 500);
+            else if (Date.now() - started >= timeoutMs) reject(new Error(`SubwayBuilderAPI not available after ${timeoutMs / 1000} s`));
+            else setTimeout(check, API_POLL_INTERVAL_MS);
         }
         check();
     });
 }
 
 async function initMod() {
+    const state = getModState();
     try {
-        console.log("Starting CPH mod initialization...");
-        const api = await waitForAPI();
+        log.info("Starting CPH mod initialization...");
+        const api = await waitForAPI(API_WAIT_TIMEOUT_MS);
+        state.apiReady = true;
+        state.gameVersion = getGameVersion(api);
+        const manifest = await loadModManifest();
+        if (!checkCompatibility(api, manifest)) return;
         
-        // 1. REGISTER CITY
-        api.registerCity({
-            name: "Copenhagen",
-            code: "CPH",
-            description: "The Capital of Denmark",
-            population: 2166432,
-            initialViewState: {
-                zoom: 13.5,
-                latitude: 55.676109,
-                longitude: 12.568618,
-                bearing: 0
-            },
-            minZoom: 8,
-            maxZoom: 17
-        });
+        // 1. REGISTER CITIES (one per preset)
+        for (const preset of CITY_PRESETS) {
+            if (state.registeredCities.includes(preset.code)) {
+                log.info(`${preset.code} is already registered (hot reload), skipping registerCity`);
+                continue;
+            }
+            api.registerCity(toCityConfig(preset));
+            state.registeredCities.push(preset.code);
+        }
 
         // 2. CONFIGURE THE MAP (HYBRID)
-        // Remember pmtiles.exe NEEDS to run on port 8081
-        const mapServerUrl = 'http://127.0.0.1:8081'; 
-        
-        if (api.map.setTileURLOverride) {
-            api.map.setTileURLOverride({
-                cityCode: 'CPH',
-                
-                // VISUAL Local PMTiles
-                tilesUrl: `${mapServerUrl}/general-tiles/{z}/{x}/{y}.mvt`,
-                tileType: 'vector', 
-                
-                // FUNDAMENTAL: CartoDB (Doesn't block the game)
-                foundationTilesUrl: 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
-                
-                maxZoom: 17,
-                minZoom: 8
-            });
-            console.log("Map config: PMTiles (Local) + CartoDB (Foundation)");
-        }
+        // Uses the local tile server if serve.bat/serve.sh is running, and keeps
+        // checking so the map switches over when it starts or stops.
+        await checkTileServer(api);
+        startTileServerMonitor(api);
 
-        // 3. LAYER VISIBILITY
-        if (api.hooks && api.hooks.onCityLoad) {
-            api.hooks.onCityLoad((cityCode) => {
-                if (cityCode === 'CPH') {
-                    if (api.map.setDefaultLayerVisibility) {
-                        api.map.setDefaultLayerVisibility('CPH', {
-                            buildingFoundations: false,
-                            oceanFoundations: true, 
-                            trackElevations: true
-                        });
-                    }
-                    api.ui.showNotification('Copenhagen loaded successfully!', 'success');
+        // 3. LAYER VISIBILITY (game layers, and the transit overlay from manifest.json)
+        const transitOverlay = await loadTransitOverlayConfig();
+        state.onCityLoad = (cityCode) => {
+            const preset = findPreset(cityCode);
+            tileServer.loadedCity = preset ? preset.code : null;
+            if (preset) {
+                if (hasCapability(api, 'map.setDefaultLayerVisibility')) {
+                    api.map.setDefaultLayerVisibility(preset.code, {
+                        buildingFoundations: false,
+                        oceanFoundations: true, 
+                        trackElevations: true
+                    });
                 }
+                notify(api, `${preset.name} loaded successfully!`, 'success');
+                if (tileServer.online === false) warnTileServerDown(api);
+                checkTileServer(api).catch(error => log.warn('Tile server check failed:', error));
+            }
+            // Other cities don't get the Copenhagen lines and depths
+            setTransitOverlayVisibility(api, preset ? transitOverlay.layers : {})
+                .catch(error => log.warn('Could not set up the transit overlay:', error));
+            setWaterTooltip(api, Boolean(preset))
+                .catch(error => log.warn('Could not set up the water depth tooltip:', error));
+        };
+        if (!state.cityLoadHookRegistered && hasCapability(api, 'hooks.onCityLoad')) {
+            // Registered once; always calls the handler from the latest load of this script
+            api.hooks.onCityLoad((cityCode) => {
+                const current = getModState().onCityLoad;
+                if (current) current(cityCode);
             });
+            state.cityLoadHookRegistered = true;
         }
 
     } catch (error) {
-        console.error("CRITICAL ERROR:", error);
+        log.error("CRITICAL ERROR:", error);
+        state.errors.push({ time: new Date().toISOString(), message: String(error && error.message || error) });
+        throw error;
     }
 }
 
-console.log("CPH mod loading...");
-setTimeout(() => { initMod(); }, 100);
+async function bootstrap() {
+    for (let attempt = 1; attempt <= BOOTSTRAP_ATTEMPTS; attempt++) {
+        try {
+            await initMod();
+            return;
+        } catch (error) {
+            if (attempt === BOOTSTRAP_ATTEMPTS) {
+                log.error(`CPH mod failed to start after ${BOOTSTRAP_ATTEMPTS} attempts.`);
+                return;
+            }
+            log.warn(`Retrying CPH mod initialization (${attempt + 1}/${BOOTSTRAP_ATTEMPTS})...`);
+            await delay(BOOTSTRAP_RETRY_DELAY_MS * attempt);
+        }
+    }
+}
+
+// The presets are also read by the Node tools (tools/build-presets.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CITY_PRESETS };
+}
+
+if (typeof window !== 'undefined') {
+    log.info("CPH mod loading...");
+    setupDiagnostics();
+    setupWaterDepth();
+    setTimeout(() => { bootstrap(); }, 100);
+}
@@ -1,5 +1,17 @@
 @echo off
 title Install Map Pack
+
+setlocal
+rem --yes/--json are for scripts: no messages from this wrapper and no waiting for a key
+for %%a in (%*) do (
+    if /i "%%~a"=="--yes" set NONINTERACTIVE=1
+    if /i "%%~a"=="--json" set NONINTERACTIVE=1
+)
+if defined NONINTERACTIVE (
+    node install.js %*
+    exit /b
+)
+
 echo Starting installation with Node.js(mhmoeller installer)...
 echo.
 
@@ -15,19 +27,8 @@ if %errorlevel% neq 0 (
 echo Node.js found.
 
 echo.
-echo Step 2: Checking/installing required npm packages...
-echo Installing adm-zip...
-call npm install adm-zip
-if %errorlevel% neq 0 (
-    echo ERROR: Failed to install adm-zip!
-    echo Please check your internet connection and try again.
-    pause
-    exit /b 1
-)
-
-echo.
-echo Step 3: Running installer...
-node install.js
+echo Step 2: Running installer...
+node install.js %*
 set EXIT_CODE=%errorlevel%
 
 echo.
@@ -1,64 +1,181 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const http = require('http');
 const https = require('https');
 const { execSync } = require('child_process');
+const { parseArgs } = require('./lib/cli');
+const { openZip } = require('./lib/zip');
+const { openTarGz } = require('./lib/tar');
+const {
+    MANIFEST_FILE,
+    loadMapPack,
+    sha256File,
+    describeDataFile,
+    verifyDataFile,
+    GAME_FOLDER_NAME,
+    getDefaultGameDataPath,
+    listSubdirs,
+    findGameDataCandidates,
+    createServiceManager
+} = require('./lib/mappack');
 
-// --- DYNAMIC CONFIGURATION FROM MANIFEST ---
-const GAME_FOLDER_NAME = "metro-maker4";
-const MANIFEST_FILE = "manifest.json";
+const PMTILES_LOCK_FILE = "pmtiles.lock.json";
+const CHECKSUMS_FILE = "checksums.json";
+const RECEIPT_FILE = "install-receipt.json";
+const BACKUP_DIR_NAME = ".backup";
+const NETWORK_TIMEOUT_MS = 15000;
+const GAME_DIR_ENV = "SUBWAY_BUILDER_DATA_DIR";
+const PRESETS_DIR_NAME = "presets";
 
-// Read and parse manifest.json to get the ID
-let manifest;
+// Where go-pmtiles releases come from. Both can point to a mirror (the tests use a local server).
+const PMTILES_API_URL = process.env.PMTILES_API_URL || "https://api.github.com/repos/protomaps/go-pmtiles";
+const PMTILES_RELEASES_URL = process.env.PMTILES_RELEASES_URL || "https://github.com/protomaps/go-pmtiles/releases";
+
+// --- COMMAND LINE OPTIONS ---
+// --pmtiles-binary           Use the go-pmtiles binary instead of the built-in serve.js
+// --offline                  Never contact GitHub, use a local/bundled pmtiles instead
+// --pmtiles-archive <path>   Install pmtiles from a local release archive or binary
+// --allow-unverified         Accept a pmtiles archive/binary that can't be verified
+// --pin-pmtiles <version>    (Maintainers) Pin the go-pmtiles release and its checksums in pmtiles.lock.json
+// --write-checksums          (Maintainers) Regenerate checksums.json from data/
+// --uninstall                Remove everything the installer placed
+// --upgrade                  Replace only the data files that changed since the installed version
+// --rollback                 Restore the files replaced by the last --upgrade
+// --game-dir <path>          Use this game data folder (also: $SUBWAY_BUILDER_DATA_DIR)
+// --list-game-dirs           Show the game data folders found on this machine
+// --service <action>         Run the map server in the background: install, start, stop, status or remove
+// --yes                      Never ask or wait for input (for scripted installs)
+// --json                     Print the result as JSON on stdout, messages go to stderr (implies --yes)
+const VALUE_FLAGS = ['pmtiles-archive', 'pin-pmtiles', 'game-dir', 'service'];
+
+// When install.js is required (e.g. by the tests) there are no options and nothing runs
+const RUN_AS_SCRIPT = require.main === module;
+const OPTIONS = parseArgs(RUN_AS_SCRIPT ? process.argv.slice(2) : [], VALUE_FLAGS);
+const JSON_OUTPUT = Boolean(OPTIONS.json);
+const ASSUME_YES = Boolean(OPTIONS.yes) || JSON_OUTPUT;
+
+// --- EXIT CODES ---
+// One per kind of failure, so scripts can tell them apart. The first failure sets the code.
+const EXIT = {
+    OK: 0,
+    ERROR: 1,            // unexpected error
+    USAGE: 2,            // invalid command line option
+    CONFIG: 3,           // manifest.json or its mapPack section can't be read
+    MISSING_FILES: 4,    // data folder or required data files not found
+    VERIFY_FAILED: 5,    // a data file is damaged or couldn't be copied
+    PMTILES: 6,          // --pmtiles-binary was requested but pmtiles couldn't be installed
+    NO_BACKUP: 7,        // --rollback without a backup to restore
+    SERVICE: 8           // a --service action failed
+};
+
+// --- RESULT ---
+// What the installer did, printed on stdout with --json
+const RESULT = {
+    ok: false,
+    exitCode: EXIT.OK,
+    action: OPTIONS.service !== undefined ? 'service' :
+        OPTIONS.uninstall ? 'uninstall' : OPTIONS.rollback ? 'rollback' : OPTIONS.upgrade ? 'upgrade' : 'install',
+    errors: []
+};
+
+// Progress messages. With --json stdout is reserved for the result, so they go to stderr.
+function log(...args) {
+    (JSON_OUTPUT ? console.error : console.log)(...args);
+}
+
+// Records a failure and sets the exit code, unless an earlier failure already did
+function fail(exitCode, message) {
+    console.error(message);
+    RESULT.errors.push({ exitCode, message: message.trim() });
+    if (!process.exitCode) process.exitCode = exitCode;
+}
+
+function finish() {
+    RESULT.exitCode = process.exitCode || EXIT.OK;
+    RESULT.ok = RESULT.exitCode === EXIT.OK;
+    if (JSON_OUTPUT) process.stdout.write(JSON.stringify(RESULT, null, 4) + '\n');
+}
+
+// --- MAP PACK CONFIGURATION ---
+// Everything city-specific comes from manifest.json ("id" and "mapPack", see lib/mappack/config.js)
+let mapPack;
 try {
-    const manifestPath = path.join(__dirname, MANIFEST_FILE);
-    if (!fs.existsSync(manifestPath)) {
-        throw new Error("File not found");
-    }
-    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    mapPack = loadMapPack(__dirname);
 } catch (err) {
-    console.error(`Error: Could not read ${MANIFEST_FILE}. Make sure it is in the same folder as this script.`);
+    if (!RUN_AS_SCRIPT) throw err;
+    fail(EXIT.CONFIG, `Error: Could not read the map pack settings from ${MANIFEST_FILE}. Make sure it is in the same folder as this script.`);
     console.error(`Details: ${err.message}`);
-    process.exit(1);
+    finish();
+    process.exit();
 }
+const manifest = mapPack.manifest;
+RESULT.id = manifest.id;
+RESULT.version = manifest.version;
+
+const DISPLAY_NAME = mapPack.displayName;        // e.g. "mhmoeller's CPH"
+const TARGET_FOLDER_NAME = mapPack.targetFolder; // e.g. "CPH" (The folder inside cities/data/)
+const DATA_DIR_NAME = mapPack.dataDir;           // e.g. "data" (next to this script)
+const TILES_DIR_NAME = mapPack.tilesDir;         // e.g. "scripts" (served by serve.js)
 
-// Parse the ID (e.g., "com.mhmoeller.CPH")
-// Expected format: com.author.CityName
-const idParts = manifest.id ? manifest.id.split('.') : [];
-let author = "Unknown";
-let cityName = "Mod";
+// Files to move to cities/data/TARGET_FOLDER_NAME. The required ones must be
+// in the data folder; the optional ones are installed when it has them.
+const REQUIRED_DATA_FILES = mapPack.requiredFiles;
+const OPTIONAL_DATA_FILES = mapPack.optionalFiles;
+const DATA_FILES = REQUIRED_DATA_FILES.concat(OPTIONAL_DATA_FILES);
 
-if (idParts.length >= 3) {
-    // Standard format: com.author.city
-    author = idParts[1]; 
-    cityName = idParts.slice(2).join('.');
-} else if (manifest.id) {
-    // Fallback if ID format is non-standard
-    cityName = manifest.id;
+// --- DATA FILE INTEGRITY ---
+// checksums.json records the SHA-256, size and uncompressed size of every
+// shipped data file for the release named by its "version".
+function readChecksumManifest() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, CHECKSUMS_FILE), 'utf8'));
+    } catch (err) {
+        console.warn(`Warning: Could not read ${CHECKSUMS_FILE}: ${err.message}`);
+        return { version: null, files: {} };
+    }
 }
 
-// Variables for the installer
-const DISPLAY_NAME = `${author}'s ${cityName}`;  // e.g. "mhmoeller's CPH"
-const TARGET_FOLDER_NAME = cityName;             // e.g. "CPH" (The folder inside cities/data/)
+// Maintainer helper: node install.js --write-checksums
+// Preset subsets (data/presets/<code>/) are listed under "presets".
+function writeChecksumManifest(sourceDir) {
+    const checksums = { version: manifest.version, files: {} };
+    for (const file of DATA_FILES) {
+        const filePath = path.join(sourceDir, file);
+        if (!fs.existsSync(filePath)) continue;
+        checksums.files[file] = describeDataFile(filePath);
+        log(` [OK] ${file}`);
+    }
+    for (const code of getPresetCodes(sourceDir).slice(1)) {
+        checksums.presets = checksums.presets || {};
+        checksums.presets[code] = {};
+        for (const file of DATA_FILES) {
+            const filePath = path.join(sourceDir, PRESETS_DIR_NAME, code, file);
+            if (!fs.existsSync(filePath)) continue;
+            checksums.presets[code][file] = describeDataFile(filePath);
+            log(` [OK] ${PRESETS_DIR_NAME}/${code}/${file}`);
+        }
+    }
+    fs.writeFileSync(path.join(__dirname, CHECKSUMS_FILE), JSON.stringify(checksums, null, 4) + '\n');
+    log(`[OK] Wrote ${CHECKSUMS_FILE} for version ${manifest.version}`);
+}
 
-// Files to move to cities/data/TARGET_FOLDER_NAME
-const DATA_FILES = [
-    "roads.geojson.gz",
-    "runways_taxiways.geojson.gz",
-    "ocean_depth_index.json.gz",
-    "buildings_index.json.gz",
-    "demand_data.json.gz"
-];
+// https for GitHub, http for a local mirror
+function getClient(url) {
+    return url.startsWith('http:') ? http : https;
+}
 
 // --- HELPER: Handle Redirects ---
 async function downloadFileWithRedirects(url, destPath) {
     return new Promise((resolve, reject) => {
         const file = fs.createWriteStream(destPath);
         const request = (currentUrl) => {
-            https.get(currentUrl, (response) => {
+            const req = getClient(currentUrl).get(currentUrl, (response) => {
                 if (response.statusCode === 301 || response.statusCode === 302) {
+                    response.resume();
                     if (response.headers.location) {
-                        request(response.headers.location);
+                        request(new URL(response.headers.location, currentUrl).href);
                         return;
                     } else {
                         reject(new Error("Redirect without location header"));
@@ -66,6 +183,8 @@ async function downloadFileWithRedirects(url, destPath) {
                     }
                 }
                 if (response.statusCode !== 200) {
+                    response.resume();
+                    file.close();
                     reject(new Error(`Failed to download: ${response.statusCode}`));
                     return;
                 }
@@ -78,22 +197,22 @@ async function downloadFileWithRedirects(url, destPath) {
                 fs.unlink(destPath, () => {});
                 reject(err);
             });
+            req.setTimeout(NETWORK_TIMEOUT_MS, () => req.destroy(new Error("Connection timed out")));
         };
         request(url);
     });
 }
 
 // --- HELPER: Get latest pmtiles version ---
-function getLatestPmtilesVersion() {
+function getLatestPmtilesVersion(apiUrl = PMTILES_API_URL) {
     return new Promise((resolve, reject) => {
+        const url = `${apiUrl}/releases/latest`;
         const options = {
-            hostname: 'api.github.com',
-            path: '/repos/protomaps/go-pmtiles/releases/latest',
             method: 'GET',
             headers: { 'User-Agent': 'Node.js Script' }
         };
 
-        const req = https.request(options, (res) => {
+        const req = getClient(url).request(url, options, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -111,46 +230,188 @@ function getLatestPmtilesVersion() {
             });
         });
 
+        req.setTimeout(NETWORK_TIMEOUT_MS, () => req.destroy(new Error("Connection timed out")));
         req.on('error', (e) => reject(e));
         req.end();
     });
 }
 
-// Dynamisk URL bygning baseret på system og version
-function getPmtilesUrl(version) {
-    const platform = os.platform();
-    const arch = os.arch();
-    console.log(`Detected System: ${platform} (${arch})`);
+// The go-pmtiles release archive for each "<platform>-<arch>"
+const PMTILES_ASSETS = {
+    'win32-x64': version => `go-pmtiles_${version}_Windows_x86_64.zip`,
+    'win32-arm64': version => `go-pmtiles_${version}_Windows_arm64.zip`,
+    'darwin-x64': version => `go-pmtiles-${version}_Darwin_x86_64.zip`,
+    'darwin-arm64': version => `go-pmtiles-${version}_Darwin_arm64.zip`,
+    'linux-x64': version => `go-pmtiles_${version}_Linux_x86_64.tar.gz`,
+    'linux-arm64': version => `go-pmtiles_${version}_Linux_arm64.tar.gz`
+};
 
-    let filename = "";
-    if (platform === 'win32') {
-        if (arch === 'x64') filename = `go-pmtiles_${version}_Windows_x86_64.zip`;
-        else if (arch === 'arm64') filename = `go-pmtiles_${version}_Windows_arm64.zip`;
-    } else if (platform === 'darwin') {
-        if (arch === 'x64') filename = `go-pmtiles-${version}_Darwin_x86_64.zip`;
-        else if (arch === 'arm64') filename = `go-pmtiles-${version}_Darwin_arm64.zip`;
-    } else if (platform === 'linux') {
-        if (arch === 'x64') filename = `go-pmtiles_${version}_Linux_x86_64.tar.gz`;
-        else if (arch === 'arm64') filename = `go-pmtiles_${version}_Linux_arm64.tar.gz`;
-    }
+function getPlatformKey() {
+    return `${os.platform()}-${os.arch()}`;
+}
 
-    if (!filename) {
-        console.error("ERROR: Unsupported platform/arch for pmtiles.");
-        process.exit(1);
+// Dynamisk URL bygning baseret på system og version
+function getPmtilesUrl(version, releasesUrl = PMTILES_RELEASES_URL) {
+    const asset = PMTILES_ASSETS[getPlatformKey()];
+    if (!asset) {
+        console.error(`ERROR: Unsupported platform/arch for pmtiles: ${os.platform()} (${os.arch()})`);
+        return null;
     }
+    const filename = asset(version);
 
-    const baseUrl = `https://github.com/protomaps/go-pmtiles/releases/download/v${version}/`;
+    const baseUrl = `${releasesUrl}/download/v${version}/`;
     return { 
         url: baseUrl + filename, 
+        checksumsUrl: baseUrl + 'checksums.txt',
         filename: filename, 
+        // Platform part of the name, e.g. "_Linux_x86_64.tar.gz"
+        suffix: filename.slice(filename.indexOf(version) + version.length),
         isZip: filename.endsWith('.zip'),
         isTarGz: filename.endsWith('.tar.gz')
     };
 }
 
+// --- PINNED PMTILES RELEASE ---
+// pmtiles.lock.json pins the go-pmtiles release used when GitHub can't be reached
+// (or in --offline mode):
+//   { version, assets: { <archive name>: sha256 }, binaries: { <platform>-<arch>: sha256 } }
+// Archives of the pinned release must match "assets" and a bare pmtiles binary
+// must match "binaries". Only other versions fall back to their release's checksums.txt.
+function readPmtilesLock(lockPath = path.join(__dirname, PMTILES_LOCK_FILE)) {
+    const lock = { version: null, assets: {}, binaries: {} };
+    try {
+        return Object.assign(lock, JSON.parse(fs.readFileSync(lockPath, 'utf8')));
+    } catch (err) {
+        console.warn(`Warning: Could not read ${PMTILES_LOCK_FILE}: ${err.message}`);
+        return lock;
+    }
+}
+
+// "go-pmtiles_1.22.1_Linux_x86_64.tar.gz" -> "1.22.1"
+function getArchiveVersion(name) {
+    const match = name.match(/^go-pmtiles[_-](\d+\.\d+\.\d+)_/);
+    return match ? match[1] : null;
+}
+
+// Parses a goreleaser checksums.txt ("<sha256>  <filename>" per line)
+function parseChecksumsTxt(text) {
+    const sums = {};
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.trim().match(/^([a-f0-9]{64})\s+\*?(.+)$/i);
+        if (match) sums[match[2].trim()] = match[1].toLowerCase();
+    }
+    return sums;
+}
+
+// Expected checksum for an archive. The pinned release only trusts the lock file;
+// other versions use the checksums.txt of their release placed next to the
+// archive (downloads fetch it along with the archive).
+function findExpectedChecksum(archivePath, lock) {
+    const name = path.basename(archivePath);
+    if (lock.assets[name]) return lock.assets[name];
+    if (getArchiveVersion(name) === lock.version && Object.keys(lock.assets).length > 0) return null;
+
+    const txtPath = path.join(path.dirname(archivePath), 'checksums.txt');
+    if (fs.existsSync(txtPath)) {
+        const sums = parseChecksumsTxt(fs.readFileSync(txtPath, 'utf8'));
+        if (sums[name]) return sums[name];
+    }
+    return null;
+}
+
+// Compares a file with its expected checksum. Without one the file is only
+// accepted with --allow-unverified; hint says how to get one.
+function checkPmtilesChecksum(filePath, expected, hint) {
+    const name = path.basename(filePath);
+    if (!expected) {
+        if (OPTIONS['allow-unverified']) {
+            console.warn(`Warning: No known checksum for ${name}, skipping verification.`);
+            return true;
+        }
+        console.error(`Error: No checksum for ${name}.`);
+        console.error(`${hint}, or re-run with --allow-unverified.`);
+        return false;
+    }
+
+    const actual = sha256File(filePath);
+    if (actual !== expected) {
+        console.error(`Error: Checksum mismatch for ${name}`);
+        console.error(`  expected ${expected}`);
+        console.error(`  got      ${actual}`);
+        return false;
+    }
+    log(` [OK] Checksum verified for ${name}`);
+    return true;
+}
+
+// Returns true if the archive may be extracted
+function verifyPmtilesArchive(archivePath, lock) {
+    const pinned = getArchiveVersion(path.basename(archivePath)) === lock.version && Object.keys(lock.assets).length > 0;
+    return checkPmtilesChecksum(archivePath, findExpectedChecksum(archivePath, lock), pinned
+        ? `Use the go-pmtiles ${lock.version} release archive for ${getPlatformKey()}`
+        : "Place the release's checksums.txt next to the archive");
+}
+
+// A bare binary can only be checked against the pinned checksum for this
+// platform. It is checked before it is copied, let alone run.
+function verifyPmtilesBinary(binPath, lock) {
+    return checkPmtilesChecksum(binPath, lock.binaries[getPlatformKey()],
+        `Use a go-pmtiles release archive instead (there is no pinned binary for ${getPlatformKey()})`);
+}
+
+// The pmtiles executable inside a release archive, or null
+function readPmtilesFromArchive(archivePath) {
+    const archive = archivePath.endsWith('.zip') ? openZip(archivePath) : openTarGz(archivePath);
+    const entry = archive.names().find(name => /^pmtiles(\.exe)?$/.test(path.posix.basename(name)));
+    return entry ? archive.read(entry) : null;
+}
+
+// Maintainer helper: node install.js --pin-pmtiles <version>
+// Downloads the release's checksums.txt and the archive for every platform, and
+// records the archive and binary checksums in pmtiles.lock.json. Returns the lock.
+async function pinPmtiles(version, lockPath = path.join(__dirname, PMTILES_LOCK_FILE)) {
+    const match = String(version).match(/^v?(\d+\.\d+\.\d+)$/);
+    if (!match) {
+        fail(EXIT.USAGE, `Error: '${version}' is not a go-pmtiles version (use x.y.z, e.g. 1.22.1)`);
+        return null;
+    }
+
+    const lock = { version: match[1], assets: {}, binaries: {} };
+    const baseUrl = `${PMTILES_RELEASES_URL}/download/v${lock.version}/`;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmtiles-pin-'));
+    try {
+        const checksumsPath = path.join(tempDir, 'checksums.txt');
+        await downloadFileWithRedirects(baseUrl + 'checksums.txt', checksumsPath);
+        const sums = parseChecksumsTxt(fs.readFileSync(checksumsPath, 'utf8'));
+
+        for (const [platformKey, asset] of Object.entries(PMTILES_ASSETS)) {
+            const filename = asset(lock.version);
+            if (!sums[filename]) throw new Error(`${filename} is not listed in the release's checksums.txt`);
+            const archivePath = path.join(tempDir, filename);
+            await downloadFileWithRedirects(baseUrl + filename, archivePath);
+            if (sha256File(archivePath) !== sums[filename]) throw new Error(`${filename} does not match the release's checksums.txt`);
+            const binary = readPmtilesFromArchive(archivePath);
+            if (!binary) throw new Error(`No pmtiles executable in ${filename}`);
+
+            lock.assets[filename] = sums[filename];
+            lock.binaries[platformKey] = crypto.createHash('sha256').update(binary).digest('hex');
+            log(` [OK] ${filename}`);
+        }
+    } catch (err) {
+        fail(EXIT.PMTILES, `Error: Could not pin go-pmtiles ${lock.version}: ${err.message}`);
+        return null;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    fs.writeFileSync(lockPath, JSON.stringify(lock, null, 4) + '\n');
+    log(`[OK] Pinned go-pmtiles ${lock.version} in ${path.basename(lockPath)}`);
+    return lock;
+}
+
 // --- Install PMTILES TOOL ---
 async function installPmtiles() {
-    const scriptsDir = path.join(__dirname, 'scripts');
+    const scriptsDir = path.join(__dirname, TILES_DIR_NAME);
     
     // Ensure scripts directory exists
     if (!fs.existsSync(scriptsDir)) {
@@ -162,26 +423,132 @@ async function installPmtiles() {
 
     // Check if already installed
     if (fs.existsSync(finalExePath)) {
-        console.log(`[OK] ${finalExeName} is already installed.`);
+        log(`[OK] ${finalExeName} is already installed.`);
         return scriptsDir;
     }
 
-    console.log("Checking for latest pmtiles version...");
+    const lock = readPmtilesLock();
+    log(`Detected System: ${os.platform()} (${os.arch()})`);
+
+    // 1. Archive or binary supplied by the user
+    if (OPTIONS['pmtiles-archive']) {
+        const localPath = path.resolve(OPTIONS['pmtiles-archive']);
+        if (installPmtilesFromLocal(localPath, scriptsDir, finalExePath, lock)) {
+            return scriptsDir;
+        }
+        printManualPmtilesInstructions(scriptsDir);
+        return null;
+    }
+
+    // 2. Download from GitHub
+    if (!OPTIONS.offline) {
+        const download = await downloadPmtiles(scriptsDir, lock);
+        if (download) {
+            const ok = verifyPmtilesArchive(download.archivePath, lock) &&
+                await extractPmtilesArchive(download.archivePath, scriptsDir, finalExePath, download.targetInfo);
+            // Cleanup
+            try { 
+                fs.unlinkSync(download.archivePath); 
+                log("Cleaned up downloaded archive");
+            } catch(e) {}
+            if (ok) return scriptsDir;
+        }
+    }
+
+    // 3. Archive vendored under scripts/
+    const vendored = lock.version ? findVendoredPmtilesArchive(scriptsDir, lock.version) : null;
+    if (vendored) {
+        log(`Using bundled archive ${path.basename(vendored)}`);
+        if (installPmtilesFromLocal(vendored, scriptsDir, finalExePath, lock)) {
+            return scriptsDir;
+        }
+    }
+
+    printManualPmtilesInstructions(scriptsDir);
+    return null;
+}
+
+// Returns { archivePath, targetInfo } or null if GitHub can't be reached
+async function downloadPmtiles(scriptsDir, lock) {
+    log("Checking for latest pmtiles version...");
     let version;
     try {
         version = await getLatestPmtilesVersion();
-        console.log(`Latest version is: ${version}`);
+        log(`Latest version is: ${version}`);
     } catch (e) {
-        console.error("Failed to check latest version:", e.message);
-        process.exit(1);
+        console.warn("Failed to check latest version:", e.message);
+        if (!lock.version) return null;
+        version = lock.version;
+        log(`Falling back to pinned version: ${version}`);
     }
 
     const targetInfo = getPmtilesUrl(version);
+    if (!targetInfo) return null;
     const downloadPath = path.join(scriptsDir, targetInfo.filename);
 
-    console.log(`Downloading ${targetInfo.filename}...`);
-    await downloadFileWithRedirects(targetInfo.url, downloadPath);
-    console.log("Extracting pmtiles...");
+    log(`Downloading ${targetInfo.filename}...`);
+    try {
+        await downloadFileWithRedirects(targetInfo.url, downloadPath);
+    } catch (e) {
+        console.warn("Failed to download pmtiles:", e.message);
+        try { fs.unlinkSync(downloadPath); } catch(err) {}
+        return null;
+    }
+
+    // The release checksums let us verify versions that aren't pinned
+    const checksumsPath = path.join(scriptsDir, 'checksums.txt');
+    try {
+        await downloadFileWithRedirects(targetInfo.checksumsUrl, checksumsPath);
+    } catch (e) {
+        try { fs.unlinkSync(checksumsPath); } catch(err) {}
+    }
+
+    return { archivePath: downloadPath, targetInfo };
+}
+
+// Finds a go-pmtiles archive for this platform in scripts/ (the pinned release first)
+function findVendoredPmtilesArchive(scriptsDir, version) {
+    const targetInfo = getPmtilesUrl(version);
+    if (!targetInfo) return null;
+
+    const pinned = path.join(scriptsDir, targetInfo.filename);
+    if (fs.existsSync(pinned)) return pinned;
+
+    const match = fs.readdirSync(scriptsDir)
+        .find(file => file.startsWith('go-pmtiles') && file.endsWith(targetInfo.suffix));
+    return match ? path.join(scriptsDir, match) : null;
+}
+
+// Installs from a local go-pmtiles release archive or a bare pmtiles binary
+function installPmtilesFromLocal(localPath, scriptsDir, finalExePath, lock) {
+    if (!fs.existsSync(localPath)) {
+        console.error(`Error: ${localPath} does not exist.`);
+        return false;
+    }
+
+    const name = path.basename(localPath);
+    const isZip = name.endsWith('.zip');
+    const isTarGz = name.endsWith('.tar.gz') || name.endsWith('.tgz');
+
+    if (isZip || isTarGz) {
+        if (!verifyPmtilesArchive(localPath, lock)) return false;
+        return extractPmtilesArchive(localPath, scriptsDir, finalExePath, { filename: name, isZip, isTarGz });
+    }
+
+    if (!verifyPmtilesBinary(localPath, lock)) return false;
+    fs.copyFileSync(localPath, finalExePath);
+    if (os.platform() !== 'win32') {
+        fs.chmodSync(finalExePath, '755');
+    }
+    log(`[OK] pmtiles installed to ${scriptsDir}`);
+    return true;
+}
+
+// Extracts a release archive into scriptsDir and renames the binary to its
+// standard name. Returns true when the binary is in place.
+async function extractPmtilesArchive(archivePath, scriptsDir, finalExePath, targetInfo) {
+    const finalExeName = path.basename(finalExePath);
+    log("Extracting pmtiles...");
 
     try {
         // Try to load adm-zip
@@ -189,111 +556,107 @@ async function installPmtiles() {
         try {
             AdmZip = require('adm-zip');
         } catch (e) {
-            console.log("adm-zip not found, trying to install it...");
-            try {
-                execSync('npm install adm-zip', { 
-                    cwd: __dirname,
-                    stdio: 'inherit',
-                    windowsHide: true 
-                });
-                AdmZip = require('adm-zip');
-            } catch (installError) {
-                console.error("Failed to install adm-zip:", installError.message);
-                console.log("Trying alternative extraction method...");
+            let installError = new Error("adm-zip not found (offline mode)");
+            if (!OPTIONS.offline) {
+                log("adm-zip not found, trying to install it...");
+                try {
+                    execSync('npm install --no-save adm-zip', { 
+                        cwd: __dirname,
+                        // npm's output is progress too: keep it off stdout with --json
+                        stdio: ['inherit', JSON_OUTPUT ? 'pipe' : 'inherit', 'inherit'],
+                        windowsHide: true 
+                    });
+                    AdmZip = require('adm-zip');
+                } catch (err) {
+                    installError = err;
+                }
+            }
+
+            if (!AdmZip) {
+                console.error("Could not load adm-zip:", installError.message);
+                log("Trying alternative extraction method...");
                 
                 // Fallback extraction method
-                await extractWithNativeTools(downloadPath, scriptsDir, finalExeName, targetInfo);
+                await extractWithNativeTools(archivePath, scriptsDir, finalExeName, targetInfo);
+                renameExtractedPmtiles(scriptsDir, finalExePath);
                 if (fs.existsSync(finalExePath)) {
-                    console.log(`[OK] pmtiles installed using native tools`);
-                    return scriptsDir;
+                    finishPmtilesInstall(scriptsDir, finalExePath);
+                    log(`[OK] pmtiles installed using native tools`);
+                    return true;
                 }
                 throw new Error("Could not extract pmtiles");
             }
         }
 
         if (targetInfo.isZip) {
-            const zip = new AdmZip(downloadPath);
+            const zip = new AdmZip(archivePath);
             zip.extractAllTo(scriptsDir, true);
-            
-            // Find and rename to standard name
-            const files = fs.readdirSync(scriptsDir);
-            for (const file of files) {
-                const filePath = path.join(scriptsDir, file);
-                const stat = fs.statSync(filePath);
-                
-                if (!stat.isDirectory()) {
-                    // Look for pmtiles executable
-                    if ((os.platform() === 'win32' && file === 'pmtiles.exe') || 
-                        (os.platform() !== 'win32' && file === 'pmtiles') ||
-                        file.startsWith('pmtiles') && !file.endsWith('.zip') && !file.endsWith('.tar.gz')) {
-                        
-                        if (file !== finalExeName) {
-                            fs.renameSync(filePath, finalExePath);
-                        }
-                        break;
-                    }
-                }
-            }
         } else if (targetInfo.isTarGz) {
             // For tar.gz files on Unix systems
-            execSync(`tar -xzf "${downloadPath}" -C "${scriptsDir}"`, { stdio: 'pipe' });
-            
-            // Find and rename
-            const files = fs.readdirSync(scriptsDir);
-            for (const file of files) {
-                const filePath = path.join(scriptsDir, file);
-                const stat = fs.statSync(filePath);
-                
-                if (!stat.isDirectory() && 
-                    (file === 'pmtiles' || file.startsWith('pmtiles')) &&
-                    !file.endsWith('.tar.gz')) {
-                    
-                    if (file !== finalExeName) {
-                        fs.renameSync(filePath, finalExePath);
-                    }
-                    break;
-                }
-            }
+            execSync(`tar -xzf "${archivePath}" -C "${scriptsDir}"`, { stdio: 'pipe' });
         }
-        
-        // Cleanup
-        try { 
-            fs.unlinkSync(downloadPath); 
-            console.log("Cleaned up downloaded archive");
-        } catch(e) {}
-        
-        // Remove unnecessary files
-        const cleanupFiles = ['LICENSE', 'README.md', 'CHANGELOG.md'];
-        cleanupFiles.forEach(file => {
-            const filePath = path.join(scriptsDir, file);
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
-        });
-        
-        // Make executable on Unix systems
-        if (os.platform() !== 'win32') {
-            fs.chmodSync(finalExePath, '755');
+        renameExtractedPmtiles(scriptsDir, finalExePath);
+
+        if (!fs.existsSync(finalExePath)) {
+            throw new Error(`${finalExeName} not found in ${targetInfo.filename}`);
         }
+        finishPmtilesInstall(scriptsDir, finalExePath);
         
-        console.log(`[OK] pmtiles installed to ${scriptsDir}`);
-        return scriptsDir;
+        log(`[OK] pmtiles installed to ${scriptsDir}`);
+        return true;
         
     } catch (err) {
         console.error("Error installing pmtiles:", err.message);
+        return false;
+    }
+}
+
+// Find the extracted executable and rename it to the standard name
+function renameExtractedPmtiles(scriptsDir, finalExePath) {
+    const finalExeName = path.basename(finalExePath);
+    const files = fs.readdirSync(scriptsDir);
+    for (const file of files) {
+        const filePath = path.join(scriptsDir, file);
+        const stat = fs.statSync(filePath);
         
-        // Ultimate fallback: Provide instructions
-        console.log("\n--- MANUAL INSTALLATION REQUIRED ---");
-        console.log("Please download pmtiles manually from:");
-        console.log("https://github.com/protomaps/go-pmtiles/releases");
-        console.log(`For your system (${os.platform()} ${os.arch()}), download the appropriate file.`);
-        console.log(`Extract it and place the 'pmtiles${os.platform() === 'win32' ? '.exe' : ''}' file in:`);
-        console.log(scriptsDir);
-        console.log("Then run this installer again.\n");
-        process.exit(1);
+        if (!stat.isDirectory() &&
+            file.startsWith('pmtiles') &&
+            !file.endsWith('.zip') && !file.endsWith('.tar.gz')) {
+            
+            if (file !== finalExeName) {
+                fs.renameSync(filePath, finalExePath);
+            }
+            break;
+        }
     }
 }
 
+function finishPmtilesInstall(scriptsDir, finalExePath) {
+    // Remove unnecessary files
+    const cleanupFiles = ['LICENSE', 'README.md', 'CHANGELOG.md', 'checksums.txt'];
+    cleanupFiles.forEach(file => {
+        const filePath = path.join(scriptsDir, file);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    });
+    
+    // Make executable on Unix systems
+    if (os.platform() !== 'win32') {
+        fs.chmodSync(finalExePath, '755');
+    }
+}
+
+function printManualPmtilesInstructions(scriptsDir) {
+    log("\n--- MANUAL INSTALLATION REQUIRED ---");
+    log("pmtiles could not be installed. Please download it manually from:");
+    log("https://github.com/protomaps/go-pmtiles/releases");
+    log(`For your system (${os.platform()} ${os.arch()}), download the appropriate file.`);
+    log(`Extract it and place the 'pmtiles${os.platform() === 'win32' ? '.exe' : ''}' file in:`);
+    log(scriptsDir);
+    log("or run the installer again with: --offline --pmtiles-archive <path to archive>\n");
+}
+
 // Native tools fallback extraction
 async function extractWithNativeTools(downloadPath, destDir, finalExeName, targetInfo) {
     const platform = os.platform();
@@ -307,7 +670,7 @@ async function extractWithNativeTools(downloadPath, destDir, finalExeName, targe
             });
             return true;
         } catch (error) {
-            console.log("PowerShell extraction failed");
+            log("PowerShell extraction failed");
             return false;
         }
     } else if (targetInfo.isTarGz) {
@@ -316,41 +679,70 @@ async function extractWithNativeTools(downloadPath, destDir, finalExeName, targe
             execSync(`tar -xzf "${downloadPath}" -C "${destDir}"`, { stdio: 'pipe' });
             return true;
         } catch (error) {
-            console.log("tar extraction failed");
+            log("tar extraction failed");
             return false;
         }
     }
     return false;
 }
 
-// 1. Find path to cities/data
+// Set by chooseGameDataPath() when the user picks one of several candidates
+let selectedGameDataPath = null;
+
+// Resolution order: --game-dir, $SUBWAY_BUILDER_DATA_DIR, the only (or most
+// recently used) existing candidate, then the platform default.
 function getGameDataPath() {
-    const platform = os.platform();
-    let appDataPath;
-
-    if (platform === 'win32') {
-        // Windows: %APPDATA%/metro-maker4
-        appDataPath = process.env.APPDATA;
-    } else if (platform === 'darwin') {
-        // Mac: ~/Library/Application Support/metro-maker4
-        appDataPath = path.join(os.homedir(), 'Library', 'Application Support');
-    } else {
-        // Linux (Fallback): ~/.config/metro-maker4
-        appDataPath = path.join(os.homedir(), '.config');
-    }
+    if (selectedGameDataPath) return selectedGameDataPath;
+
+    const override = OPTIONS['game-dir'] || process.env[GAME_DIR_ENV];
+    if (override) return path.resolve(override);
+
+    const candidates = findGameDataCandidates();
+    if (candidates.length === 0) return getDefaultGameDataPath();
+
+    candidates.sort((a, b) => fs.statSync(b.path).mtimeMs - fs.statSync(a.path).mtimeMs);
+    return candidates[0].path;
+}
 
-    if (!appDataPath) {
-        console.error("ERROR: Couldn't find AppData/Home directory.");
-        process.exit(1);
+// Asks the user to pick when several game data folders were found
+async function chooseGameDataPath() {
+    if (OPTIONS['game-dir'] || process.env[GAME_DIR_ENV]) return;
+
+    const candidates = findGameDataCandidates();
+    if (candidates.length < 2) return;
+
+    log("Found several Subway Builder data folders:");
+    candidates.forEach((c, i) => log(`  ${i + 1}) ${c.path}  [${c.source}]`));
+
+    if (!process.stdin.isTTY || ASSUME_YES) {
+        log(`Using the most recently used one: ${getGameDataPath()}`);
+        log("(Pass --game-dir <path> to choose another.)\n");
+        return;
     }
 
-    return path.join(appDataPath, GAME_FOLDER_NAME);
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`Which one should be used? [1-${candidates.length}] `, resolve));
+    rl.close();
+
+    const choice = candidates[parseInt(answer, 10) - 1];
+    selectedGameDataPath = choice ? choice.path : getGameDataPath();
+    log(`Using ${selectedGameDataPath}\n`);
+}
+
+function listGameDataPaths() {
+    const candidates = findGameDataCandidates();
+    if (candidates.length === 0) {
+        log(`No game data folders found. The default would be: ${getDefaultGameDataPath()}`);
+    }
+    candidates.forEach(c => log(`${c.path}  [${c.source}]`));
+    log(`\nSelected: ${getGameDataPath()}`);
 }
 
 // 2. Find source folder ( where the.gz files are now?)
 function findSourceDataFolder(startDir) {
-    // Check directly in 'data' folder first
-    const directPath = path.join(startDir, 'data');
+    // Check directly in the data folder first
+    const directPath = path.join(startDir, DATA_DIR_NAME);
     if (fs.existsSync(directPath) && fs.lstatSync(directPath).isDirectory()) {
         return directPath;
     }
@@ -361,9 +753,9 @@ function findSourceDataFolder(startDir) {
     });
 
     for (const subdir of subdirs) {
-        const nestedPath = path.join(startDir, subdir, 'data');
+        const nestedPath = path.join(startDir, subdir, DATA_DIR_NAME);
         if (fs.existsSync(nestedPath) && fs.lstatSync(nestedPath).isDirectory()) {
-            console.log(`Found data in folder: ${subdir}/data`);
+            log(`Found data in folder: ${subdir}/${DATA_DIR_NAME}`);
             return nestedPath;
         }
     }
@@ -371,9 +763,16 @@ function findSourceDataFolder(startDir) {
     return null;
 }
 
+// The go-pmtiles binary can't pick a free port itself, so it always gets the configured one
+function getTileServerPort() {
+    return mapPack.port;
+}
+
 // Function to create a portable serve.bat
-function createServeBatch(baseDir) {
-    const scriptsDir = path.join(baseDir, 'scripts');
+// Uses the built-in Node.js server (serve.js) unless useGoPmtiles is set.
+function createServeBatch(baseDir, useGoPmtiles) {
+    const scriptsDir = path.join(baseDir, TILES_DIR_NAME);
+    const serveJs = path.join(baseDir, 'serve.js');
     let batContent;
     let fext;
     // We create a batch file that hardcodes the path to the scripts folder.
@@ -381,22 +780,30 @@ function createServeBatch(baseDir) {
     if (os.platform() === 'win32') {
         // Windows: powershell
         fext = '.bat';
+        const serverCommand = useGoPmtiles
+            ? `.\\pmtiles.exe serve . --port ${getTileServerPort()} --cors=*`
+            : `node "${serveJs}" . --cors=*`;
         batContent = `@echo off
-title PMTiles Server (${DISPLAY_NAME})
+title Map Server (${DISPLAY_NAME})
 echo Starting map server...
 echo This window must remain open while playing.
 echo.
 cd /d "${scriptsDir}"
-.\\pmtiles.exe serve . --port 8081 --cors=*
+${serverCommand}
 if %errorlevel% neq 0 (
     echo.
-    echo Error: Could not start pmtiles.exe
+    echo Error: Could not start the map server
     pause
 )
 `;
     } else {
         // Unix: shell script
         fext = '.sh';
+        const serverCommand = useGoPmtiles
+            ? `# Run pmtiles (Linux/macOS binary assumed to be named 'pmtiles')
+./pmtiles serve . --port ${getTileServerPort()} --cors="*"`
+            : `# Run the built-in Node.js map server (port from manifest.json)
+node "${serveJs}" . --cors="*"`;
         batContent = `#!/usr/bin/env sh
 
 echo "Starting map server..."
@@ -406,13 +813,12 @@ echo
 # Navigate to the script directory
 cd "${scriptsDir}"
 
-# Run pmtiles (Linux/macOS binary assumed to be named 'pmtiles')
-./pmtiles serve . --port 8081 --cors="*"
+${serverCommand}
 status=$?
 
 if [ $status -ne 0 ]; then
     echo
-    echo "Error: Could not start pmtiles"
+    echo "Error: Could not start the map server"
     # macOS/Linux equivalent of 'pause'
     read -r -p "Press Enter to exit..."
 fi
@@ -421,97 +827,657 @@ fi
     const batPath = path.join(baseDir, `serve${fext}`);
     try {
         fs.writeFileSync(batPath, batContent);
-        console.log(` [OK] Created portable serve${fext}`);
-        console.log(`      (You can move this file to your Desktop if you want)`);
+        log(` [OK] Created portable serve${fext}`);
+        log(`      (You can move this file to your Desktop if you want)`);
+        return batPath;
     } catch (err) {
         console.error(`Error: Could not create serve${fext}: ${err.message}`);
+        return null;
     }
 }
 
+// Verifies and copies the given data files from sourceDir to destDir.
+// Returns { installed: { file: description }, verified: [file], failed: [file], missing: [file], skipped: [file] }
+// (verified lists the copied files that matched checksums.json; missing only
+// lists required files, skipped the optional ones)
+function copyDataFiles(sourceDir, destDir, files, checksums) {
+    const result = { installed: {}, verified: [], failed: [], missing: [], skipped: [] };
+
+    for (const file of files) {
+        const srcPath = path.join(sourceDir, file);
+        const destPath = path.join(destDir, file);
+        const expected = checksums.files[file];
+
+        if (fs.existsSync(srcPath)) {
+            const problems = verifyDataFile(srcPath, expected);
+            if (problems.length > 0) {
+                console.error(`Error: ${file} in the source folder is damaged and was not copied:`);
+                problems.forEach(problem => console.error(`       - ${problem}`));
+                result.failed.push(file);
+                continue;
+            }
+            if (!expected) {
+                console.warn(`Warning: ${file} is not listed in ${CHECKSUMS_FILE}, only checked that it parses.`);
+            }
+            const description = expected || describeDataFile(srcPath);
+
+            try {
+                // copyFileSync overwrites files if they already exist
+                fs.copyFileSync(srcPath, destPath);
+            } catch (err) {
+                console.error(`Error: Couldn't copy ${file}: ${err.message}`);
+                result.failed.push(file);
+                continue;
+            }
+
+            const destProblems = verifyDataFile(destPath, description);
+            if (destProblems.length > 0) {
+                console.error(`Error: ${file} was damaged while copying:`);
+                destProblems.forEach(problem => console.error(`       - ${problem}`));
+                result.failed.push(file);
+                continue;
+            }
+            log(` [OK] ${file}${expected ? ' (verified)' : ''}`);
+            result.installed[file] = description;
+            if (expected) result.verified.push(file);
+        } else if (OPTIONAL_DATA_FILES.includes(file)) {
+            log(` [--] ${file} (optional, not included)`);
+            result.skipped.push(file);
+        } else {
+            console.warn(`Warning: Couldn't find ${file} in source folder.`);
+            result.missing.push(file);
+        }
+    }
+    return result;
+}
+
+function warnIfChecksumsOutdated(checksums) {
+    if (checksums.version !== manifest.version) {
+        console.warn(`Warning: ${CHECKSUMS_FILE} is for version ${checksums.version}, but ${MANIFEST_FILE} says ${manifest.version}.`);
+        console.warn("The data files may be from an older release.");
+    }
+}
+
+function getDestDir(code = TARGET_FOLDER_NAME) {
+    return path.join(getGameDataPath(), 'cities', 'data', code);
+}
+
+// --- CITY PRESETS ---
+// The mod registers every preset in CITY_PRESETS (index.js) as its own city,
+// each with its own folder in cities/data. A preset gets the files in
+// data/presets/<code>/ (its demand subset, built by tools/build-presets.js)
+// and the main data files for everything else.
+
+// The main city first, then the presets shipped in sourceDir
+function getPresetCodes(sourceDir) {
+    const presetsDir = path.join(sourceDir, PRESETS_DIR_NAME);
+    const presets = fs.existsSync(presetsDir)
+        ? listSubdirs(presetsDir).map(dir => path.basename(dir)).sort()
+        : [];
+    return [TARGET_FOLDER_NAME].concat(presets.filter(code => code !== TARGET_FOLDER_NAME));
+}
+
+// Presets this mod installed earlier, found by their install receipt
+function getInstalledPresetCodes() {
+    const citiesDir = path.dirname(getDestDir());
+    return listSubdirs(citiesDir)
+        .filter(dir => { const receipt = readReceipt(dir); return receipt && receipt.id === manifest.id; })
+        .map(dir => path.basename(dir));
+}
+
+// Where each data file of a preset comes from: [{ file, dir, checksums }]
+function getPresetSources(sourceDir, code, checksums) {
+    const presetDir = path.join(sourceDir, PRESETS_DIR_NAME, code);
+    const presetChecksums = { files: (checksums.presets && checksums.presets[code]) || {} };
+    return DATA_FILES.map(file => fs.existsSync(path.join(presetDir, file))
+        ? { file, dir: presetDir, checksums: presetChecksums }
+        : { file, dir: sourceDir, checksums });
+}
+
+// copyDataFiles for the given files of a preset, each from its own source
+function copyPresetFiles(sources, destDir, files) {
+    const result = { installed: {}, verified: [], failed: [], missing: [], skipped: [] };
+    for (const source of sources.filter(source => files.includes(source.file))) {
+        const part = copyDataFiles(source.dir, destDir, [source.file], source.checksums);
+        Object.assign(result.installed, part.installed);
+        ['verified', 'failed', 'missing', 'skipped'].forEach(key => result[key].push(...part[key]));
+    }
+    return result;
+}
+
+function getServeScriptPath(baseDir) {
+    return path.join(baseDir, os.platform() === 'win32' ? 'serve.bat' : 'serve.sh');
+}
+
+// --- INSTALL RECEIPT ---
+// install-receipt.json in the data folder records the installed version and
+// every file the installer placed, so --uninstall and --upgrade know what to touch.
+function readReceipt(destDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(destDir, RECEIPT_FILE), 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+function writeReceipt(destDir, dataFiles, pmtilesPath, servePath) {
+    const receipt = {
+        id: manifest.id,
+        version: manifest.version,
+        installedAt: new Date().toISOString(),
+        modDir: __dirname,
+        dataDir: destDir,
+        files: dataFiles,
+        pmtiles: pmtilesPath,
+        serveScript: servePath
+    };
+    fs.writeFileSync(path.join(destDir, RECEIPT_FILE), JSON.stringify(receipt, null, 4) + '\n');
+    return receipt;
+}
+
+function removeIfExists(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+        fs.rmSync(filePath, { recursive: true, force: true });
+        log(` [OK] Removed ${filePath}`);
+        if (RESULT.removed) RESULT.removed.push(filePath);
+    }
+}
+
+function removeDirIfEmpty(dirPath) {
+    if (fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+        fs.rmdirSync(dirPath);
+        log(` [OK] Removed empty folder ${dirPath}`);
+    }
+}
+
+// Checks that the tile archives listed in mapPack.tiles are in the tiles folder
+function checkTileArchives(tilesDir) {
+    log("\nChecking map tiles...");
+    for (const tile of mapPack.tiles) {
+        const file = `${tile.name}.pmtiles`;
+        if (fs.existsSync(path.join(tilesDir, file))) {
+            log(` [OK] ${file}`);
+        } else if (tile.required) {
+            console.warn(`Warning: ${file} is missing from ${tilesDir}, so the map server can't serve it.`);
+        } else {
+            log(` [--] ${file} (optional, not included)`);
+        }
+    }
+}
+
+// Sets up the map server and the serve script. Returns [pmtilesPath, servePath]
+// (pmtilesPath is null unless the go-pmtiles binary was requested and installed).
+async function installServer(currentDir) {
+    const useGoPmtiles = Boolean(OPTIONS['pmtiles-binary'] || OPTIONS['pmtiles-archive']);
+    let scriptsDir = path.join(currentDir, TILES_DIR_NAME);
+    const exePath = path.join(scriptsDir, os.platform() === 'win32' ? 'pmtiles.exe' : 'pmtiles');
+    RESULT.pmtiles = { requested: useGoPmtiles, status: 'not-requested', path: null };
+
+    if (useGoPmtiles) {
+        // --- Install PMTiles ---
+        log("\nInstalling pmtiles...");
+        const alreadyInstalled = fs.existsSync(exePath);
+        scriptsDir = await installPmtiles();
+        RESULT.pmtiles.status = !scriptsDir ? 'failed' : alreadyInstalled ? 'already-installed' : 'installed';
+    } else {
+        fs.mkdirSync(scriptsDir, { recursive: true });
+        log("\n[OK] Using the built-in Node.js map server (serve.js), no download needed.");
+    }
+    checkTileArchives(path.join(currentDir, TILES_DIR_NAME));
+    
+    // --- Create serve file ---
+    log("\nCreating server script...");
+    const servePath = createServeBatch(currentDir, useGoPmtiles);
+    // ----------------------------
+    let fext;
+    if (os.platform() === 'win32') {
+        fext = '.bat'
+    } else {
+        fext = '.sh'
+    }
+    if (!scriptsDir) {
+        fail(EXIT.PMTILES, `\nWARNING: pmtiles is missing, so 'serve${fext}' won't start until it is installed (see above).`);
+    }
+    log(`\nYou can now start the 'serve${fext}' file (feel free to move it to your Desktop).`);
+    log("Then start the game.");
+    log("(Or run 'node install.js --service install' to keep the map server running in the background.)");
+
+    const pmtilesPath = useGoPmtiles && scriptsDir ? exePath : null;
+    RESULT.pmtiles.path = pmtilesPath;
+    RESULT.serveScript = servePath;
+    RESULT.tilesDir = path.join(currentDir, TILES_DIR_NAME);
+    return [pmtilesPath, servePath];
+}
+
 async function install() {
-    console.log(`--- Installing ${DISPLAY_NAME} Map Pack (Node.js) ---`);
+    log(`--- Installing ${DISPLAY_NAME} Map Pack (Node.js) ---`);
 
-    const gameDir = getGameDataPath();
     const currentDir = __dirname;
-    const destDir = path.join(gameDir, 'cities', 'data', TARGET_FOLDER_NAME);
 
     // Find source
     const sourceDir = findSourceDataFolder(currentDir);
     
     if (!sourceDir) {
-        console.error("ERROR: Couldn't find folder 'data' with the files.");
-        console.error("Make sure you have all the files needed: roads.geojson.gz,");
-		console.error("runways_taxiways.geojson.gz, ocean_depth_index.json.gz,");
-		console.error("buildings_index.json.gz and demand_data.json.gz");
-        process.exit(1);
+        fail(EXIT.MISSING_FILES, `ERROR: Couldn't find folder '${DATA_DIR_NAME}' with the files.`);
+        console.error(`Make sure you have all the files needed: ${REQUIRED_DATA_FILES.join(', ')}`);
+        console.error(`(${OPTIONAL_DATA_FILES.join(' and ')} are optional)`);
+        return;
     }
+    recordPaths(sourceDir);
+
+    const checksums = readChecksumManifest();
+    warnIfChecksumsOutdated(checksums);
+
+    const codes = getPresetCodes(sourceDir);
+    const results = {};
+    for (const code of codes) {
+        results[code] = installPresetData(code, sourceDir, checksums);
+        recordPreset(code, results[code]);
+    }
+
+    const failed = codes.filter(code => results[code].failed.length > 0);
+    const incomplete = codes.filter(code => results[code].missing.length > 0);
+    if (failed.length > 0) {
+        failed.forEach(code => {
+            fail(EXIT.VERIFY_FAILED, `\nFAILED: ${code}: ${results[code].failed.length} file(s) did not pass verification: ${results[code].failed.join(', ')}`);
+        });
+        console.error("Download the release ZIP again (the download was probably incomplete) and re-run the installer.");
+    } else if (incomplete.length === 0) {
+        log(`\nSUCCESS! All required files got installed correctly for ${codes.join(', ')}.`);
+    } else {
+        incomplete.forEach(code => {
+            fail(EXIT.MISSING_FILES, `\nWARNING: ${code} is missing required files: ${results[code].missing.join(', ')}`);
+        });
+    }
+
+    const [pmtilesPath, servePath] = await installServer(currentDir);
+    for (const code of codes) {
+        writeReceipt(getDestDir(code), results[code].installed, pmtilesPath, servePath);
+    }
+}
+
+function recordPaths(sourceDir) {
+    RESULT.modDir = __dirname;
+    RESULT.sourceDir = sourceDir;
+    RESULT.gameDataDir = getGameDataPath();
+}
+
+// Adds a preset's copyDataFiles result to RESULT.presets
+function recordPreset(code, result) {
+    RESULT.presets = RESULT.presets || {};
+    RESULT.presets[code] = {
+        dataDir: getDestDir(code),
+        copied: Object.keys(result.installed),
+        verified: result.verified,
+        skipped: result.skipped,
+        failed: result.failed,
+        missing: result.missing
+    };
+}
+
+// Verifies and copies all data files of one preset into its data folder
+function installPresetData(code, sourceDir, checksums) {
+    const destDir = getDestDir(code);
+    log(`\n--- ${code} ---`);
 
     // check if destination needs to be created
     if (!fs.existsSync(destDir)) {
-        console.log(`Creating folder: ${destDir}`);
+        log(`Creating folder: ${destDir}`);
         fs.mkdirSync(destDir, { recursive: true });
     } else {
-        console.log(`folder already exists: ${destDir}`);
+        log(`folder already exists: ${destDir}`);
     }
 
-    console.log("\nCopying files...");
-    let filesMoved = 0;
+    log("Verifying and copying files...");
+    return copyPresetFiles(getPresetSources(sourceDir, code, checksums), destDir, DATA_FILES);
+}
 
-    for (const file of DATA_FILES) {
-        const srcPath = path.join(sourceDir, file);
+// --- UNINSTALL ---
+// Removes exactly what the installer placed, as listed in the install receipts
+function uninstall() {
+    log(`--- Uninstalling ${DISPLAY_NAME} Map Pack ---`);
+    RESULT.removed = [];
+
+    const sourceDir = findSourceDataFolder(__dirname);
+    recordPaths(sourceDir);
+    const codes = new Set(getInstalledPresetCodes());
+    if (sourceDir) getPresetCodes(sourceDir).forEach(code => codes.add(code));
+    codes.add(TARGET_FOLDER_NAME);
+
+    const tools = new Set();
+    for (const code of codes) {
+        const receipt = uninstallPresetData(code);
+        if (receipt) [receipt.pmtiles, receipt.serveScript].forEach(file => file && tools.add(file));
+    }
+
+    for (const file of tools) {
+        removeIfExists(file);
+        if (path.basename(file).startsWith('pmtiles')) removeDirIfEmpty(path.dirname(file));
+    }
+
+    try {
+        const service = getServiceManager();
+        if (service.remove()) {
+            log(` [OK] Removed the background service (${service.name})`);
+            RESULT.removed.push(service.file);
+        }
+    } catch (err) {
+        // Background services aren't supported on this platform, so there is none to remove
+    }
+
+    log(`\nDone. You can now delete the mod folder itself:`);
+    log(__dirname);
+}
+
+// Removes one preset's data folder. Returns the receipt used.
+function uninstallPresetData(code) {
+    const destDir = getDestDir(code);
+    let receipt = readReceipt(destDir);
+
+    if (!receipt) {
+        if (!fs.existsSync(destDir)) return null;
+        console.warn(`Warning: No ${RECEIPT_FILE} found in ${destDir}.`);
+        console.warn("Removing the default set of installed files instead.");
+        const files = {};
+        DATA_FILES.forEach(file => files[file] = null);
+        receipt = {
+            files,
+            pmtiles: path.join(__dirname, TILES_DIR_NAME, os.platform() === 'win32' ? 'pmtiles.exe' : 'pmtiles'),
+            serveScript: getServeScriptPath(__dirname)
+        };
+    }
+
+    for (const file of Object.keys(receipt.files)) {
+        removeIfExists(path.join(destDir, file));
+    }
+    removeIfExists(path.join(destDir, BACKUP_DIR_NAME));
+    removeIfExists(path.join(destDir, RECEIPT_FILE));
+    removeDirIfEmpty(destDir);
+    return receipt;
+}
+
+// --- UPGRADE ---
+// Replaces only the data files that changed since the installed version and
+// keeps the replaced files in <data folder>/.backup for --rollback.
+// Presets that are new in this version get a full install.
+async function upgrade() {
+    const destDir = getDestDir();
+    const receipt = readReceipt(destDir);
+
+    if (!receipt) {
+        log(`No ${RECEIPT_FILE} found in ${destDir}, running a full install instead.\n`);
+        return install();
+    }
+
+    log(`--- Upgrading ${DISPLAY_NAME} Map Pack from ${receipt.version} to ${manifest.version} ---`);
+
+    const sourceDir = findSourceDataFolder(__dirname);
+    if (!sourceDir) {
+        fail(EXIT.MISSING_FILES, `ERROR: Couldn't find folder '${DATA_DIR_NAME}' with the files.`);
+        return;
+    }
+    recordPaths(sourceDir);
+
+    const checksums = readChecksumManifest();
+    warnIfChecksumsOutdated(checksums);
+
+    const codes = getPresetCodes(sourceDir);
+    const installedFiles = {};
+    const backedUp = [];
+    for (const code of codes) {
+        const upgraded = upgradePresetData(code, sourceDir, checksums);
+        if (upgraded && upgraded.backedUp) backedUp.push(code);
+        if (!upgraded) {
+            // Put back the presets already upgraded, including this one
+            console.error("Rolling back...");
+            backedUp.concat(code).forEach(rollbackPresetData);
+            return;
+        }
+        installedFiles[code] = upgraded.files;
+    }
+    // Only the last upgrade can be rolled back: once it changed something, older
+    // backups of the presets it left alone would roll those back a version too far
+    if (backedUp.length > 0) {
+        codes.filter(code => !backedUp.includes(code))
+            .forEach(code => fs.rmSync(path.join(getDestDir(code), BACKUP_DIR_NAME), { recursive: true, force: true }));
+    }
+
+    const [pmtilesPath, servePath] = await installServer(__dirname);
+    for (const code of codes) {
+        writeReceipt(getDestDir(code), installedFiles[code], pmtilesPath, servePath);
+    }
+}
+
+// Upgrades one preset. Returns { files: its installed files, backedUp: whether
+// it wrote a new backup }, or null if a file failed verification. An existing
+// backup is only replaced when there is something new to back up.
+function upgradePresetData(code, sourceDir, checksums) {
+    const destDir = getDestDir(code);
+    const receipt = readReceipt(destDir);
+    const sources = getPresetSources(sourceDir, code, checksums);
+    const backupDir = path.join(destDir, BACKUP_DIR_NAME);
+
+    if (!receipt) {
+        // New in this version. The backup is an empty receipt, so --rollback removes it again.
+        const result = installPresetData(code, sourceDir, checksums);
+        recordPreset(code, result);
+        fs.rmSync(backupDir, { recursive: true, force: true });
+        fs.mkdirSync(backupDir, { recursive: true });
+        fs.writeFileSync(path.join(backupDir, RECEIPT_FILE), JSON.stringify({ id: manifest.id, version: null, files: {} }, null, 4) + '\n');
+        if (result.failed.length > 0) {
+            fail(EXIT.VERIFY_FAILED, `\nFAILED: ${result.failed.join(', ')} did not pass verification.`);
+            return null;
+        }
+        return { files: result.installed, backedUp: true };
+    }
+
+    log(`\n--- ${code} ---`);
+
+    const changed = sources.filter(({ file, dir, checksums: expected }) => {
+        const srcPath = path.join(dir, file);
+        if (!fs.existsSync(srcPath)) return false;
+        const installed = receipt.files[file];
+        if (!installed || !fs.existsSync(path.join(destDir, file))) return true;
+        const sourceSha = expected.files[file] ? expected.files[file].sha256 : sha256File(srcPath);
+        return installed.sha256 !== sourceSha;
+    }).map(source => source.file);
+
+    if (changed.length === 0) {
+        log(`All data files are up to date (version ${manifest.version}).`);
+        recordPreset(code, { installed: {}, verified: [], skipped: [], failed: [], missing: [] });
+        return { files: receipt.files, backedUp: false };
+    }
+
+    // Keep a backup of the files being replaced, plus the old receipt
+    fs.rmSync(backupDir, { recursive: true, force: true });
+    fs.mkdirSync(backupDir, { recursive: true });
+    fs.copyFileSync(path.join(destDir, RECEIPT_FILE), path.join(backupDir, RECEIPT_FILE));
+    for (const file of changed) {
         const destPath = path.join(destDir, file);
+        if (fs.existsSync(destPath)) fs.copyFileSync(destPath, path.join(backupDir, file));
+    }
+    log(`Backed up ${receipt.version} files to ${backupDir}`);
 
-        if (fs.existsSync(srcPath)) {
-            try {
-                // copyFileSync overwrites files if they already exist
-                fs.copyFileSync(srcPath, destPath);
-                console.log(` [OK] ${file}`);
-                filesMoved++;
-            } catch (err) {
-                console.error(`Error: Couldn't copy ${file}: ${err.message}`);
+    log("Verifying and copying changed files...");
+    const result = copyPresetFiles(sources, destDir, changed);
+    recordPreset(code, result);
+
+    if (result.failed.length > 0) {
+        fail(EXIT.VERIFY_FAILED, `\nFAILED: ${result.failed.join(', ')} did not pass verification.`);
+        return null;
+    }
+    log(`SUCCESS! Updated ${changed.length} file(s): ${changed.join(', ')}`);
+    return { files: Object.assign({}, receipt.files, result.installed), backedUp: true };
+}
+
+// Restores the files backed up by the last --upgrade
+function rollback() {
+    const codes = getInstalledPresetCodes();
+    const rolledBack = codes.filter(rollbackPresetData);
+    RESULT.gameDataDir = getGameDataPath();
+    RESULT.rolledBack = rolledBack;
+
+    if (rolledBack.length === 0) {
+        fail(EXIT.NO_BACKUP, `ERROR: No backup found in ${path.join(getDestDir(), BACKUP_DIR_NAME)}`);
+    }
+}
+
+// Rolls back one preset. Returns false if it has no backup. A preset that
+// was newly installed by the upgrade is removed again.
+function rollbackPresetData(code) {
+    const destDir = getDestDir(code);
+    const backupDir = path.join(destDir, BACKUP_DIR_NAME);
+    const previous = readReceipt(backupDir);
+
+    if (!previous) return false;
+    if (previous.version === null) {
+        uninstallPresetData(code);
+        log(`Removed ${code}, which was added by the upgrade.`);
+        return true;
+    }
+
+    const current = readReceipt(destDir) || { files: {} };
+    for (const file of fs.readdirSync(backupDir)) {
+        fs.copyFileSync(path.join(backupDir, file), path.join(destDir, file));
+        log(` [OK] Restored ${code}/${file}`);
+    }
+    // Files that only exist in the newer version
+    for (const file of Object.keys(current.files)) {
+        if (!previous.files[file]) removeIfExists(path.join(destDir, file));
+    }
+    fs.rmSync(backupDir, { recursive: true, force: true });
+
+    log(`Rolled back ${code} to version ${previous.version}.`);
+    return true;
+}
+
+// --- BACKGROUND SERVICE ---
+// Runs serve.js as a per-user service (see lib/mappack/service.js)
+const SERVICE_ACTIONS = ['install', 'start', 'stop', 'status', 'remove'];
+
+function getServiceManager() {
+    return createServiceManager({
+        modId: manifest.id,
+        modDir: __dirname,
+        tilesDir: TILES_DIR_NAME,
+        port: mapPack.port
+    });
+}
+
+async function manageService(action) {
+    if (!SERVICE_ACTIONS.includes(action)) {
+        fail(EXIT.USAGE, `ERROR: Unknown --service action '${action}' (use ${SERVICE_ACTIONS.join(', ')})`);
+        return;
+    }
+
+    let service;
+    try {
+        service = getServiceManager();
+        RESULT.service = { action, name: service.name, kind: service.kind, file: service.file, logFile: service.logFile };
+        if (action === 'install') {
+            service.install();
+            log(`[OK] Installed the map server as a ${service.kind}: ${service.name}`);
+            log(`     ${service.file}`);
+            log(`     Log: ${service.logFile}`);
+            log("It starts when you log in. Stop it with 'node install.js --service stop'.");
+        } else if (action === 'start') {
+            service.start();
+            log(`[OK] Started ${service.name}`);
+        } else if (action === 'stop') {
+            service.stop();
+            log(`[OK] Stopped ${service.name}`);
+        } else if (action === 'remove') {
+            if (service.remove()) {
+                log(`[OK] Removed ${service.name}`);
+            } else {
+                log(`${service.name} isn't installed, nothing to remove.`);
             }
         } else {
-            console.warn(`Warning: Couldn't find ${file} in source folder.`);
+            const status = await service.status();
+            Object.assign(RESULT.service, status);
+            printServiceStatus(service, status);
         }
+    } catch (err) {
+        fail(EXIT.SERVICE, `ERROR: ${err.message}`);
     }
+}
 
-    if (filesMoved === DATA_FILES.length) {
-        console.log(`\nSUCCESS! All ${filesMoved} files got installed correctly.`);
-    } else {
-        console.log(`\nWARNING: Only ${filesMoved} of ${DATA_FILES.length} files got installed.`);
+function printServiceStatus(service, status) {
+    log(`Service:  ${service.name} (${service.kind})`);
+    if (!status.installed) {
+        log("Status:   not installed (run 'node install.js --service install')");
+        return;
     }
-    
-	if (filesMoved === DATA_FILES.length) {
-        console.log(`\nSUCCESS! All ${filesMoved} files were installed correctly.`);
-    } else {
-        console.log(`\nWARNING: Only ${filesMoved} of ${DATA_FILES.length} files were installed.`);
+    log(`File:     ${service.file}`);
+    log(`Status:   ${status.running ? 'running' : 'stopped'}`);
+    if (status.running) {
+        log(status.server
+            ? `Server:   answering on port ${status.port} (${status.server.archives.join(', ') || 'no archives'})`
+            : `Server:   not answering on port ${status.port}`);
     }
+    log(`Log:      ${service.logFile}`);
+    if (status.logTail.length > 0) {
+        log(`\n${status.logTail.join('\n')}`);
+    }
+}
 
+async function main() {
+    if (OPTIONS['pin-pmtiles']) {
+        await pinPmtiles(OPTIONS['pin-pmtiles']);
+        return;
+    }
+    if (OPTIONS['write-checksums']) {
+        writeChecksumManifest(path.join(__dirname, DATA_DIR_NAME));
+        return;
+    }
+    if (OPTIONS['list-game-dirs']) {
+        listGameDataPaths();
+        return;
+    }
 
-    // --- Install PMTiles ---
-    console.log("\nInstalling pmtiles...");
-    const scriptsDir = await installPmtiles();
-    
-    // --- Create serve file ---
-    console.log("\nCreating server script...");
-    createServeBatch(currentDir, scriptsDir);
-    // ----------------------------
-    let fext;
-    if (os.platform() === 'win32') {
-        fext = '.bat'
+    if (OPTIONS.service !== undefined) {
+        // A bare --service shows the status
+        await manageService(OPTIONS.service === true ? 'status' : OPTIONS.service);
+        return;
+    }
+
+    await chooseGameDataPath();
+    if (OPTIONS.uninstall) {
+        uninstall();
+    } else if (OPTIONS.rollback) {
+        rollback();
+    } else if (OPTIONS.upgrade) {
+        await upgrade();
     } else {
-        fext = '.sh'
+        await install();
     }
-    console.log(`\nYou can now start the 'serve${fext}' file (feel free to move it to your Desktop).`);
-    console.log("Then start the game.");
 }
 
-try {
-    install();
-} catch (error) {
-    console.error("An unexpected error occurred:", error);
+// The wrapper scripts (install.sh/install.bat) keep the console open afterwards.
+// Everything, including an unexpected error, ends in the exit code and --json result.
+if (RUN_AS_SCRIPT) {
+    main()
+        .catch(error => fail(EXIT.ERROR, `An unexpected error occurred: ${error && error.stack || error}`))
+        .then(finish);
 }
 
-// Keep the console open for 5 minutes so that the user has time to read the message (important for Windows)
-// (Or until they kill the process)
-setTimeout(() => {}, 300000);
+module.exports = {
+    EXIT,
+    getGameDataPath,
+    findSourceDataFolder,
+    createServeBatch,
+    getServeScriptPath,
+    getPmtilesUrl,
+    getLatestPmtilesVersion,
+    downloadFileWithRedirects,
+    downloadPmtiles,
+    parseChecksumsTxt,
+    readPmtilesLock,
+    pinPmtiles,
+    verifyPmtilesArchive,
+    verifyPmtilesBinary,
+    copyDataFiles,
+    copyPresetFiles,
+    getPresetSources,
+    upgradePresetData
+};
@@ -1,5 +1,12 @@
 #!/bin/bash
 
+# --yes/--json are for scripts: no messages from this wrapper and no waiting for Enter
+for arg in "$@"; do
+    case "$arg" in
+        --yes|--json) exec node install.js "$@" ;;
+    esac
+done
+
 echo "Starting installation with Node.js(mhmoeller installer)..."
 echo
 
@@ -13,17 +20,8 @@ fi
 echo "Node.js found."
 echo
 
-echo "Installing required packages (adm-zip)..."
-echo "(This may take a moment if it's the first time)..."
-npm install adm-zip --no-progress --silent 2>/dev/null
-if [ $? -ne 0 ]; then
-    echo "Warning: Could not install adm-zip automatically."
-    echo "The installer will try alternative methods."
-    echo
-fi
-
 echo "Running installer..."
-node install.js
+node install.js "$@"
 EXIT_CODE=$?
 
 echo
@@ -0,0 +1,42 @@
+// Command line parsing shared by the installer and the tools.
+//
+// parseArgs(['data', '--port', '8082', '--offline'], ['port'])
+//   -> { _: ['data'], port: '8082', offline: true }
+// Flags listed in valueFlags take the next argument as their value;
+// any flag can also be written as --name=value.
+function parseArgs(argv, valueFlags = []) {
+    const options = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            options._.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+        if (eq !== -1) {
+            options[name] = arg.slice(eq + 1);
+        } else if (valueFlags.includes(name) && i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+    return options;
+}
+
+// A numeric option, or fallback if it isn't given. 0 counts as a value;
+// anything that isn't a number throws.
+//
+// numberOption({ 'min-depth': '0' }, 'min-depth', -1) -> 0
+function numberOption(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+    const value = Number(options[name]);
+    if (typeof options[name] !== 'string' || options[name].trim() === '' || !Number.isFinite(value)) {
+        throw new Error(`--${name} needs a number, got '${options[name]}'`);
+    }
+    return value;
+}
+
+module.exports = { parseArgs, numberOption };
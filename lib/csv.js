@@ -0,0 +1,127 @@
+const fs = require('fs');
+
+// Small CSV reader for the tool inputs (Statistics Denmark exports, POI lists, GTFS).
+//
+// readCsv('zones.csv') -> [{ zone: '101', lon: '12.57', ... }, ...]
+// The delimiter (',', ';' or tab) is taken from the header line unless given.
+// Quoted fields may contain delimiters, quotes ("") and line breaks.
+
+function detectDelimiter(headerLine) {
+    const counts = [',', ';', '\t'].map(d => [d, headerLine.split(d).length]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][0];
+}
+
+function parseCsv(text, delimiter) {
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    if (!delimiter) delimiter = detectDelimiter(text.slice(0, text.search(/\r?\n|$/)));
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.length > 1 || r[0] !== '');
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].map(name => name.trim());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        header.forEach((name, i) => { record[name] = values[i] === undefined ? '' : values[i].trim(); });
+        return record;
+    });
+}
+
+function readCsv(filePath, delimiter) {
+    return parseCsv(fs.readFileSync(filePath, 'utf8'), delimiter);
+}
+
+const CSV_CHUNK_BYTES = 16 * 1024 * 1024;
+
+// Like parseCsv, for files too big for one string (GTFS stop_times.txt): the
+// Buffer is decoded a chunk of whole rows at a time and onRecord(record) is
+// called for every row.
+function forEachCsvRecord(buffer, onRecord, delimiter) {
+    let start = buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF ? 3 : 0;
+    const headerEnd = buffer.indexOf(10, start);
+    if (headerEnd === -1) {
+        parseCsv(buffer.toString('utf8', start), delimiter).forEach(onRecord);
+        return;
+    }
+    const header = buffer.toString('utf8', start, headerEnd + 1);
+    if (!delimiter) delimiter = detectDelimiter(header.replace(/\r?\n$/, ''));
+
+    start = headerEnd + 1;
+    while (start < buffer.length) {
+        let end = nextLineStart(buffer, Math.min(buffer.length, start + CSV_CHUNK_BYTES) - 1);
+        // A chunk must not end inside a quoted field
+        let quotes = countQuotes(buffer, start, end);
+        while (quotes % 2 === 1 && end < buffer.length) {
+            const next = nextLineStart(buffer, end);
+            quotes += countQuotes(buffer, end, next);
+            end = next;
+        }
+        parseCsv(header + buffer.toString('utf8', start, end), delimiter).forEach(onRecord);
+        start = end;
+    }
+}
+
+function nextLineStart(buffer, from) {
+    const newline = buffer.indexOf(10, from);
+    return newline === -1 ? buffer.length : newline + 1;
+}
+
+function countQuotes(buffer, start, end) {
+    let count = 0;
+    for (let i = buffer.indexOf(34, start); i !== -1 && i < end; i = buffer.indexOf(34, i + 1)) count++;
+    return count;
+}
+
+// Parses "1234", "12.5" and the Danish "12,5". Returns NaN for anything else.
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    if (text === '') return NaN;
+    return Number(text.includes(',') && !text.includes('.') ? text.replace(',', '.') : text);
+}
+
+// The value of the first column in names that the record has (header names are
+// compared case-insensitively), or undefined
+function pickColumn(record, names) {
+    for (const key of Object.keys(record)) {
+        if (names.includes(key.toLowerCase())) return record[key];
+    }
+    return undefined;
+}
+
+module.exports = { parseCsv, readCsv, forEachCsvRecord, parseNumber, pickColumn };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Shared helpers for the gzipped JSON files in data/ (demand_data.json.gz,
+// ocean_depth_index.json.gz, runways_taxiways.geojson.gz, ...)
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+// Reports of the tools; ignored by git
+const REPORTS_DIR = path.join(ROOT_DIR, 'reports');
+
+function readManifest() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8'));
+}
+
+function readGzipJson(filePath) {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8'));
+}
+
+function writeGzipJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, zlib.gzipSync(JSON.stringify(data), { level: 9 }));
+}
+
+// bbox is [minLon, minLat, maxLon, maxLat]
+function isInBbox(lon, lat, bbox) {
+    return lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+}
+
+module.exports = {
+    ROOT_DIR,
+    DATA_DIR,
+    REPORTS_DIR,
+    readManifest,
+    readGzipJson,
+    writeGzipJson,
+    isInBbox
+};
@@ -0,0 +1,107 @@
+// Commute model shared by the demand tools (tools/build-demand.js,
+// tools/build-scenario.js): how pops are sized, where they work and how long
+// they drive.
+//
+// A pop's workplace is drawn from the job points, weighted by their jobs and
+// exp(-distance / decayKm), up to maxKm away. Driving distance and time are
+// estimated from the straight-line distance.
+
+const DEMAND_DEFAULTS = { seed: 1, popSize: 50, decayKm: 8, maxKm: 60, detour: 1.3 };
+// Average driving speed grows from MIN_SPEED on short trips to MAX_SPEED at SPEED_RAMP_M
+const MIN_SPEED = 5;
+const MAX_SPEED = 14;
+const SPEED_RAMP_M = 20000;
+const EARTH_RADIUS_M = 6371000;
+
+// FNV-1a, used to give every zone its own seed
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and the same on every platform
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Splits n into the fewest parts of at most size, as even as possible
+function splitEvenly(n, size) {
+    const parts = Math.ceil(n / size);
+    const base = Math.floor(n / parts);
+    return Array.from({ length: parts }, (_, i) => base + (i < n % parts ? 1 : 0));
+}
+
+function estimateDriving(meters, detour) {
+    const distance = meters * detour;
+    const speed = MIN_SPEED + (MAX_SPEED - MIN_SPEED) * Math.min(1, distance / SPEED_RAMP_M);
+    return {
+        drivingSeconds: Math.round(distance / speed * 100) / 100,
+        drivingDistance: Math.round(distance * 10) / 10
+    };
+}
+
+// Local flat projection in meters around latitude lat0 (degrees), accurate enough at city scale
+function createProjection(lat0) {
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    return ([lon, lat]) => [lon * Math.PI / 180 * cosLat * EARTH_RADIUS_M, lat * Math.PI / 180 * EARTH_RADIUS_M];
+}
+
+// Projection centred on the mean latitude of the points
+function projectPoints(points) {
+    const lat0 = points.reduce((sum, p) => sum + p.location[1], 0) / points.length;
+    const project = createProjection(lat0);
+    return points.map(p => project(p.location));
+}
+
+// Workplaces in reach of a home at [x, y] (meters), for drawing commutes.
+// workplaces: [{ index, xy, jobs }]. Returns null if none are in reach.
+function createWorkplaceChooser(home, workplaces, params) {
+    const maxDistance = params.maxKm * 1000;
+    const decay = params.decayKm * 1000;
+    const candidates = [];
+    const cumulative = [];
+    let total = 0;
+    for (const workplace of workplaces) {
+        const distance = Math.hypot(workplace.xy[0] - home[0], workplace.xy[1] - home[1]);
+        if (distance > maxDistance) continue;
+        total += workplace.jobs * Math.exp(-distance / decay);
+        candidates.push({ index: workplace.index, distance });
+        cumulative.push(total);
+    }
+    if (total === 0) return null;
+
+    // Returns { index, distance } of a workplace
+    return random => {
+        const target = random() * total;
+        let lo = 0;
+        let hi = cumulative.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] > target) hi = mid;
+            else lo = mid + 1;
+        }
+        return candidates[lo];
+    };
+}
+
+module.exports = {
+    DEMAND_DEFAULTS,
+    hashString,
+    createRandom,
+    splitEvenly,
+    estimateDriving,
+    createProjection,
+    projectPoints,
+    createWorkplaceChooser
+};
@@ -0,0 +1,19 @@
+// Point-in-polygon tests on [lon, lat] coordinates (or any planar [x, y]).
+
+// Even-odd test against one ring; the ring may be open or closed
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// rings: [outer, ...holes], as in a GeoJSON Polygon
+function pointInPolygon(point, rings) {
+    return pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+module.exports = { pointInRing, pointInPolygon };
@@ -0,0 +1,359 @@
+const { openZip } = require('./zip');
+const { parseCsv, forEachCsvRecord } = require('./csv');
+const { isInBbox } = require('./datapack');
+
+// GTFS feeds (Rejseplanen, or any other) for the transit tools: the timetable
+// of one service day as connections between consecutive stops, and an
+// earliest-arrival router over them (connection scan).
+//
+// Only stops within the bbox (plus a margin) are kept, so trips that leave
+// the area are cut off at its edge.
+
+const BBOX_MARGIN_DEG = 0.05;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Tuesday: a normal weekday, away from weekend and Monday schedules
+const DEFAULT_WEEKDAY = 2;
+
+// route_type to the modes used for styling and reports. Covers the basic
+// types and the extended (HVT) ones Rejseplanen uses.
+function routeMode(type) {
+    const t = Number(type);
+    if (t === 0 || t === 5 || (t >= 900 && t < 1000)) return 'tram';
+    if (t === 1 || t === 12 || (t >= 400 && t < 500)) return 'subway';
+    if (t === 2 || (t >= 100 && t < 200)) return 'rail';
+    if (t === 3 || t === 11 || (t >= 200 && t < 300) || (t >= 700 && t < 900)) return 'bus';
+    if (t === 4 || (t >= 1000 && t < 1300)) return 'ferry';
+    return 'other';
+}
+
+// "25:10:00" -> seconds after midnight (times after midnight run past 24:00)
+function parseTime(text) {
+    const match = /^\s*(\d+):(\d{2}):(\d{2})\s*$/.exec(text || '');
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : NaN;
+}
+
+function formatTime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds % 3600 / 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// "20261020" <-> Date (UTC midnight)
+function parseDate(text) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(text || '').trim());
+    return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// --- feed files ---
+
+// Returns { names, has(file), records(file), forEach(file, onRecord) }; use
+// forEach for the large files (stop_times.txt, shapes.txt). Feeds zipped with
+// their folder have the files one level down; both are found.
+function openFeed(zipPath) {
+    const zip = openZip(zipPath);
+    const names = zip.names();
+    const entryName = file => names.find(name => name === file || name.endsWith(`/${file}`));
+
+    const read = file => {
+        const name = entryName(file);
+        return name ? zip.read(name) : null;
+    };
+
+    // The smaller files are read more than once (calendar_dates.txt for every day tried)
+    const parsed = new Map();
+
+    return {
+        names,
+        has: file => Boolean(entryName(file)),
+        records(file) {
+            if (!parsed.has(file)) {
+                const data = read(file);
+                parsed.set(file, data ? parseCsv(data.toString('utf8')) : []);
+            }
+            return parsed.get(file);
+        },
+        forEach(file, onRecord) {
+            const data = read(file);
+            if (data) forEachCsvRecord(data, onRecord);
+        }
+    };
+}
+
+function checkFeed(feed) {
+    const missing = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'].filter(file => !feed.has(file));
+    if (!feed.has('calendar.txt') && !feed.has('calendar_dates.txt')) missing.push('calendar.txt or calendar_dates.txt');
+    if (missing.length > 0) throw new Error(`Not a GTFS feed, missing ${missing.join(', ')}`);
+}
+
+// --- service days ---
+
+// Service ids running on date ('YYYYMMDD')
+function activeServices(feed, date) {
+    const day = parseDate(date);
+    const weekday = WEEKDAYS[day.getUTCDay()];
+    const services = new Set();
+    for (const record of feed.records('calendar.txt')) {
+        if (record[weekday] === '1' && record.start_date <= date && date <= record.end_date) services.add(record.service_id);
+    }
+    for (const record of feed.records('calendar_dates.txt')) {
+        if (record.date !== date) continue;
+        if (record.exception_type === '1') services.add(record.service_id);
+        else if (record.exception_type === '2') services.delete(record.service_id);
+    }
+    return services;
+}
+
+// First and last day the feed has service, as 'YYYYMMDD', or null
+function feedDateRange(feed) {
+    const dates = [];
+    for (const record of feed.records('calendar.txt')) dates.push(record.start_date, record.end_date);
+    for (const record of feed.records('calendar_dates.txt')) {
+        if (record.exception_type === '1') dates.push(record.date);
+    }
+    const valid = dates.filter(date => parseDate(date)).sort();
+    return valid.length ? { start: valid[0], end: valid[valid.length - 1] } : null;
+}
+
+// The first Tuesday from today (or from the start of the feed, if today is
+// outside it) that has service
+function defaultServiceDate(feed, today = new Date()) {
+    const range = feedDateRange(feed);
+    if (!range) return null;
+    let day = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+    if (formatDate(day) < range.start || formatDate(day) > range.end) day = parseDate(range.start);
+    for (let i = 0; i < 7 * 8 && formatDate(day) <= range.end; i++) {
+        if (day.getUTCDay() === DEFAULT_WEEKDAY && activeServices(feed, formatDate(day)).size > 0) return formatDate(day);
+        day = new Date(day.getTime() + 86400000);
+    }
+    return range.start;
+}
+
+// --- timetable ---
+
+// Fills in stop times left empty between timepoints, evenly by stop
+function interpolateTimes(times) {
+    let last = -1;
+    for (let i = 0; i < times.length; i++) {
+        if (Number.isNaN(times[i])) continue;
+        for (let j = last + 1; j < i && last !== -1; j++) {
+            times[j] = times[last] + (times[i] - times[last]) * (j - last) / (i - last);
+        }
+        last = i;
+    }
+}
+
+// The timetable of one service day within bbox:
+//   stops:       [{ id, name, lon, lat, station }] (station: parent stop id or its own)
+//   routes:      [{ id, mode, shortName, longName, color }]
+//   trips:       [{ id, route, shapeId, stops: [stop indices] }]
+//   connections: { count, depStop, arrStop, depTime, arrTime, trip }, by departure time
+function loadTimetable(feed, { date, bbox }) {
+    checkFeed(feed);
+    const area = [bbox[0] - BBOX_MARGIN_DEG, bbox[1] - BBOX_MARGIN_DEG, bbox[2] + BBOX_MARGIN_DEG, bbox[3] + BBOX_MARGIN_DEG];
+
+    const stops = [];
+    const stopIndex = new Map();
+    for (const record of feed.records('stops.txt')) {
+        const lon = Number(record.stop_lon);
+        const lat = Number(record.stop_lat);
+        // Stations and entrances (location_type 1-4) have no departures
+        if (record.location_type && record.location_type !== '0') continue;
+        if (!Number.isFinite(lon) || !Number.isFinite(lat) || !isInBbox(lon, lat, area)) continue;
+        stopIndex.set(record.stop_id, stops.length);
+        stops.push({ id: record.stop_id, name: record.stop_name, lon, lat, station: record.parent_station || record.stop_id });
+    }
+
+    const routes = [];
+    const routeIndex = new Map();
+    for (const record of feed.records('routes.txt')) {
+        routeIndex.set(record.route_id, routes.length);
+        routes.push({
+            id: record.route_id,
+            mode: routeMode(record.route_type),
+            shortName: record.route_short_name || '',
+            longName: record.route_long_name || '',
+            color: /^[0-9a-f]{6}$/i.test(record.route_color || '') ? `#${record.route_color.toLowerCase()}` : null
+        });
+    }
+
+    const services = activeServices(feed, date);
+    const tripIndex = new Map();
+    const trips = [];
+    for (const record of feed.records('trips.txt')) {
+        if (!services.has(record.service_id) || !routeIndex.has(record.route_id)) continue;
+        tripIndex.set(record.trip_id, trips.length);
+        trips.push({ id: record.trip_id, route: routeIndex.get(record.route_id), shapeId: record.shape_id || null, stops: [] });
+    }
+
+    // stop_times.txt is by far the largest file: keep flat [sequence, stop, arrival, departure] rows per trip
+    const rows = new Map();
+    feed.forEach('stop_times.txt', record => {
+        const trip = tripIndex.get(record.trip_id);
+        if (trip === undefined) return;
+        const stop = stopIndex.get(record.stop_id);
+        let tripRows = rows.get(trip);
+        if (!tripRows) rows.set(trip, tripRows = []);
+        tripRows.push(Number(record.stop_sequence), stop === undefined ? -1 : stop,
+            parseTime(record.arrival_time), parseTime(record.departure_time));
+    });
+
+    const connections = [];
+    for (const [trip, flat] of rows) {
+        const calls = [];
+        for (let i = 0; i < flat.length; i += 4) calls.push(flat.slice(i, i + 4));
+        calls.sort((a, b) => a[0] - b[0]);
+        const arrivals = calls.map(call => Number.isNaN(call[2]) ? call[3] : call[2]);
+        const departures = calls.map(call => Number.isNaN(call[3]) ? call[2] : call[3]);
+        interpolateTimes(arrivals);
+        interpolateTimes(departures);
+
+        const tripStops = trips[trip].stops;
+        for (let i = 0; i < calls.length; i++) {
+            if (calls[i][1] !== -1) tripStops.push(calls[i][1]);
+            if (i === 0) continue;
+            const from = calls[i - 1][1];
+            const to = calls[i][1];
+            if (from === -1 || to === -1 || from === to) continue;
+            if (!(departures[i - 1] <= arrivals[i])) continue;
+            connections.push([from, to, departures[i - 1], arrivals[i], trip]);
+        }
+    }
+    connections.sort((a, b) => a[2] - b[2] || a[3] - b[3]);
+
+    const count = connections.length;
+    const table = {
+        count,
+        depStop: new Int32Array(count),
+        arrStop: new Int32Array(count),
+        depTime: new Float64Array(count),
+        arrTime: new Float64Array(count),
+        trip: new Int32Array(count)
+    };
+    connections.forEach(([from, to, dep, arr, trip], i) => {
+        table.depStop[i] = from;
+        table.arrStop[i] = to;
+        table.depTime[i] = dep;
+        table.arrTime[i] = arr;
+        table.trip[i] = trip;
+    });
+
+    return { date, stops, routes, trips, connections: table };
+}
+
+// Shape points per shape id (only those in wanted, a Set), as [[lon, lat], ...]
+function loadShapes(feed, wanted) {
+    const points = new Map();
+    feed.forEach('shapes.txt', record => {
+        if (!wanted.has(record.shape_id)) return;
+        if (!points.has(record.shape_id)) points.set(record.shape_id, []);
+        points.get(record.shape_id).push([Number(record.shape_pt_sequence), Number(record.shape_pt_lon), Number(record.shape_pt_lat)]);
+    });
+    const shapes = new Map();
+    for (const [id, list] of points) {
+        list.sort((a, b) => a[0] - b[0]);
+        shapes.set(id, list.map(([, lon, lat]) => [lon, lat]));
+    }
+    return shapes;
+}
+
+// --- routing ---
+
+// Returns neighbours(x, y, maxMeters) => [{ index, meters }] for points
+// given as projected [x, y] (meters)
+function createPointIndex(points, cellMeters) {
+    const cells = new Map();
+    points.forEach(([x, y], index) => {
+        const key = `${Math.floor(x / cellMeters)},${Math.floor(y / cellMeters)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+    });
+
+    return (x, y, maxMeters) => {
+        const found = [];
+        const reach = Math.ceil(maxMeters / cellMeters);
+        const cx = Math.floor(x / cellMeters);
+        const cy = Math.floor(y / cellMeters);
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (const index of cells.get(`${cx + dx},${cy + dy}`) || []) {
+                    const meters = Math.hypot(points[index][0] - x, points[index][1] - y);
+                    if (meters <= maxMeters) found.push({ index, meters });
+                }
+            }
+        }
+        return found;
+    };
+}
+
+// Earliest arrivals by connection scan. options:
+//   changeSeconds  time to change vehicles at the same stop
+//   footpaths      [[{ stop, seconds }, ...] per stop]: walks between nearby stops
+//
+// route(access, departure, latest) takes the stops reachable from the origin
+// as [{ stop, seconds }] and returns the arrival time at every stop
+// (Infinity if not reached by latest). The array is reused by the next call.
+function createTransitRouter(timetable, { changeSeconds, footpaths }) {
+    const { count, depStop, arrStop, depTime, arrTime, trip } = timetable.connections;
+    const stopCount = timetable.stops.length;
+    const arrived = new Float64Array(stopCount);
+    // When a new vehicle can be boarded at the stop
+    const ready = new Float64Array(stopCount);
+    const boarded = new Uint8Array(timetable.trips.length);
+
+    function firstConnection(time) {
+        let lo = 0;
+        let hi = count;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (depTime[mid] < time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    function reach(stop, time, readyTime) {
+        if (time < arrived[stop]) arrived[stop] = time;
+        if (readyTime < ready[stop]) ready[stop] = readyTime;
+    }
+
+    return (access, departure, latest) => {
+        arrived.fill(Infinity);
+        ready.fill(Infinity);
+        boarded.fill(0);
+        for (const { stop, seconds } of access) reach(stop, departure + seconds, departure + seconds);
+
+        for (let c = firstConnection(departure); c < count && depTime[c] <= latest; c++) {
+            const t = trip[c];
+            if (!boarded[t] && ready[depStop[c]] > depTime[c]) continue;
+            boarded[t] = 1;
+            const stop = arrStop[c];
+            const time = arrTime[c];
+            if (time >= arrived[stop] || time > latest) continue;
+            reach(stop, time, time + changeSeconds);
+            for (const walk of footpaths[stop]) {
+                reach(walk.stop, time + walk.seconds, time + walk.seconds);
+            }
+        }
+        return arrived;
+    };
+}
+
+module.exports = {
+    routeMode,
+    parseTime,
+    formatTime,
+    parseDate,
+    formatDate,
+    openFeed,
+    activeServices,
+    feedDateRange,
+    defaultServiceDate,
+    loadTimetable,
+    loadShapes,
+    createPointIndex,
+    createTransitRouter
+};
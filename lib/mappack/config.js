@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+// Reads the "mapPack" section of a mod's manifest.json, which tells the
+// installer what to place where:
+//
+// "mapPack": {
+//     "targetFolder": "CPH",                  folder in cities/data (default: last part of "id")
+//     "dataDir": "data",                      where the data files are shipped
+//     "files": [                              data files to install
+//         { "name": "demand_data.json.gz", "required": true },
+//         "ocean_depth_index.json.gz",        (a plain name is a required file)
+//         ...
+//     ],
+//     "tilesDir": "scripts",                  folder the map server serves
+//     "tiles": [{ "name": "general-tiles", "required": true }, ...]   .pmtiles archives in it
+// }
+//
+// Folders are relative to the mod folder. Every key is optional; without a
+// "files" list the game's standard city files are used.
+
+const MANIFEST_FILE = 'manifest.json';
+
+const DEFAULT_FILES = [
+    { name: 'runways_taxiways.geojson.gz', required: true },
+    { name: 'ocean_depth_index.json.gz', required: true },
+    { name: 'demand_data.json.gz', required: true },
+    { name: 'roads.geojson.gz', required: false },
+    { name: 'buildings_index.json.gz', required: false }
+];
+const DEFAULT_TILES = [
+    { name: 'general-tiles', required: true },
+    { name: 'foundation', required: false }
+];
+const DEFAULT_PORT = 8081;
+
+// "com.author.City" -> { author: 'author', cityName: 'City' }
+function parseModId(id) {
+    const parts = id ? id.split('.') : [];
+    if (parts.length >= 3) return { author: parts[1], cityName: parts.slice(2).join('.') };
+    // Fallback if ID format is non-standard
+    return { author: 'Unknown', cityName: id || 'Mod' };
+}
+
+// [{ name, required }] from a list of names and/or objects
+function normalizeEntries(entries, key, suffix) {
+    if (!Array.isArray(entries)) throw new Error(`mapPack.${key} must be a list`);
+    const seen = new Set();
+    return entries.map((entry, i) => {
+        const item = typeof entry === 'string' ? { name: entry, required: true } : entry;
+        if (!item || typeof item.name !== 'string' || item.name === '' || /[\\/]/.test(item.name)) {
+            throw new Error(`mapPack.${key}[${i}] needs a file name (without folders)`);
+        }
+        if (suffix && item.name.endsWith(suffix)) {
+            throw new Error(`mapPack.${key}[${i}]: leave out '${suffix}' from "${item.name}"`);
+        }
+        if (seen.has(item.name)) throw new Error(`mapPack.${key} lists "${item.name}" twice`);
+        seen.add(item.name);
+        return { name: item.name, required: item.required !== false };
+    });
+}
+
+// Folders in the config are relative to the mod folder and must stay inside it
+function checkFolder(folder, key) {
+    if (typeof folder !== 'string' || folder === '' || path.isAbsolute(folder) ||
+        path.normalize(folder).split(/[\\/]/).includes('..')) {
+        throw new Error(`mapPack.${key} must be a folder inside the mod folder`);
+    }
+    return folder;
+}
+
+// Map pack settings of the mod in modDir. Throws if manifest.json can't be
+// read or the mapPack section is invalid.
+function loadMapPack(modDir) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(modDir, MANIFEST_FILE), 'utf8'));
+    const config = manifest.mapPack || {};
+    const { author, cityName } = parseModId(manifest.id);
+    const targetFolder = config.targetFolder || cityName;
+    if (typeof targetFolder !== 'string' || /[\\/]|^\.+$/.test(targetFolder)) {
+        throw new Error('mapPack.targetFolder must be a plain folder name');
+    }
+
+    const files = normalizeEntries(config.files || DEFAULT_FILES, 'files');
+    const tiles = normalizeEntries(config.tiles || DEFAULT_TILES, 'tiles', '.pmtiles');
+    const tileServer = manifest.tileServer || {};
+
+    return {
+        manifest,
+        author,
+        displayName: `${author}'s ${cityName}`,   // e.g. "mhmoeller's CPH"
+        targetFolder,                             // e.g. "CPH" (the folder inside cities/data/)
+        dataDir: checkFolder(config.dataDir || 'data', 'dataDir'),
+        files,
+        requiredFiles: files.filter(file => file.required).map(file => file.name),
+        optionalFiles: files.filter(file => !file.required).map(file => file.name),
+        tilesDir: checkFolder(config.tilesDir || 'scripts', 'tilesDir'),
+        tiles,
+        port: tileServer.port || DEFAULT_PORT
+    };
+}
+
+module.exports = { MANIFEST_FILE, loadMapPack, parseModId };
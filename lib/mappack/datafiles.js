@@ -0,0 +1,48 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Integrity checks for the gzipped JSON data files of a map pack.
+// Checksum entries look like { sha256, size, uncompressedSize }.
+
+function sha256File(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Hashes a data file and checks that it gunzips and parses as JSON.
+// Throws if the file is truncated or corrupt.
+function describeDataFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const json = zlib.gunzipSync(buffer);
+    JSON.parse(json.toString('utf8'));
+    return {
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        size: buffer.length,
+        uncompressedSize: json.length
+    };
+}
+
+// Returns a list of problems with the file (empty when it matches the manifest)
+function verifyDataFile(filePath, expected) {
+    let actual;
+    try {
+        actual = describeDataFile(filePath);
+    } catch (err) {
+        return [`can't be read as gzipped JSON (${err.message}) - the file is probably truncated`];
+    }
+    if (!expected) return [];
+
+    const problems = [];
+    if (actual.size !== expected.size) {
+        problems.push(`size is ${actual.size} bytes, expected ${expected.size}`);
+    }
+    if (actual.uncompressedSize !== expected.uncompressedSize) {
+        problems.push(`uncompressed size is ${actual.uncompressedSize} bytes, expected ${expected.uncompressedSize}`);
+    }
+    if (actual.sha256 !== expected.sha256) {
+        problems.push("SHA-256 checksum doesn't match");
+    }
+    return problems;
+}
+
+module.exports = { sha256File, describeDataFile, verifyDataFile };
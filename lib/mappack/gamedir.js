@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Finds the game's data folder (metro-maker4), which holds cities/data.
+
+const GAME_FOLDER_NAME = "metro-maker4";
+
+// The default location of the game's data folder on this platform
+function getDefaultGameDataPath() {
+    const platform = os.platform();
+    let appDataPath;
+
+    if (platform === 'win32') {
+        // Windows: %APPDATA%/metro-maker4
+        appDataPath = process.env.APPDATA;
+    } else if (platform === 'darwin') {
+        // Mac: ~/Library/Application Support/metro-maker4
+        appDataPath = path.join(os.homedir(), 'Library', 'Application Support');
+    } else {
+        // Linux (Fallback): $XDG_CONFIG_HOME/metro-maker4 or ~/.config/metro-maker4
+        appDataPath = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    }
+
+    if (!appDataPath) {
+        throw new Error("Couldn't find AppData/Home directory.");
+    }
+
+    return path.join(appDataPath, GAME_FOLDER_NAME);
+}
+
+// Lists the subfolders of dir (empty if it doesn't exist)
+function listSubdirs(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => path.join(dir, entry.name));
+    } catch (err) {
+        return [];
+    }
+}
+
+// Steam install roots plus any extra libraries listed in libraryfolders.vdf
+function getSteamLibraries() {
+    const home = os.homedir();
+    const roots = [
+        path.join(home, '.steam', 'steam'),
+        path.join(home, '.local', 'share', 'Steam'),
+        path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam'),
+        path.join(home, 'snap', 'steam', 'common', '.local', 'share', 'Steam')
+    ];
+
+    const libraries = new Set();
+    for (const root of roots) {
+        if (!fs.existsSync(root)) continue;
+        libraries.add(fs.realpathSync(root));
+
+        const vdfPath = path.join(root, 'steamapps', 'libraryfolders.vdf');
+        if (!fs.existsSync(vdfPath)) continue;
+        const vdf = fs.readFileSync(vdfPath, 'utf8');
+        for (const match of vdf.matchAll(/"path"\s+"([^"]+)"/g)) {
+            const library = match[1].replace(/\\\\/g, '\\');
+            if (fs.existsSync(library)) libraries.add(fs.realpathSync(library));
+        }
+    }
+    return [...libraries];
+}
+
+// Finds existing game data folders. Returns [{ path, source }]
+function findGameDataCandidates() {
+    const candidates = [];
+    const add = (candidatePath, source) => {
+        if (fs.existsSync(candidatePath) && !candidates.some(c => c.path === candidatePath)) {
+            candidates.push({ path: candidatePath, source });
+        }
+    };
+
+    add(getDefaultGameDataPath(), 'default');
+
+    if (os.platform() === 'linux') {
+        const home = os.homedir();
+        add(path.join(home, '.config', GAME_FOLDER_NAME), 'default');
+
+        // Flatpak apps keep their config in ~/.var/app/<app id>/config
+        for (const appDir of listSubdirs(path.join(home, '.var', 'app'))) {
+            add(path.join(appDir, 'config', GAME_FOLDER_NAME), `flatpak (${path.basename(appDir)})`);
+        }
+
+        // Proton runs the Windows build inside steamapps/compatdata/<app id>/pfx
+        for (const library of getSteamLibraries()) {
+            for (const prefix of listSubdirs(path.join(library, 'steamapps', 'compatdata'))) {
+                const roaming = path.join(prefix, 'pfx', 'drive_c', 'users', 'steamuser', 'AppData', 'Roaming');
+                add(path.join(roaming, GAME_FOLDER_NAME), `proton (app ${path.basename(prefix)})`);
+            }
+        }
+    }
+
+    return candidates;
+}
+
+module.exports = { GAME_FOLDER_NAME, getDefaultGameDataPath, listSubdirs, findGameDataCandidates };
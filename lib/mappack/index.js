@@ -0,0 +1,25 @@
+// Installer toolkit for Subway Builder city map packs. install.js uses it with
+// the "mapPack" section of manifest.json, so other city mods can ship the same
+// installer (see "Using the installer for another city" in the README).
+
+const { MANIFEST_FILE, loadMapPack, parseModId } = require('./config');
+const { sha256File, describeDataFile, verifyDataFile } = require('./datafiles');
+const { GAME_FOLDER_NAME, getDefaultGameDataPath, listSubdirs, findGameDataCandidates } = require('./gamedir');
+const { createSystemdUnit, validateSystemdUnit, createLaunchAgentPlist, createServiceManager } = require('./service');
+
+module.exports = {
+    MANIFEST_FILE,
+    loadMapPack,
+    parseModId,
+    sha256File,
+    describeDataFile,
+    verifyDataFile,
+    GAME_FOLDER_NAME,
+    getDefaultGameDataPath,
+    listSubdirs,
+    findGameDataCandidates,
+    createSystemdUnit,
+    validateSystemdUnit,
+    createLaunchAgentPlist,
+    createServiceManager
+};
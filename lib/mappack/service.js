@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { spawnSync } = require('child_process');
+
+// Runs serve.js as a per-user background service, so the map server doesn't
+// need an open window while playing:
+//   Linux    systemd user unit   ~/.config/systemd/user/<name>.service
+//   macOS    LaunchAgent         ~/Library/LaunchAgents/<label>.plist
+//   Windows  scheduled task      started at logon, through <tilesDir>/<name>.cmd
+// None of them need root/administrator rights. The server's output goes to
+// <tilesDir>/tileserver.log.
+//
+// The unit/plist/script generators are plain functions, so they can be
+// checked without touching the system (validateSystemdUnit for Linux).
+
+const LOG_FILE = 'tileserver.log';
+const STATUS_FILE = 'tileserver.json';
+const HEALTH_TIMEOUT_MS = 2000;
+const LOG_TAIL_LINES = 10;
+
+// "com.mhmoeller.CPH" -> "subwaybuilder-com-mhmoeller-cph-tiles"
+function getServiceName(modId) {
+    const slug = String(modId).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `subwaybuilder-${slug}-tiles`;
+}
+
+// --- generators ---
+// spec: { name, description, nodePath, serveJs, tilesDir, logFile } (absolute paths)
+
+// systemd treats % as a specifier and needs quotes around arguments with spaces
+function systemdEscape(value) {
+    return String(value).replace(/%/g, '%%');
+}
+
+function systemdQuote(value) {
+    return `"${systemdEscape(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function createSystemdUnit(spec) {
+    return [
+        '[Unit]',
+        `Description=${systemdEscape(spec.description)}`,
+        'After=network.target',
+        '',
+        '[Service]',
+        'Type=simple',
+        `WorkingDirectory=${systemdEscape(spec.tilesDir)}`,
+        `ExecStart=${[spec.nodePath, spec.serveJs, spec.tilesDir].map(systemdQuote).join(' ')}`,
+        'Restart=on-failure',
+        'RestartSec=5',
+        `StandardOutput=append:${systemdEscape(spec.logFile)}`,
+        `StandardError=append:${systemdEscape(spec.logFile)}`,
+        '',
+        '[Install]',
+        'WantedBy=default.target',
+        ''
+    ].join('\n');
+}
+
+const SYSTEMD_REQUIRED_KEYS = {
+    Unit: ['Description'],
+    Service: ['ExecStart', 'WorkingDirectory'],
+    Install: ['WantedBy']
+};
+
+// Returns a list of problems with a user unit file (empty if it is fine)
+function validateSystemdUnit(text) {
+    const problems = [];
+    const sections = {};
+    let section = null;
+
+    text.split('\n').forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith(';')) return;
+        const header = /^\[([A-Za-z]+)\]$/.exec(trimmed);
+        if (header) {
+            section = header[1];
+            if (sections[section]) problems.push(`line ${i + 1}: section [${section}] appears twice`);
+            sections[section] = sections[section] || {};
+            return;
+        }
+        const entry = /^([A-Za-z][A-Za-z0-9]*)=(.*)$/.exec(trimmed);
+        if (!entry) {
+            problems.push(`line ${i + 1}: expected Key=Value`);
+        } else if (!section) {
+            problems.push(`line ${i + 1}: ${entry[1]} is outside of a section`);
+        } else {
+            sections[section][entry[1]] = entry[2];
+        }
+    });
+
+    for (const [name, keys] of Object.entries(SYSTEMD_REQUIRED_KEYS)) {
+        if (!sections[name]) {
+            problems.push(`missing section [${name}]`);
+            continue;
+        }
+        for (const key of keys) {
+            if (!sections[name][key]) problems.push(`[${name}] is missing ${key}`);
+        }
+    }
+
+    const service = sections.Service || {};
+    if (service.ExecStart) {
+        const program = /^"((?:[^"\\]|\\.)*)"|^(\S+)/.exec(service.ExecStart);
+        const programPath = program && (program[1] !== undefined ? program[1].replace(/\\(.)/g, '$1') : program[2]);
+        if (!programPath || !path.posix.isAbsolute(programPath)) {
+            problems.push('ExecStart must start with an absolute path');
+        }
+        if (/(^|[^%])%([^%]|$)/.test(service.ExecStart)) {
+            problems.push('ExecStart has an unescaped % (write %%)');
+        }
+    }
+    if (service.WorkingDirectory && !path.posix.isAbsolute(service.WorkingDirectory)) {
+        problems.push('WorkingDirectory must be an absolute path');
+    }
+    for (const key of ['StandardOutput', 'StandardError']) {
+        const value = service[key];
+        if (value && /^(append|file|truncate):/.test(value) && !path.posix.isAbsolute(value.replace(/^\w+:/, ''))) {
+            problems.push(`${key} must point to an absolute path`);
+        }
+    }
+    if (sections.Install && sections.Install.WantedBy && sections.Install.WantedBy !== 'default.target') {
+        problems.push('user units should be WantedBy=default.target');
+    }
+    return problems;
+}
+
+function xmlEscape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// KeepAlive only restarts the server if it crashed, so `launchctl stop` keeps it stopped
+function createLaunchAgentPlist(spec) {
+    const args = [spec.nodePath, spec.serveJs, spec.tilesDir]
+        .map(arg => `        <string>${xmlEscape(arg)}</string>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>Label</key>
+    <string>${xmlEscape(spec.name)}</string>
+    <key>ProgramArguments</key>
+    <array>
+${args}
+    </array>
+    <key>WorkingDirectory</key>
+    <string>${xmlEscape(spec.tilesDir)}</string>
+    <key>RunAtLoad</key>
+    <true/>
+    <key>KeepAlive</key>
+    <dict>
+        <key>SuccessfulExit</key>
+        <false/>
+    </dict>
+    <key>StandardOutPath</key>
+    <string>${xmlEscape(spec.logFile)}</string>
+    <key>StandardErrorPath</key>
+    <string>${xmlEscape(spec.logFile)}</string>
+</dict>
+</plist>
+`;
+}
+
+// schtasks limits the task command to 261 characters, so the task runs this
+// script, which also redirects the output to the log file
+function createWindowsTaskScript(spec) {
+    return [
+        '@echo off',
+        `rem ${spec.description}`,
+        `cd /d "${spec.tilesDir}"`,
+        `"${spec.nodePath}" "${spec.serveJs}" "${spec.tilesDir}" >> "${spec.logFile}" 2>&1`,
+        ''
+    ].join('\r\n');
+}
+
+// --- platforms ---
+// Each returns the files it writes and the commands for every action.
+// Commands are [program, ...args]; the first failing one stops the action.
+// stopBeforeRemove runs before remove and may fail: the service can already be stopped.
+
+function linuxPlatform(spec, homeDir) {
+    const unitName = `${spec.name}.service`;
+    const unitPath = path.join(homeDir, '.config', 'systemd', 'user', unitName);
+    const systemctl = (...args) => ['systemctl', '--user', ...args];
+    return {
+        kind: 'systemd user unit',
+        file: unitPath,
+        content: createSystemdUnit(spec),
+        validate: validateSystemdUnit,
+        install: [systemctl('daemon-reload'), systemctl('enable', '--now', unitName)],
+        start: [systemctl('start', unitName)],
+        stop: [systemctl('stop', unitName)],
+        status: systemctl('is-active', unitName),
+        stopBeforeRemove: [],
+        remove: [systemctl('disable', '--now', unitName)],
+        afterRemove: [systemctl('daemon-reload')]
+    };
+}
+
+function macPlatform(spec, homeDir) {
+    const plistPath = path.join(homeDir, 'Library', 'LaunchAgents', `${spec.name}.plist`);
+    return {
+        kind: 'LaunchAgent',
+        file: plistPath,
+        content: createLaunchAgentPlist(spec),
+        install: [['launchctl', 'load', '-w', plistPath]],
+        start: [['launchctl', 'start', spec.name]],
+        stop: [['launchctl', 'stop', spec.name]],
+        status: ['launchctl', 'list', spec.name],
+        stopBeforeRemove: [],
+        remove: [['launchctl', 'unload', '-w', plistPath]],
+        afterRemove: []
+    };
+}
+
+function windowsPlatform(spec) {
+    const scriptPath = path.join(spec.tilesDir, `${spec.name}.cmd`);
+    return {
+        kind: 'scheduled task',
+        file: scriptPath,
+        content: createWindowsTaskScript(spec),
+        install: [
+            ['schtasks', '/Create', '/TN', spec.name, '/TR', `"${scriptPath}"`, '/SC', 'ONLOGON', '/RL', 'LIMITED', '/F'],
+            ['schtasks', '/Run', '/TN', spec.name]
+        ],
+        start: [['schtasks', '/Run', '/TN', spec.name]],
+        stop: [['schtasks', '/End', '/TN', spec.name]],
+        status: ['schtasks', '/Query', '/TN', spec.name],
+        // /End fails when the task isn't running, which must not keep /Delete from running
+        stopBeforeRemove: [['schtasks', '/End', '/TN', spec.name]],
+        remove: [['schtasks', '/Delete', '/TN', spec.name, '/F']],
+        afterRemove: []
+    };
+}
+
+function runCommand(command) {
+    const result = spawnSync(command[0], command.slice(1), { encoding: 'utf8', windowsHide: true });
+    return {
+        ok: !result.error && result.status === 0,
+        output: result.error ? result.error.message : `${result.stdout || ''}${result.stderr || ''}`.trim()
+    };
+}
+
+// --- health ---
+
+// { port, archives } from the running server's /health, or null
+function probeTileServer(port, timeoutMs = HEALTH_TIMEOUT_MS) {
+    return new Promise(resolve => {
+        const req = http.get({ host: '127.0.0.1', port, path: '/health', timeout: timeoutMs }, res => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => {
+                try {
+                    resolve(res.statusCode === 200 ? JSON.parse(body) : null);
+                } catch (err) {
+                    resolve(null);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy());
+        req.on('error', () => resolve(null));
+    });
+}
+
+function tailFile(filePath, lines) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trimEnd().split('\n').slice(-lines);
+    } catch (err) {
+        return [];
+    }
+}
+
+// options: { modId, modDir, tilesDir, port, platform, homeDir, run }
+// platform, homeDir and run default to this machine; pass them to test.
+function createServiceManager(options) {
+    const platformName = options.platform || os.platform();
+    const homeDir = options.homeDir || os.homedir();
+    const run = options.run || runCommand;
+    const tilesDir = path.resolve(options.modDir, options.tilesDir);
+    const spec = {
+        name: platformName === 'darwin' ? `${options.modId}.tileserver` : getServiceName(options.modId),
+        description: `Subway Builder map server (${options.modId})`,
+        nodePath: options.nodePath || process.execPath,
+        serveJs: path.join(options.modDir, 'serve.js'),
+        tilesDir,
+        logFile: path.join(tilesDir, LOG_FILE)
+    };
+
+    let platform;
+    if (platformName === 'linux') platform = linuxPlatform(spec, homeDir);
+    else if (platformName === 'darwin') platform = macPlatform(spec, homeDir);
+    else if (platformName === 'win32') platform = windowsPlatform(spec);
+    else throw new Error(`Background service mode isn't supported on ${platformName}`);
+
+    // Runs commands until one fails. Returns the failure message, or null.
+    function runAll(commands) {
+        for (const command of commands) {
+            const result = run(command);
+            if (!result.ok) return `${command.join(' ')} failed${result.output ? `: ${result.output}` : ''}`;
+        }
+        return null;
+    }
+
+    function requireInstalled() {
+        if (!fs.existsSync(platform.file)) throw new Error(`The map server service isn't installed (no ${platform.file})`);
+    }
+
+    return {
+        name: spec.name,
+        kind: platform.kind,
+        file: platform.file,
+        logFile: spec.logFile,
+        content: platform.content,
+        isInstalled: () => fs.existsSync(platform.file),
+
+        // Writes the unit/plist/script and registers and starts the service
+        install() {
+            const problems = platform.validate ? platform.validate(platform.content) : [];
+            if (problems.length > 0) throw new Error(`Invalid ${platform.kind}: ${problems.join('; ')}`);
+            fs.mkdirSync(path.dirname(platform.file), { recursive: true });
+            fs.mkdirSync(tilesDir, { recursive: true });
+            fs.writeFileSync(platform.file, platform.content);
+            const failure = runAll(platform.install);
+            if (failure) {
+                // Don't leave a half-registered service behind
+                fs.rmSync(platform.file, { force: true });
+                throw new Error(failure);
+            }
+        },
+        start() {
+            requireInstalled();
+            const failure = runAll(platform.start);
+            if (failure) throw new Error(failure);
+        },
+        stop() {
+            requireInstalled();
+            const failure = runAll(platform.stop);
+            if (failure) throw new Error(failure);
+        },
+        // Unregisters the service and deletes its file and log. Returns false if it wasn't installed.
+        remove() {
+            if (!fs.existsSync(platform.file)) return false;
+            platform.stopBeforeRemove.forEach(command => run(command));
+            const failure = runAll(platform.remove);
+            fs.rmSync(platform.file, { force: true });
+            fs.rmSync(spec.logFile, { force: true });
+            runAll(platform.afterRemove);
+            if (failure) console.warn(`Warning: ${failure}`);
+            return true;
+        },
+        // { installed, running, server: /health answer or null, logTail: [line] }
+        async status() {
+            const installed = fs.existsSync(platform.file);
+            const running = installed && run(platform.status).ok;
+            let port = options.port;
+            try {
+                port = JSON.parse(fs.readFileSync(path.join(tilesDir, STATUS_FILE), 'utf8')).port || port;
+            } catch (err) {
+                // Not written yet, or the server is stopped
+            }
+            const server = running ? await probeTileServer(port) : null;
+            return { installed, running, port, server, logTail: tailFile(spec.logFile, LOG_TAIL_LINES) };
+        }
+    };
+}
+
+module.exports = {
+    getServiceName,
+    createSystemdUnit,
+    validateSystemdUnit,
+    createLaunchAgentPlist,
+    createWindowsTaskScript,
+    createServiceManager,
+    probeTileServer
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { scanOsmPbf } = require('./osmpbf');
+
+// Reads the OSM elements the build tools need from a local extract: either a
+// .osm.pbf file or GeoJSON (from `osmium export -a type,id` or an Overpass export).
+//
+// readOsmExtract('zealand.osm.pbf', {
+//     filter: tags => tags.highway !== undefined,
+//     isArea: tags => tags.area === 'yes'
+// })
+//   -> [{ id: '123', tags, lines: [[[lon, lat], ...]], polygons: [[outerRing, ...holes]] }]
+//
+// Closed ways for which isArea(tags) is true become polygons, all other ways
+// lines. From PBF only ways are read, so multipolygon relations need the GeoJSON route.
+// For PBF input every node of the file is scanned once; crop large extracts
+// to the map first (osmium extract -b minLon,minLat,maxLon,maxLat).
+
+const COORDINATE_DECIMALS = 7;
+
+function isClosed(coords) {
+    const first = coords[0];
+    const last = coords[coords.length - 1];
+    return coords.length >= 4 && first[0] === last[0] && first[1] === last[1];
+}
+
+function toElement(id, tags, coords, isArea) {
+    const area = isClosed(coords) && isArea(tags);
+    return { id, tags, lines: area ? [] : [coords], polygons: area ? [[coords]] : [] };
+}
+
+function readPbf(filePath, { filter, isArea }) {
+    const ways = [];
+    const nodeIds = new Set();
+    scanOsmPbf(filePath, {
+        way: way => {
+            if (!filter(way.tags)) return;
+            ways.push(way);
+            for (const ref of way.refs) nodeIds.add(ref);
+        }
+    });
+
+    const nodes = new Map();
+    scanOsmPbf(filePath, {
+        node: (id, lon, lat) => { if (nodeIds.has(id)) nodes.set(id, [lon, lat]); }
+    });
+
+    const elements = [];
+    let incomplete = 0;
+    for (const way of ways) {
+        const coords = way.refs.map(ref => nodes.get(ref));
+        if (coords.some(c => !c)) {
+            incomplete++;
+            continue;
+        }
+        elements.push(toElement(String(way.id), way.tags, coords, isArea));
+    }
+    if (incomplete > 0) {
+        console.warn(`Warning: Skipped ${incomplete} way(s) whose nodes are not all in the extract.`);
+    }
+    return elements;
+}
+
+// "way/123", "w123" or 123 -> "123"
+function parseOsmId(feature) {
+    const props = feature.properties || {};
+    const raw = props['@id'] !== undefined ? props['@id']
+        : props.osm_way_id !== undefined ? props.osm_way_id
+        : props.osm_id !== undefined ? props.osm_id
+        : feature.id !== undefined ? feature.id
+        : props.id;
+    const match = /(\d+)$/.exec(String(raw));
+    return match ? match[1] : null;
+}
+
+function readGeoJson(filePath, { filter, isArea }) {
+    let text = fs.readFileSync(filePath);
+    if (filePath.endsWith('.gz')) text = zlib.gunzipSync(text);
+    const data = JSON.parse(text.toString('utf8'));
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+    const elements = [];
+    let withoutId = 0;
+    for (const feature of features) {
+        const props = feature.properties || {};
+        // Overpass exports keep the tags in a nested object
+        const tags = props.tags || props;
+        const geometry = feature.geometry;
+        if (!geometry || !filter(tags)) continue;
+
+        const id = parseOsmId(feature);
+        if (!id) {
+            withoutId++;
+            continue;
+        }
+        const element = { id, tags, lines: [], polygons: [] };
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+        for (const line of lines) {
+            const part = toElement(id, tags, line, isArea);
+            element.lines.push(...part.lines);
+            element.polygons.push(...part.polygons);
+        }
+        if (geometry.type === 'Polygon') element.polygons.push(geometry.coordinates);
+        if (geometry.type === 'MultiPolygon') element.polygons.push(...geometry.coordinates);
+        elements.push(element);
+    }
+    if (withoutId > 0) {
+        console.warn(`Warning: Skipped ${withoutId} feature(s) without an OSM id.`);
+    }
+    return elements;
+}
+
+function readOsmExtract(filePath, options) {
+    return filePath.endsWith('.pbf') ? readPbf(filePath, options) : readGeoJson(filePath, options);
+}
+
+// Keeps the output files small and stable (7 decimals is about 1 cm)
+function roundCoordinate([lon, lat]) {
+    return [Number(lon.toFixed(COORDINATE_DECIMALS)), Number(lat.toFixed(COORDINATE_DECIMALS))];
+}
+
+module.exports = { readOsmExtract, roundCoordinate };
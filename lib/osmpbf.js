@@ -0,0 +1,221 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal OpenStreetMap PBF reader: nodes (plain and dense) and ways with
+// their tags. Relations are skipped.
+//
+// scanOsmPbf('zealand.osm.pbf', {
+//     way: ({ id, tags, refs }) => ...,
+//     node: (id, lon, lat) => ...
+// });
+// Leave out a callback to skip decoding that kind of element. Files are read
+// block by block, so large extracts don't have to fit in memory.
+
+// --- protobuf decoding ---
+// Field values are returned as Numbers, which is exact for OSM ids and coordinates (< 2^53)
+
+function createReader(buffer) {
+    const end = buffer.length;
+    let pos = 0;
+    const reader = {
+        get done() { return pos >= end; },
+        varint() {
+            let result = 0;
+            let factor = 1;
+            let byte;
+            do {
+                byte = buffer[pos++];
+                result += (byte & 0x7f) * factor;
+                factor *= 128;
+            } while (byte & 0x80);
+            return result;
+        },
+        svarint() {
+            const n = reader.varint();
+            return n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+        },
+        bytes() {
+            const length = reader.varint();
+            const slice = buffer.subarray(pos, pos + length);
+            pos += length;
+            return slice;
+        },
+        skip(wireType) {
+            if (wireType === 0) reader.varint();
+            else if (wireType === 1) pos += 8;
+            else if (wireType === 2) {
+                const length = reader.varint();
+                pos += length;
+            } else if (wireType === 5) pos += 4;
+            else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        },
+        // Calls onField(fieldNumber, wireType) until the message ends
+        fields(onField) {
+            while (pos < end) {
+                const key = reader.varint();
+                onField(Math.floor(key / 8), key % 8);
+            }
+        }
+    };
+    return reader;
+}
+
+function packed(bytes, signed) {
+    const reader = createReader(bytes);
+    const values = [];
+    while (!reader.done) values.push(signed ? reader.svarint() : reader.varint());
+    return values;
+}
+
+// Values stored as differences to the previous one
+function undelta(values) {
+    for (let i = 1; i < values.length; i++) values[i] += values[i - 1];
+    return values;
+}
+
+function decodeTags(keys, vals, strings) {
+    const tags = {};
+    keys.forEach((key, i) => { tags[strings[key]] = strings[vals[i]]; });
+    return tags;
+}
+
+// --- file blocks ---
+
+function readBlob(buffer) {
+    let raw = null;
+    let zlibData = null;
+    const reader = createReader(buffer);
+    reader.fields((field, wireType) => {
+        if (field === 1 && wireType === 2) raw = reader.bytes();
+        else if (field === 3 && wireType === 2) zlibData = reader.bytes();
+        else reader.skip(wireType);
+    });
+    if (raw) return raw;
+    if (zlibData) return zlib.inflateSync(zlibData);
+    throw new Error('Unsupported PBF blob compression (only raw and zlib are supported)');
+}
+
+// Calls onBlock(type, data) for every block in the file
+function forEachBlock(filePath, onBlock) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const lengthBuffer = Buffer.alloc(4);
+        let offset = 0;
+        while (fs.readSync(fd, lengthBuffer, 0, 4, offset) === 4) {
+            offset += 4;
+            const headerBuffer = Buffer.alloc(lengthBuffer.readUInt32BE(0));
+            fs.readSync(fd, headerBuffer, 0, headerBuffer.length, offset);
+            offset += headerBuffer.length;
+
+            let type = '';
+            let dataSize = 0;
+            const header = createReader(headerBuffer);
+            header.fields((field, wireType) => {
+                if (field === 1 && wireType === 2) type = header.bytes().toString('utf8');
+                else if (field === 3 && wireType === 0) dataSize = header.varint();
+                else header.skip(wireType);
+            });
+
+            const blobBuffer = Buffer.alloc(dataSize);
+            fs.readSync(fd, blobBuffer, 0, dataSize, offset);
+            offset += dataSize;
+            onBlock(type, readBlob(blobBuffer));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// --- elements ---
+
+function readDenseNodes(bytes, block, onNode) {
+    let ids = [];
+    let lats = [];
+    let lons = [];
+    const reader = createReader(bytes);
+    reader.fields((field, wireType) => {
+        if (field === 1) ids = undelta(packed(reader.bytes(), true));
+        else if (field === 8) lats = undelta(packed(reader.bytes(), true));
+        else if (field === 9) lons = undelta(packed(reader.bytes(), true));
+        else reader.skip(wireType);
+    });
+    ids.forEach((id, i) => onNode(id, block.lon(lons[i]), block.lat(lats[i])));
+}
+
+function readNode(bytes, block, onNode) {
+    let id = 0;
+    let lat = 0;
+    let lon = 0;
+    const reader = createReader(bytes);
+    reader.fields((field, wireType) => {
+        if (field === 1) id = reader.svarint();
+        else if (field === 8) lat = reader.svarint();
+        else if (field === 9) lon = reader.svarint();
+        else reader.skip(wireType);
+    });
+    onNode(id, block.lon(lon), block.lat(lat));
+}
+
+function readWay(bytes, block, onWay) {
+    let id = 0;
+    let keys = [];
+    let vals = [];
+    let refs = [];
+    const reader = createReader(bytes);
+    reader.fields((field, wireType) => {
+        if (field === 1) id = reader.varint();
+        else if (field === 2) keys = packed(reader.bytes(), false);
+        else if (field === 3) vals = packed(reader.bytes(), false);
+        else if (field === 8) refs = undelta(packed(reader.bytes(), true));
+        else reader.skip(wireType);
+    });
+    onWay({ id, tags: decodeTags(keys, vals, block.strings), refs });
+}
+
+function readPrimitiveBlock(data, handlers) {
+    const strings = [];
+    const groups = [];
+    let granularity = 100;
+    let latOffset = 0;
+    let lonOffset = 0;
+
+    const reader = createReader(data);
+    reader.fields((field, wireType) => {
+        if (field === 1) {
+            const table = reader.bytes();
+            const tableReader = createReader(table);
+            tableReader.fields((f, w) => {
+                if (f === 1) strings.push(tableReader.bytes().toString('utf8'));
+                else tableReader.skip(w);
+            });
+        } else if (field === 2) groups.push(reader.bytes());
+        else if (field === 17) granularity = reader.varint();
+        else if (field === 19) latOffset = reader.varint();
+        else if (field === 20) lonOffset = reader.varint();
+        else reader.skip(wireType);
+    });
+
+    const block = {
+        strings,
+        lat: value => (latOffset + granularity * value) * 1e-9,
+        lon: value => (lonOffset + granularity * value) * 1e-9
+    };
+
+    for (const group of groups) {
+        const groupReader = createReader(group);
+        groupReader.fields((field, wireType) => {
+            if (field === 1 && handlers.node) readNode(groupReader.bytes(), block, handlers.node);
+            else if (field === 2 && handlers.node) readDenseNodes(groupReader.bytes(), block, handlers.node);
+            else if (field === 3 && handlers.way) readWay(groupReader.bytes(), block, handlers.way);
+            else groupReader.skip(wireType);
+        });
+    }
+}
+
+function scanOsmPbf(filePath, handlers) {
+    forEachBlock(filePath, (type, data) => {
+        if (type === 'OSMData') readPrimitiveBlock(data, handlers);
+    });
+}
+
+module.exports = { scanOsmPbf };
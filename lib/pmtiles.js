@@ -0,0 +1,443 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// Minimal reader and writer for PMTiles v3 archives (https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md).
+// The reader uses ranged file reads and caches the decoded directories, so only
+// the tiles that are requested are ever read.
+
+const HEADER_LENGTH = 127;
+const MAX_DIRECTORY_DEPTH = 3;
+const DIRECTORY_CACHE_SIZE = 64;
+// The header and root directory must fit in the first 16 KiB
+const MAX_ROOT_DIRECTORY_LENGTH = 16384 - HEADER_LENGTH;
+const COPY_CHUNK_SIZE = 1 << 20;
+
+const COMPRESSION = { UNKNOWN: 0, NONE: 1, GZIP: 2, BROTLI: 3, ZSTD: 4 };
+const TILE_TYPES = {
+    0: { name: 'unknown', ext: 'bin', contentType: 'application/octet-stream' },
+    1: { name: 'mvt', ext: 'mvt', contentType: 'application/x-protobuf' },
+    2: { name: 'png', ext: 'png', contentType: 'image/png' },
+    3: { name: 'jpeg', ext: 'jpg', contentType: 'image/jpeg' },
+    4: { name: 'webp', ext: 'webp', contentType: 'image/webp' },
+    5: { name: 'avif', ext: 'avif', contentType: 'image/avif' }
+};
+
+// Reads a little-endian unsigned 64-bit integer as a Number (safe up to 2^53)
+function readUint64(buffer, offset) {
+    return buffer.readUInt32LE(offset + 4) * 0x100000000 + buffer.readUInt32LE(offset);
+}
+
+function parseHeader(buffer) {
+    if (buffer.toString('utf8', 0, 7) !== 'PMTiles') {
+        throw new Error("Not a PMTiles archive (bad magic number)");
+    }
+    const specVersion = buffer.readUInt8(7);
+    if (specVersion !== 3) {
+        throw new Error(`Unsupported PMTiles version ${specVersion} (only v3 is supported)`);
+    }
+
+    return {
+        specVersion,
+        rootDirectoryOffset: readUint64(buffer, 8),
+        rootDirectoryLength: readUint64(buffer, 16),
+        metadataOffset: readUint64(buffer, 24),
+        metadataLength: readUint64(buffer, 32),
+        leafDirectoryOffset: readUint64(buffer, 40),
+        leafDirectoryLength: readUint64(buffer, 48),
+        tileDataOffset: readUint64(buffer, 56),
+        tileDataLength: readUint64(buffer, 64),
+        numAddressedTiles: readUint64(buffer, 72),
+        numTileEntries: readUint64(buffer, 80),
+        numTileContents: readUint64(buffer, 88),
+        clustered: buffer.readUInt8(96) === 1,
+        internalCompression: buffer.readUInt8(97),
+        tileCompression: buffer.readUInt8(98),
+        tileType: buffer.readUInt8(99),
+        minZoom: buffer.readUInt8(100),
+        maxZoom: buffer.readUInt8(101),
+        minLon: buffer.readInt32LE(102) / 1e7,
+        minLat: buffer.readInt32LE(106) / 1e7,
+        maxLon: buffer.readInt32LE(110) / 1e7,
+        maxLat: buffer.readInt32LE(114) / 1e7,
+        centerZoom: buffer.readUInt8(118),
+        centerLon: buffer.readInt32LE(119) / 1e7,
+        centerLat: buffer.readInt32LE(123) / 1e7
+    };
+}
+
+function decompress(buffer, compression) {
+    switch (compression) {
+        case COMPRESSION.UNKNOWN:
+        case COMPRESSION.NONE:
+            return buffer;
+        case COMPRESSION.GZIP:
+            return zlib.gunzipSync(buffer);
+        case COMPRESSION.BROTLI:
+            return zlib.brotliDecompressSync(buffer);
+        default:
+            throw new Error(`Unsupported compression type ${compression}`);
+    }
+}
+
+// Decodes a directory: entry count, then delta-encoded tile IDs, run lengths,
+// lengths and offsets, each as a column of varints.
+function parseDirectory(buffer) {
+    let pos = 0;
+    const readVarint = () => {
+        let value = 0;
+        let factor = 1;
+        for (;;) {
+            if (pos >= buffer.length) throw new Error("Truncated directory");
+            const byte = buffer[pos++];
+            value += (byte & 0x7f) * factor;
+            if (byte < 0x80) return value;
+            factor *= 128;
+        }
+    };
+
+    const count = readVarint();
+    const entries = new Array(count);
+
+    let tileId = 0;
+    for (let i = 0; i < count; i++) {
+        tileId += readVarint();
+        entries[i] = { tileId, offset: 0, length: 0, runLength: 1 };
+    }
+    for (let i = 0; i < count; i++) entries[i].runLength = readVarint();
+    for (let i = 0; i < count; i++) entries[i].length = readVarint();
+    for (let i = 0; i < count; i++) {
+        const value = readVarint();
+        // 0 means "directly after the previous entry"
+        entries[i].offset = value === 0 && i > 0
+            ? entries[i - 1].offset + entries[i - 1].length
+            : value - 1;
+    }
+    return entries;
+}
+
+// Position of a tile on the Hilbert curve, counting all tiles of lower zooms first
+function zxyToTileId(z, x, y) {
+    if (z > 26) throw new Error("Zoom level exceeds the maximum of 26");
+    const n = 2 ** z;
+    if (x < 0 || y < 0 || x >= n || y >= n) throw new Error("Tile x/y outside zoom level bounds");
+
+    let acc = (n * n - 1) / 3;
+    const xy = [x, y];
+    for (let s = n / 2; s >= 1; s /= 2) {
+        const rx = (xy[0] & s) > 0 ? 1 : 0;
+        const ry = (xy[1] & s) > 0 ? 1 : 0;
+        acc += s * s * ((3 * rx) ^ ry);
+        // Rotate the quadrant
+        if (ry === 0) {
+            if (rx === 1) {
+                xy[0] = s - 1 - xy[0];
+                xy[1] = s - 1 - xy[1];
+            }
+            const t = xy[0];
+            xy[0] = xy[1];
+            xy[1] = t;
+        }
+    }
+    return acc;
+}
+
+// Binary search for the entry covering tileId (a leaf pointer has runLength 0)
+function findEntry(entries, tileId) {
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const diff = tileId - entries[mid].tileId;
+        if (diff > 0) low = mid + 1;
+        else if (diff < 0) high = mid - 1;
+        else return entries[mid];
+    }
+    if (high >= 0) {
+        const entry = entries[high];
+        if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) return entry;
+    }
+    return null;
+}
+
+// Opens an archive. Call close() when done.
+function openArchive(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const stat = fs.fstatSync(fd);
+    const directoryCache = new Map();
+
+    function readRange(offset, length) {
+        const buffer = Buffer.alloc(length);
+        let read = 0;
+        while (read < length) {
+            const bytes = fs.readSync(fd, buffer, read, length - read, offset + read);
+            if (bytes === 0) throw new Error(`Unexpected end of archive at byte ${offset + read}`);
+            read += bytes;
+        }
+        return buffer;
+    }
+
+    let header;
+    try {
+        header = parseHeader(readRange(0, HEADER_LENGTH));
+    } catch (err) {
+        fs.closeSync(fd);
+        throw err;
+    }
+
+    function getDirectory(offset, length) {
+        const key = `${offset}:${length}`;
+        let entries = directoryCache.get(key);
+        if (entries) {
+            // Move to the end so the cache evicts least recently used first
+            directoryCache.delete(key);
+        } else {
+            entries = parseDirectory(decompress(readRange(offset, length), header.internalCompression));
+        }
+        directoryCache.set(key, entries);
+        if (directoryCache.size > DIRECTORY_CACHE_SIZE) {
+            directoryCache.delete(directoryCache.keys().next().value);
+        }
+        return entries;
+    }
+
+    return {
+        filePath,
+        header,
+        size: stat.size,
+        // Changes whenever the archive file is replaced
+        etag: `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`,
+        tileType: TILE_TYPES[header.tileType] || TILE_TYPES[0],
+
+        readRange,
+
+        getMetadata() {
+            if (header.metadataLength === 0) return {};
+            const raw = readRange(header.metadataOffset, header.metadataLength);
+            return JSON.parse(decompress(raw, header.internalCompression).toString('utf8'));
+        },
+
+        // Returns the tile bytes as stored (still compressed with
+        // header.tileCompression), or null if the archive has no such tile.
+        getTile(z, x, y) {
+            if (z < header.minZoom || z > header.maxZoom) return null;
+            const tileId = zxyToTileId(z, x, y);
+
+            let offset = header.rootDirectoryOffset;
+            let length = header.rootDirectoryLength;
+            for (let depth = 0; depth <= MAX_DIRECTORY_DEPTH; depth++) {
+                const entry = findEntry(getDirectory(offset, length), tileId);
+                if (!entry) return null;
+                if (entry.runLength > 0) {
+                    return readRange(header.tileDataOffset + entry.offset, entry.length);
+                }
+                offset = header.leafDirectoryOffset + entry.offset;
+                length = entry.length;
+            }
+            throw new Error("Maximum directory depth exceeded");
+        },
+
+        close() {
+            fs.closeSync(fd);
+        }
+    };
+}
+
+// --- WRITER ---
+
+function writeVarint(value, bytes) {
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+}
+
+function writeUint64(buffer, value, offset) {
+    buffer.writeUInt32LE(value % 0x100000000, offset);
+    buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+}
+
+function serializeHeader(header) {
+    const buffer = Buffer.alloc(HEADER_LENGTH);
+    buffer.write('PMTiles', 0, 'utf8');
+    buffer.writeUInt8(3, 7);
+    writeUint64(buffer, header.rootDirectoryOffset, 8);
+    writeUint64(buffer, header.rootDirectoryLength, 16);
+    writeUint64(buffer, header.metadataOffset, 24);
+    writeUint64(buffer, header.metadataLength, 32);
+    writeUint64(buffer, header.leafDirectoryOffset, 40);
+    writeUint64(buffer, header.leafDirectoryLength, 48);
+    writeUint64(buffer, header.tileDataOffset, 56);
+    writeUint64(buffer, header.tileDataLength, 64);
+    writeUint64(buffer, header.numAddressedTiles, 72);
+    writeUint64(buffer, header.numTileEntries, 80);
+    writeUint64(buffer, header.numTileContents, 88);
+    buffer.writeUInt8(header.clustered ? 1 : 0, 96);
+    buffer.writeUInt8(header.internalCompression, 97);
+    buffer.writeUInt8(header.tileCompression, 98);
+    buffer.writeUInt8(header.tileType, 99);
+    buffer.writeUInt8(header.minZoom, 100);
+    buffer.writeUInt8(header.maxZoom, 101);
+    buffer.writeInt32LE(Math.round(header.minLon * 1e7), 102);
+    buffer.writeInt32LE(Math.round(header.minLat * 1e7), 106);
+    buffer.writeInt32LE(Math.round(header.maxLon * 1e7), 110);
+    buffer.writeInt32LE(Math.round(header.maxLat * 1e7), 114);
+    buffer.writeUInt8(header.centerZoom, 118);
+    buffer.writeInt32LE(Math.round(header.centerLon * 1e7), 119);
+    buffer.writeInt32LE(Math.round(header.centerLat * 1e7), 123);
+    return buffer;
+}
+
+// Inverse of parseDirectory, gzip compressed
+function serializeDirectory(entries) {
+    const bytes = [];
+    writeVarint(entries.length, bytes);
+    let lastId = 0;
+    for (const entry of entries) {
+        writeVarint(entry.tileId - lastId, bytes);
+        lastId = entry.tileId;
+    }
+    for (const entry of entries) writeVarint(entry.runLength, bytes);
+    for (const entry of entries) writeVarint(entry.length, bytes);
+    entries.forEach((entry, i) => {
+        const previous = entries[i - 1];
+        if (previous && entry.offset === previous.offset + previous.length) writeVarint(0, bytes);
+        else writeVarint(entry.offset + 1, bytes);
+    });
+    return zlib.gzipSync(Buffer.from(bytes));
+}
+
+// Puts the entries in the root directory, or in leaf directories (as few as
+// possible) when the root would not fit in the first 16 KiB.
+function buildDirectories(entries) {
+    const root = serializeDirectory(entries);
+    if (root.length <= MAX_ROOT_DIRECTORY_LENGTH) {
+        return { root, leaves: Buffer.alloc(0) };
+    }
+
+    for (let leafSize = 4096; ; leafSize *= 2) {
+        const leaves = [];
+        const rootEntries = [];
+        let offset = 0;
+        for (let i = 0; i < entries.length; i += leafSize) {
+            const chunk = entries.slice(i, i + leafSize);
+            const leaf = serializeDirectory(chunk);
+            rootEntries.push({ tileId: chunk[0].tileId, offset, length: leaf.length, runLength: 0 });
+            leaves.push(leaf);
+            offset += leaf.length;
+        }
+        const leafRoot = serializeDirectory(rootEntries);
+        if (leafRoot.length <= MAX_ROOT_DIRECTORY_LENGTH) {
+            return { root: leafRoot, leaves: Buffer.concat(leaves) };
+        }
+    }
+}
+
+// Writes an archive tile by tile. Tiles must be added in ascending tile ID
+// order (see zxyToTileId); their data is spooled to a temporary file, and
+// identical tiles are stored once.
+//
+//   const writer = createArchiveWriter('out.pmtiles', { tileType: 2, tileCompression: COMPRESSION.NONE });
+//   writer.addTile(z, x, y, data);
+//   writer.finish({ metadata, bounds: [minLon, minLat, maxLon, maxLat] });
+function createArchiveWriter(filePath, { tileType, tileCompression }) {
+    const tempPath = `${filePath}.tiles.tmp`;
+    const tempFd = fs.openSync(tempPath, 'w');
+    const entries = [];
+    const contents = new Map();
+    let dataLength = 0;
+    let minZoom = Infinity;
+    let maxZoom = -Infinity;
+
+    return {
+        addTile(z, x, y, data) {
+            const tileId = zxyToTileId(z, x, y);
+            const last = entries[entries.length - 1];
+            if (last && tileId < last.tileId + last.runLength) {
+                throw new Error(`Tile ${z}/${x}/${y} added out of order`);
+            }
+            minZoom = Math.min(minZoom, z);
+            maxZoom = Math.max(maxZoom, z);
+
+            const hash = crypto.createHash('sha1').update(data).digest('hex');
+            let content = contents.get(hash);
+            if (content && last && last.offset === content.offset && last.tileId + last.runLength === tileId) {
+                last.runLength++;
+                return;
+            }
+            if (!content) {
+                fs.writeSync(tempFd, data);
+                content = { offset: dataLength, length: data.length };
+                contents.set(hash, content);
+                dataLength += data.length;
+            }
+            entries.push({ tileId, offset: content.offset, length: content.length, runLength: 1 });
+        },
+
+        finish({ metadata = {}, bounds = [-180, -85, 180, 85], center } = {}) {
+            fs.closeSync(tempFd);
+            if (entries.length === 0) {
+                fs.unlinkSync(tempPath);
+                throw new Error("No tiles were added");
+            }
+
+            const { root, leaves } = buildDirectories(entries);
+            const metadataBuffer = zlib.gzipSync(Buffer.from(JSON.stringify(metadata)));
+            const header = {
+                rootDirectoryOffset: HEADER_LENGTH,
+                rootDirectoryLength: root.length,
+                metadataOffset: HEADER_LENGTH + root.length,
+                metadataLength: metadataBuffer.length,
+                leafDirectoryOffset: HEADER_LENGTH + root.length + metadataBuffer.length,
+                leafDirectoryLength: leaves.length,
+                tileDataOffset: HEADER_LENGTH + root.length + metadataBuffer.length + leaves.length,
+                tileDataLength: dataLength,
+                numAddressedTiles: entries.reduce((sum, entry) => sum + entry.runLength, 0),
+                numTileEntries: entries.length,
+                numTileContents: contents.size,
+                clustered: true,
+                internalCompression: COMPRESSION.GZIP,
+                tileCompression,
+                tileType,
+                minZoom,
+                maxZoom,
+                minLon: bounds[0],
+                minLat: bounds[1],
+                maxLon: bounds[2],
+                maxLat: bounds[3],
+                centerZoom: center ? center[2] : minZoom,
+                centerLon: center ? center[0] : (bounds[0] + bounds[2]) / 2,
+                centerLat: center ? center[1] : (bounds[1] + bounds[3]) / 2
+            };
+
+            const fd = fs.openSync(filePath, 'w');
+            try {
+                fs.writeSync(fd, Buffer.concat([serializeHeader(header), root, metadataBuffer, leaves]));
+
+                const readFd = fs.openSync(tempPath, 'r');
+                const chunk = Buffer.alloc(COPY_CHUNK_SIZE);
+                let bytes;
+                while ((bytes = fs.readSync(readFd, chunk, 0, chunk.length, null)) > 0) {
+                    fs.writeSync(fd, chunk, 0, bytes);
+                }
+                fs.closeSync(readFd);
+            } finally {
+                fs.closeSync(fd);
+                fs.unlinkSync(tempPath);
+            }
+            return header;
+        }
+    };
+}
+
+module.exports = {
+    COMPRESSION,
+    TILE_TYPES,
+    zxyToTileId,
+    parseHeader,
+    parseDirectory,
+    decompress,
+    openArchive,
+    createArchiveWriter
+};
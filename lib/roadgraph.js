@@ -0,0 +1,324 @@
+const fs = require('fs');
+const { createProjection } = require('./demand');
+
+// Road graph for routing over roads.geojson.gz (see tools/build-osm-layers.js).
+//
+// Roads are split at every vertex shared with another road (or used twice by
+// the same road); those junctions and the road ends are the graph's nodes.
+// The vertices in between only add to the length of the edge. Every edge can
+// be driven both ways, since roads.geojson.gz has no oneway information.
+//
+// The graph is kept in typed arrays (compressed sparse rows), so it can be
+// cached in a binary file and loaded again without parsing the roads.
+
+// Typical driving speeds in km/h, below the limits to allow for junctions and traffic
+const DEFAULT_SPEEDS = {
+    motorway: 100,
+    motorway_link: 60,
+    trunk: 70,
+    trunk_link: 50,
+    primary: 45,
+    primary_link: 40,
+    secondary: 40,
+    secondary_link: 35,
+    tertiary: 35,
+    tertiary_link: 30,
+    unclassified: 30,
+    residential: 25,
+    living_street: 10,
+    service: 15
+};
+const FALLBACK_SPEED = 25;
+const CACHE_MAGIC = 'SBROADGRAPH1';
+// Cell size of the node index used for snapping, in meters
+const SNAP_CELL_M = 500;
+
+// Vertices are matched on their coordinates to 7 decimals (as written by lib/osmextract.js)
+function vertexKey([lon, lat]) {
+    return `${lon.toFixed(7)},${lat.toFixed(7)}`;
+}
+
+// roads: a GeoJSON FeatureCollection of LineStrings with 'roadType'.
+// Returns { nodeCount, edgeCount, lon, lat, offsets, targets, lengths, seconds }
+function buildRoadGraph(roads, speeds = DEFAULT_SPEEDS) {
+    const lines = roads.features.filter(f => f.geometry && f.geometry.type === 'LineString' && f.geometry.coordinates.length >= 2);
+
+    // How often each vertex is used; road ends always become nodes
+    const uses = new Map();
+    for (const line of lines) {
+        const coords = line.geometry.coordinates;
+        coords.forEach((c, i) => {
+            const key = vertexKey(c);
+            const ends = i === 0 || i === coords.length - 1 ? 2 : 1;
+            uses.set(key, (uses.get(key) || 0) + ends);
+        });
+    }
+
+    const nodeIds = new Map();
+    const lon = [];
+    const lat = [];
+    const nodeOf = c => {
+        const key = vertexKey(c);
+        let id = nodeIds.get(key);
+        if (id === undefined) {
+            id = lon.length;
+            nodeIds.set(key, id);
+            lon.push(c[0]);
+            lat.push(c[1]);
+        }
+        return id;
+    };
+
+    const project = createProjection(lines.length ? lines[0].geometry.coordinates[0][1] : 0);
+    const edges = [];
+    for (const line of lines) {
+        const kmh = speeds[line.properties.roadType] || FALLBACK_SPEED;
+        const metersPerSecond = kmh / 3.6;
+        const coords = line.geometry.coordinates;
+        let from = nodeOf(coords[0]);
+        let length = 0;
+        let prev = project(coords[0]);
+        for (let i = 1; i < coords.length; i++) {
+            const xy = project(coords[i]);
+            length += Math.hypot(xy[0] - prev[0], xy[1] - prev[1]);
+            prev = xy;
+            if (i < coords.length - 1 && uses.get(vertexKey(coords[i])) < 2) continue;
+            const to = nodeOf(coords[i]);
+            if (to !== from) edges.push([from, to, length, length / metersPerSecond]);
+            from = to;
+            length = 0;
+        }
+    }
+
+    // Both directions of every edge, grouped by their start node
+    const nodeCount = lon.length;
+    const offsets = new Int32Array(nodeCount + 1);
+    for (const [from, to] of edges) {
+        offsets[from + 1]++;
+        offsets[to + 1]++;
+    }
+    for (let i = 0; i < nodeCount; i++) offsets[i + 1] += offsets[i];
+    const fill = offsets.slice(0, nodeCount);
+    const targets = new Int32Array(edges.length * 2);
+    const lengths = new Float64Array(edges.length * 2);
+    const seconds = new Float64Array(edges.length * 2);
+    for (const [from, to, length, time] of edges) {
+        for (const [a, b] of [[from, to], [to, from]]) {
+            const slot = fill[a]++;
+            targets[slot] = b;
+            lengths[slot] = length;
+            seconds[slot] = time;
+        }
+    }
+
+    return {
+        nodeCount,
+        edgeCount: targets.length,
+        lon: Float64Array.from(lon),
+        lat: Float64Array.from(lat),
+        offsets,
+        targets,
+        lengths,
+        seconds
+    };
+}
+
+// --- cache file ---
+// "SBROADGRAPH1\n", a JSON header line (padded to 8 bytes), then the arrays
+
+const ARRAYS = [
+    ['lon', Float64Array, g => g.nodeCount],
+    ['lat', Float64Array, g => g.nodeCount],
+    ['offsets', Int32Array, g => g.nodeCount + 1],
+    ['targets', Int32Array, g => g.edgeCount],
+    ['lengths', Float64Array, g => g.edgeCount],
+    ['seconds', Float64Array, g => g.edgeCount]
+];
+
+function writeRoadGraph(filePath, graph, key) {
+    let header = `${CACHE_MAGIC}\n${JSON.stringify({ key, nodeCount: graph.nodeCount, edgeCount: graph.edgeCount })}`;
+    header = header.padEnd(Math.ceil((header.length + 1) / 8) * 8 - 1, ' ') + '\n';
+    const parts = [Buffer.from(header, 'utf8')];
+    for (const [name] of ARRAYS) {
+        parts.push(Buffer.from(graph[name].buffer, graph[name].byteOffset, graph[name].byteLength));
+        // Keep the next array aligned to 8 bytes
+        if (graph[name].byteLength % 8) parts.push(Buffer.alloc(8 - graph[name].byteLength % 8));
+    }
+    fs.writeFileSync(filePath, Buffer.concat(parts));
+}
+
+// Returns the cached graph, or null if the file is missing, damaged or for another key
+function readRoadGraph(filePath, key) {
+    let buffer;
+    try {
+        buffer = fs.readFileSync(filePath);
+    } catch (err) {
+        return null;
+    }
+    const headerEnd = buffer.indexOf(10, CACHE_MAGIC.length + 1);
+    if (buffer.toString('utf8', 0, CACHE_MAGIC.length + 1) !== `${CACHE_MAGIC}\n` || headerEnd === -1) return null;
+    let header;
+    try {
+        header = JSON.parse(buffer.toString('utf8', CACHE_MAGIC.length + 1, headerEnd));
+    } catch (err) {
+        return null;
+    }
+    if (header.key !== key) return null;
+
+    const graph = { nodeCount: header.nodeCount, edgeCount: header.edgeCount };
+    let data = buffer.subarray(headerEnd + 1);
+    if (data.byteOffset % 8 !== 0) {
+        // Typed arrays must start at a multiple of their element size
+        data = Uint8Array.from(data);
+    }
+    let offset = 0;
+    for (const [name, Type, count] of ARRAYS) {
+        const length = count(graph);
+        if (offset + length * Type.BYTES_PER_ELEMENT > data.byteLength) return null;
+        graph[name] = new Type(data.buffer, data.byteOffset + offset, length);
+        offset += Math.ceil(length * Type.BYTES_PER_ELEMENT / 8) * 8;
+    }
+    return graph;
+}
+
+// --- snapping ---
+
+// Returns snap([lon, lat]) => { node, meters } for the nearest node within
+// maxMeters, or null. project converts [lon, lat] to meters.
+function createSnapper(graph, project, maxMeters) {
+    const xy = new Float64Array(graph.nodeCount * 2);
+    const cells = new Map();
+    for (let i = 0; i < graph.nodeCount; i++) {
+        const [x, y] = project([graph.lon[i], graph.lat[i]]);
+        xy[2 * i] = x;
+        xy[2 * i + 1] = y;
+        const key = `${Math.floor(x / SNAP_CELL_M)},${Math.floor(y / SNAP_CELL_M)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    }
+
+    return location => {
+        const [x, y] = project(location);
+        const cx = Math.floor(x / SNAP_CELL_M);
+        const cy = Math.floor(y / SNAP_CELL_M);
+        let best = null;
+        // Widen the search ring by ring until nothing closer can be found
+        for (let r = 0; r * SNAP_CELL_M <= maxMeters + SNAP_CELL_M; r++) {
+            if (best && best.meters < (r - 1) * SNAP_CELL_M) break;
+            for (let dx = -r; dx <= r; dx++) {
+                for (let dy = -r; dy <= r; dy++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+                    for (const node of cells.get(`${cx + dx},${cy + dy}`) || []) {
+                        const meters = Math.hypot(xy[2 * node] - x, xy[2 * node + 1] - y);
+                        if (meters <= maxMeters && (!best || meters < best.meters)) best = { node, meters };
+                    }
+                }
+            }
+        }
+        return best;
+    };
+}
+
+// --- shortest paths ---
+
+// Returns route(source, targets): Dijkstra on driving time from source until
+// every node in targets (a Set) is settled. route returns Map(node =>
+// { seconds, meters }) for the targets that can be reached. The router reuses
+// its arrays between calls.
+function createRouter(graph) {
+    const { nodeCount, offsets, targets: edgeTargets, lengths, seconds } = graph;
+    const time = new Float64Array(nodeCount).fill(Infinity);
+    const dist = new Float64Array(nodeCount);
+    const settled = new Uint8Array(nodeCount);
+    const touched = [];
+    // Binary heap of node ids, ordered by time (nodes may be in it more than once)
+    let heap = new Int32Array(1024);
+    let heapTimes = new Float64Array(1024);
+    let size = 0;
+
+    function push(node, t) {
+        if (size === heap.length) {
+            const grownHeap = new Int32Array(size * 2);
+            const grownTimes = new Float64Array(size * 2);
+            grownHeap.set(heap);
+            grownTimes.set(heapTimes);
+            heap = grownHeap;
+            heapTimes = grownTimes;
+        }
+        let i = size++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heapTimes[parent] <= t) break;
+            heap[i] = heap[parent];
+            heapTimes[i] = heapTimes[parent];
+            i = parent;
+        }
+        heap[i] = node;
+        heapTimes[i] = t;
+    }
+
+    function pop() {
+        const top = heap[0];
+        const last = heap[--size];
+        const lastTime = heapTimes[size];
+        let i = 0;
+        for (;;) {
+            let child = 2 * i + 1;
+            if (child >= size) break;
+            if (child + 1 < size && heapTimes[child + 1] < heapTimes[child]) child++;
+            if (heapTimes[child] >= lastTime) break;
+            heap[i] = heap[child];
+            heapTimes[i] = heapTimes[child];
+            i = child;
+        }
+        heap[i] = last;
+        heapTimes[i] = lastTime;
+        return top;
+    }
+
+    return (source, targets) => {
+        for (const node of touched) {
+            time[node] = Infinity;
+            settled[node] = 0;
+        }
+        touched.length = 0;
+        size = 0;
+
+        const results = new Map();
+        let remaining = targets.size;
+        time[source] = 0;
+        dist[source] = 0;
+        touched.push(source);
+        push(source, 0);
+
+        while (size > 0 && remaining > 0) {
+            const node = pop();
+            if (settled[node]) continue;
+            settled[node] = 1;
+            if (targets.has(node)) {
+                results.set(node, { seconds: time[node], meters: dist[node] });
+                remaining--;
+            }
+            for (let e = offsets[node]; e < offsets[node + 1]; e++) {
+                const next = edgeTargets[e];
+                const t = time[node] + seconds[e];
+                if (t < time[next]) {
+                    if (time[next] === Infinity) touched.push(next);
+                    time[next] = t;
+                    dist[next] = dist[node] + lengths[e];
+                    push(next, t);
+                }
+            }
+        }
+        return results;
+    };
+}
+
+module.exports = {
+    DEFAULT_SPEEDS,
+    buildRoadGraph,
+    writeRoadGraph,
+    readRoadGraph,
+    createSnapper,
+    createRouter
+};
@@ -0,0 +1,28 @@
+// The grid index shared by ocean_depth_index.json.gz and buildings_index.json.gz:
+// the bbox is cut into cells of cs degrees, and every cell lists the items
+// whose bbox ('b') touches it.
+//
+// gridIndex(items, bbox, 0.0027) -> { grid: [columns, rows], cells: [[x, y, ...itemIndices], ...] }
+// y counts from the bottom of the bbox, and cells are ordered by row, then column.
+
+function gridIndex(items, bbox, cellSize) {
+    const grid = [Math.ceil((bbox[2] - bbox[0]) / cellSize - 1e-9), Math.ceil((bbox[3] - bbox[1]) / cellSize - 1e-9)];
+    const buckets = new Map();
+    items.forEach((item, i) => {
+        const x0 = Math.max(0, Math.floor((item.b[0] - bbox[0]) / cellSize));
+        const y0 = Math.max(0, Math.floor((item.b[1] - bbox[1]) / cellSize));
+        const x1 = Math.min(grid[0] - 1, Math.floor((item.b[2] - bbox[0]) / cellSize));
+        const y1 = Math.min(grid[1] - 1, Math.floor((item.b[3] - bbox[1]) / cellSize));
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const key = y * grid[0] + x;
+                if (!buckets.has(key)) buckets.set(key, [x, y]);
+                buckets.get(key).push(i);
+            }
+        }
+    });
+    const cells = [...buckets.keys()].sort((a, b) => a - b).map(key => buckets.get(key));
+    return { grid, cells };
+}
+
+module.exports = { gridIndex };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal .tar.gz reader, the counterpart of lib/zip.js for the go-pmtiles
+// release archives. Regular files only (ustar/GNU headers); links, devices and
+// pax extended names are skipped.
+//
+// const tar = openTarGz('go-pmtiles_1.22.1_Linux_x86_64.tar.gz');
+// tar.names()            -> ['LICENSE', 'README.md', 'pmtiles']
+// tar.read('pmtiles')    -> Buffer, or null if there is no such entry
+
+const BLOCK_SIZE = 512;
+const TYPE_FILE = ['0', '\0'];
+
+function readString(buffer, start, length) {
+    const end = buffer.indexOf(0, start);
+    return buffer.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readEntries(buffer) {
+    const entries = new Map();
+    let offset = 0;
+    while (offset + BLOCK_SIZE <= buffer.length) {
+        // Two zero blocks end the archive
+        if (buffer[offset] === 0) break;
+        const name = readString(buffer, offset, 100);
+        const size = parseInt(readString(buffer, offset + 124, 12).trim() || '0', 8);
+        const type = String.fromCharCode(buffer[offset + 156]);
+        const prefix = buffer.toString('utf8', offset + 257, offset + 262) === 'ustar' ? readString(buffer, offset + 345, 155) : '';
+        if (Number.isNaN(size)) throw new Error('Damaged tar archive (bad entry size)');
+
+        const start = offset + BLOCK_SIZE;
+        if (TYPE_FILE.includes(type)) {
+            entries.set((prefix ? `${prefix}/${name}` : name).replace(/^\.\//, ''), buffer.subarray(start, start + size));
+        }
+        offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+    return entries;
+}
+
+function openTarGz(filePath) {
+    const entries = readEntries(zlib.gunzipSync(fs.readFileSync(filePath)));
+    return {
+        names: () => [...entries.keys()],
+        read: (name) => entries.get(name) || null
+    };
+}
+
+module.exports = { openTarGz };
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal .zip reader for the tool inputs (GTFS feeds). Reads the central
+// directory and inflates single entries on demand. Only stored and deflated
+// entries are supported: no encryption, ZIP64 or archives split over disks.
+//
+// const zip = openZip('feed.zip');
+// zip.names()              -> ['agency.txt', 'stops.txt', ...]
+// zip.read('stops.txt')    -> Buffer, or null if there is no such entry
+
+const END_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+
+function findEndRecord(buffer) {
+    const stop = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT);
+    for (let i = buffer.length - END_RECORD_SIZE; i >= stop; i--) {
+        if (buffer.readUInt32LE(i) === END_SIGNATURE) return i;
+    }
+    throw new Error('Not a zip archive (no end of central directory record)');
+}
+
+function readEntries(buffer) {
+    const end = findEndRecord(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Damaged zip archive (bad central directory)');
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.set(name, {
+            flags: buffer.readUInt16LE(offset + 8),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function openZip(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const entries = readEntries(buffer);
+
+    return {
+        names: () => [...entries.keys()].filter(name => !name.endsWith('/')),
+
+        read(name) {
+            const entry = entries.get(name);
+            if (!entry) return null;
+            if (entry.flags & FLAG_ENCRYPTED) throw new Error(`${name} is encrypted`);
+            if (entry.size === 0xffffffff || entry.compressedSize === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+            const local = entry.localOffset;
+            if (buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) throw new Error(`Damaged zip archive (bad local header for ${name})`);
+            // The local header has its own name and extra field lengths
+            const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+            const data = buffer.subarray(start, start + entry.compressedSize);
+
+            if (entry.method === METHOD_STORED) return data;
+            if (entry.method === METHOD_DEFLATED) return zlib.inflateRawSync(data);
+            throw new Error(`${name} uses unsupported compression method ${entry.method}`);
+        }
+    };
+}
+
+module.exports = { openZip };
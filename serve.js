@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { parseArgs } = require('./lib/cli');
+const { loadMapPack } = require('./lib/mappack');
+const { openArchive, zxyToTileId, decompress, COMPRESSION } = require('./lib/pmtiles');
+
+// Built-in map tile server: serves every <name>.pmtiles archive in a folder
+// without the external go-pmtiles binary.
+//
+//   /<name>/<z>/<x>/<y>.<ext>   a tile (204 if the archive has no such tile)
+//   /<name>.json                TileJSON for the archive
+//   /<name>.pmtiles             the raw archive, with HTTP Range support
+//   /tileserver.json, /health   which mod this server belongs to, its port and archives
+//
+// Usage: node serve.js [folder] [--port 8081] [--host 127.0.0.1] [--cors *]
+// The folder defaults to "mapPack.tilesDir" from manifest.json (scripts/).
+//
+// The port comes from "tileServer" in manifest.json. If it is taken, the next
+// free port within "portRange" is used. The chosen port is written to
+// <folder>/tileserver.json and served at /tileserver.json, where the mod
+// looks for it when it starts.
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_PORT_RANGE = 10;
+const DEFAULT_HOST = '127.0.0.1';
+const CACHE_MAX_AGE = 3600;
+const STATUS_FILE = 'tileserver.json';
+
+const TILE_PATH = /^\/([\w.-]+)\/(\d+)\/(\d+)\/(\d+)\.(\w+)$/;
+const TILEJSON_PATH = /^\/([\w.-]+)\.json$/;
+const ARCHIVE_PATH = /^\/([\w.-]+)\.pmtiles$/;
+
+// Opens archives on first use and reopens them when the file is replaced
+function createArchiveRegistry(dir) {
+    const archives = new Map();
+
+    return {
+        get(name) {
+            const filePath = path.join(dir, `${name}.pmtiles`);
+            let stat;
+            try {
+                stat = fs.statSync(filePath);
+            } catch (err) {
+                return null;
+            }
+
+            let archive = archives.get(name);
+            if (archive && archive.mtimeMs !== stat.mtimeMs) {
+                archive.close();
+                archive = null;
+            }
+            if (!archive) {
+                archive = openArchive(filePath);
+                archive.mtimeMs = stat.mtimeMs;
+                archives.set(name, archive);
+            }
+            return archive;
+        },
+
+        // Empty if the folder is gone (e.g. removed while the server runs)
+        list() {
+            let files;
+            try {
+                files = fs.readdirSync(dir);
+            } catch (err) {
+                return [];
+            }
+            return files
+                .filter(file => file.endsWith('.pmtiles'))
+                .map(file => file.slice(0, -'.pmtiles'.length));
+        },
+
+        closeAll() {
+            archives.forEach(archive => archive.close());
+            archives.clear();
+        }
+    };
+}
+
+function send(res, status, headers, body) {
+    res.writeHead(status, headers);
+    res.end(body);
+}
+
+function sendTile(req, res, archive, match, baseHeaders) {
+    const [, , zs, xs, ys] = match;
+    const z = Number(zs);
+    const x = Number(xs);
+    const y = Number(ys);
+
+    let tileId;
+    try {
+        tileId = zxyToTileId(z, x, y);
+    } catch (err) {
+        return send(res, 400, baseHeaders, err.message);
+    }
+
+    const etag = `"${archive.etag}-${tileId}"`;
+    const headers = Object.assign({}, baseHeaders, {
+        'ETag': etag,
+        'Cache-Control': `public, max-age=${CACHE_MAX_AGE}`
+    });
+    if (req.headers['if-none-match'] === etag) {
+        return send(res, 304, headers);
+    }
+
+    let tile = archive.getTile(z, x, y);
+    if (!tile) {
+        return send(res, 204, headers);
+    }
+
+    headers['Content-Type'] = archive.tileType.contentType;
+    const compression = archive.header.tileCompression;
+    const acceptsGzip = /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+
+    if (compression === COMPRESSION.GZIP && acceptsGzip) {
+        headers['Content-Encoding'] = 'gzip';
+    } else if (compression !== COMPRESSION.NONE && compression !== COMPRESSION.UNKNOWN) {
+        tile = decompress(tile, compression);
+    }
+    headers['Content-Length'] = tile.length;
+    send(res, 200, headers, req.method === 'HEAD' ? undefined : tile);
+}
+
+function sendTileJSON(req, res, archive, name, baseHeaders) {
+    const { header } = archive;
+    const host = req.headers.host || `${DEFAULT_HOST}:${DEFAULT_PORT}`;
+    const tileJSON = Object.assign({}, archive.getMetadata(), {
+        tilejson: '3.0.0',
+        scheme: 'xyz',
+        tiles: [`http://${host}/${name}/{z}/{x}/{y}.${archive.tileType.ext}`],
+        minzoom: header.minZoom,
+        maxzoom: header.maxZoom,
+        bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+        center: [header.centerLon, header.centerLat, header.centerZoom]
+    });
+    send(res, 200, Object.assign({}, baseHeaders, { 'Content-Type': 'application/json' }), JSON.stringify(tileJSON));
+}
+
+// Serves the archive file itself so clients can read it with range requests
+function sendArchive(req, res, archive, baseHeaders) {
+    const headers = Object.assign({}, baseHeaders, {
+        'Accept-Ranges': 'bytes',
+        'Content-Type': 'application/vnd.pmtiles',
+        'ETag': `"${archive.etag}"`,
+        'Cache-Control': `public, max-age=${CACHE_MAX_AGE}`
+    });
+
+    let start = 0;
+    let end = archive.size - 1;
+    let status = 200;
+
+    const range = req.headers.range;
+    if (range) {
+        const match = range.match(/^bytes=(\d*)-(\d*)$/);
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return send(res, 416, Object.assign(headers, { 'Content-Range': `bytes */${archive.size}` }));
+        }
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(0, archive.size - Number(match[2]));
+        } else {
+            start = Number(match[1]);
+            if (match[2] !== '') end = Math.min(end, Number(match[2]));
+        }
+        if (start > end || start >= archive.size) {
+            return send(res, 416, Object.assign(headers, { 'Content-Range': `bytes */${archive.size}` }));
+        }
+        status = 206;
+        headers['Content-Range'] = `bytes ${start}-${end}/${archive.size}`;
+    }
+
+    headers['Content-Length'] = end - start + 1;
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(archive.filePath, { start, end }).pipe(res);
+}
+
+// Returns an http.Server (not yet listening) serving the archives in dir.
+// status is the object served at /tileserver.json (the port is filled in on listen).
+function createTileServer({ dir, cors = '*', status = {} }) {
+    const registry = createArchiveRegistry(dir);
+
+    const server = http.createServer((req, res) => {
+        const baseHeaders = {};
+        if (cors) {
+            baseHeaders['Access-Control-Allow-Origin'] = cors;
+            baseHeaders['Access-Control-Expose-Headers'] = 'ETag, Content-Range';
+        }
+
+        if (req.method === 'OPTIONS') {
+            return send(res, 204, Object.assign(baseHeaders, {
+                'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+                'Access-Control-Allow-Headers': 'Range, If-None-Match'
+            }));
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return send(res, 405, baseHeaders);
+        }
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (err) {
+            // Malformed escapes like %E0%A4%A
+            return send(res, 400, baseHeaders, 'Bad request');
+        }
+        if (pathname === `/${STATUS_FILE}` || pathname === '/health') {
+            const body = Object.assign({ ok: true }, status, { port: server.address().port, archives: registry.list() });
+            return send(res, 200, Object.assign(baseHeaders, {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }), JSON.stringify(body));
+        }
+
+        const match = pathname.match(TILE_PATH) || pathname.match(TILEJSON_PATH) || pathname.match(ARCHIVE_PATH);
+        if (!match) {
+            return send(res, 404, baseHeaders, 'Not found');
+        }
+
+        try {
+            const archive = registry.get(match[1]);
+            if (!archive) {
+                return send(res, 404, baseHeaders, `No archive named ${match[1]}`);
+            }
+
+            if (TILE_PATH.test(pathname)) sendTile(req, res, archive, match, baseHeaders);
+            else if (TILEJSON_PATH.test(pathname)) sendTileJSON(req, res, archive, match[1], baseHeaders);
+            else sendArchive(req, res, archive, baseHeaders);
+        } catch (err) {
+            console.error(`Error serving ${pathname}: ${err.message}`);
+            send(res, 500, baseHeaders, err.message);
+        }
+    });
+
+    server.on('close', () => registry.closeAll());
+    server.archives = registry;
+    return server;
+}
+
+// Listens on the first free port in [port, port + range). Resolves with the port.
+function listenOnFreePort(server, port, range, host) {
+    return new Promise((resolve, reject) => {
+        let candidate = port;
+        const tryListen = () => {
+            const onError = (err) => {
+                if (err.code === 'EADDRINUSE' && candidate < port + range - 1) {
+                    console.warn(`Port ${candidate} is in use, trying ${candidate + 1}...`);
+                    candidate++;
+                    tryListen();
+                } else {
+                    reject(err);
+                }
+            };
+            server.once('error', onError);
+            server.listen(candidate, host, () => {
+                server.removeListener('error', onError);
+                resolve(candidate);
+            });
+        };
+        tryListen();
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2), ['port', 'host', 'cors']);
+    const mapPack = loadMapPack(__dirname);
+    const manifest = mapPack.manifest;
+    const dir = path.resolve(options._[0] || path.join(__dirname, mapPack.tilesDir));
+    const config = manifest.tileServer || {};
+    const port = Number(options.port || config.port || DEFAULT_PORT);
+    const range = Number(config.portRange || DEFAULT_PORT_RANGE);
+    const host = options.host || DEFAULT_HOST;
+    const cors = options.cors === undefined ? '*' : options.cors;
+
+    if (!fs.existsSync(dir)) {
+        console.error(`Error: Folder not found: ${dir}`);
+        process.exit(1);
+    }
+
+    const status = { id: manifest.id, pid: process.pid, startedAt: new Date().toISOString() };
+    const server = createTileServer({ dir, cors, status });
+
+    let actualPort;
+    try {
+        actualPort = await listenOnFreePort(server, port, range, host);
+    } catch (err) {
+        console.error(`Error: Could not start the map server: ${err.message}`);
+        process.exit(1);
+    }
+
+    const statusPath = path.join(dir, STATUS_FILE);
+    fs.writeFileSync(statusPath, JSON.stringify(Object.assign({}, status, { port: actualPort }), null, 4) + '\n');
+    const removeStatus = () => {
+        try { fs.unlinkSync(statusPath); } catch (e) {}
+    };
+    process.on('exit', removeStatus);
+    process.on('SIGINT', () => process.exit(0));
+    process.on('SIGTERM', () => process.exit(0));
+
+    console.log(`Map server running on http://${host}:${actualPort}`);
+    const names = server.archives.list();
+    if (names.length === 0) {
+        console.warn(`Warning: No .pmtiles archives found in ${dir}`);
+    }
+    names.forEach(name => console.log(`  http://${host}:${actualPort}/${name}/{z}/{x}/{y}`));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createTileServer };
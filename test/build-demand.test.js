@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildDemand } = require('../tools/build-demand');
+const { DEMAND_DEFAULTS } = require('../lib/demand');
+
+// tools/build-demand.js on three zones a few km apart
+
+const POINTS = [
+    { id: 'p_a', location: [12.50, 55.70], residents: 480, jobs: 20 },
+    { id: 'p_b', location: [12.56, 55.68], residents: 130, jobs: 300 },
+    { id: 'p_c', location: [12.60, 55.72], residents: 0, jobs: 150 }
+];
+
+const PARAMS = Object.assign({}, DEMAND_DEFAULTS, { popSize: 10 });
+
+const copyPoints = () => POINTS.map(p => Object.assign({}, p));
+
+test('buildDemand gives the same demand for the same seed', () => {
+    const first = buildDemand(copyPoints(), PARAMS);
+    const second = buildDemand(copyPoints(), PARAMS);
+    assert.deepStrictEqual(second, first);
+
+    const reseeded = buildDemand(copyPoints(), Object.assign({}, PARAMS, { seed: 2 }));
+    assert.notDeepStrictEqual(reseeded.pops.map(pop => pop.jobId), first.pops.map(pop => pop.jobId));
+});
+
+test('buildDemand splits every zone into pops of at most --pop-size', () => {
+    const demand = buildDemand(copyPoints(), PARAMS);
+
+    assert.strictEqual(demand.pops.length, 48 + 13);
+    assert.ok(demand.pops.every(pop => pop.size <= PARAMS.popSize));
+    assert.strictEqual(demand.pops.filter(pop => pop.residenceId === 'p_a').reduce((sum, pop) => sum + pop.size, 0), 480);
+    assert.strictEqual(demand.pops[0].id, 'pop_000000');
+    assert.ok(demand.pops.every(pop => pop.drivingSeconds > 0 || pop.residenceId === pop.jobId));
+
+    // Every pop is listed at its residence and its workplace
+    const listed = new Map(demand.points.map(p => [p.id, new Set(p.popIds)]));
+    for (const pop of demand.pops) {
+        assert.ok(listed.get(pop.residenceId).has(pop.id));
+        assert.ok(listed.get(pop.jobId).has(pop.id));
+    }
+});
+
+test('buildDemand keeps the other zones when one zone changes', () => {
+    const before = buildDemand(copyPoints(), PARAMS);
+    const points = copyPoints();
+    points[1].residents = 70;
+    const after = buildDemand(points, PARAMS);
+
+    const popsOf = (demand, id) => demand.pops.filter(pop => pop.residenceId === id).map(pop => pop.jobId);
+    assert.deepStrictEqual(popsOf(after, 'p_a'), popsOf(before, 'p_a'));
+    assert.strictEqual(popsOf(after, 'p_b').length, 7);
+});
+
+test('buildDemand fails without jobs', () => {
+    const points = copyPoints().map(p => Object.assign(p, { jobs: 0 }));
+    assert.throws(() => buildDemand(points, PARAMS), /None of the points have jobs/);
+});
@@ -0,0 +1,148 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRoadGraph, routePops } = require('../tools/build-driving-times');
+const { DEFAULT_SPEEDS, buildRoadGraph, writeRoadGraph, readRoadGraph, createRouter } = require('../lib/roadgraph');
+const { createProjection } = require('../lib/demand');
+const { writeGzipJson } = require('../lib/datapack');
+
+// tools/build-driving-times.js and lib/roadgraph.js on a few roads at the equator:
+// A to C straight along a residential road, or faster over the motorway via D,
+// with a service road from D to the dead end E and a separate road F-G.
+
+const A = [0, 0];
+const C = [0.02, 0];
+const D = [0.01, 0.005];
+const E = [0.01, 0.01];
+const F = [0.05, 0];
+const G = [0.06, 0];
+
+const road = (roadType, coordinates) => ({
+    type: 'Feature',
+    properties: { roadType },
+    geometry: { type: 'LineString', coordinates }
+});
+
+const ROADS = {
+    type: 'FeatureCollection',
+    features: [
+        road('residential', [A, [0.01, 0], C]),
+        road('motorway', [A, D, C]),
+        road('service', [D, E]),
+        road('residential', [F, G])
+    ]
+};
+
+// Meters along a straight line, in the graph's projection
+const project = createProjection(0);
+const meters = (a, b) => Math.hypot(project(b)[0] - project(a)[0], project(b)[1] - project(a)[1]);
+const seconds = (m, kmh) => m / (kmh / 3.6);
+
+const MOTORWAY_A_TO_D = seconds(meters(A, D), DEFAULT_SPEEDS.motorway);
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cph-driving-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function nodeAt(graph, [lon, lat]) {
+    for (let i = 0; i < graph.nodeCount; i++) {
+        if (graph.lon[i] === lon && graph.lat[i] === lat) return i;
+    }
+    return -1;
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('buildRoadGraph only makes nodes of junctions and road ends', () => {
+    const graph = buildRoadGraph(ROADS);
+
+    assert.strictEqual(graph.nodeCount, 6);
+    assert.strictEqual(graph.edgeCount, 10);
+    assert.strictEqual(nodeAt(graph, [0.01, 0]), -1);
+    assert.ok([A, C, D, E, F, G].every(point => nodeAt(graph, point) !== -1));
+});
+
+test('the router finds the fastest route, not the shortest', () => {
+    const graph = buildRoadGraph(ROADS);
+    const route = createRouter(graph);
+    const [a, c, e, g] = [A, C, E, G].map(point => nodeAt(graph, point));
+
+    const routes = route(a, new Set([c, e, g]));
+    assert.ok(Math.abs(routes.get(c).seconds - 2 * MOTORWAY_A_TO_D) < 1e-6);
+    assert.ok(Math.abs(routes.get(c).meters - 2 * meters(A, D)) < 1e-6);
+    assert.ok(routes.get(c).seconds < seconds(meters(A, C), DEFAULT_SPEEDS.residential));
+    assert.ok(Math.abs(routes.get(e).seconds - (MOTORWAY_A_TO_D + seconds(meters(D, E), DEFAULT_SPEEDS.service))) < 1e-6);
+    assert.strictEqual(routes.has(g), false);
+
+    // The router is reused between searches
+    const back = route(c, new Set([a]));
+    assert.ok(Math.abs(back.get(a).seconds - 2 * MOTORWAY_A_TO_D) < 1e-6);
+});
+
+test('the road graph cache reads back the same graph', () => {
+    const dir = tempDir();
+    const graph = buildRoadGraph(ROADS);
+    const file = path.join(dir, 'graph.bin');
+    writeRoadGraph(file, graph, 'key-1');
+
+    assert.deepStrictEqual(readRoadGraph(file, 'key-1'), graph);
+    assert.strictEqual(readRoadGraph(file, 'key-2'), null, 'a cache for other roads is ignored');
+    assert.strictEqual(readRoadGraph(path.join(dir, 'missing.bin'), 'key-1'), null);
+
+    fs.writeFileSync(file, fs.readFileSync(file).subarray(0, 100));
+    assert.strictEqual(readRoadGraph(file, 'key-1'), null, 'a damaged cache is ignored');
+});
+
+test('loadRoadGraph builds the graph once and then reads the cache', () => {
+    const dir = tempDir();
+    const roadsPath = path.join(dir, 'roads.geojson.gz');
+    const cachePath = path.join(dir, 'graph.bin');
+    writeGzipJson(roadsPath, ROADS);
+
+    const built = loadRoadGraph(roadsPath, DEFAULT_SPEEDS, cachePath);
+    assert.ok(fs.existsSync(cachePath));
+    const cached = loadRoadGraph(roadsPath, DEFAULT_SPEEDS, cachePath);
+    assert.deepStrictEqual(cached.graph, built.graph);
+    assert.strictEqual(cached.roadsSha, built.roadsSha);
+    assert.match(console.log.mock.calls.at(-1).arguments[0], /cached in/);
+
+    const slower = loadRoadGraph(roadsPath, Object.assign({}, DEFAULT_SPEEDS, { motorway: 50 }), cachePath);
+    assert.notDeepStrictEqual(slower.graph.seconds, built.graph.seconds, 'other speeds rebuild the graph');
+});
+
+test('routePops sets the driving time of every pop it can route', () => {
+    const demand = {
+        points: [
+            { id: 'a', location: A },
+            { id: 'c', location: C },
+            { id: 'g', location: G },
+            { id: 'far', location: [0.5, 0.5] }
+        ],
+        pops: [
+            { id: 'pop_1', residenceId: 'a', jobId: 'c' },
+            { id: 'pop_2', residenceId: 'c', jobId: 'g' },
+            { id: 'pop_3', residenceId: 'a', jobId: 'far' },
+            { id: 'pop_4', residenceId: 'a', jobId: 'a' }
+        ]
+    };
+    const results = routePops(demand, buildRoadGraph(ROADS), 1000);
+
+    assert.strictEqual(results.get('pop_1').drivingSeconds, Math.round(2 * MOTORWAY_A_TO_D * 100) / 100);
+    assert.strictEqual(results.get('pop_1').drivingDistance, Math.round(2 * meters(A, D) * 10) / 10);
+    assert.deepStrictEqual(results.get('pop_2'), { skipped: 'not_connected' });
+    assert.deepStrictEqual(results.get('pop_3'), { skipped: 'no_road_nearby', point: 'far' });
+    assert.deepStrictEqual(results.get('pop_4'), { skipped: 'same_point' });
+});
@@ -0,0 +1,84 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tilesInBbox, openSource, buildFoundation } = require('../tools/build-foundation');
+const { openArchive, zxyToTileId } = require('../lib/pmtiles');
+
+// tools/build-foundation.js on small folders of z/x/y.png tiles
+
+const BBOX = [12.5, 55.6, 12.6, 55.7];
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cph-foundation-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function writeTiles(dir, tiles) {
+    for (const { z, x, y } of tiles) {
+        fs.mkdirSync(path.join(dir, String(z), String(x)), { recursive: true });
+        fs.writeFileSync(path.join(dir, String(z), String(x), `${y}.png`), `tile ${z}/${x}/${y}`);
+    }
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('tilesInBbox lists the tiles touching the bbox in tile ID order', () => {
+    const tiles = tilesInBbox(BBOX, 8, 10);
+    assert.deepStrictEqual(tiles.filter(tile => tile.z === 8).map(({ x, y }) => [x, y]), [[136, 80]]);
+    assert.ok(tiles.every(({ z, x, y, id }) => id === zxyToTileId(z, x, y)));
+    assert.deepStrictEqual(tiles.map(tile => tile.id), tiles.map(tile => tile.id).sort((a, b) => a - b));
+});
+
+test('openSource reads a tile folder', () => {
+    const dir = tempDir();
+    writeTiles(dir, [{ z: 8, x: 136, y: 80 }]);
+    const source = openSource(dir);
+
+    assert.strictEqual(source.tileType, 2);
+    assert.strictEqual(String(source.getTile(8, 136, 80)), 'tile 8/136/80');
+    assert.strictEqual(source.getTile(8, 136, 81), null);
+});
+
+test('buildFoundation writes the tiles inside the bbox', () => {
+    const dir = tempDir();
+    const inside = tilesInBbox(BBOX, 8, 9);
+    writeTiles(dir, inside.concat([{ z: 8, x: 0, y: 0 }]));
+    const out = path.join(tempDir(), 'scripts', 'foundation.pmtiles');
+
+    const result = buildFoundation(dir, { bbox: BBOX, minZoom: 8, maxZoom: 9, out });
+
+    assert.strictEqual(result.found, inside.length);
+    assert.strictEqual(result.total, inside.length);
+    const archive = openArchive(out);
+    try {
+        assert.strictEqual(archive.getMetadata().name, 'foundation');
+        for (const { z, x, y } of inside) assert.strictEqual(String(archive.getTile(z, x, y)), `tile ${z}/${x}/${y}`);
+        assert.strictEqual(archive.getTile(8, 0, 0), null, 'outside the bbox');
+    } finally {
+        archive.close();
+    }
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(out)), ['foundation.pmtiles']);
+});
+
+test('buildFoundation leaves no files behind without tiles in the bbox', () => {
+    const dir = tempDir();
+    writeTiles(dir, [{ z: 8, x: 0, y: 0 }]);
+    const outDir = tempDir();
+
+    const result = buildFoundation(dir, { bbox: BBOX, minZoom: 8, maxZoom: 9, out: path.join(outDir, 'foundation.pmtiles') });
+
+    assert.strictEqual(result.found, 0);
+    assert.deepStrictEqual(fs.readdirSync(outDir), []);
+});
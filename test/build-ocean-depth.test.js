@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRaster, addSamples, cleanRaster, buildIndex } = require('../tools/build-ocean-depth');
+
+// tools/build-ocean-depth.js on a 10 x 10 cell raster: 5 m deep water with a
+// spike, a deep corner and an island cell
+
+const BBOX = [12, 55, 12.01, 55.01];
+const CELLS_PER_DEGREE = 1000;
+const PARAMS = { minDepth: -100, outlierThreshold: 15 };
+
+function sampleRaster() {
+    const raster = createRaster(BBOX, CELLS_PER_DEGREE);
+    addSamples(raster, onSample => {
+        for (let y = 0; y < 10; y++) {
+            for (let x = 0; x < 10; x++) {
+                let depth = -5;
+                if (x === 4 && y === 4) depth = -80;
+                if (x === 0 && y === 0) depth = -250;
+                if (x === 7 && y === 2) depth = 3;
+                onSample(BBOX[0] + (x + 0.5) / CELLS_PER_DEGREE, BBOX[1] + (y + 0.5) / CELLS_PER_DEGREE, depth);
+            }
+        }
+    });
+    return raster;
+}
+
+test('addSamples averages the samples in each cell', () => {
+    const raster = createRaster(BBOX, CELLS_PER_DEGREE);
+    const cells = addSamples(raster, onSample => {
+        onSample(12.0001, 55.0001, -4);
+        onSample(12.0009, 55.0009, -6);
+        onSample(13, 55, -1);
+    });
+    assert.strictEqual(cells, 1);
+    assert.deepStrictEqual([raster.width, raster.height], [10, 10]);
+    assert.strictEqual(raster.values[0], -5);
+    assert.ok(Number.isNaN(raster.values[1]));
+});
+
+test('cleanRaster replaces spikes, clamps deep cells and drops land', () => {
+    const raster = sampleRaster();
+    const counts = cleanRaster(raster, PARAMS);
+
+    assert.deepStrictEqual(counts, { interpolated: 1, clamped: 1, land: 1 });
+    assert.strictEqual(raster.values[4 * 10 + 4], -5);
+    assert.strictEqual(raster.values[0], -100);
+    assert.ok(Number.isNaN(raster.values[2 * 10 + 7]));
+});
+
+test('cleanRaster keeps every depth above a --min-depth of 0', () => {
+    const raster = sampleRaster();
+    cleanRaster(raster, { minDepth: 0, outlierThreshold: 15 });
+    assert.ok(raster.values.every(value => value === 0 || Number.isNaN(value)));
+});
+
+test('buildIndex gives the same index for the same input', () => {
+    const build = () => {
+        const raster = sampleRaster();
+        cleanRaster(raster, PARAMS);
+        return buildIndex(raster, BBOX, 0.0027);
+    };
+    const index = build();
+
+    assert.deepStrictEqual(build(), index);
+    assert.deepStrictEqual(index.stats, { count: 2, minDepth: -100, maxDepth: -5 });
+    assert.deepStrictEqual(index.depths.map(d => d.d).sort((a, b) => a - b), [-100, -5]);
+    assert.deepStrictEqual(index.bbox, BBOX);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { filterDemand } = require('../tools/build-presets');
+
+// Two points inside [0, 0, 1, 1], one outside. pop_c commutes out of the bounds.
+const DEMAND = {
+    points: [
+        { id: 'a', location: [0.2, 0.2], residents: 100, jobs: 5, popIds: ['pop_a', 'pop_b', 'pop_c'] },
+        { id: 'b', location: [0.8, 0.8], residents: 3, jobs: 200, popIds: ['pop_a', 'pop_b'] },
+        { id: 'c', location: [2, 2], residents: 0, jobs: 80, popIds: ['pop_c'] }
+    ],
+    pops: [
+        { id: 'pop_a', size: 10, residenceId: 'a', jobId: 'b' },
+        { id: 'pop_b', size: 4, residenceId: 'a', jobId: 'b' },
+        { id: 'pop_c', size: 30, residenceId: 'a', jobId: 'c' }
+    ]
+};
+
+test('filterDemand recounts residents and jobs from the pops it keeps', () => {
+    const { demand, residents } = filterDemand(DEMAND, [0, 0, 1, 1]);
+
+    assert.deepStrictEqual(demand.pops.map(pop => pop.id), ['pop_a', 'pop_b']);
+    assert.deepStrictEqual(demand.points, [
+        { id: 'a', location: [0.2, 0.2], residents: 14, jobs: 0, popIds: ['pop_a', 'pop_b'] },
+        { id: 'b', location: [0.8, 0.8], residents: 0, jobs: 14, popIds: ['pop_a', 'pop_b'] }
+    ]);
+    assert.strictEqual(residents, 14);
+    assert.strictEqual(DEMAND.points[0].residents, 100, 'the full demand is left alone');
+});
+
+test('filterDemand drops points without pops inside the bounds', () => {
+    const { demand, residents } = filterDemand(DEMAND, [1.5, 1.5, 3, 3]);
+    assert.deepStrictEqual(demand, { points: [], pops: [] });
+    assert.strictEqual(residents, 0);
+});
@@ -0,0 +1,167 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { routePops, buildReport } = require('../tools/build-transit');
+const { openFeed, activeServices, defaultServiceDate, loadTimetable, parseTime, createTransitRouter } = require('../lib/gtfs');
+const { openZip } = require('../lib/zip');
+const { makeZip } = require('./helpers/archives');
+
+// tools/build-transit.js, lib/gtfs.js and lib/zip.js on a tiny GTFS feed: a rail
+// line S1-S2-S3 (about 3 km between stops), a shuttle S2-S3 to change to, and
+// a fast Saturday-only train. 20261020 is a Tuesday.
+
+const BBOX = [12.4, 55.5, 12.7, 55.7];
+const TUESDAY = '20261020';
+const SATURDAY = '20261024';
+
+const csv = rows => rows.map(row => row.join(',')).join('\n') + '\n';
+
+const FEED = {
+    'stops.txt': csv([
+        ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station'],
+        ['S1', 'First', '55.6', '12.5', '0', ''],
+        ['S2', 'Second', '55.6', '12.55', '0', ''],
+        ['S3', 'Third', '55.6', '12.6', '0', ''],
+        ['FAR', 'Far away', '56.5', '10.0', '0', '']
+    ]),
+    'routes.txt': csv([
+        ['route_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color'],
+        ['R1', 'A', 'Line A', '109', 'C8102E'],
+        ['R2', '1', 'Shuttle', '3', '']
+    ]),
+    'trips.txt': csv([
+        ['route_id', 'service_id', 'trip_id'],
+        ['R1', 'WK', 'T1'],
+        ['R1', 'WK', 'T2'],
+        ['R1', 'SAT', 'T3'],
+        ['R2', 'WK', 'T4'],
+        ['R2', 'WK', 'T5']
+    ]),
+    'stop_times.txt': csv([
+        ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+        ['T1', '07:05:00', '07:05:00', 'S1', '1'],
+        ['T1', '07:15:00', '07:15:00', 'S2', '2'],
+        ['T1', '07:25:00', '07:25:00', 'S3', '3'],
+        ['T2', '07:20:00', '07:20:00', 'S1', '1'],
+        ['T2', '07:40:00', '07:40:00', 'S3', '2'],
+        ['T3', '07:01:00', '07:01:00', 'S1', '1'],
+        ['T3', '07:10:00', '07:10:00', 'S3', '2'],
+        // Leaves too soon after T1 arrives to change to it
+        ['T4', '07:16:00', '07:16:00', 'S2', '1'],
+        ['T4', '07:19:00', '07:19:00', 'S3', '2'],
+        ['T5', '07:18:00', '07:18:00', 'S2', '1'],
+        ['T5', '07:22:00', '07:22:00', 'S3', '2']
+    ]),
+    'calendar.txt': csv([
+        ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+        ['WK', '1', '1', '1', '1', '1', '0', '0', '20261001', '20261231'],
+        ['SAT', '0', '0', '0', '0', '0', '1', '0', '20261001', '20261231']
+    ]),
+    'calendar_dates.txt': csv([
+        ['service_id', 'date', 'exception_type'],
+        ['WK', '20261021', '2'],
+        ['SAT', '20261021', '1']
+    ])
+};
+
+const tempDirs = [];
+
+// The feed zipped with its folder, as some publishers do
+function writeFeed(files = FEED) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cph-transit-test-'));
+    tempDirs.push(dir);
+    const entries = {};
+    for (const [name, content] of Object.entries(files)) entries[`gtfs/${name}`] = content;
+    const zipPath = path.join(dir, 'feed.zip');
+    fs.writeFileSync(zipPath, makeZip(entries));
+    return zipPath;
+}
+
+const stopIndex = (timetable, id) => timetable.stops.findIndex(stop => stop.id === id);
+
+function earliestArrival(date, from, to, depart) {
+    const timetable = loadTimetable(openFeed(writeFeed()), { date, bbox: BBOX });
+    const route = createTransitRouter(timetable, { changeSeconds: 120, footpaths: timetable.stops.map(() => []) });
+    const arrived = route([{ stop: stopIndex(timetable, from), seconds: 0 }], parseTime(depart), parseTime(depart) + 7200);
+    return arrived[stopIndex(timetable, to)];
+}
+
+after(() => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('openZip lists and reads the stored entries', () => {
+    const zip = openZip(writeFeed());
+    assert.deepStrictEqual(zip.names(), Object.keys(FEED).map(name => `gtfs/${name}`));
+    assert.strictEqual(zip.read('gtfs/routes.txt').toString('utf8'), FEED['routes.txt']);
+});
+
+test('openFeed finds the files inside the folder and checks the feed', () => {
+    const feed = openFeed(writeFeed());
+    assert.ok(feed.has('stops.txt'));
+    assert.deepStrictEqual(feed.records('routes.txt').map(route => route.route_id), ['R1', 'R2']);
+
+    const incomplete = Object.assign({}, FEED);
+    delete incomplete['stop_times.txt'];
+    assert.throws(() => loadTimetable(openFeed(writeFeed(incomplete)), { date: TUESDAY, bbox: BBOX }), /missing stop_times\.txt/);
+});
+
+test('activeServices applies calendar.txt and the exceptions in calendar_dates.txt', () => {
+    const feed = openFeed(writeFeed());
+    assert.deepStrictEqual([...activeServices(feed, TUESDAY)], ['WK']);
+    assert.deepStrictEqual([...activeServices(feed, SATURDAY)], ['SAT']);
+    assert.deepStrictEqual([...activeServices(feed, '20261021')], ['SAT'], 'Wednesday 21 runs the Saturday service');
+    assert.deepStrictEqual([...activeServices(feed, '20270105')], []);
+});
+
+test('defaultServiceDate picks the next Tuesday with service', () => {
+    const feed = openFeed(writeFeed());
+    assert.strictEqual(defaultServiceDate(feed, new Date(2026, 9, 19)), TUESDAY);
+    assert.strictEqual(defaultServiceDate(feed, new Date(2025, 0, 1)), '20261006', 'from the start of the feed');
+});
+
+test('loadTimetable keeps the trips of the service day within the bbox', () => {
+    const timetable = loadTimetable(openFeed(writeFeed()), { date: TUESDAY, bbox: BBOX });
+    assert.deepStrictEqual(timetable.stops.map(stop => stop.id), ['S1', 'S2', 'S3']);
+    assert.deepStrictEqual(timetable.trips.map(trip => trip.id), ['T1', 'T2', 'T4', 'T5']);
+    assert.deepStrictEqual(timetable.routes.map(route => [route.mode, route.color]), [['rail', '#c8102e'], ['bus', null]]);
+    assert.strictEqual(timetable.connections.count, 5);
+    const depTimes = [...timetable.connections.depTime];
+    assert.deepStrictEqual(depTimes, depTimes.slice().sort((a, b) => a - b));
+});
+
+test('the connection scan finds the earliest arrival, with time to change', () => {
+    // T1 to S2 at 07:15, T4 leaves at 07:16 (too soon), T5 at 07:18 arrives 07:22
+    assert.strictEqual(earliestArrival(TUESDAY, 'S1', 'S3', '07:00:00'), parseTime('07:22:00'));
+    assert.strictEqual(earliestArrival(TUESDAY, 'S1', 'S3', '07:10:00'), parseTime('07:40:00'));
+    assert.strictEqual(earliestArrival(TUESDAY, 'S1', 'S3', '07:30:00'), Infinity);
+    assert.strictEqual(earliestArrival(SATURDAY, 'S1', 'S3', '07:00:00'), parseTime('07:10:00'));
+});
+
+test('routePops averages the travel time over the departures', () => {
+    const timetable = loadTimetable(openFeed(writeFeed()), { date: TUESDAY, bbox: BBOX });
+    const demand = {
+        points: [
+            { id: 'home', location: [12.5, 55.6] },
+            { id: 'work', location: [12.6, 55.6] },
+            { id: 'lake', location: [12.5, 55.65] }
+        ],
+        pops: [
+            { id: 'pop_1', residenceId: 'home', jobId: 'work', drivingSeconds: 600 },
+            { id: 'pop_2', residenceId: 'home', jobId: 'lake', drivingSeconds: 600 },
+            { id: 'pop_3', residenceId: 'home', jobId: 'gone', drivingSeconds: 600 }
+        ]
+    };
+    const params = { depart: '07:00', window: 30, step: 15, maxWalk: 1000, maxMinutes: 120 };
+    const results = routePops(demand, timetable, params);
+
+    // Leaving 07:00: 07:22 (22 min); leaving 07:15: T2 at 07:20 arrives 07:40 (25 min)
+    assert.deepStrictEqual(results.get('pop_1'), { transitSeconds: (22 + 25) * 60 / 2, walking: false });
+    assert.deepStrictEqual(results.get('pop_2'), { skipped: 'no_stop_nearby', point: 'lake' });
+    assert.deepStrictEqual(results.get('pop_3'), { skipped: 'unknown_point' });
+
+    const report = buildReport(demand, results);
+    assert.deepStrictEqual(report.totals, { pops: 3, reached: 1, walking: 0, fasterThanDriving: 0, skipped: 2 });
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, numberOption } = require('../lib/cli');
+
+test('numberOption keeps 0 and falls back only when the option is missing', () => {
+    const options = parseArgs(['--min-depth', '0', '--seed', '-3', '--verbose'], ['min-depth', 'seed']);
+
+    assert.strictEqual(numberOption(options, 'min-depth', -100), 0);
+    assert.strictEqual(numberOption(options, 'seed', 42), -3);
+    assert.strictEqual(numberOption(options, 'cell-size', 0.0027), 0.0027);
+});
+
+test('numberOption rejects values that are not numbers', () => {
+    const options = parseArgs(['--min-depth', 'deep', '--seed'], ['min-depth']);
+
+    assert.throws(() => numberOption(options, 'min-depth', -100), /--min-depth needs a number, got 'deep'/);
+    assert.throws(() => numberOption(options, 'seed', 42), /--seed needs a number/);
+});
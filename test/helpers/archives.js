@@ -0,0 +1,83 @@
+const zlib = require('zlib');
+
+// Small archives for the tests, written in memory: a stored (uncompressed) .zip
+// like a GTFS feed or a Windows/macOS go-pmtiles release, and a .tar.gz like the
+// Linux release. Just enough of each format for lib/zip.js, lib/tar.js and tar(1).
+//
+// makeZip({ 'stops.txt': 'stop_id,...' })  -> Buffer
+// makeTarGz({ pmtiles: binary })           -> Buffer
+
+const BLOCK_SIZE = 512;
+
+function makeZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const nameBuffer = Buffer.from(name);
+        const data = Buffer.from(content);
+        const crc = zlib.crc32 ? zlib.crc32(data) : 0;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function tarHeader(name, size) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0);
+    header.write('0000755\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+function makeTarGz(files) {
+    const blocks = [];
+    for (const [name, content] of Object.entries(files)) {
+        const data = Buffer.from(content);
+        const body = Buffer.alloc(Math.ceil(data.length / BLOCK_SIZE) * BLOCK_SIZE);
+        data.copy(body);
+        blocks.push(tarHeader(name, data.length), body);
+    }
+    blocks.push(Buffer.alloc(2 * BLOCK_SIZE));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = { makeZip, makeTarGz };
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Runs index.js under Node the way the game loads it: a fake window with
+// SubwayBuilderAPI, a document, fetch from the mod folder, and timers that only
+// fire when the test advances the clock. No game, no browser, no network.
+//
+// const game = loadMod({ api: createFakeApi() });
+// await game.run('initMod()');
+// game.api.loadCity('CPH'); await game.settle();
+
+const MOD_DIR = path.join(__dirname, '..', '..');
+const MOD_URL = 'file:///mods/cph/';
+const MOD_ID = 'com.mhmoeller.CPH';
+
+// Timers ordered by due time; advance() runs the ones that fall due
+function createClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+
+    const add = (fn, ms, repeat, args) => {
+        const id = nextId++;
+        timers.set(id, { fn, args, due: now + Math.max(0, ms || 0), repeat: repeat ? Math.max(1, ms || 0) : 0 });
+        return id;
+    };
+    const clear = (id) => { timers.delete(id); };
+
+    return {
+        setTimeout: (fn, ms, ...args) => add(fn, ms, false, args),
+        setInterval: (fn, ms, ...args) => add(fn, ms, true, args),
+        clearTimeout: clear,
+        clearInterval: clear,
+        pending: () => timers.size,
+
+        async advance(ms, settle) {
+            const end = now + ms;
+            for (;;) {
+                let next = null;
+                for (const [id, timer] of timers) {
+                    if (timer.due <= end && (!next || timer.due < next[1].due)) next = [id, timer];
+                }
+                if (!next) break;
+                const [id, timer] = next;
+                now = timer.due;
+                if (timer.repeat) timer.due += timer.repeat;
+                else timers.delete(id);
+                timer.fn(...timer.args);
+                await settle();
+            }
+            now = end;
+        }
+    };
+}
+
+// A MapLibre map that keeps its sources, layers and event handlers
+function createFakeMap() {
+    const handlers = {};
+    const map = {
+        sources: {},
+        layers: {},
+        styleLoaded: true,
+        handlers,
+        getSource: (id) => map.sources[id],
+        addSource: (id, source) => { map.sources[id] = source; },
+        getLayer: (id) => map.layers[id],
+        addLayer: (layer) => { map.layers[layer.id] = Object.assign({ layout: {} }, layer); },
+        setLayoutProperty: (id, name, value) => { map.layers[id].layout = Object.assign({}, map.layers[id].layout, { [name]: value }); },
+        isStyleLoaded: () => map.styleLoaded,
+        on: (event, handler) => { (handlers[event] = handlers[event] || []).push(handler); },
+        off: (event, handler) => { handlers[event] = (handlers[event] || []).filter(h => h !== handler); },
+        fire: (event, data) => (handlers[event] || []).forEach(h => h(data)),
+        // What a style change does: the mod's sources and layers are gone
+        resetStyle() {
+            map.sources = {};
+            map.layers = {};
+            map.fire('styledata');
+        }
+    };
+    return map;
+}
+
+// window.SubwayBuilderAPI with every capability the mod uses. Every call is
+// recorded in api.calls as [name, ...args]. loadCity() runs the onCityLoad hooks.
+function createFakeApi(options = {}) {
+    const calls = [];
+    const cityHooks = [];
+    const map = options.map || createFakeMap();
+    const record = (name) => (...args) => { calls.push([name, ...args]); };
+
+    const api = {
+        version: options.version === undefined ? '0.12.0' : options.version,
+        calls,
+        cityHooks,
+        fakeMap: map,
+        registerCity: record('registerCity'),
+        map: {
+            setTileURLOverride: record('setTileURLOverride'),
+            setDefaultLayerVisibility: record('setDefaultLayerVisibility'),
+            getMap: () => map
+        },
+        hooks: {
+            onCityLoad: (handler) => { calls.push(['hooks.onCityLoad']); cityHooks.push(handler); }
+        },
+        ui: {
+            showNotification: record('showNotification')
+        },
+        loadCity: (code) => cityHooks.forEach(handler => handler(code)),
+        // The arguments as plain JSON values, so they compare with objects made outside the mod
+        callsTo: (name) => calls.filter(call => call[0] === name).map(call => JSON.parse(JSON.stringify(call.slice(1))))
+    };
+    (options.without || []).forEach(name => {
+        const keys = name.split('.');
+        const last = keys.pop();
+        delete keys.reduce((obj, key) => obj[key], api)[last];
+    });
+    return api;
+}
+
+function createElement(document) {
+    const element = {
+        style: {},
+        children: [],
+        appendChild: (child) => { element.children.push(child); return child; },
+        addEventListener() {},
+        removeEventListener() {},
+        remove: () => { document.body.children = document.body.children.filter(el => el !== element); }
+    };
+    return element;
+}
+
+function createFakeDocument() {
+    const listeners = {};
+    const document = {
+        currentScript: { src: MOD_URL + 'index.js' },
+        listeners,
+        body: null,
+        createElement: () => createElement(document),
+        getElementById: (id) => document.body.children.find(el => el.id === id) || null,
+        addEventListener: (event, handler) => { (listeners[event] = listeners[event] || []).push(handler); },
+        removeEventListener: (event, handler) => { listeners[event] = (listeners[event] || []).filter(h => h !== handler); },
+        dispatch: (event, data) => (listeners[event] || []).forEach(h => h(data))
+    };
+    document.body = createElement(document);
+    return document;
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); }
+    };
+}
+
+// fetch for the mod folder (options.files first, then modDir) and the tile
+// server, if one is configured ({ port, archives, id, tileJSON: { <archive>: TileJSON } },
+// id defaults to MOD_ID). Anything else is offline.
+function createFetch(options, requests) {
+    const tileServerUrl = options.tileServer ? `http://127.0.0.1:${options.tileServer.port}/` : null;
+
+    return async (url) => {
+        requests.push(url);
+        if (url.startsWith(MOD_URL)) {
+            const file = url.slice(MOD_URL.length);
+            const files = options.files || {};
+            let body = null;
+            if (Object.prototype.hasOwnProperty.call(files, file)) {
+                body = files[file];
+                if (body !== null && !Buffer.isBuffer(body) && typeof body !== 'string') body = JSON.stringify(body);
+            } else if (fs.existsSync(path.join(options.modDir || MOD_DIR, file))) {
+                body = fs.readFileSync(path.join(options.modDir || MOD_DIR, file));
+            }
+            // A copy, since a Response may take over the buffer it is given
+            return body === null ? new Response(null, { status: 404 }) : new Response(Buffer.from(body));
+        }
+        if (tileServerUrl && (url === tileServerUrl + 'tileserver.json' || url === tileServerUrl + 'health')) {
+            return new Response(JSON.stringify({ id: options.tileServer.id || MOD_ID, archives: options.tileServer.archives || [] }));
+        }
+        const tileJSON = tileServerUrl && url.startsWith(tileServerUrl) && options.tileServer.tileJSON;
+        const archive = tileJSON && url.slice(tileServerUrl.length).replace(/\.json$/, '');
+        if (tileJSON && Object.prototype.hasOwnProperty.call(tileJSON, archive)) {
+            return new Response(JSON.stringify(tileJSON[archive]));
+        }
+        throw new TypeError('fetch failed');
+    };
+}
+
+// Loads index.js into a fresh window. Pass state (game.state of an earlier
+// load) to simulate a hot reload, where the mod state on window survives.
+function loadMod(options = {}) {
+    const clock = createClock();
+    const requests = [];
+    const logs = [];
+    const document = createFakeDocument();
+    const context = {
+        console: {
+            log: (...args) => logs.push(['log', args.join(' ')]),
+            info: (...args) => logs.push(['info', args.join(' ')]),
+            warn: (...args) => logs.push(['warn', args.join(' ')]),
+            error: (...args) => logs.push(['error', args.join(' ')])
+        },
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        requestAnimationFrame: (fn) => clock.setTimeout(fn, 16),
+        cancelAnimationFrame: clock.clearTimeout,
+        URL,
+        AbortController,
+        Response,
+        DecompressionStream,
+        document,
+        localStorage: options.localStorage || createStorage(),
+        fetch: createFetch(options, requests)
+    };
+    context.window = context;
+    if (options.api) context.SubwayBuilderAPI = options.api;
+    if (options.state) context.__cphMod = options.state;
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(MOD_DIR, 'index.js'), 'utf8'), context, { filename: 'index.js' });
+
+    // Lets pending fetches and response bodies finish
+    const settle = async (turns = 20) => {
+        for (let i = 0; i < turns; i++) await new Promise(resolve => setImmediate(resolve));
+    };
+
+    // For work that also waits on Node itself, like unpacking the depth index
+    const until = async (condition, timeoutMs = 2000) => {
+        const started = Date.now();
+        while (!condition()) {
+            if (Date.now() - started > timeoutMs) throw new Error(`Timed out waiting for ${condition}`);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+
+    return {
+        context,
+        document,
+        requests,
+        logs,
+        get api() { return context.SubwayBuilderAPI; },
+        set api(api) { context.SubwayBuilderAPI = api; },
+        get state() { return context.__cphMod; },
+        settle,
+        until,
+        advance: (ms) => clock.advance(ms, settle),
+        pendingTimers: clock.pending,
+        // Evaluates code inside the mod, e.g. run('initMod()')
+        run: (code) => vm.runInContext(code, context)
+    };
+}
+
+module.exports = { MOD_ID, MOD_URL, createClock, createFakeMap, createFakeApi, createFakeDocument, loadMod };
@@ -0,0 +1,486 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { makeZip, makeTarGz } = require('./helpers/archives');
+
+// install.js against temp folders, with a local server standing in for GitHub
+// (PMTILES_API_URL and PMTILES_RELEASES_URL point at it).
+
+const VERSION = '1.22.3';
+const ARCHIVE = Buffer.from('not really a pmtiles release');
+const ARCHIVE_SHA = crypto.createHash('sha256').update(ARCHIVE).digest('hex');
+const NO_LOCK = { version: null, assets: {}, binaries: {} };
+
+// A release with real archives for every platform, for --pin-pmtiles
+const PIN_VERSION = '1.30.0';
+const PIN_PLATFORMS = {
+    'win32-x64': `go-pmtiles_${PIN_VERSION}_Windows_x86_64.zip`,
+    'win32-arm64': `go-pmtiles_${PIN_VERSION}_Windows_arm64.zip`,
+    'darwin-x64': `go-pmtiles-${PIN_VERSION}_Darwin_x86_64.zip`,
+    'darwin-arm64': `go-pmtiles-${PIN_VERSION}_Darwin_arm64.zip`,
+    'linux-x64': `go-pmtiles_${PIN_VERSION}_Linux_x86_64.tar.gz`,
+    'linux-arm64': `go-pmtiles_${PIN_VERSION}_Linux_arm64.tar.gz`
+};
+const PIN_ARCHIVES = {};
+for (const [platformKey, name] of Object.entries(PIN_PLATFORMS)) {
+    const binary = `pmtiles binary for ${platformKey}`;
+    PIN_ARCHIVES[name] = name.endsWith('.zip')
+        ? makeZip({ LICENSE: 'BSD', [platformKey.startsWith('win32') ? 'pmtiles.exe' : 'pmtiles']: binary })
+        : makeTarGz({ LICENSE: 'BSD', pmtiles: binary });
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+let server;
+let baseUrl;
+let install;
+// What the stand-in answers for /releases/latest
+let latestStatus = 200;
+
+// GitHub's routes: the API, and release downloads that redirect to the file
+function handleRequest(req, res) {
+    const download = req.url.match(/^\/releases\/download\/v([\d.]+)\/(.+)$/);
+    const pinAsset = req.url.startsWith(`/assets/v${PIN_VERSION}/`) && req.url.slice(`/assets/v${PIN_VERSION}/`.length);
+    if (req.url === '/api/releases/latest') {
+        res.writeHead(latestStatus, { 'Content-Type': 'application/json' });
+        res.end(latestStatus === 200 ? JSON.stringify({ tag_name: `v${VERSION}` }) : '{}');
+    } else if (download) {
+        res.writeHead(302, { Location: `/assets/v${download[1]}/${download[2]}` });
+        res.end();
+    } else if (pinAsset === 'checksums.txt') {
+        res.end(Object.entries(PIN_ARCHIVES).map(([name, data]) => `${sha256(data)}  ${name}\n`).join(''));
+    } else if (PIN_ARCHIVES[pinAsset]) {
+        res.end(PIN_ARCHIVES[pinAsset]);
+    } else if (req.url === `/assets/v${VERSION}/checksums.txt`) {
+        const name = install.getPmtilesUrl(VERSION).filename;
+        res.end(`${ARCHIVE_SHA}  ${name}\n${'0'.repeat(64)}  go-pmtiles_${VERSION}_Other.zip\n`);
+    } else if (/^\/assets\/v[\d.]+\/go-pmtiles/.test(req.url)) {
+        res.end(ARCHIVE);
+    } else {
+        res.writeHead(404);
+        res.end();
+    }
+}
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cph-install-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function writeDataFile(dir, name, content) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, name), zlib.gzipSync(JSON.stringify(content)));
+}
+
+function withPlatform(platform, arch, fn) {
+    const platformMock = mock.method(os, 'platform', () => platform);
+    const archMock = mock.method(os, 'arch', () => arch);
+    try {
+        return fn();
+    } finally {
+        platformMock.mock.restore();
+        archMock.mock.restore();
+    }
+}
+
+before(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.PMTILES_API_URL = `${baseUrl}/api`;
+    process.env.PMTILES_RELEASES_URL = `${baseUrl}/releases`;
+    install = require('../install');
+
+    // The installer talks a lot; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    server.closeAllConnections();
+    server.close();
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// --- getPmtilesUrl ---
+
+test('getPmtilesUrl picks the release archive for each platform', () => {
+    const cases = [
+        ['linux', 'x64', `go-pmtiles_${VERSION}_Linux_x86_64.tar.gz`],
+        ['linux', 'arm64', `go-pmtiles_${VERSION}_Linux_arm64.tar.gz`],
+        ['darwin', 'arm64', `go-pmtiles-${VERSION}_Darwin_arm64.zip`],
+        ['win32', 'x64', `go-pmtiles_${VERSION}_Windows_x86_64.zip`]
+    ];
+    for (const [platform, arch, filename] of cases) {
+        const info = withPlatform(platform, arch, () => install.getPmtilesUrl(VERSION, 'https://github.com/protomaps/go-pmtiles/releases'));
+        assert.strictEqual(info.filename, filename);
+        assert.strictEqual(info.url, `https://github.com/protomaps/go-pmtiles/releases/download/v${VERSION}/${filename}`);
+        assert.strictEqual(info.checksumsUrl, `https://github.com/protomaps/go-pmtiles/releases/download/v${VERSION}/checksums.txt`);
+        assert.strictEqual(info.isZip, filename.endsWith('.zip'));
+        assert.strictEqual(info.isTarGz, filename.endsWith('.tar.gz'));
+        assert.strictEqual(filename.endsWith(info.suffix), true);
+    }
+});
+
+test('getPmtilesUrl returns null on an unsupported platform', () => {
+    assert.strictEqual(withPlatform('freebsd', 'x64', () => install.getPmtilesUrl(VERSION)), null);
+    assert.strictEqual(withPlatform('linux', 'ia32', () => install.getPmtilesUrl(VERSION)), null);
+});
+
+test('getPmtilesUrl uses PMTILES_RELEASES_URL by default', () => {
+    const info = withPlatform('linux', 'x64', () => install.getPmtilesUrl(VERSION));
+    assert.strictEqual(info.url, `${baseUrl}/releases/download/v${VERSION}/${info.filename}`);
+});
+
+// --- Downloads (local stand-in for GitHub) ---
+
+test('getLatestPmtilesVersion reads the tag of the latest release', async () => {
+    assert.strictEqual(await install.getLatestPmtilesVersion(), VERSION);
+});
+
+test('getLatestPmtilesVersion rejects when the API fails', async () => {
+    latestStatus = 403;
+    try {
+        await assert.rejects(install.getLatestPmtilesVersion(), /GitHub API failed with status: 403/);
+    } finally {
+        latestStatus = 200;
+    }
+});
+
+test('downloadFileWithRedirects follows the redirect to the file', async () => {
+    const dir = tempDir();
+    const dest = path.join(dir, 'archive');
+    await install.downloadFileWithRedirects(`${baseUrl}/releases/download/v${VERSION}/go-pmtiles_test.zip`, dest);
+    assert.deepStrictEqual(fs.readFileSync(dest), ARCHIVE);
+});
+
+test('downloadFileWithRedirects rejects a missing file', async () => {
+    const dir = tempDir();
+    await assert.rejects(install.downloadFileWithRedirects(`${baseUrl}/nothing-here`, path.join(dir, 'file')), /Failed to download: 404/);
+});
+
+test('downloadPmtiles downloads the latest archive and its checksums', async () => {
+    const scriptsDir = tempDir();
+    const download = await install.downloadPmtiles(scriptsDir, NO_LOCK);
+
+    assert.ok(download);
+    assert.strictEqual(path.dirname(download.archivePath), scriptsDir);
+    assert.deepStrictEqual(fs.readFileSync(download.archivePath), ARCHIVE);
+    assert.ok(fs.existsSync(path.join(scriptsDir, 'checksums.txt')));
+    assert.strictEqual(install.verifyPmtilesArchive(download.archivePath, NO_LOCK), true);
+});
+
+test('downloadPmtiles falls back to the pinned version when the API fails', async () => {
+    latestStatus = 500;
+    try {
+        const download = await install.downloadPmtiles(tempDir(), Object.assign({}, NO_LOCK, { version: '1.20.0' }));
+        assert.match(download.targetInfo.url, /\/download\/v1\.20\.0\//);
+    } finally {
+        latestStatus = 200;
+    }
+});
+
+test('verifyPmtilesArchive checks an unpinned version against its release checksums.txt', () => {
+    const dir = tempDir();
+    const archivePath = path.join(dir, `go-pmtiles_${VERSION}_Linux_x86_64.tar.gz`);
+    fs.writeFileSync(archivePath, 'tampered');
+
+    assert.strictEqual(install.verifyPmtilesArchive(archivePath, NO_LOCK), false, 'no checksum at all');
+
+    fs.writeFileSync(path.join(dir, 'checksums.txt'), `${ARCHIVE_SHA}  ${path.basename(archivePath)}\n`);
+    assert.strictEqual(install.verifyPmtilesArchive(archivePath, NO_LOCK), false);
+    fs.writeFileSync(archivePath, ARCHIVE);
+    assert.strictEqual(install.verifyPmtilesArchive(archivePath, NO_LOCK), true);
+});
+
+test('verifyPmtilesArchive only trusts the lock file for the pinned version', () => {
+    const dir = tempDir();
+    const name = `go-pmtiles_${VERSION}_Linux_x86_64.tar.gz`;
+    const archivePath = path.join(dir, name);
+    const lock = { version: VERSION, assets: { [name]: ARCHIVE_SHA }, binaries: {} };
+
+    fs.writeFileSync(archivePath, ARCHIVE);
+    assert.strictEqual(install.verifyPmtilesArchive(archivePath, lock), true, 'no checksums.txt needed');
+
+    // A checksums.txt next to a swapped archive doesn't override the pin
+    fs.writeFileSync(archivePath, 'tampered');
+    fs.writeFileSync(path.join(dir, 'checksums.txt'), `${sha256('tampered')}  ${name}\n`);
+    assert.strictEqual(install.verifyPmtilesArchive(archivePath, lock), false);
+
+    const otherPath = path.join(dir, `go-pmtiles_${VERSION}_Linux_arm64.tar.gz`);
+    fs.writeFileSync(otherPath, 'tampered');
+    fs.appendFileSync(path.join(dir, 'checksums.txt'), `${sha256('tampered')}  ${path.basename(otherPath)}\n`);
+    assert.strictEqual(install.verifyPmtilesArchive(otherPath, lock), false, 'not in the pinned list');
+});
+
+test('verifyPmtilesBinary needs a pinned checksum for this platform', () => {
+    const binPath = path.join(tempDir(), 'pmtiles');
+    fs.writeFileSync(binPath, 'pmtiles binary');
+    const pinned = { version: VERSION, assets: {}, binaries: { 'linux-x64': sha256('pmtiles binary') } };
+
+    withPlatform('linux', 'x64', () => {
+        assert.strictEqual(install.verifyPmtilesBinary(binPath, NO_LOCK), false, 'no pin');
+        assert.strictEqual(install.verifyPmtilesBinary(binPath, pinned), true);
+        fs.writeFileSync(binPath, 'another binary');
+        assert.strictEqual(install.verifyPmtilesBinary(binPath, pinned), false);
+    });
+    assert.strictEqual(withPlatform('linux', 'arm64', () => install.verifyPmtilesBinary(binPath, pinned)), false, 'other platform');
+});
+
+test('pinPmtiles records the archive and binary checksums of every platform', async () => {
+    const lockPath = path.join(tempDir(), 'pmtiles.lock.json');
+    const lock = await install.pinPmtiles(`v${PIN_VERSION}`, lockPath);
+
+    assert.strictEqual(lock.version, PIN_VERSION);
+    assert.deepStrictEqual(Object.keys(lock.binaries).sort(), Object.keys(PIN_PLATFORMS).sort());
+    for (const [platformKey, name] of Object.entries(PIN_PLATFORMS)) {
+        assert.strictEqual(lock.assets[name], sha256(PIN_ARCHIVES[name]), name);
+        assert.strictEqual(lock.binaries[platformKey], sha256(`pmtiles binary for ${platformKey}`), platformKey);
+    }
+    assert.deepStrictEqual(install.readPmtilesLock(lockPath), lock);
+});
+
+test('pinPmtiles rejects an invalid version', async () => {
+    const lockPath = path.join(tempDir(), 'pmtiles.lock.json');
+    try {
+        assert.strictEqual(await install.pinPmtiles('latest', lockPath), null);
+        assert.strictEqual(process.exitCode, install.EXIT.USAGE);
+    } finally {
+        process.exitCode = 0;
+    }
+    assert.strictEqual(fs.existsSync(lockPath), false);
+});
+
+// --- getGameDataPath ---
+
+test('getGameDataPath uses $SUBWAY_BUILDER_DATA_DIR', () => {
+    const dir = tempDir();
+    process.env.SUBWAY_BUILDER_DATA_DIR = dir;
+    try {
+        assert.strictEqual(install.getGameDataPath(), path.resolve(dir));
+    } finally {
+        delete process.env.SUBWAY_BUILDER_DATA_DIR;
+    }
+});
+
+test('getGameDataPath picks the most recently used game folder', { skip: process.platform !== 'linux' }, () => {
+    const home = tempDir();
+    const saved = { HOME: process.env.HOME, XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME, SUBWAY_BUILDER_DATA_DIR: process.env.SUBWAY_BUILDER_DATA_DIR };
+    process.env.HOME = home;
+    delete process.env.XDG_CONFIG_HOME;
+    delete process.env.SUBWAY_BUILDER_DATA_DIR;
+    try {
+        const defaultDir = path.join(home, '.config', 'metro-maker4');
+        assert.strictEqual(install.getGameDataPath(), defaultDir, 'the default when there is none');
+
+        const flatpakDir = path.join(home, '.var', 'app', 'com.example.SubwayBuilder', 'config', 'metro-maker4');
+        fs.mkdirSync(defaultDir, { recursive: true });
+        fs.mkdirSync(flatpakDir, { recursive: true });
+        fs.utimesSync(defaultDir, new Date(2026, 0, 1), new Date(2026, 0, 1));
+        fs.utimesSync(flatpakDir, new Date(2026, 5, 1), new Date(2026, 5, 1));
+        assert.strictEqual(install.getGameDataPath(), flatpakDir);
+
+        fs.utimesSync(defaultDir, new Date(2026, 9, 1), new Date(2026, 9, 1));
+        assert.strictEqual(install.getGameDataPath(), defaultDir);
+    } finally {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+});
+
+// --- findSourceDataFolder ---
+
+test('findSourceDataFolder finds data/ next to the installer', () => {
+    const dir = tempDir();
+    fs.mkdirSync(path.join(dir, 'data'));
+    assert.strictEqual(install.findSourceDataFolder(dir), path.join(dir, 'data'));
+});
+
+test('findSourceDataFolder finds data/ in an extra folder from unzipping', () => {
+    const dir = tempDir();
+    fs.mkdirSync(path.join(dir, 'CPH', 'data'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'data'), 'a file, not the folder');
+    assert.strictEqual(install.findSourceDataFolder(dir), path.join(dir, 'CPH', 'data'));
+});
+
+test('findSourceDataFolder returns null without a data folder', () => {
+    const dir = tempDir();
+    fs.mkdirSync(path.join(dir, 'scripts'));
+    assert.strictEqual(install.findSourceDataFolder(dir), null);
+});
+
+// --- createServeBatch ---
+
+test('createServeBatch writes serve.sh for the built-in server', { skip: process.platform === 'win32' }, () => {
+    const dir = tempDir();
+    const servePath = install.createServeBatch(dir, false);
+
+    assert.strictEqual(servePath, path.join(dir, 'serve.sh'));
+    assert.strictEqual(servePath, install.getServeScriptPath(dir));
+    const script = fs.readFileSync(servePath, 'utf8');
+    assert.ok(script.startsWith('#!/usr/bin/env sh\n'));
+    assert.ok(script.includes(`cd "${path.join(dir, 'scripts')}"`));
+    assert.ok(script.includes(`node "${path.join(dir, 'serve.js')}" . --cors="*"`));
+    assert.ok(!script.includes('pmtiles serve'));
+});
+
+test('createServeBatch writes serve.bat for go-pmtiles on Windows', () => {
+    const dir = tempDir();
+    const servePath = withPlatform('win32', 'x64', () => install.createServeBatch(dir, true));
+
+    assert.strictEqual(servePath, path.join(dir, 'serve.bat'));
+    const script = fs.readFileSync(servePath, 'utf8');
+    assert.ok(script.startsWith('@echo off\n'));
+    assert.ok(script.includes(`cd /d "${path.join(dir, 'scripts')}"`));
+    assert.ok(script.includes('.\\pmtiles.exe serve . --port 8081 --cors=*'));
+});
+
+test('createServeBatch returns null when the folder is not writable', () => {
+    const missing = path.join(tempDir(), 'gone');
+    assert.strictEqual(install.createServeBatch(missing, false), null);
+});
+
+// --- copyDataFiles ---
+
+test('copyDataFiles verifies and copies the data files', () => {
+    const sourceDir = path.join(tempDir(), 'data');
+    const destDir = tempDir();
+    writeDataFile(sourceDir, 'demand_data.json.gz', { points: [], pops: [] });
+    writeDataFile(sourceDir, 'runways_taxiways.geojson.gz', { type: 'FeatureCollection', features: [] });
+    writeDataFile(sourceDir, 'roads.geojson.gz', { type: 'FeatureCollection', features: [] });
+    const checksums = {
+        files: {
+            'demand_data.json.gz': require('../lib/mappack').describeDataFile(path.join(sourceDir, 'demand_data.json.gz'))
+        }
+    };
+
+    const files = ['demand_data.json.gz', 'runways_taxiways.geojson.gz', 'ocean_depth_index.json.gz', 'roads.geojson.gz', 'buildings_index.json.gz'];
+    const result = install.copyDataFiles(sourceDir, destDir, files, checksums);
+
+    assert.deepStrictEqual(Object.keys(result.installed), ['demand_data.json.gz', 'runways_taxiways.geojson.gz', 'roads.geojson.gz']);
+    assert.deepStrictEqual(result.verified, ['demand_data.json.gz']);
+    assert.deepStrictEqual(result.missing, ['ocean_depth_index.json.gz']);
+    assert.deepStrictEqual(result.skipped, ['buildings_index.json.gz']);
+    assert.deepStrictEqual(result.failed, []);
+    for (const file of Object.keys(result.installed)) {
+        assert.deepStrictEqual(fs.readFileSync(path.join(destDir, file)), fs.readFileSync(path.join(sourceDir, file)));
+    }
+});
+
+test('copyDataFiles does not copy damaged files', () => {
+    const sourceDir = path.join(tempDir(), 'data');
+    const destDir = tempDir();
+    writeDataFile(sourceDir, 'demand_data.json.gz', { points: [], pops: [] });
+    const truncated = zlib.gzipSync(JSON.stringify({ type: 'FeatureCollection', features: [] }));
+    fs.writeFileSync(path.join(sourceDir, 'runways_taxiways.geojson.gz'), truncated.subarray(0, truncated.length - 8));
+    const checksums = { files: { 'demand_data.json.gz': { sha256: '0'.repeat(64), size: 1, uncompressedSize: 1 } } };
+
+    const result = install.copyDataFiles(sourceDir, destDir, ['demand_data.json.gz', 'runways_taxiways.geojson.gz'], checksums);
+
+    assert.deepStrictEqual(result.failed, ['demand_data.json.gz', 'runways_taxiways.geojson.gz']);
+    assert.deepStrictEqual(result.installed, {});
+    assert.deepStrictEqual(fs.readdirSync(destDir), []);
+});
+
+test('copyPresetFiles takes preset files from data/presets/<code>', () => {
+    const sourceDir = path.join(tempDir(), 'data');
+    const destDir = tempDir();
+    writeDataFile(sourceDir, 'demand_data.json.gz', { points: [], pops: [], preset: null });
+    writeDataFile(path.join(sourceDir, 'presets', 'IBY'), 'demand_data.json.gz', { points: [], pops: [], preset: 'IBY' });
+    writeDataFile(sourceDir, 'runways_taxiways.geojson.gz', { type: 'FeatureCollection', features: [] });
+
+    const sources = install.getPresetSources(sourceDir, 'IBY', { files: {} });
+    const result = install.copyPresetFiles(sources, destDir, ['demand_data.json.gz', 'runways_taxiways.geojson.gz']);
+
+    assert.deepStrictEqual(Object.keys(result.installed).sort(), ['demand_data.json.gz', 'runways_taxiways.geojson.gz']);
+    const demand = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(destDir, 'demand_data.json.gz'))));
+    assert.strictEqual(demand.preset, 'IBY');
+});
+
+// --- upgradePresetData ---
+
+// An installed IBY preset in a temp game folder: demand_data.json.gz from
+// sourceDir, a receipt for version 0.9.0 and a backup left by an earlier upgrade
+function installPreset(sourceDir) {
+    const gameDir = tempDir();
+    const destDir = path.join(gameDir, 'cities', 'data', 'IBY');
+    const srcPath = path.join(sourceDir, 'demand_data.json.gz');
+    fs.mkdirSync(path.join(destDir, '.backup'), { recursive: true });
+    fs.copyFileSync(srcPath, path.join(destDir, 'demand_data.json.gz'));
+    const sha256 = crypto.createHash('sha256').update(fs.readFileSync(srcPath)).digest('hex');
+    const receipt = { version: '0.9.0', files: { 'demand_data.json.gz': { sha256 } } };
+    fs.writeFileSync(path.join(destDir, 'install-receipt.json'), JSON.stringify(receipt));
+    fs.writeFileSync(path.join(destDir, '.backup', 'install-receipt.json'), JSON.stringify({ version: '0.8.0', files: {} }));
+    return { gameDir, destDir };
+}
+
+function withGameDir(gameDir, fn) {
+    process.env.SUBWAY_BUILDER_DATA_DIR = gameDir;
+    try {
+        return fn();
+    } finally {
+        delete process.env.SUBWAY_BUILDER_DATA_DIR;
+    }
+}
+
+test('upgradePresetData keeps the previous backup when nothing changed', () => {
+    const sourceDir = path.join(tempDir(), 'data');
+    writeDataFile(sourceDir, 'demand_data.json.gz', { points: [], pops: [] });
+    const { gameDir, destDir } = installPreset(sourceDir);
+
+    const upgraded = withGameDir(gameDir, () => install.upgradePresetData('IBY', sourceDir, { files: {} }));
+
+    assert.strictEqual(upgraded.backedUp, false);
+    assert.deepStrictEqual(Object.keys(upgraded.files), ['demand_data.json.gz']);
+    const backup = JSON.parse(fs.readFileSync(path.join(destDir, '.backup', 'install-receipt.json'), 'utf8'));
+    assert.strictEqual(backup.version, '0.8.0');
+});
+
+test('upgradePresetData replaces the backup when files change', () => {
+    const sourceDir = path.join(tempDir(), 'data');
+    writeDataFile(sourceDir, 'demand_data.json.gz', { points: [], pops: [] });
+    const { gameDir, destDir } = installPreset(sourceDir);
+    writeDataFile(sourceDir, 'demand_data.json.gz', { points: [], pops: [], updated: true });
+
+    const upgraded = withGameDir(gameDir, () => install.upgradePresetData('IBY', sourceDir, { files: {} }));
+
+    assert.strictEqual(upgraded.backedUp, true);
+    const backupDir = path.join(destDir, '.backup');
+    assert.deepStrictEqual(fs.readdirSync(backupDir).sort(), ['demand_data.json.gz', 'install-receipt.json']);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(backupDir, 'install-receipt.json'), 'utf8')).version, '0.9.0');
+    const demand = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(destDir, 'demand_data.json.gz'))));
+    assert.strictEqual(demand.updated, true);
+});
+
+// --- --json ---
+
+test('--json prints only the result on stdout and the messages on stderr', () => {
+    const gameDir = tempDir();
+    const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'install.js'), '--uninstall', '--json'], {
+        encoding: 'utf8',
+        timeout: 30000,
+        env: Object.assign({}, process.env, { SUBWAY_BUILDER_DATA_DIR: gameDir })
+    });
+
+    assert.strictEqual(run.status, 0, run.stderr);
+    const result = JSON.parse(run.stdout);
+    assert.strictEqual(result.action, 'uninstall');
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.gameDataDir, gameDir);
+    assert.match(run.stderr, /--- Uninstalling .* Map Pack ---/);
+});
@@ -0,0 +1,230 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createFakeApi, loadMod } = require('./helpers/fake-game');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const PRESET_CODES = ['CPH', 'IBY', 'NSJ'];
+
+// The overlay and depth index from test/fixtures instead of the mod's data folder
+const FILES = {
+    'data/transit_overlay.geojson': fs.readFileSync(path.join(FIXTURES, 'transit_overlay.geojson')),
+    'data/ocean_depth_index.json.gz': zlib.gzipSync(fs.readFileSync(path.join(FIXTURES, 'ocean_depth_index.json')))
+};
+
+async function startMod(options = {}) {
+    const game = loadMod(Object.assign({ api: createFakeApi(), files: FILES }, options));
+    await game.settle();
+    await game.run('initMod()');
+    await game.settle();
+    return game;
+}
+
+function notifications(api) {
+    return api.callsTo('showNotification').map(([message, type]) => ({ message, type }));
+}
+
+// --- initMod() ---
+
+test('initMod registers every preset and the onCityLoad hook once', async () => {
+    const game = await startMod();
+    const api = game.api;
+
+    assert.deepStrictEqual(api.callsTo('registerCity').map(([city]) => city.code), PRESET_CODES);
+    assert.ok(api.callsTo('registerCity').every(([city]) => !('bounds' in city)), 'bounds is mod-only');
+    assert.strictEqual(api.cityHooks.length, 1);
+    assert.deepStrictEqual([...game.state.registeredCities], PRESET_CODES);
+    assert.strictEqual(game.state.apiReady, true);
+    assert.strictEqual(game.state.gameVersion, '0.12.0');
+    assert.strictEqual(game.state.errors.length, 0);
+});
+
+test('initMod shows the foundation tiles while the tile server is down', async () => {
+    const game = await startMod();
+    const overrides = game.api.callsTo('setTileURLOverride').map(([config]) => config);
+
+    assert.deepStrictEqual(overrides.map(config => config.cityCode), PRESET_CODES);
+    for (const config of overrides) {
+        assert.strictEqual(config.tileType, 'raster');
+        assert.match(config.tilesUrl, /basemaps\.cartocdn\.com/);
+    }
+    assert.ok(game.requests.some(url => url === 'http://127.0.0.1:8081/tileserver.json'));
+});
+
+test('initMod uses the local tile server when it answers', async () => {
+    const game = await startMod({ tileServer: { port: 8083, archives: ['general-tiles', 'foundation'] } });
+    const overrides = game.api.callsTo('setTileURLOverride').map(([config]) => config);
+
+    assert.strictEqual(overrides.length, PRESET_CODES.length);
+    for (const config of overrides) {
+        assert.strictEqual(config.tileType, 'vector');
+        assert.strictEqual(config.tilesUrl, 'http://127.0.0.1:8083/general-tiles/{z}/{x}/{y}.mvt');
+        assert.strictEqual(config.foundationTilesUrl, 'http://127.0.0.1:8083/foundation/{z}/{x}/{y}.png');
+    }
+});
+
+test('initMod takes the foundation tile format from the archive TileJSON', async () => {
+    const game = await startMod({
+        tileServer: {
+            port: 8081,
+            archives: ['general-tiles', 'foundation'],
+            tileJSON: { foundation: { tiles: ['http://127.0.0.1:8081/foundation/{z}/{x}/{y}.webp'] } }
+        }
+    });
+    const overrides = game.api.callsTo('setTileURLOverride').map(([config]) => config);
+
+    assert.ok(game.requests.includes('http://127.0.0.1:8081/foundation.json'));
+    for (const config of overrides) {
+        assert.strictEqual(config.foundationTilesUrl, 'http://127.0.0.1:8081/foundation/{z}/{x}/{y}.webp');
+    }
+});
+
+test('initMod only uses a tile server with the id from manifest.json', async () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    const files = Object.assign({}, FILES, { 'manifest.json': Object.assign({}, manifest, { id: 'com.example.Fork' }) });
+
+    const other = await startMod({ files, tileServer: { port: 8081, archives: ['general-tiles'] } });
+    assert.ok(other.api.callsTo('setTileURLOverride').every(([config]) => config.tileType === 'raster'));
+
+    const own = await startMod({ files, tileServer: { port: 8081, archives: ['general-tiles'], id: 'com.example.Fork' } });
+    assert.ok(own.api.callsTo('setTileURLOverride').every(([config]) => config.tileType === 'vector'));
+});
+
+test('a failing map update in the tile server monitor is logged, not thrown', async () => {
+    const tileServer = { port: 8081, archives: ['general-tiles'] };
+    const game = await startMod({ tileServer });
+    await game.advance(10000);
+    game.api.map.setTileURLOverride = () => { throw new Error('game API broke'); };
+
+    tileServer.archives = ['general-tiles', 'foundation'];
+    await game.advance(10000);
+
+    assert.ok(game.logs.some(([level, message]) => level === 'warn' && /Tile server check failed:.*game API broke/.test(message)));
+});
+
+test('initMod warns about an unsupported game version but still starts', async () => {
+    const game = await startMod({ api: createFakeApi({ version: '0.10.2' }) });
+
+    assert.match(notifications(game.api)[0].message, /Subway Builder 0\.10\.2 is not supported \(needs >=0\.11\.0\)/);
+    assert.strictEqual(game.api.callsTo('registerCity').length, PRESET_CODES.length);
+});
+
+test('initMod stops when registerCity is missing', async () => {
+    const game = await startMod({ api: createFakeApi({ without: ['registerCity'] }) });
+
+    assert.match(notifications(game.api)[0].message, /Missing registerCity/);
+    assert.strictEqual(game.api.cityHooks.length, 0);
+    assert.strictEqual(game.state.onCityLoad, null);
+});
+
+test('the mod waits for SubwayBuilderAPI to appear', async () => {
+    const game = loadMod({ files: FILES });
+    await game.advance(1000);
+    assert.strictEqual(game.state.apiReady, false);
+
+    game.api = createFakeApi();
+    await game.advance(500);
+    assert.strictEqual(game.state.apiReady, true);
+    assert.strictEqual(game.api.callsTo('registerCity').length, PRESET_CODES.length);
+});
+
+test('a hot reload keeps the registered cities and the single hook', async () => {
+    const first = await startMod();
+    const second = await startMod({ api: first.api, state: first.state });
+
+    assert.strictEqual(second.api.callsTo('registerCity').length, PRESET_CODES.length);
+    assert.strictEqual(second.api.cityHooks.length, 1);
+
+    second.api.loadCity('CPH');
+    await second.settle();
+    const loaded = notifications(second.api).filter(n => n.message === 'Copenhagen loaded successfully!');
+    assert.strictEqual(loaded.length, 1);
+});
+
+// --- onCityLoad ---
+
+test('loading a preset sets its layers, transit overlay and water tooltip', async () => {
+    const game = await startMod();
+    const map = game.api.fakeMap;
+
+    game.api.loadCity('IBY');
+    await game.settle();
+
+    assert.deepStrictEqual(game.api.callsTo('setDefaultLayerVisibility'), [
+        ['IBY', { buildingFoundations: false, oceanFoundations: true, trackElevations: true }]
+    ]);
+    assert.ok(notifications(game.api).some(n => n.message === 'Copenhagen - Indre By loaded successfully!' && n.type === 'success'));
+
+    assert.strictEqual(map.getSource('cph-transit').data.features.length, 2);
+    assert.strictEqual(map.getLayer('cph-transit-lines').layout.visibility, 'visible');
+    assert.strictEqual(map.getLayer('cph-transit-stations').layout.visibility, 'visible');
+
+    await game.until(() => game.document.getElementById('cph-water-depth'));
+    const tooltip = game.document.getElementById('cph-water-depth');
+    map.fire('mousemove', { lngLat: { lng: 12.70, lat: 55.65 }, originalEvent: { clientX: 100, clientY: 50 } });
+    await game.advance(16);
+    assert.strictEqual(tooltip.style.display, 'block');
+    assert.strictEqual(tooltip.innerText, 'Water depth: 12 m');
+});
+
+test('the water depth API answers once the depths are loaded', async () => {
+    const game = await startMod();
+    const water = game.state.water;
+
+    assert.strictEqual(water.depthAt(12.70, 55.65), null);
+    assert.strictEqual(await water.ready(), true);
+    assert.strictEqual(water.depthAt(12.70, 55.65), -12);
+    assert.strictEqual(water.depthAt(12.62, 55.65), null);
+});
+
+test('the water depths are loaded again after a failed load', async () => {
+    const files = Object.assign({}, FILES, { 'data/ocean_depth_index.json.gz': null });
+    const game = await startMod({ files });
+    const water = game.state.water;
+
+    assert.strictEqual(await water.ready(), false);
+    files['data/ocean_depth_index.json.gz'] = FILES['data/ocean_depth_index.json.gz'];
+    assert.strictEqual(await water.ready(), true);
+    assert.strictEqual(water.depthAt(12.70, 55.65), -12);
+});
+
+test('loading another city hides the overlay and removes the tooltip', async () => {
+    const game = await startMod();
+    const map = game.api.fakeMap;
+
+    game.api.loadCity('CPH');
+    await game.until(() => game.document.getElementById('cph-water-depth'));
+    game.api.loadCity('NYC');
+    await game.settle();
+
+    assert.deepStrictEqual(game.api.callsTo('setDefaultLayerVisibility').map(([code]) => code), ['CPH']);
+    assert.strictEqual(map.getLayer('cph-transit-lines').layout.visibility, 'none');
+    assert.strictEqual(map.getLayer('cph-transit-stations').layout.visibility, 'none');
+    assert.strictEqual(game.document.getElementById('cph-water-depth'), null);
+    assert.deepStrictEqual(map.handlers.mousemove, []);
+});
+
+test('the transit overlay is added again after a style change', async () => {
+    const game = await startMod();
+    const map = game.api.fakeMap;
+
+    game.api.loadCity('CPH');
+    await game.settle();
+    map.resetStyle();
+
+    assert.ok(map.getSource('cph-transit'));
+    assert.strictEqual(map.getLayer('cph-transit-lines').layout.visibility, 'visible');
+});
+
+test('loading a preset warns when the map server is not running', async () => {
+    const game = await startMod();
+
+    game.api.loadCity('CPH');
+    await game.settle();
+
+    const warning = notifications(game.api).find(n => n.type === 'warning');
+    assert.ok(warning, 'a warning is shown');
+    assert.match(warning.message, /map server is not running/);
+});
@@ -0,0 +1,213 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createTileServer } = require('../serve');
+const { createArchiveWriter, zxyToTileId, COMPRESSION } = require('../lib/pmtiles');
+
+// serve.js on an ephemeral port, with fixture archives written by lib/pmtiles.js:
+// raster.pmtiles (uncompressed PNG tiles, z0-1) and vector.pmtiles (gzipped MVT, z0).
+
+const STATUS = { id: 'com.example.TEST' };
+const RASTER_TILES = [
+    [0, 0, 0, 'tile 0/0/0'],
+    [1, 0, 0, 'tile 1/0/0'],
+    [1, 1, 1, 'tile 1/1/1']
+];
+const VECTOR_TILE = Buffer.from('vector tile 0/0/0');
+
+const tempDirs = [];
+let dir;
+let server;
+let port;
+
+function tempDir() {
+    const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cph-serve-test-'));
+    tempDirs.push(tempPath);
+    return tempPath;
+}
+
+function writeFixtures(tilesDir) {
+    const raster = createArchiveWriter(path.join(tilesDir, 'raster.pmtiles'), { tileType: 2, tileCompression: COMPRESSION.NONE });
+    RASTER_TILES
+        .slice()
+        .sort((a, b) => zxyToTileId(a[0], a[1], a[2]) - zxyToTileId(b[0], b[1], b[2]))
+        .forEach(([z, x, y, data]) => raster.addTile(z, x, y, Buffer.from(data)));
+    raster.finish({ metadata: { name: 'Raster fixture' }, bounds: [12, 55, 13, 56] });
+
+    const vector = createArchiveWriter(path.join(tilesDir, 'vector.pmtiles'), { tileType: 1, tileCompression: COMPRESSION.GZIP });
+    vector.addTile(0, 0, 0, zlib.gzipSync(VECTOR_TILE));
+    vector.finish({ metadata: { vector_layers: [{ id: 'roads' }] } });
+}
+
+async function startServer(tilesDir) {
+    const tileServer = createTileServer({ dir: tilesDir, status: STATUS });
+    await new Promise(resolve => tileServer.listen(0, '127.0.0.1', resolve));
+    return tileServer;
+}
+
+// A raw request, so compressed bodies and odd paths reach the server as they are
+function request(urlPath, { method = 'GET', headers = {}, serverPort = port } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: serverPort, path: urlPath, method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+before(async () => {
+    dir = tempDir();
+    writeFixtures(dir);
+    server = await startServer(dir);
+    port = server.address().port;
+});
+
+after(() => {
+    server.close();
+    tempDirs.forEach(tempPath => fs.rmSync(tempPath, { recursive: true, force: true }));
+});
+
+// --- Tiles ---
+
+test('serves a tile with its content type and ETag', async () => {
+    for (const [z, x, y, data] of RASTER_TILES) {
+        const res = await request(`/raster/${z}/${x}/${y}.png`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.toString(), data);
+        assert.strictEqual(res.headers['content-type'], 'image/png');
+        assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+        assert.match(res.headers.etag, /^".+-\d+"$/);
+    }
+});
+
+test('HEAD sends the headers without the tile', async () => {
+    const res = await request('/raster/0/0/0.png', { method: 'HEAD' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-length'], String('tile 0/0/0'.length));
+    assert.strictEqual(res.body.length, 0);
+});
+
+test('answers 204 for a tile the archive does not have', async () => {
+    assert.strictEqual((await request('/raster/1/1/0.png')).status, 204);
+    assert.strictEqual((await request('/raster/5/3/3.png')).status, 204, 'zoom outside the archive');
+});
+
+test('answers 304 when the ETag matches', async () => {
+    const first = await request('/raster/1/0/0.png');
+    const second = await request('/raster/1/0/0.png', { headers: { 'If-None-Match': first.headers.etag } });
+    assert.strictEqual(second.status, 304);
+    assert.strictEqual(second.body.length, 0);
+});
+
+test('answers 400 for coordinates outside the zoom level', async () => {
+    assert.strictEqual((await request('/raster/1/2/0.png')).status, 400);
+});
+
+test('passes gzipped tiles through only to clients that accept gzip', async () => {
+    const gzipped = await request('/vector/0/0/0.mvt', { headers: { 'Accept-Encoding': 'gzip, deflate' } });
+    assert.strictEqual(gzipped.status, 200);
+    assert.strictEqual(gzipped.headers['content-encoding'], 'gzip');
+    assert.strictEqual(gzipped.headers['content-type'], 'application/x-protobuf');
+    assert.deepStrictEqual(zlib.gunzipSync(gzipped.body), VECTOR_TILE);
+
+    const plain = await request('/vector/0/0/0.mvt');
+    assert.strictEqual(plain.headers['content-encoding'], undefined);
+    assert.deepStrictEqual(plain.body, VECTOR_TILE);
+});
+
+// --- TileJSON and the archive file ---
+
+test('serves TileJSON with the metadata and the tile URL', async () => {
+    const res = await request('/raster.json');
+    const tileJSON = JSON.parse(res.body);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(tileJSON.name, 'Raster fixture');
+    assert.deepStrictEqual(tileJSON.tiles, [`http://127.0.0.1:${port}/raster/{z}/{x}/{y}.png`]);
+    assert.strictEqual(tileJSON.minzoom, 0);
+    assert.strictEqual(tileJSON.maxzoom, 1);
+    assert.deepStrictEqual(tileJSON.bounds, [12, 55, 13, 56]);
+
+    const vector = JSON.parse((await request('/vector.json')).body);
+    assert.deepStrictEqual(vector.vector_layers, [{ id: 'roads' }]);
+    assert.match(vector.tiles[0], /\.mvt$/);
+});
+
+test('serves the archive file with Range support', async () => {
+    const file = fs.readFileSync(path.join(dir, 'raster.pmtiles'));
+
+    const full = await request('/raster.pmtiles');
+    assert.strictEqual(full.status, 200);
+    assert.strictEqual(full.headers['accept-ranges'], 'bytes');
+    assert.deepStrictEqual(full.body, file);
+
+    const head = await request('/raster.pmtiles', { headers: { Range: 'bytes=0-6' } });
+    assert.strictEqual(head.status, 206);
+    assert.strictEqual(head.headers['content-range'], `bytes 0-6/${file.length}`);
+    assert.strictEqual(head.body.toString(), 'PMTiles');
+
+    const suffix = await request('/raster.pmtiles', { headers: { Range: 'bytes=-10' } });
+    assert.strictEqual(suffix.status, 206);
+    assert.deepStrictEqual(suffix.body, file.subarray(file.length - 10));
+
+    const open = await request('/raster.pmtiles', { headers: { Range: `bytes=${file.length - 4}-` } });
+    assert.deepStrictEqual(open.body, file.subarray(file.length - 4));
+});
+
+test('answers 416 for a range it cannot satisfy', async () => {
+    const size = fs.statSync(path.join(dir, 'raster.pmtiles')).size;
+    for (const range of [`bytes=${size}-`, 'bytes=10-5', 'bytes=-', 'items=0-5']) {
+        const res = await request('/raster.pmtiles', { headers: { Range: range } });
+        assert.strictEqual(res.status, 416, range);
+        assert.strictEqual(res.headers['content-range'], `bytes */${size}`);
+    }
+});
+
+// --- Status and errors ---
+
+test('/health and /tileserver.json report the mod, port and archives', async () => {
+    for (const urlPath of ['/health', '/tileserver.json']) {
+        const res = await request(urlPath);
+        const body = JSON.parse(res.body);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers['cache-control'], 'no-store');
+        assert.strictEqual(body.ok, true);
+        assert.strictEqual(body.id, STATUS.id);
+        assert.strictEqual(body.port, port);
+        assert.deepStrictEqual(body.archives.sort(), ['raster', 'vector']);
+    }
+});
+
+test('/health still answers after the tiles folder is removed', async () => {
+    const gone = tempDir();
+    const tileServer = await startServer(gone);
+    try {
+        fs.rmSync(gone, { recursive: true });
+        const res = await request('/health', { serverPort: tileServer.address().port });
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(JSON.parse(res.body).archives, []);
+    } finally {
+        tileServer.close();
+    }
+});
+
+test('answers 400 for a malformed path and keeps running', async () => {
+    assert.strictEqual((await request('/%E0%A4%A/1/2/3.mvt')).status, 400);
+    assert.strictEqual((await request('/raster/0/0/0.png')).status, 200);
+});
+
+test('answers 404, 405 and OPTIONS like a tile server should', async () => {
+    assert.strictEqual((await request('/missing/0/0/0.png')).status, 404);
+    assert.strictEqual((await request('/not/a/tile')).status, 404);
+    assert.strictEqual((await request('/raster/0/0/0.png', { method: 'POST' })).status, 405);
+
+    const preflight = await request('/raster/0/0/0.png', { method: 'OPTIONS' });
+    assert.strictEqual(preflight.status, 204);
+    assert.match(preflight.headers['access-control-allow-headers'], /Range/);
+});
@@ -0,0 +1,245 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getServiceName,
+    createSystemdUnit,
+    validateSystemdUnit,
+    createLaunchAgentPlist,
+    createWindowsTaskScript,
+    createServiceManager
+} = require('../lib/mappack/service');
+
+// The unit/plist/script generators as plain text, and createServiceManager with
+// a fake home folder and a recorded `run`, so nothing touches the real system.
+
+const MOD_ID = 'com.example.TEST';
+const SPEC = {
+    name: 'subwaybuilder-com-example-test-tiles',
+    description: 'Subway Builder map server (com.example.TEST)',
+    nodePath: '/usr/bin/node',
+    serveJs: '/home/player/mods/test/serve.js',
+    tilesDir: '/home/player/mods/test/tiles',
+    logFile: '/home/player/mods/test/tiles/tileserver.log'
+};
+
+const tempDirs = [];
+
+function tempDir() {
+    const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cph-service-test-'));
+    tempDirs.push(tempPath);
+    return tempPath;
+}
+
+after(() => {
+    tempDirs.forEach(tempPath => fs.rmSync(tempPath, { recursive: true, force: true }));
+});
+
+// A service manager for platform in a fresh mod and home folder. failing lists
+// command prefixes (e.g. 'schtasks /End') that should fail.
+function createManager(platform, failing = []) {
+    const root = tempDir();
+    const commands = [];
+    const run = (command) => {
+        const line = command.join(' ');
+        commands.push(line);
+        const ok = !failing.some(prefix => line.startsWith(prefix));
+        return { ok, output: ok ? '' : 'not running' };
+    };
+    const manager = createServiceManager({
+        modId: MOD_ID,
+        modDir: path.join(root, 'mod'),
+        tilesDir: 'tiles',
+        port: 8081,
+        platform,
+        homeDir: path.join(root, 'home'),
+        nodePath: '/usr/bin/node',
+        run
+    });
+    return { manager, commands, root };
+}
+
+// Replaces one line of the generated unit
+function unitWith(search, replacement) {
+    const unit = createSystemdUnit(SPEC);
+    assert.ok(unit.includes(search), search);
+    return unit.replace(search, replacement);
+}
+
+test('getServiceName turns the mod id into a service name', () => {
+    assert.strictEqual(getServiceName('com.mhmoeller.CPH'), 'subwaybuilder-com-mhmoeller-cph-tiles');
+    assert.strictEqual(getServiceName('My Mod!'), 'subwaybuilder-my-mod-tiles');
+});
+
+// --- systemd ---
+
+test('createSystemdUnit writes a valid user unit', () => {
+    const unit = createSystemdUnit(SPEC);
+    assert.deepStrictEqual(validateSystemdUnit(unit), []);
+    assert.match(unit, /^\[Unit\]\nDescription=Subway Builder map server \(com\.example\.TEST\)\n/);
+    assert.ok(unit.includes('\nWorkingDirectory=/home/player/mods/test/tiles\n'));
+    assert.ok(unit.includes('\nExecStart="/usr/bin/node" "/home/player/mods/test/serve.js" "/home/player/mods/test/tiles"\n'));
+    assert.ok(unit.includes('\nStandardOutput=append:/home/player/mods/test/tiles/tileserver.log\n'));
+    assert.ok(unit.includes('\n[Install]\nWantedBy=default.target\n'));
+});
+
+test('createSystemdUnit escapes %, quotes and spaces', () => {
+    const unit = createSystemdUnit(Object.assign({}, SPEC, {
+        serveJs: '/home/player/My Mods/100% "map"/serve.js',
+        tilesDir: '/home/player/My Mods/100% "map"/tiles'
+    }));
+    assert.deepStrictEqual(validateSystemdUnit(unit), []);
+    assert.ok(unit.includes('"/home/player/My Mods/100%% \\"map\\"/serve.js"'));
+    assert.ok(unit.includes('\nWorkingDirectory=/home/player/My Mods/100%% "map"/tiles\n'));
+});
+
+test('validateSystemdUnit rejects relative paths', () => {
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('ExecStart="/usr/bin/node"', 'ExecStart="node"')),
+        ['ExecStart must start with an absolute path']
+    );
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('ExecStart="/usr/bin/node"', 'ExecStart=node')),
+        ['ExecStart must start with an absolute path']
+    );
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('WorkingDirectory=/home/player/mods/test/tiles', 'WorkingDirectory=tiles')),
+        ['WorkingDirectory must be an absolute path']
+    );
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('StandardError=append:/home', 'StandardError=append:home')),
+        ['StandardError must point to an absolute path']
+    );
+});
+
+test('validateSystemdUnit rejects missing keys and sections', () => {
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('WorkingDirectory=/home/player/mods/test/tiles\n', '')),
+        ['[Service] is missing WorkingDirectory']
+    );
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('[Install]\nWantedBy=default.target\n', '')),
+        ['missing section [Install]']
+    );
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('WantedBy=default.target', 'WantedBy=multi-user.target')),
+        ['user units should be WantedBy=default.target']
+    );
+});
+
+test('validateSystemdUnit rejects an unescaped % and malformed lines', () => {
+    assert.deepStrictEqual(
+        validateSystemdUnit(unitWith('/serve.js"', '/100%/serve.js"')),
+        ['ExecStart has an unescaped % (write %%)']
+    );
+    assert.deepStrictEqual(validateSystemdUnit(unitWith('Type=simple', 'Type simple')), ['line 6: expected Key=Value']);
+    assert.deepStrictEqual(
+        validateSystemdUnit(`Description=outside\n${createSystemdUnit(SPEC)}`),
+        ['line 1: Description is outside of a section']
+    );
+    assert.deepStrictEqual(
+        validateSystemdUnit(`${createSystemdUnit(SPEC)}[Unit]\nAfter=network.target\n`),
+        ['line 16: section [Unit] appears twice']
+    );
+});
+
+// --- macOS and Windows ---
+
+test('createLaunchAgentPlist lists the arguments and escapes XML', () => {
+    const plist = createLaunchAgentPlist(Object.assign({}, SPEC, {
+        name: 'com.example.TEST.tileserver',
+        tilesDir: '/Users/player/Maps & <Mods>/tiles'
+    }));
+    assert.match(plist, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<!DOCTYPE plist /);
+    assert.ok(plist.includes('<key>Label</key>\n    <string>com.example.TEST.tileserver</string>'));
+    assert.ok(plist.includes([
+        '        <string>/usr/bin/node</string>',
+        '        <string>/home/player/mods/test/serve.js</string>',
+        '        <string>/Users/player/Maps &amp; &lt;Mods&gt;/tiles</string>'
+    ].join('\n')));
+    assert.ok(plist.includes('<key>StandardErrorPath</key>\n    <string>/home/player/mods/test/tiles/tileserver.log</string>'));
+    assert.ok(!/&(?!amp;|lt;|gt;|quot;)/.test(plist), 'every & is escaped');
+});
+
+test('createWindowsTaskScript quotes the paths and appends to the log', () => {
+    const script = createWindowsTaskScript(Object.assign({}, SPEC, {
+        nodePath: 'C:\\Program Files\\nodejs\\node.exe',
+        serveJs: 'C:\\Mods\\test\\serve.js',
+        tilesDir: 'C:\\Mods\\test\\tiles',
+        logFile: 'C:\\Mods\\test\\tiles\\tileserver.log'
+    }));
+    assert.deepStrictEqual(script.split('\r\n'), [
+        '@echo off',
+        'rem Subway Builder map server (com.example.TEST)',
+        'cd /d "C:\\Mods\\test\\tiles"',
+        '"C:\\Program Files\\nodejs\\node.exe" "C:\\Mods\\test\\serve.js" "C:\\Mods\\test\\tiles" >> "C:\\Mods\\test\\tiles\\tileserver.log" 2>&1',
+        ''
+    ]);
+});
+
+// --- createServiceManager ---
+
+test('install writes the unit and enables it on Linux', () => {
+    const { manager, commands, root } = createManager('linux');
+    manager.install();
+
+    assert.strictEqual(manager.file, path.join(root, 'home', '.config', 'systemd', 'user', `${manager.name}.service`));
+    assert.strictEqual(fs.readFileSync(manager.file, 'utf8'), manager.content);
+    assert.ok(fs.existsSync(path.join(root, 'mod', 'tiles')));
+    assert.deepStrictEqual(commands, [
+        'systemctl --user daemon-reload',
+        `systemctl --user enable --now ${manager.name}.service`
+    ]);
+});
+
+test('a failed install leaves no unit behind', () => {
+    const { manager } = createManager('linux', ['systemctl --user enable']);
+    assert.throws(() => manager.install(), /enable --now .* failed: not running/);
+    assert.strictEqual(manager.isInstalled(), false);
+});
+
+test('remove unregisters the service and deletes its files', () => {
+    const { manager, commands } = createManager('darwin');
+    assert.strictEqual(manager.remove(), false, 'nothing to remove yet');
+
+    manager.install();
+    fs.writeFileSync(manager.logFile, 'listening\n');
+    commands.length = 0;
+    assert.strictEqual(manager.remove(), true);
+
+    assert.deepStrictEqual(commands, [`launchctl unload -w ${manager.file}`]);
+    assert.strictEqual(manager.isInstalled(), false);
+    assert.strictEqual(fs.existsSync(manager.logFile), false);
+});
+
+test('remove deletes the scheduled task even when it is not running', () => {
+    const { manager, commands } = createManager('win32', ['schtasks /End']);
+    manager.install();
+    commands.length = 0;
+
+    assert.strictEqual(manager.remove(), true);
+    assert.deepStrictEqual(commands, [
+        `schtasks /End /TN ${manager.name}`,
+        `schtasks /Delete /TN ${manager.name} /F`
+    ]);
+    assert.strictEqual(manager.isInstalled(), false);
+});
+
+test('status reports an installed service that is not running', async () => {
+    const { manager } = createManager('linux', ['systemctl --user is-active']);
+    manager.install();
+    fs.writeFileSync(manager.logFile, 'one\ntwo\n');
+
+    const status = await manager.status();
+    assert.strictEqual(status.installed, true);
+    assert.strictEqual(status.running, false);
+    assert.strictEqual(status.server, null);
+    assert.strictEqual(status.port, 8081);
+    assert.deepStrictEqual(status.logTail, ['one', 'two']);
+});
+
+test('createServiceManager refuses an unsupported platform', () => {
+    assert.throws(() => createManager('aix'), /isn't supported on aix/);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { validateDataPack } = require('../validate');
+const { DATA_DIR, readManifest } = require('../lib/datapack');
+
+// The data pack shipped in data/ and every preset in data/presets must pass
+// the repo's own validator.
+
+const BBOX = readManifest().bbox;
+
+function errorsOf(result) {
+    return result.files.flatMap(file => file.errors.map(group => `${file.file}: ${group.code} x${group.count}`));
+}
+
+test('the shipped data folder validates', () => {
+    const result = validateDataPack(DATA_DIR, BBOX);
+    assert.deepStrictEqual(errorsOf(result), []);
+    assert.strictEqual(result.sharedDataDir, null);
+});
+
+for (const code of ['IBY', 'NSJ']) {
+    test(`the ${code} preset validates with the shared files from data/`, () => {
+        const result = validateDataPack(path.join(DATA_DIR, 'presets', code), BBOX);
+        assert.deepStrictEqual(errorsOf(result), []);
+        assert.strictEqual(result.sharedDataDir, DATA_DIR);
+    });
+}
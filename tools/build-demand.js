@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { readCsv, parseNumber, pickColumn } = require('../lib/csv');
+const { DATA_DIR, readManifest, writeGzipJson, isInBbox } = require('../lib/datapack');
+const {
+    DEMAND_DEFAULTS,
+    hashString,
+    createRandom,
+    splitEvenly,
+    estimateDriving,
+    projectPoints,
+    createWorkplaceChooser
+} = require('../lib/demand');
+
+// Builds demand_data.json.gz from residents and jobs per zone (Statistics
+// Denmark style CSV) plus lists of large workplaces (POIs), so the demand can
+// be refreshed every year and audited.
+//
+// Usage: node tools/build-demand.js --zones <csv> [--residents <csv>] [--jobs <csv>]
+//            [--pois <csv>[,<csv>...]] [--seed 1] [--out <file>] [--bbox minLon,minLat,maxLon,maxLat]
+//            [--pop-size 50] [--decay-km 8] [--max-km 60] [--detour 1.3]
+//
+//   --zones      zone, lon, lat and optionally residents and jobs columns
+//   --residents  zone and residents columns, overrides the zones file
+//   --jobs       zone and jobs columns, overrides the zones file
+//   --pois       type, name, lon, lat, jobs and optionally residents columns.
+//                type is the id prefix: air, hosp, edu, ...
+//
+// Every resident is put in a pop (a group of at most --pop-size commuters)
+// whose workplace is drawn from the job points, weighted by their jobs and
+// exp(-distance / --decay-km). Each zone draws from its own random sequence,
+// seeded with --seed and the zone id, so changing one zone doesn't reshuffle
+// the others. Driving distance and time are estimated from the straight-line
+// distance (see lib/demand.js). Pop IDs are numbered in point order.
+//
+// A build record with the inputs' SHA-256, the seed and the parameters is
+// written next to the output (demand_data.build.json).
+
+const COLUMNS = {
+    zone: ['zone', 'zone_id', 'id', 'omraade', 'område'],
+    name: ['name', 'navn', 'id'],
+    type: ['type', 'kind'],
+    lon: ['lon', 'lng', 'longitude', 'x'],
+    lat: ['lat', 'latitude', 'y'],
+    residents: ['residents', 'population', 'befolkning', 'indbyggere'],
+    jobs: ['jobs', 'workplaces', 'arbejdspladser', 'beskaeftigede']
+};
+
+function column(record, name, file, row) {
+    const value = pickColumn(record, COLUMNS[name]);
+    if (value === undefined) {
+        throw new Error(`${file}: row ${row + 2} has no '${name}' column (${COLUMNS[name].join(', ')})`);
+    }
+    return value;
+}
+
+function count(record, name, file, row) {
+    const value = pickColumn(record, COLUMNS[name]);
+    if (value === undefined || value === '') return 0;
+    const number = parseNumber(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${file}: row ${row + 2} has an invalid ${name} value '${value}'`);
+    }
+    return Math.round(number);
+}
+
+function coordinate(record, file, row) {
+    const lon = parseNumber(column(record, 'lon', file, row));
+    const lat = parseNumber(column(record, 'lat', file, row));
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+        throw new Error(`${file}: row ${row + 2} has an invalid coordinate`);
+    }
+    return [lon, lat];
+}
+
+// "Bispebjerg Hospital" -> "Bispebjerg_Hospital"
+function toIdPart(text) {
+    return String(text).trim().replace(/\s+/g, '_').replace(/[^\w-]/g, '');
+}
+
+// Returns the demand points, in input order: zones first, then POIs
+function readPoints(options) {
+    const points = new Map();
+    const add = (point, file) => {
+        if (points.has(point.id)) throw new Error(`${file}: duplicate point id ${point.id}`);
+        points.set(point.id, point);
+    };
+
+    const zonesFile = options.zones;
+    readCsv(zonesFile).forEach((record, row) => {
+        const zone = toIdPart(column(record, 'zone', zonesFile, row));
+        add({
+            id: `p_${zone}`,
+            location: coordinate(record, zonesFile, row),
+            jobs: count(record, 'jobs', zonesFile, row),
+            residents: count(record, 'residents', zonesFile, row)
+        }, zonesFile);
+    });
+
+    for (const key of ['residents', 'jobs']) {
+        const file = options[key];
+        if (!file) continue;
+        readCsv(file).forEach((record, row) => {
+            const id = `p_${toIdPart(column(record, 'zone', file, row))}`;
+            const point = points.get(id);
+            if (!point) throw new Error(`${file}: row ${row + 2} refers to unknown zone ${id.slice(2)}`);
+            point[key] = count(record, key, file, row);
+        });
+    }
+
+    for (const file of options.pois) {
+        readCsv(file).forEach((record, row) => {
+            const type = toIdPart(column(record, 'type', file, row)).toLowerCase();
+            add({
+                id: `${type}_${toIdPart(column(record, 'name', file, row))}`,
+                location: coordinate(record, file, row),
+                jobs: count(record, 'jobs', file, row),
+                residents: count(record, 'residents', file, row)
+            }, file);
+        });
+    }
+    return [...points.values()];
+}
+
+function buildDemand(points, params) {
+    const xy = projectPoints(points);
+    const workplaces = points.map((p, i) => ({ index: i, xy: xy[i], jobs: p.jobs })).filter(w => w.jobs > 0);
+    if (workplaces.length === 0) throw new Error('None of the points have jobs');
+
+    const pops = [];
+    const popIds = points.map(() => []);
+    const digits = Math.max(6, String(points.reduce((sum, p) => sum + Math.ceil(p.residents / params.popSize), 0)).length);
+
+    points.forEach((home, h) => {
+        if (home.residents === 0) return;
+
+        const chooseWorkplace = createWorkplaceChooser(xy[h], workplaces, params);
+        if (!chooseWorkplace) return;
+
+        const random = createRandom(hashString(`${params.seed}:${home.id}`));
+        for (const size of splitEvenly(home.residents, params.popSize)) {
+            const work = chooseWorkplace(random);
+            const id = `pop_${String(pops.length).padStart(digits, '0')}`;
+            pops.push(Object.assign({
+                id,
+                size,
+                residenceId: home.id,
+                jobId: points[work.index].id
+            }, estimateDriving(work.distance, params.detour)));
+            popIds[h].push(id);
+            if (work.index !== h) popIds[work.index].push(id);
+        }
+    });
+
+    return {
+        points: points.map((p, i) => ({ id: p.id, location: p.location, jobs: p.jobs, residents: p.residents, popIds: popIds[i] })),
+        pops
+    };
+}
+
+function sha256File(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2),
+        ['zones', 'residents', 'jobs', 'pois', 'seed', 'out', 'bbox', 'pop-size', 'decay-km', 'max-km', 'detour']);
+    if (!options.zones) {
+        console.error("Usage: node tools/build-demand.js --zones <csv> [--residents <csv>] [--jobs <csv>] [--pois <csv>] [--seed 1]");
+        process.exit(1);
+    }
+    options.pois = options.pois ? options.pois.split(',') : [];
+
+    const params = {
+        seed: numberOption(options, 'seed', DEMAND_DEFAULTS.seed),
+        popSize: numberOption(options, 'pop-size', DEMAND_DEFAULTS.popSize),
+        decayKm: numberOption(options, 'decay-km', DEMAND_DEFAULTS.decayKm),
+        maxKm: numberOption(options, 'max-km', DEMAND_DEFAULTS.maxKm),
+        detour: numberOption(options, 'detour', DEMAND_DEFAULTS.detour)
+    };
+    const bbox = options.bbox ? options.bbox.split(',').map(Number) : readManifest().bbox;
+    const out = path.resolve(options.out || path.join(DATA_DIR, 'demand_data.json.gz'));
+
+    let points;
+    try {
+        points = readPoints(options);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+
+    const outside = points.filter(p => !isInBbox(p.location[0], p.location[1], bbox));
+    const empty = points.filter(p => p.residents === 0 && p.jobs === 0);
+    points = points.filter(p => !outside.includes(p) && !empty.includes(p));
+    if (outside.length > 0) {
+        console.warn(`Warning: Skipped ${outside.length} points outside the bbox: ${outside.slice(0, 5).map(p => p.id).join(', ')}${outside.length > 5 ? ', ...' : ''}`);
+    }
+    if (empty.length > 0) console.warn(`Warning: Skipped ${empty.length} points without residents or jobs.`);
+
+    console.log(`Distributing ${points.reduce((sum, p) => sum + p.residents, 0)} residents over ${points.length} points (seed ${params.seed})...`);
+    let demand;
+    try {
+        demand = buildDemand(points, params);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+    writeGzipJson(out, demand);
+
+    const homes = new Set(demand.pops.map(pop => pop.residenceId));
+    const unplaced = points.filter(p => p.residents > 0 && !homes.has(p.id));
+    if (unplaced.length > 0) {
+        console.warn(`Warning: ${unplaced.length} points have no jobs within ${params.maxKm} km, their residents got no pops.`);
+    }
+
+    const inputs = {};
+    [options.zones, options.residents, options.jobs, ...options.pois].filter(Boolean).forEach(file => {
+        inputs[path.basename(file)] = sha256File(file);
+    });
+    const record = {
+        builtAt: new Date().toISOString(),
+        inputs,
+        params,
+        bbox,
+        totals: {
+            points: demand.points.length,
+            pops: demand.pops.length,
+            residents: demand.points.reduce((sum, p) => sum + p.residents, 0),
+            jobs: demand.points.reduce((sum, p) => sum + p.jobs, 0)
+        },
+        output: { file: path.basename(out), sha256: sha256File(out) }
+    };
+    const recordPath = out.replace(/\.json\.gz$/, '') + '.build.json';
+    fs.writeFileSync(recordPath, JSON.stringify(record, null, 4) + '\n');
+
+    console.log(`[OK] Wrote ${demand.points.length} points and ${demand.pops.length} pops to ${out}`);
+    console.log(`[OK] Build record: ${recordPath}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildDemand, readPoints };
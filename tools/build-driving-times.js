@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { DATA_DIR, REPORTS_DIR, readGzipJson, writeGzipJson } = require('../lib/datapack');
+const { createProjection } = require('../lib/demand');
+const { DEFAULT_SPEEDS, buildRoadGraph, writeRoadGraph, readRoadGraph, createSnapper, createRouter } = require('../lib/roadgraph');
+
+// Recomputes drivingSeconds and drivingDistance of every pop in
+// demand_data.json.gz as the fastest route over roads.geojson.gz, and writes
+// a report of the changes.
+//
+// Usage: node tools/build-driving-times.js [--demand <file>] [--roads <file>] [--out <file>]
+//            [--report reports/driving_times_report.json] [--speeds <file.json>] [--cache <file>]
+//            [--max-snap 1000] [--dry-run]
+//
+//   --out       where to write the updated demand (default: the --demand file)
+//   --speeds    JSON file with an object of km/h per road type, merged over lib/roadgraph.js's defaults
+//   --cache     road graph cache (default: one per roads file and speeds in the temp folder)
+//   --max-snap  how far (m) a point may be from the nearest road junction
+//   --dry-run   only write the report
+//
+// A trip is: straight from the residence point to its nearest road junction
+// at CONNECTOR_SPEED, the fastest route over the roads, and on from the
+// junction nearest the job point. Pops whose points are too far from any road
+// or in a part of the network that doesn't connect keep their old values and
+// are listed in the report.
+
+const CONNECTOR_SPEED = 15;         // km/h
+const DEFAULT_MAX_SNAP_M = 1000;
+// Old values faster than this or shorter than the straight line are implausible
+const IMPLAUSIBLE_SPEED = 130;      // km/h
+const REPORT_EXAMPLES = 50;
+const GRAPH_VERSION = 1;
+
+function sha256File(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Loads the cached graph for these roads and speeds, or builds and caches it
+function loadRoadGraph(roadsPath, speeds, cachePath) {
+    const roadsSha = sha256File(roadsPath);
+    const key = crypto.createHash('sha256')
+        .update(JSON.stringify({ version: GRAPH_VERSION, roads: roadsSha, speeds }))
+        .digest('hex');
+    cachePath = cachePath || path.join(os.tmpdir(), `subwaybuilder-roadgraph-${key.slice(0, 16)}.bin`);
+
+    const started = Date.now();
+    let graph = readRoadGraph(cachePath, key);
+    if (graph) {
+        console.log(`[OK] Road graph: ${graph.nodeCount} nodes, ${graph.edgeCount / 2} roads (cached in ${cachePath})`);
+        return { graph, roadsSha };
+    }
+
+    graph = buildRoadGraph(readGzipJson(roadsPath), speeds);
+    try {
+        writeRoadGraph(cachePath, graph, key);
+    } catch (err) {
+        console.warn(`Warning: Could not cache the road graph in ${cachePath}: ${err.message}`);
+    }
+    console.log(`[OK] Road graph: ${graph.nodeCount} nodes, ${graph.edgeCount / 2} roads (built in ${((Date.now() - started) / 1000).toFixed(1)} s)`);
+    return { graph, roadsSha };
+}
+
+// Routes every pop. Returns Map(pop id => { drivingSeconds, drivingDistance }
+// or { skipped: reason })
+function routePops(demand, graph, maxSnap) {
+    const points = new Map(demand.points.map(p => [p.id, p]));
+    const project = createProjection(demand.points.reduce((sum, p) => sum + p.location[1], 0) / demand.points.length);
+    const snap = createSnapper(graph, project, maxSnap);
+    const route = createRouter(graph);
+    const connectorSpeed = CONNECTOR_SPEED / 3.6;
+
+    const snapped = new Map();
+    const snapPoint = id => {
+        if (!snapped.has(id)) snapped.set(id, points.has(id) ? snap(points.get(id).location) : null);
+        return snapped.get(id);
+    };
+
+    // The residence/job pairs to route, by point. The roads go both ways, so a
+    // pair can be routed from either end.
+    const partners = new Map();
+    const link = (a, b) => {
+        if (!partners.has(a)) partners.set(a, new Set());
+        partners.get(a).add(b);
+    };
+    for (const pop of demand.pops) {
+        if (pop.residenceId === pop.jobId || !snapPoint(pop.residenceId) || !snapPoint(pop.jobId)) continue;
+        link(pop.residenceId, pop.jobId);
+        link(pop.jobId, pop.residenceId);
+    }
+
+    // Searching from the points with the most partners first (big workplaces)
+    // covers all pairs with far fewer searches than one per residence
+    const order = [...partners.keys()].sort((a, b) => partners.get(b).size - partners.get(a).size || (a < b ? -1 : 1));
+    const trips = new Map();
+    const pairKey = (a, b) => a < b ? `${a}\n${b}` : `${b}\n${a}`;
+    const searched = new Set();
+    order.forEach((id, i) => {
+        const open = [...partners.get(id)].filter(other => !searched.has(other));
+        searched.add(id);
+        if (open.length > 0) {
+            const routes = route(snapPoint(id).node, new Set(open.map(other => snapPoint(other).node)));
+            for (const other of open) trips.set(pairKey(id, other), routes.get(snapPoint(other).node) || null);
+        }
+        if ((i + 1) % 500 === 0) process.stdout.write(`\r  ${i + 1}/${order.length} points`);
+    });
+    if (order.length >= 500) process.stdout.write('\n');
+
+    const results = new Map();
+    for (const pop of demand.pops) {
+        const home = snapPoint(pop.residenceId);
+        const work = snapPoint(pop.jobId);
+        const trip = home && work ? trips.get(pairKey(pop.residenceId, pop.jobId)) : null;
+        if (pop.residenceId === pop.jobId) {
+            results.set(pop.id, { skipped: 'same_point' });
+        } else if (!home || !work) {
+            results.set(pop.id, { skipped: 'no_road_nearby', point: home ? pop.jobId : pop.residenceId });
+        } else if (!trip) {
+            results.set(pop.id, { skipped: 'not_connected' });
+        } else {
+            const connector = home.meters + work.meters;
+            results.set(pop.id, {
+                drivingSeconds: Math.round((trip.seconds + connector / connectorSpeed) * 100) / 100,
+                drivingDistance: Math.round((trip.meters + connector) * 10) / 10
+            });
+        }
+    }
+    return results;
+}
+
+function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const i = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+    return Math.round(sorted[i] * 1000) / 1000;
+}
+
+function ratioStats(pairs) {
+    const ratios = pairs.filter(([before]) => before > 0).map(([before, after]) => after / before).sort((a, b) => a - b);
+    const mean = values => values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10 : null;
+    return {
+        meanBefore: mean(pairs.map(p => p[0])),
+        meanAfter: mean(pairs.map(p => p[1])),
+        ratio: { p10: quantile(ratios, 0.1), median: quantile(ratios, 0.5), p90: quantile(ratios, 0.9) }
+    };
+}
+
+// Compares the old and new values of every pop
+function buildReport(demand, results, project) {
+    const points = new Map(demand.points.map(p => [p.id, p]));
+    const straight = pop => {
+        const a = points.get(pop.residenceId);
+        const b = points.get(pop.jobId);
+        if (!a || !b) return null;
+        const [ax, ay] = project(a.location);
+        const [bx, by] = project(b.location);
+        return Math.round(Math.hypot(bx - ax, by - ay));
+    };
+
+    const changed = [];
+    const skipped = {};
+    const implausible = [];
+    for (const pop of demand.pops) {
+        const result = results.get(pop.id);
+        const meters = straight(pop);
+        if (meters !== null && pop.drivingDistance > 0 &&
+            (pop.drivingDistance < meters * 0.99 || pop.drivingDistance / pop.drivingSeconds * 3.6 > IMPLAUSIBLE_SPEED)) {
+            implausible.push({ id: pop.id, residenceId: pop.residenceId, jobId: pop.jobId, straightMeters: meters,
+                drivingSeconds: pop.drivingSeconds, drivingDistance: pop.drivingDistance });
+        }
+        if (result.skipped) {
+            const group = skipped[result.skipped] || (skipped[result.skipped] = { count: 0, examples: [] });
+            group.count++;
+            if (group.examples.length < REPORT_EXAMPLES) {
+                group.examples.push(Object.assign({ id: pop.id, residenceId: pop.residenceId, jobId: pop.jobId }, result.point ? { point: result.point } : {}));
+            }
+            continue;
+        }
+        changed.push({
+            id: pop.id,
+            residenceId: pop.residenceId,
+            jobId: pop.jobId,
+            straightMeters: meters,
+            before: { drivingSeconds: pop.drivingSeconds, drivingDistance: pop.drivingDistance },
+            after: result
+        });
+    }
+
+    const byChange = changed.slice().sort((a, b) =>
+        Math.abs(b.after.drivingSeconds - b.before.drivingSeconds) - Math.abs(a.after.drivingSeconds - a.before.drivingSeconds));
+    return {
+        totals: {
+            pops: demand.pops.length,
+            routed: changed.length,
+            skipped: Object.values(skipped).reduce((sum, g) => sum + g.count, 0),
+            implausibleBefore: implausible.length
+        },
+        drivingSeconds: ratioStats(changed.map(c => [c.before.drivingSeconds, c.after.drivingSeconds])),
+        drivingDistance: ratioStats(changed.map(c => [c.before.drivingDistance, c.after.drivingDistance])),
+        largestChanges: byChange.slice(0, REPORT_EXAMPLES),
+        implausibleBefore: implausible.slice(0, REPORT_EXAMPLES),
+        skipped
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['demand', 'roads', 'out', 'report', 'speeds', 'cache', 'max-snap']);
+    const demandPath = path.resolve(options.demand || path.join(DATA_DIR, 'demand_data.json.gz'));
+    const roadsPath = path.resolve(options.roads || path.join(DATA_DIR, 'roads.geojson.gz'));
+    const reportPath = path.resolve(options.report || path.join(REPORTS_DIR, 'driving_times_report.json'));
+    const maxSnap = numberOption(options, 'max-snap', DEFAULT_MAX_SNAP_M);
+
+    for (const file of [demandPath, roadsPath]) {
+        if (!fs.existsSync(file)) {
+            console.error(`Error: File not found: ${file}`);
+            if (file === roadsPath) console.error("Build it with 'node tools/build-osm-layers.js <extract> --only roads'.");
+            process.exit(1);
+        }
+    }
+
+    let speeds = DEFAULT_SPEEDS;
+    if (options.speeds) {
+        try {
+            speeds = Object.assign({}, DEFAULT_SPEEDS, JSON.parse(fs.readFileSync(options.speeds, 'utf8')));
+        } catch (err) {
+            console.error(`Error: Could not read ${options.speeds}: ${err.message}`);
+            process.exit(1);
+        }
+        const invalid = Object.entries(speeds).filter(([, kmh]) => !(kmh > 0));
+        if (invalid.length > 0) {
+            console.error(`Error: Speeds must be positive km/h values: ${invalid.map(([type]) => type).join(', ')}`);
+            process.exit(1);
+        }
+    }
+
+    const { graph, roadsSha } = loadRoadGraph(roadsPath, speeds, options.cache);
+    if (graph.nodeCount === 0) {
+        console.error(`Error: ${roadsPath} has no roads.`);
+        process.exit(1);
+    }
+
+    const demand = readGzipJson(demandPath);
+    console.log(`Routing ${demand.pops.length} pops...`);
+    const started = Date.now();
+    const results = routePops(demand, graph, maxSnap);
+    console.log(`[OK] Routed in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+
+    const project = createProjection(demand.points.reduce((sum, p) => sum + p.location[1], 0) / demand.points.length);
+    const report = Object.assign({
+        builtAt: new Date().toISOString(),
+        demand: path.basename(demandPath),
+        roads: { file: path.basename(roadsPath), sha256: roadsSha },
+        speeds,
+        graph: { nodes: graph.nodeCount, roads: graph.edgeCount / 2 }
+    }, buildReport(demand, results, project));
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+
+    const { totals, drivingSeconds, drivingDistance } = report;
+    console.log(` Routed ${totals.routed} of ${totals.pops} pops, ${totals.skipped} kept their old values` +
+        (totals.skipped ? ` (${Object.entries(report.skipped).map(([reason, g]) => `${g.count} ${reason}`).join(', ')})` : ''));
+    console.log(` Driving time: mean ${drivingSeconds.meanBefore} s -> ${drivingSeconds.meanAfter} s, median ratio ${drivingSeconds.ratio.median}`);
+    console.log(` Driving distance: mean ${drivingDistance.meanBefore} m -> ${drivingDistance.meanAfter} m, median ratio ${drivingDistance.ratio.median}`);
+    if (totals.implausibleBefore > 0) {
+        console.log(` ${totals.implausibleBefore} pops had implausible values (shorter than the straight line or faster than ${IMPLAUSIBLE_SPEED} km/h)`);
+    }
+    console.log(`[OK] Report: ${reportPath}`);
+
+    if (options['dry-run']) return;
+    for (const pop of demand.pops) {
+        const result = results.get(pop.id);
+        if (!result.skipped) Object.assign(pop, result);
+    }
+    const out = path.resolve(options.out || demandPath);
+    writeGzipJson(out, demand);
+    console.log(`[OK] Wrote ${out}`);
+    console.log("\nRun 'node install.js --write-checksums' to update checksums.json.");
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadRoadGraph, routePops, buildReport };
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { ROOT_DIR, readManifest } = require('../lib/datapack');
+const { openArchive, createArchiveWriter, zxyToTileId, COMPRESSION } = require('../lib/pmtiles');
+
+// Builds the offline foundation (background) map, scripts/foundation.pmtiles,
+// for the map bbox from tiles you already have on disk. serve.js serves it
+// next to general-tiles, and the mod uses it instead of CartoDB.
+//
+// Usage: node tools/build-foundation.js <source> [--out <file>] [--min-zoom 8] [--max-zoom 15]
+//                                                [--bbox minLon,minLat,maxLon,maxLat]
+//   <source> is either a .pmtiles archive covering the area (it is cut down to
+//   the bbox) or a folder of <z>/<x>/<y>.<png|jpg|webp|mvt|pbf> tiles.
+
+const DEFAULT_OUT = path.join(ROOT_DIR, 'scripts', 'foundation.pmtiles');
+const DEFAULT_MIN_ZOOM = 8;
+const DEFAULT_MAX_ZOOM = 15;
+
+// File extensions in a tile folder and their PMTiles tile type
+const FOLDER_TILE_TYPES = { png: 2, jpg: 3, jpeg: 3, webp: 4, mvt: 1, pbf: 1 };
+
+function lonToTileX(lon, z) {
+    return Math.floor((lon + 180) / 360 * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+    const rad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** z);
+}
+
+// All tiles touching bbox between minZoom and maxZoom, in tile ID order
+function tilesInBbox(bbox, minZoom, maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const max = 2 ** z - 1;
+        const x0 = Math.max(0, lonToTileX(bbox[0], z));
+        const x1 = Math.min(max, lonToTileX(bbox[2], z));
+        const y0 = Math.max(0, latToTileY(bbox[3], z));
+        const y1 = Math.min(max, latToTileY(bbox[1], z));
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) tiles.push({ z, x, y, id: zxyToTileId(z, x, y) });
+        }
+    }
+    return tiles.sort((a, b) => a.id - b.id);
+}
+
+// Returns { tileType, tileCompression, metadata, getTile(z, x, y), close() }
+function openSource(source) {
+    if (fs.statSync(source).isFile()) {
+        const archive = openArchive(source);
+        return {
+            tileType: archive.header.tileType,
+            tileCompression: archive.header.tileCompression,
+            metadata: archive.getMetadata(),
+            getTile: (z, x, y) => archive.getTile(z, x, y),
+            close: () => archive.close()
+        };
+    }
+
+    // Folder of z/x/y tiles: the first tile found decides the format
+    const ext = findTileExtension(source);
+    if (!ext) throw new Error(`No tiles found in ${source}`);
+    const tileType = FOLDER_TILE_TYPES[ext];
+    const isVector = tileType === 1;
+
+    return {
+        tileType,
+        // Vector tiles are stored gzipped, like in general-tiles
+        tileCompression: isVector ? COMPRESSION.GZIP : COMPRESSION.NONE,
+        metadata: {},
+        getTile(z, x, y) {
+            const filePath = path.join(source, String(z), String(x), `${y}.${ext}`);
+            if (!fs.existsSync(filePath)) return null;
+            const data = fs.readFileSync(filePath);
+            const isGzipped = data[0] === 0x1f && data[1] === 0x8b;
+            return isVector && !isGzipped ? zlib.gzipSync(data) : data;
+        },
+        close() {}
+    };
+}
+
+function findTileExtension(dir) {
+    for (const z of fs.readdirSync(dir)) {
+        const zDir = path.join(dir, z);
+        if (!/^\d+$/.test(z) || !fs.statSync(zDir).isDirectory()) continue;
+        for (const x of fs.readdirSync(zDir)) {
+            const xDir = path.join(zDir, x);
+            if (!fs.statSync(xDir).isDirectory()) continue;
+            const file = fs.readdirSync(xDir).find(name => FOLDER_TILE_TYPES[path.extname(name).slice(1)]);
+            if (file) return path.extname(file).slice(1);
+        }
+    }
+    return null;
+}
+
+// Copies the tiles of source inside bbox into out. The archive is only opened
+// once a tile is found, so a source without tiles leaves no file behind.
+// Returns { found, total, header }, found is 0 if nothing was written.
+function buildFoundation(source, { bbox, minZoom, maxZoom, out }) {
+    const input = openSource(source);
+    const tiles = tilesInBbox(bbox, minZoom, maxZoom);
+    console.log(`Collecting up to ${tiles.length} tiles (z${minZoom}-${maxZoom}) for bbox ${bbox.join(',')}...`);
+
+    let writer = null;
+    let found = 0;
+    try {
+        for (const { z, x, y } of tiles) {
+            const data = input.getTile(z, x, y);
+            if (!data) continue;
+            if (!writer) {
+                fs.mkdirSync(path.dirname(out), { recursive: true });
+                writer = createArchiveWriter(out, { tileType: input.tileType, tileCompression: input.tileCompression });
+            }
+            writer.addTile(z, x, y, data);
+            found++;
+        }
+    } finally {
+        input.close();
+    }
+    if (!writer) return { found: 0, total: tiles.length, header: null };
+
+    const metadata = Object.assign({}, input.metadata, { name: 'foundation', description: 'Offline foundation map' });
+    const header = writer.finish({ metadata, bounds: bbox });
+    return { found, total: tiles.length, header };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['out', 'min-zoom', 'max-zoom', 'bbox']);
+    const source = options._[0];
+    if (!source || !fs.existsSync(source)) {
+        console.error("Usage: node tools/build-foundation.js <source .pmtiles or tile folder> [--out <file>]");
+        process.exit(1);
+    }
+
+    const bbox = options.bbox ? options.bbox.split(',').map(Number) : readManifest().bbox;
+    const minZoom = numberOption(options, 'min-zoom', DEFAULT_MIN_ZOOM);
+    const maxZoom = numberOption(options, 'max-zoom', DEFAULT_MAX_ZOOM);
+    const out = path.resolve(options.out || DEFAULT_OUT);
+
+    const { found, total, header } = buildFoundation(path.resolve(source), { bbox, minZoom, maxZoom, out });
+    if (found === 0) {
+        console.error("Error: The source has no tiles inside the bbox.");
+        process.exit(1);
+    }
+
+    console.log(`[OK] Wrote ${found} tiles (${header.numTileContents} unique) to ${out}`);
+    if (found < total) {
+        console.warn(`Warning: ${total - found} tiles inside the bbox were missing from the source.`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { tilesInBbox, openSource, buildFoundation };
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { DATA_DIR, readManifest, readGzipJson, writeGzipJson } = require('../lib/datapack');
+const { gridIndex } = require('../lib/spatialindex');
+
+// Builds ocean_depth_index.json.gz from depth rasters, e.g. EMODnet bathymetry
+// for the sea plus GeoDanmark lake depths.
+//
+// Usage: node tools/build-ocean-depth.js <input>... [--out <file>] [--bbox minLon,minLat,maxLon,maxLat]
+//            [--cells-per-degree 960] [--cell-size 0.0027] [--min-depth -100]
+//            [--outlier-threshold 15] [--positive-down]
+//
+// Inputs are read in order and later ones replace earlier ones where they
+// overlap (put lake corrections last):
+//   .asc            ESRI ASCII grid (EMODnet "ASC" download, or gdal_translate -of AAIGrid)
+//   .xyz/.csv/.txt  one "lon lat depth" sample per line (space, comma or semicolon separated)
+//   .json.gz        an existing depth index, to clean it without the original rasters
+// Depths are elevations (negative below the surface) unless --positive-down is given.
+// Samples are averaged into a grid of 1/--cells-per-degree degree cells
+// (960 = EMODnet's 1/16 arc minute); cells above 0 m are land.
+//
+// Cleaning: a cell that differs more than --outlier-threshold m from the median of
+// its water neighbours is replaced by that median, and depths below --min-depth
+// are clamped. Depths are rounded to whole meters, cells of equal depth are
+// merged into polygons, and the polygons are bucketed into a --cell-size degree
+// index. The output only depends on the inputs and options.
+
+const DEFAULTS = { cellsPerDegree: 960, cellSize: 0.0027, minDepth: -100, outlierThreshold: 15 };
+// A cell needs this many water neighbours (of 8) for the outlier check
+const MIN_NEIGHBOURS = 4;
+
+// Depth raster covering bbox, NaN where there is no water data
+function createRaster(bbox, cellsPerDegree) {
+    const originX = Math.floor(bbox[0] * cellsPerDegree + 1e-9);
+    const originY = Math.floor(bbox[1] * cellsPerDegree + 1e-9);
+    const width = Math.ceil(bbox[2] * cellsPerDegree - 1e-9) - originX;
+    const height = Math.ceil(bbox[3] * cellsPerDegree - 1e-9) - originY;
+    return { cellsPerDegree, originX, originY, width, height, values: new Float64Array(width * height).fill(NaN) };
+}
+
+// Averages the samples of one input into the raster, replacing what was there
+function addSamples(raster, forEachSample) {
+    const sums = new Map();
+    forEachSample((lon, lat, depth) => {
+        if (!Number.isFinite(depth)) return;
+        const x = Math.floor(lon * raster.cellsPerDegree + 1e-9) - raster.originX;
+        const y = Math.floor(lat * raster.cellsPerDegree + 1e-9) - raster.originY;
+        if (x < 0 || y < 0 || x >= raster.width || y >= raster.height) return;
+        const i = y * raster.width + x;
+        const sum = sums.get(i) || [0, 0];
+        sum[0] += depth;
+        sum[1]++;
+        sums.set(i, sum);
+    });
+    for (const [i, [total, n]] of sums) raster.values[i] = total / n;
+    return sums.size;
+}
+
+function readAsciiGrid(filePath, sign, onSample) {
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+    const header = {};
+    let line = 0;
+    while (line < lines.length && /^[a-z_]/i.test(lines[line].trim())) {
+        const [key, value] = lines[line].trim().split(/\s+/);
+        header[key.toLowerCase()] = Number(value);
+        line++;
+    }
+    const { ncols, nrows, cellsize } = header;
+    if (!ncols || !nrows || !cellsize) throw new Error(`${filePath}: missing ncols, nrows or cellsize`);
+    // Corner or centre registration
+    const x0 = header.xllcenter !== undefined ? header.xllcenter : header.xllcorner + cellsize / 2;
+    const y0 = header.yllcenter !== undefined ? header.yllcenter : header.yllcorner + cellsize / 2;
+    const nodata = header.nodata_value;
+
+    const values = lines.slice(line).join(' ').trim().split(/\s+/).map(Number);
+    for (let row = 0; row < nrows; row++) {
+        const lat = y0 + (nrows - 1 - row) * cellsize;
+        for (let col = 0; col < ncols; col++) {
+            const value = values[row * ncols + col];
+            if (value === nodata) continue;
+            onSample(x0 + col * cellsize, lat, sign * value);
+        }
+    }
+}
+
+function readXyz(filePath, sign, onSample) {
+    for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+        const parts = line.trim().split(/[\s,;]+/);
+        if (parts.length < 3) continue;
+        const [lon, lat, depth] = parts.map(Number);
+        if (Number.isFinite(lon) && Number.isFinite(lat)) onSample(lon, lat, sign * depth);
+    }
+}
+
+// Samples every raster cell centre that lies inside one of the index's polygons
+function readDepthIndex(filePath, raster, onSample) {
+    const index = readGzipJson(filePath);
+    const cpd = raster.cellsPerDegree;
+    for (const depth of index.depths) {
+        const [minLon, minLat, maxLon, maxLat] = depth.b;
+        const y0 = Math.floor(minLat * cpd + 1e-9);
+        const y1 = Math.ceil(maxLat * cpd - 1e-9);
+        for (let y = y0; y < y1; y++) {
+            const lat = (y + 0.5) / cpd;
+            // Scanline: x positions where the rings cross this row, filled pairwise (even-odd)
+            const crossings = [];
+            for (const ring of depth.p) {
+                for (let k = 0; k < ring.length - 1; k++) {
+                    const [ax, ay] = ring[k];
+                    const [bx, by] = ring[k + 1];
+                    if ((ay <= lat) !== (by <= lat)) crossings.push(ax + (lat - ay) / (by - ay) * (bx - ax));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const x0 = Math.max(Math.ceil(crossings[k] * cpd - 0.5), Math.floor(minLon * cpd));
+                const x1 = Math.min(Math.floor(crossings[k + 1] * cpd - 0.5), Math.ceil(maxLon * cpd));
+                for (let x = x0; x <= x1; x++) onSample((x + 0.5) / cpd, lat, depth.d);
+            }
+        }
+    }
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Replaces spikes by their neighbours' median, clamps, marks land and rounds.
+// Returns the counts of changed cells.
+function cleanRaster(raster, { minDepth, outlierThreshold }) {
+    const { width, height, values } = raster;
+    const source = values.slice();
+    const counts = { interpolated: 0, clamped: 0, land: 0 };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            let value = source[i];
+            if (Number.isNaN(value)) continue;
+            if (value > 0) {
+                values[i] = NaN;
+                counts.land++;
+                continue;
+            }
+
+            const neighbours = [];
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if ((dx || dy) && x + dx >= 0 && x + dx < width && y + dy >= 0 && y + dy < height) {
+                        const n = source[(y + dy) * width + x + dx];
+                        if (n <= 0) neighbours.push(n);
+                    }
+                }
+            }
+            if (neighbours.length >= MIN_NEIGHBOURS) {
+                const m = median(neighbours);
+                if (Math.abs(value - m) > outlierThreshold) {
+                    value = m;
+                    counts.interpolated++;
+                }
+            }
+            if (value < minDepth) {
+                value = minDepth;
+                counts.clamped++;
+            }
+            // "|| 0" turns -0 into 0
+            values[i] = Math.round(value) || 0;
+        }
+    }
+    return counts;
+}
+
+// Labels 4-connected regions of equal depth, scanning from the top row
+function findRegions(raster) {
+    const { width, height, values } = raster;
+    const labels = new Int32Array(width * height).fill(-1);
+    const regions = [];
+    const queue = new Int32Array(width * height);
+
+    for (let y = height - 1; y >= 0; y--) {
+        for (let x = 0; x < width; x++) {
+            const start = y * width + x;
+            if (Number.isNaN(values[start]) || labels[start] !== -1) continue;
+
+            const depth = values[start];
+            const cells = [];
+            let head = 0;
+            let tail = 0;
+            queue[tail++] = start;
+            labels[start] = regions.length;
+            while (head < tail) {
+                const i = queue[head++];
+                cells.push(i);
+                const cx = i % width;
+                const cy = (i - cx) / width;
+                for (const [nx, ny] of [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]]) {
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (labels[n] === -1 && values[n] === depth) {
+                        labels[n] = regions.length;
+                        queue[tail++] = n;
+                    }
+                }
+            }
+            regions.push({ depth, cells });
+        }
+    }
+    return { labels, regions };
+}
+
+// Traces the outline of a region as rings of cell corners, outer ring first
+// (counter-clockwise), then the holes (clockwise)
+const DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]]; // east, north, west, south
+
+// Drops the corners in the middle of straight runs and closes the ring
+function removeCollinear(ring) {
+    const corners = ring.filter((point, k) => {
+        const prev = ring[(k + ring.length - 1) % ring.length];
+        const next = ring[(k + 1) % ring.length];
+        return (point[0] - prev[0]) * (next[1] - point[1]) !== (point[1] - prev[1]) * (next[0] - point[0]);
+    });
+    corners.push(corners[0]);
+    return corners;
+}
+
+function traceRegion(raster, labels, label, cells) {
+    const { width, height } = raster;
+    const stride = width + 1;
+    const outgoing = new Map();
+    const addEdge = (x, y, dir) => {
+        const key = y * stride + x;
+        if (!outgoing.has(key)) outgoing.set(key, []);
+        outgoing.get(key).push({ x, y, dir, used: false });
+    };
+    const outside = (x, y) => x < 0 || y < 0 || x >= width || y >= height || labels[y * width + x] !== label;
+
+    // Each boundary side as a directed edge with the region on its left
+    for (const i of cells) {
+        const x = i % width;
+        const y = (i - x) / width;
+        if (outside(x, y - 1)) addEdge(x, y, 0);
+        if (outside(x + 1, y)) addEdge(x + 1, y, 1);
+        if (outside(x, y + 1)) addEdge(x + 1, y + 1, 2);
+        if (outside(x - 1, y)) addEdge(x, y + 1, 3);
+    }
+
+    const rings = [];
+    for (const edges of outgoing.values()) {
+        for (const first of edges) {
+            if (first.used) continue;
+            const ring = [];
+            let edge = first;
+            while (edge && !edge.used) {
+                edge.used = true;
+                const [dx, dy] = DIRECTIONS[edge.dir];
+                const ex = edge.x + dx;
+                const ey = edge.y + dy;
+                const candidates = (outgoing.get(ey * stride + ex) || []).filter(e => !e.used);
+                // Prefer turning left so regions touching at a corner stay apart
+                const next = [1, 0, 3].map(turn => candidates.find(e => e.dir === (edge.dir + turn) % 4)).find(Boolean);
+                ring.push([ex, ey]);
+                edge = next;
+            }
+            rings.push(removeCollinear(ring));
+        }
+    }
+
+    const area = ring => ring.reduce((sum, [x, y], k) => k === 0 ? 0 : sum + ring[k - 1][0] * y - x * ring[k - 1][1], 0);
+    rings.sort((a, b) => area(b) - area(a));
+    return rings;
+}
+
+function buildIndex(raster, bbox, cellSize) {
+    const { labels, regions } = findRegions(raster);
+    const cpd = raster.cellsPerDegree;
+    const toLon = x => (raster.originX + x) / cpd;
+    const toLat = y => (raster.originY + y) / cpd;
+
+    const depths = regions.map(({ depth, cells }, label) => {
+        const rings = traceRegion(raster, labels, label, cells);
+        const p = rings.map(ring => ring.map(([x, y]) => [toLon(x), toLat(y)]));
+        const xs = rings[0].map(c => c[0]);
+        const ys = rings[0].map(c => c[1]);
+        return {
+            b: [toLon(Math.min(...xs)), toLat(Math.min(...ys)), toLon(Math.max(...xs)), toLat(Math.max(...ys))],
+            d: depth,
+            p
+        };
+    });
+
+    const { grid, cells } = gridIndex(depths, bbox, cellSize);
+
+    let minDepth = 0;
+    let maxDepth = depths.length ? -Infinity : 0;
+    for (const { d } of depths) {
+        minDepth = Math.min(minDepth, d);
+        maxDepth = Math.max(maxDepth, d);
+    }
+
+    return { cs: cellSize, bbox, grid, cells, depths, stats: { count: depths.length, minDepth, maxDepth } };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2),
+        ['out', 'bbox', 'cells-per-degree', 'cell-size', 'min-depth', 'outlier-threshold']);
+    const inputs = options._;
+    if (inputs.length === 0) {
+        console.error("Usage: node tools/build-ocean-depth.js <.asc|.xyz|.json.gz>... [--out <file>]");
+        process.exit(1);
+    }
+
+    const bbox = options.bbox ? options.bbox.split(',').map(Number) : readManifest().bbox;
+    const cellsPerDegree = numberOption(options, 'cells-per-degree', DEFAULTS.cellsPerDegree);
+    const cellSize = numberOption(options, 'cell-size', DEFAULTS.cellSize);
+    const clean = {
+        minDepth: numberOption(options, 'min-depth', DEFAULTS.minDepth),
+        outlierThreshold: numberOption(options, 'outlier-threshold', DEFAULTS.outlierThreshold)
+    };
+    const sign = options['positive-down'] ? -1 : 1;
+    const out = path.resolve(options.out || path.join(DATA_DIR, 'ocean_depth_index.json.gz'));
+
+    const raster = createRaster(bbox, cellsPerDegree);
+    console.log(`Raster: ${raster.width} x ${raster.height} cells of 1/${cellsPerDegree} degree`);
+
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            console.error(`Error: File not found: ${input}`);
+            process.exit(1);
+        }
+        let count;
+        try {
+            if (input.endsWith('.json.gz')) {
+                count = addSamples(raster, onSample => readDepthIndex(input, raster, onSample));
+            } else if (input.toLowerCase().endsWith('.asc')) {
+                count = addSamples(raster, onSample => readAsciiGrid(input, sign, onSample));
+            } else {
+                count = addSamples(raster, onSample => readXyz(input, sign, onSample));
+            }
+        } catch (err) {
+            console.error(`Error: Could not read ${input}: ${err.message}`);
+            process.exit(1);
+        }
+        console.log(` [OK] ${path.basename(input)}: ${count} cells`);
+    }
+
+    const counts = cleanRaster(raster, clean);
+    console.log(`Cleaned: ${counts.interpolated} outliers replaced by their neighbours, ${counts.clamped} clamped to ${clean.minDepth} m, ${counts.land} land cells dropped`);
+
+    const index = buildIndex(raster, bbox, cellSize);
+    if (index.depths.length === 0) {
+        console.error("Error: No water cells inside the bbox.");
+        process.exit(1);
+    }
+    writeGzipJson(out, index);
+    console.log(`[OK] Wrote ${index.depths.length} depth polygons in ${index.cells.length} index cells to ${out}`);
+    console.log(`     Depth ${index.stats.minDepth} to ${index.stats.maxDepth} m`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createRaster, addSamples, cleanRaster, buildIndex };
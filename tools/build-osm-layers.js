@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { DATA_DIR, readManifest, writeGzipJson, isInBbox } = require('../lib/datapack');
+const { readOsmExtract, roundCoordinate } = require('../lib/osmextract');
+const { gridIndex } = require('../lib/spatialindex');
+
+// Builds roads.geojson.gz and buildings_index.json.gz for the map bbox from an
+// OpenStreetMap extract (.osm.pbf or GeoJSON, see lib/osmextract.js).
+//
+// Usage: node tools/build-osm-layers.js <extract> [--only roads|buildings] [--out-dir data]
+//            [--bbox minLon,minLat,maxLon,maxLat] [--cell-size 0.0027]
+//
+// roads.geojson.gz: one LineString per highway way, with the same properties as
+// runways_taxiways.geojson.gz: 'roadType' (the highway tag), 'z_order' and
+// 'osm_way_id', plus 'name' where the road has one. Paths, tracks and
+// driveways are left out.
+//
+// buildings_index.json.gz: the same grid index as ocean_depth_index.json.gz,
+// with 'buildings' instead of 'depths'. Each building has its bbox 'b', its
+// outline 'p' and 'f', the depth of its foundation in meters (negative),
+// which the game uses for tunnelling under it.
+
+const DEFAULT_CELL_SIZE = 0.0027;
+
+// Road classes and their rank in z_order (as in GDAL's OSM driver)
+const ROAD_RANKS = {
+    motorway: 9,
+    trunk: 8,
+    primary: 7,
+    secondary: 6,
+    tertiary: 5,
+    unclassified: 4,
+    residential: 4,
+    living_street: 3,
+    service: 2
+};
+// service=* values that are not part of the road network
+const SKIPPED_SERVICE = ['driveway', 'parking_aisle', 'drive-through'];
+
+// Foundations: 2 m footing plus 3 m per basement level. Buildings of
+// this many levels are assumed to have a basement unless tagged otherwise.
+const FOOTING_DEPTH = 2;
+const BASEMENT_LEVEL_HEIGHT = 3;
+const BASEMENT_FROM_LEVELS = 5;
+const LEVEL_HEIGHT = 3;
+
+// "motorway_link" -> "motorway"
+function roadClass(tags) {
+    const highway = String(tags.highway || '').replace(/_link$/, '');
+    if (!ROAD_RANKS[highway]) return null;
+    if (highway === 'service' && SKIPPED_SERVICE.includes(tags.service)) return null;
+    return highway;
+}
+
+function zOrder(tags) {
+    let z = ROAD_RANKS[roadClass(tags)];
+    const layer = parseInt(tags.layer, 10);
+    if (Number.isFinite(layer)) z += 10 * layer;
+    if (tags.bridge && tags.bridge !== 'no') z += 10;
+    if (tags.tunnel && tags.tunnel !== 'no') z -= 10;
+    return z;
+}
+
+function buildRoads(elements, bbox) {
+    const features = [];
+    for (const element of elements) {
+        for (const line of element.lines) {
+            if (line.length < 2 || !line.some(([lon, lat]) => isInBbox(lon, lat, bbox))) continue;
+            const properties = { roadType: element.tags.highway, z_order: zOrder(element.tags), osm_way_id: element.id };
+            if (element.tags.name) properties.name = element.tags.name;
+            features.push({ type: 'Feature', properties, geometry: { type: 'LineString', coordinates: line.map(roundCoordinate) } });
+        }
+    }
+    // Draw order first, then OSM id, so the file is stable between runs
+    features.sort((a, b) =>
+        a.properties.z_order - b.properties.z_order ||
+        a.properties.osm_way_id.length - b.properties.osm_way_id.length ||
+        (a.properties.osm_way_id < b.properties.osm_way_id ? -1 : a.properties.osm_way_id > b.properties.osm_way_id ? 1 : 0));
+    return { type: 'FeatureCollection', features };
+}
+
+function isBuilding(tags) {
+    return tags.building !== undefined && tags.building !== 'no';
+}
+
+function foundationDepth(tags) {
+    let basements = parseInt(tags['building:levels:underground'], 10);
+    if (!Number.isFinite(basements)) {
+        let levels = parseInt(tags['building:levels'], 10);
+        if (!Number.isFinite(levels)) levels = parseFloat(tags.height) / LEVEL_HEIGHT;
+        basements = levels >= BASEMENT_FROM_LEVELS ? 1 : 0;
+    }
+    return -(FOOTING_DEPTH + BASEMENT_LEVEL_HEIGHT * Math.max(0, basements));
+}
+
+function buildBuildings(elements, bbox, cellSize) {
+    const buildings = [];
+    for (const element of elements) {
+        for (const rings of element.polygons) {
+            const outer = rings[0];
+            if (!outer || outer.length < 4 || !outer.some(([lon, lat]) => isInBbox(lon, lat, bbox))) continue;
+            const p = rings.map(ring => ring.map(roundCoordinate));
+            const lons = p[0].map(c => c[0]);
+            const lats = p[0].map(c => c[1]);
+            buildings.push({
+                id: element.id,
+                b: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)],
+                f: foundationDepth(element.tags),
+                p
+            });
+        }
+    }
+    // West to east, then south to north, so the file is stable between runs
+    buildings.sort((a, b) => a.b[0] - b.b[0] || a.b[1] - b.b[1] || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    buildings.forEach(building => delete building.id);
+
+    const { grid, cells } = gridIndex(buildings, bbox, cellSize);
+    let minDepth = 0;
+    let maxDepth = buildings.length ? -Infinity : 0;
+    for (const { f } of buildings) {
+        minDepth = Math.min(minDepth, f);
+        maxDepth = Math.max(maxDepth, f);
+    }
+    return { cs: cellSize, bbox, grid, cells, buildings, stats: { count: buildings.length, minDepth, maxDepth } };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['only', 'out-dir', 'bbox', 'cell-size']);
+    const input = options._[0];
+    if (!input || (options.only && !['roads', 'buildings'].includes(options.only))) {
+        console.error("Usage: node tools/build-osm-layers.js <extract.osm.pbf|extract.geojson> [--only roads|buildings] [--out-dir <folder>]");
+        process.exit(1);
+    }
+    if (!fs.existsSync(input)) {
+        console.error(`Error: File not found: ${input}`);
+        process.exit(1);
+    }
+
+    const bbox = options.bbox ? options.bbox.split(',').map(Number) : readManifest().bbox;
+    const cellSize = numberOption(options, 'cell-size', DEFAULT_CELL_SIZE);
+    const outDir = path.resolve(options['out-dir'] || DATA_DIR);
+    const wantRoads = options.only !== 'buildings';
+    const wantBuildings = options.only !== 'roads';
+
+    let elements;
+    try {
+        elements = readOsmExtract(input, {
+            filter: tags => (wantRoads && roadClass(tags) !== null) || (wantBuildings && isBuilding(tags)),
+            isArea: isBuilding
+        });
+    } catch (err) {
+        console.error(`Error: Could not read ${input}: ${err.message}`);
+        process.exit(1);
+    }
+
+    if (wantRoads) {
+        const roads = buildRoads(elements.filter(e => roadClass(e.tags) !== null), bbox);
+        if (roads.features.length === 0) {
+            console.warn("Warning: No roads inside the bbox, roads.geojson.gz was not written.");
+        } else {
+            writeGzipJson(path.join(outDir, 'roads.geojson.gz'), roads);
+            console.log(`[OK] Wrote ${roads.features.length} roads to ${path.join(outDir, 'roads.geojson.gz')}`);
+        }
+    }
+
+    if (wantBuildings) {
+        const index = buildBuildings(elements.filter(e => isBuilding(e.tags)), bbox, cellSize);
+        if (index.buildings.length === 0) {
+            console.warn("Warning: No buildings inside the bbox, buildings_index.json.gz was not written.");
+        } else {
+            writeGzipJson(path.join(outDir, 'buildings_index.json.gz'), index);
+            console.log(`[OK] Wrote ${index.buildings.length} buildings in ${index.cells.length} index cells to ${path.join(outDir, 'buildings_index.json.gz')}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildRoads, buildBuildings, foundationDepth };
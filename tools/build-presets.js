@@ -0,0 +1,86 @@
+const path = require('path');
+const { parseArgs } = require('../lib/cli');
+const { DATA_DIR, readGzipJson, writeGzipJson, isInBbox } = require('../lib/datapack');
+const { CITY_PRESETS } = require('../index.js');
+
+// Builds the demand subset of every city preset with bounds (CITY_PRESETS in
+// index.js) into data/presets/<code>/demand_data.json.gz. The installer copies
+// it to the preset's data folder together with the shared map files.
+//
+// Usage: node tools/build-presets.js [--data <folder>] [--only <code>]
+//
+// A subset keeps the points inside the bounds and the pops (commutes) that both
+// live and work inside them. Residents and jobs of a point are recounted from
+// the sizes of the pops it kept, points without any remaining pops are dropped.
+
+const DEMAND_FILE = 'demand_data.json.gz';
+const PRESETS_DIR_NAME = 'presets';
+
+// Returns the demand subset for bounds plus the sum of its residents
+function filterDemand(demand, bounds) {
+    const inside = new Set(demand.points
+        .filter(point => isInBbox(point.location[0], point.location[1], bounds))
+        .map(point => point.id));
+    const pops = demand.pops.filter(pop => inside.has(pop.residenceId) && inside.has(pop.jobId));
+    const popIds = new Set(pops.map(pop => pop.id));
+
+    // The pops that commute out of the bounds no longer live or work at their point
+    const residents = new Map();
+    const jobs = new Map();
+    for (const pop of pops) {
+        residents.set(pop.residenceId, (residents.get(pop.residenceId) || 0) + pop.size);
+        jobs.set(pop.jobId, (jobs.get(pop.jobId) || 0) + pop.size);
+    }
+
+    const points = [];
+    for (const point of demand.points) {
+        if (!inside.has(point.id)) continue;
+        const kept = point.popIds.filter(id => popIds.has(id));
+        if (kept.length === 0) continue;
+        points.push(Object.assign({}, point, {
+            residents: residents.get(point.id) || 0,
+            jobs: jobs.get(point.id) || 0,
+            popIds: kept
+        }));
+    }
+
+    return { demand: { points, pops }, residents: pops.reduce((sum, pop) => sum + pop.size, 0) };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['data', 'only']);
+    const dataDir = path.resolve(options.data || DATA_DIR);
+    const presets = CITY_PRESETS.filter(preset => preset.bounds && (!options.only || preset.code === options.only));
+
+    if (presets.length === 0) {
+        console.error(options.only ? `Error: No preset with bounds named ${options.only}` : "Error: No presets with bounds in index.js");
+        process.exit(1);
+    }
+
+    const demand = readGzipJson(path.join(dataDir, DEMAND_FILE));
+    console.log(`Full demand: ${demand.points.length} points, ${demand.pops.length} pops`);
+
+    for (const preset of presets) {
+        const { demand: subset, residents } = filterDemand(demand, preset.bounds);
+        if (subset.points.length === 0) {
+            console.error(`Error: ${preset.code} has no demand inside its bounds [${preset.bounds.join(', ')}]`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        const out = path.join(dataDir, PRESETS_DIR_NAME, preset.code, DEMAND_FILE);
+        writeGzipJson(out, subset);
+        console.log(` [OK] ${preset.code}: ${subset.points.length} points, ${subset.pops.length} pops, ${residents} residents -> ${path.relative(dataDir, out)}`);
+        if (preset.population !== residents) {
+            console.warn(`Warning: ${preset.code} is registered with population ${preset.population}, the subset has ${residents} residents. Update CITY_PRESETS in index.js.`);
+        }
+    }
+
+    console.log("\nRun 'node install.js --write-checksums' to update checksums.json.");
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { filterDemand };
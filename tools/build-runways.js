@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { DATA_DIR, readManifest, writeGzipJson, isInBbox } = require('../lib/datapack');
+const { readOsmExtract, roundCoordinate } = require('../lib/osmextract');
+const { pointInRing } = require('../lib/geometry');
+
+// Builds runways_taxiways.geojson.gz from an OpenStreetMap extract, for every
+// airfield inside the map bbox.
+//
+// Usage: node tools/build-runways.js <extract.osm.pbf|extract.geojson[.gz]> [--out <file>]
+//            [--bbox minLon,minLat,maxLon,maxLat] [--runway-width 45] [--taxiway-width 23]
+//
+// The extract can be a .osm.pbf (e.g. Geofabrik's denmark-latest.osm.pbf) or
+// GeoJSON, see lib/osmextract.js.
+//
+// aeroway=runway, taxiway/taxilane and apron become the 'runway', 'taxiway' and
+// 'apron' road types. Areas keep their outline and get their area in m². Lines
+// are widened to polygons using their width tag (or the default width) and get
+// area 0, like the original file.
+
+const ROAD_TYPES = {
+    apron: { z_order: 0 },
+    taxiway: { z_order: 1, width: 23 },
+    runway: { z_order: 2, width: 45 }
+};
+const AEROWAY_ROAD_TYPES = { runway: 'runway', taxiway: 'taxiway', taxilane: 'taxiway', apron: 'apron' };
+// Taxilanes (apron lanes to the stands) are narrower than taxiways
+const TAXILANE_WIDTH = 15;
+// Segments per half circle in line ends and outer corners
+const ARC_SEGMENTS = 16;
+
+// --- geometry ---
+// Buffering and areas use a local equirectangular projection in meters
+
+const METERS_PER_DEGREE = 111320;
+
+function createProjection(lat0) {
+    const kx = METERS_PER_DEGREE * Math.cos(lat0 * Math.PI / 180);
+    return {
+        forward: ([lon, lat]) => [lon * kx, lat * METERS_PER_DEGREE],
+        inverse: ([x, y]) => [x / kx, y / METERS_PER_DEGREE]
+    };
+}
+
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+}
+
+function closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : ring.concat([first]);
+}
+
+// Outer rings counterclockwise, holes clockwise (RFC 7946)
+function orientRing(ring, outer) {
+    return (signedArea(ring) > 0) === outer ? ring : ring.slice().reverse();
+}
+
+function polygonArea(rings, projection) {
+    const [outer, ...holes] = rings.map(ring => Math.abs(signedArea(ring.map(projection.forward))));
+    return holes.reduce((area, hole) => area - hole, outer);
+}
+
+// Points from angle `from` to `to` around center, turning clockwise
+function arc(center, radius, from, to) {
+    while (to > from) to -= 2 * Math.PI;
+    const steps = Math.max(1, Math.ceil((from - to) / (Math.PI / ARC_SEGMENTS)));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const angle = from + (to - from) * i / steps;
+        points.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+    }
+    return points;
+}
+
+// Left side of the line, walking from its start to its end
+function offsetSide(points, radius) {
+    const directions = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const dx = points[i + 1][0] - points[i][0];
+        const dy = points[i + 1][1] - points[i][1];
+        const length = Math.hypot(dx, dy);
+        directions.push([dx / length, dy / length]);
+    }
+    const normal = ([dx, dy]) => [-dy, dx];
+    const offset = (p, n, r = radius) => [p[0] + n[0] * r, p[1] + n[1] * r];
+
+    const side = [offset(points[0], normal(directions[0]))];
+    for (let i = 1; i < points.length - 1; i++) {
+        const a = directions[i - 1];
+        const b = directions[i];
+        const na = normal(a);
+        const nb = normal(b);
+        const cross = a[0] * b[1] - a[1] * b[0];
+        const dot = a[0] * b[0] + a[1] * b[1];
+        if (cross < -1e-9) {
+            // Right turn: the left side is the outside of the corner
+            side.push(...arc(points[i], radius, Math.atan2(na[1], na[0]), Math.atan2(nb[1], nb[0])));
+        } else if (cross > 1e-9 && dot > -0.9) {
+            // Left turn: meet at the mitre point
+            side.push(offset(points[i], [na[0] + nb[0], na[1] + nb[1]], radius / (1 + dot)));
+        } else {
+            side.push(offset(points[i], na), offset(points[i], nb));
+        }
+    }
+    const last = points.length - 1;
+    side.push(offset(points[last], normal(directions[last - 1])));
+    return side;
+}
+
+// Polygon ring around a line (in meters) with round ends
+function bufferLine(points, radius) {
+    points = points.filter((p, i) => i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]);
+    if (points.length < 2) return null;
+
+    const reversed = points.slice().reverse();
+    const cap = (p, side) => {
+        const angle = Math.atan2(side[1] - p[1], side[0] - p[0]);
+        return arc(p, radius, angle, angle - Math.PI).slice(1, -1);
+    };
+    const left = offsetSide(points, radius);
+    const right = offsetSide(reversed, radius);
+    const ring = [
+        ...left,
+        ...cap(points[points.length - 1], left[left.length - 1]),
+        ...right,
+        ...cap(points[0], right[right.length - 1])
+    ];
+    return ring.concat([ring[0]]);
+}
+
+// Width tags like "45", "45 m" or "150 ft"
+function parseWidth(value) {
+    const match = /^\s*([\d.]+)\s*(m|ft|')?\s*$/.exec(String(value || ''));
+    if (!match) return NaN;
+    const width = Number(match[1]);
+    return match[2] === 'ft' || match[2] === "'" ? width * 0.3048 : width;
+}
+
+// --- features ---
+
+function toFeatures(element, widths) {
+    const roadType = AEROWAY_ROAD_TYPES[element.tags.aeroway];
+    const properties = area => ({ roadType, z_order: ROAD_TYPES[roadType].z_order, osm_way_id: element.id, area });
+    const features = [];
+
+    for (const rings of element.polygons) {
+        const closed = rings.map(closeRing).filter(ring => ring.length >= 4);
+        if (closed.length === 0) continue;
+        const projection = createProjection(closed[0][0][1]);
+        const oriented = closed.map((ring, i) => orientRing(ring, i === 0).map(roundCoordinate));
+        features.push({
+            type: 'Feature',
+            properties: properties(polygonArea(closed, projection)),
+            geometry: { type: 'Polygon', coordinates: oriented }
+        });
+    }
+
+    for (const line of element.lines) {
+        if (line.length < 2) continue;
+        let width = parseWidth(element.tags.width);
+        if (!(width > 0)) width = element.tags.aeroway === 'taxilane' ? TAXILANE_WIDTH : widths[roadType];
+        const projection = createProjection(line[0][1]);
+        const ring = bufferLine(line.map(projection.forward), width / 2);
+        if (!ring) continue;
+        features.push({
+            type: 'Feature',
+            properties: properties(0),
+            geometry: { type: 'Polygon', coordinates: [orientRing(ring, true).map(projection.inverse).map(roundCoordinate)] }
+        });
+    }
+    return features;
+}
+
+function buildRunways(elements, bbox, widths) {
+    const insideBbox = element => [...element.lines, ...element.polygons.map(rings => rings[0])]
+        .some(coords => coords.some(([lon, lat]) => isInBbox(lon, lat, bbox)));
+
+    const aerodromes = elements
+        .filter(e => e.tags.aeroway === 'aerodrome' && e.polygons.length > 0 && insideBbox(e))
+        .map(e => ({ name: e.tags.name || `way ${e.id}`, icao: e.tags.icao, rings: e.polygons.map(rings => rings[0]), counts: {} }));
+    const unassigned = { name: 'Outside any mapped aerodrome', rings: [], counts: {} };
+
+    const seen = new Set();
+    const features = [];
+    for (const element of elements) {
+        if (!AEROWAY_ROAD_TYPES[element.tags.aeroway] || !insideBbox(element)) continue;
+        const key = `${element.tags.aeroway}:${element.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const elementFeatures = toFeatures(element, widths);
+        if (elementFeatures.length === 0) continue;
+        features.push(...elementFeatures);
+
+        const start = (element.lines[0] || element.polygons[0][0])[0];
+        const aerodrome = aerodromes.find(a => a.rings.some(ring => pointInRing(start, ring))) || unassigned;
+        const roadType = AEROWAY_ROAD_TYPES[element.tags.aeroway];
+        aerodrome.counts[roadType] = (aerodrome.counts[roadType] || 0) + 1;
+    }
+
+    // Aprons first so runways are drawn on top; ties by OSM id for a stable file
+    features.sort((a, b) =>
+        a.properties.z_order - b.properties.z_order ||
+        a.properties.osm_way_id.length - b.properties.osm_way_id.length ||
+        (a.properties.osm_way_id < b.properties.osm_way_id ? -1 : a.properties.osm_way_id > b.properties.osm_way_id ? 1 : 0));
+
+    const airfields = aerodromes.concat(Object.keys(unassigned.counts).length > 0 ? [unassigned] : []);
+    return { geojson: { type: 'FeatureCollection', features }, airfields };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['out', 'bbox', 'runway-width', 'taxiway-width']);
+    const input = options._[0];
+    if (!input) {
+        console.error("Usage: node tools/build-runways.js <extract.osm.pbf|extract.geojson> [--out <file>]");
+        process.exit(1);
+    }
+    if (!fs.existsSync(input)) {
+        console.error(`Error: File not found: ${input}`);
+        process.exit(1);
+    }
+
+    const bbox = options.bbox ? options.bbox.split(',').map(Number) : readManifest().bbox;
+    const widths = {
+        runway: numberOption(options, 'runway-width', ROAD_TYPES.runway.width),
+        taxiway: numberOption(options, 'taxiway-width', ROAD_TYPES.taxiway.width)
+    };
+    const out = path.resolve(options.out || path.join(DATA_DIR, 'runways_taxiways.geojson.gz'));
+
+    let elements;
+    try {
+        elements = readOsmExtract(input, {
+            filter: tags => AEROWAY_ROAD_TYPES[tags.aeroway] !== undefined || tags.aeroway === 'aerodrome',
+            isArea: tags => tags.aeroway === 'apron' || tags.aeroway === 'aerodrome' || tags.area === 'yes'
+        });
+    } catch (err) {
+        console.error(`Error: Could not read ${input}: ${err.message}`);
+        process.exit(1);
+    }
+
+    const { geojson, airfields } = buildRunways(elements, bbox, widths);
+    if (geojson.features.length === 0) {
+        console.error("Error: No runways, taxiways or aprons inside the bbox.");
+        process.exit(1);
+    }
+
+    for (const airfield of airfields) {
+        const counts = Object.keys(ROAD_TYPES).map(type => `${airfield.counts[type] || 0} ${type}`).join(', ');
+        const label = airfield.icao ? `${airfield.name} (${airfield.icao})` : airfield.name;
+        if (Object.keys(airfield.counts).length === 0) {
+            console.warn(`Warning: ${label} has no runways, taxiways or aprons in the extract.`);
+        } else {
+            console.log(` [OK] ${label}: ${counts}`);
+        }
+    }
+
+    writeGzipJson(out, geojson);
+    console.log(`[OK] Wrote ${geojson.features.length} features to ${out}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { bufferLine, buildRunways };
@@ -0,0 +1,444 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('../lib/cli');
+const { DATA_DIR, readManifest, readGzipJson, writeGzipJson, isInBbox } = require('../lib/datapack');
+const {
+    DEMAND_DEFAULTS,
+    hashString,
+    createRandom,
+    splitEvenly,
+    estimateDriving,
+    createProjection,
+    createWorkplaceChooser
+} = require('../lib/demand');
+const { pointInPolygon } = require('../lib/geometry');
+const { validateDemand, createReport } = require('../validate');
+const { CITY_PRESETS } = require('../index.js');
+
+// Applies a scenario file ("what if Nordhavn gets built out?") to the demand
+// data and writes the result as its own city preset, which the installer
+// deploys under the scenario's code like any other preset.
+//
+// Usage: node tools/build-scenario.js <scenario.json> [--data <folder>] [--out <file>]
+//
+// {
+//     "code": "NHV",                           preset code, written to data/presets/NHV/
+//     "name": "Copenhagen - Nordhavn 2040",
+//     "base": "CPH",                           demand to start from (default: the main city)
+//     "seed": 1,
+//     "params": { "popSize": 50, "decayKm": 8, "maxKm": 60, "detour": 1.3 },
+//     "changes": [
+//         { "op": "scale", "area": <area>, "residents": 1.5, "jobs": 2 },
+//         { "op": "add", "id": "p_Lynetteholm_1", "location": [12.61, 55.70], "residents": 5000, "jobs": 800 },
+//         { "op": "remove", "ids": ["p_123456"] },             or "area": <area>
+//         { "op": "shiftTime", "area": <area>, "factor": 1.2, "seconds": 60 }
+//     ]
+// }
+//
+// An <area> is a [minLon, minLat, maxLon, maxLat] box, a ring of [lon, lat]
+// points, or a GeoJSON Polygon, MultiPolygon or Feature.
+//
+// The changes are applied in order. Residents and pops change together, and
+// every pop keeps a home and a workplace that exist:
+//   scale      multiplies residents and/or jobs of the points in the area. New
+//              residents get new pops (drawn like tools/build-demand.js does),
+//              fewer residents shrink the existing pops. When jobs shrink, the
+//              same share of the pops working there move to other workplaces.
+//   add        a new point. Its residents get pops to the job points around it.
+//   remove     deletes points with their pops; pops of other points working
+//              there move to other workplaces.
+//   shiftTime  changes the driving time of pops living or working in the area
+//              (drivingSeconds * factor + seconds), e.g. for congestion or a new road.
+// A pop that finds no other workplace in reach is removed with its residents.
+
+const DEMAND_FILE = 'demand_data.json.gz';
+const PRESETS_DIR_NAME = 'presets';
+const OPS = ['scale', 'add', 'remove', 'shiftTime'];
+
+// --- areas ---
+
+// Returns a test (lon, lat) => boolean for an <area>
+function parseArea(area, where) {
+    if (Array.isArray(area) && area.length === 4 && area.every(Number.isFinite)) {
+        return (lon, lat) => isInBbox(lon, lat, area);
+    }
+    let polygons = null;
+    if (Array.isArray(area)) polygons = [[area]];
+    else if (area && area.type === 'Feature') return parseArea(area.geometry, where);
+    else if (area && area.type === 'Polygon') polygons = [area.coordinates];
+    else if (area && area.type === 'MultiPolygon') polygons = area.coordinates;
+
+    const valid = polygons && polygons.every(rings => Array.isArray(rings) && rings.every(ring =>
+        Array.isArray(ring) && ring.length >= 3 && ring.every(c => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]))));
+    if (!valid) {
+        throw new Error(`${where}: 'area' must be a bbox, a ring of [lon, lat] points or a GeoJSON (Multi)Polygon`);
+    }
+    return (lon, lat) => polygons.some(rings => pointInPolygon([lon, lat], rings));
+}
+
+// --- scenario ---
+
+function readScenario(filePath) {
+    const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (typeof scenario.code !== 'string' || !/^[A-Za-z0-9_-]+$/.test(scenario.code)) {
+        throw new Error("'code' must be a preset code like \"NHV\"");
+    }
+    if (!Array.isArray(scenario.changes) || scenario.changes.length === 0) {
+        throw new Error("'changes' must be a non-empty list");
+    }
+    scenario.changes.forEach((change, i) => {
+        if (!change || !OPS.includes(change.op)) {
+            throw new Error(`changes[${i}]: 'op' must be one of ${OPS.join(', ')}`);
+        }
+    });
+    return scenario;
+}
+
+function nonNegative(value, name, where, fallback) {
+    if (value === undefined) return fallback;
+    if (!Number.isFinite(value) || value < 0) throw new Error(`${where}: '${name}' must be a non-negative number`);
+    return value;
+}
+
+// Applies the scenario's changes to demand ({ points, pops }, not modified).
+// Returns { demand, changes: [summary per change] }.
+function applyScenario(demand, scenario, bbox) {
+    const params = Object.assign({}, DEMAND_DEFAULTS, scenario.params, { seed: scenario.seed || DEMAND_DEFAULTS.seed });
+    const points = new Map(demand.points.map(p => [p.id, Object.assign({}, p, { popIds: p.popIds.slice() })]));
+    const pops = new Map(demand.pops.map(pop => [pop.id, Object.assign({}, pop)]));
+
+    const project = createProjection(demand.points.reduce((sum, p) => sum + p.location[1], 0) / demand.points.length);
+    const xy = new Map([...points.values()].map(p => [p.id, project(p.location)]));
+
+    // New pops continue the existing numbering
+    const numbers = demand.pops.map(pop => /^pop_(\d+)$/.exec(pop.id)).filter(Boolean);
+    const digits = Math.max(6, ...numbers.map(m => m[1].length));
+    let nextPop = numbers.reduce((max, m) => Math.max(max, Number(m[1]) + 1), 0);
+
+    let summary;
+
+    function linkPop(pop) {
+        points.get(pop.residenceId).popIds.push(pop.id);
+        if (pop.jobId !== pop.residenceId) points.get(pop.jobId).popIds.push(pop.id);
+    }
+
+    function unlinkPop(pop) {
+        for (const id of new Set([pop.residenceId, pop.jobId])) {
+            const point = points.get(id);
+            if (point) point.popIds = point.popIds.filter(popId => popId !== pop.id);
+        }
+    }
+
+    function removePop(pop) {
+        unlinkPop(pop);
+        pops.delete(pop.id);
+        summary.popsRemoved++;
+    }
+
+    function workplaceChooser(home, exclude) {
+        const workplaces = [...points.values()]
+            .filter(p => p.jobs > 0 && p.id !== exclude)
+            .map(p => ({ index: p.id, xy: xy.get(p.id), jobs: p.jobs }));
+        return createWorkplaceChooser(xy.get(home.id), workplaces, params);
+    }
+
+    // Gives count new residents of home pops. Returns how many got one.
+    function addResidents(home, count, random) {
+        const chooseWorkplace = workplaceChooser(home);
+        if (!chooseWorkplace || count <= 0) return 0;
+        for (const size of splitEvenly(count, params.popSize)) {
+            const work = chooseWorkplace(random);
+            const pop = Object.assign({
+                id: `pop_${String(nextPop++).padStart(digits, '0')}`,
+                size,
+                residenceId: home.id,
+                jobId: work.index
+            }, estimateDriving(work.distance, params.detour));
+            pops.set(pop.id, pop);
+            linkPop(pop);
+            summary.popsAdded++;
+        }
+        return count;
+    }
+
+    // Shrinks the pops living at home to newResidents in total, keeping their proportions
+    function shrinkResidents(home, newResidents) {
+        const living = home.popIds.map(id => pops.get(id)).filter(pop => pop.residenceId === home.id);
+        const total = living.reduce((sum, pop) => sum + pop.size, 0);
+        if (total === 0) return;
+        const target = Math.min(total, newResidents);
+        // Largest remainder, so the sizes add up to the target exactly
+        const shares = living.map(pop => pop.size * target / total);
+        const sizes = shares.map(Math.floor);
+        let left = target - sizes.reduce((sum, size) => sum + size, 0);
+        shares.map((share, i) => ({ i, rest: share - sizes[i] }))
+            .sort((a, b) => b.rest - a.rest || a.i - b.i)
+            .forEach(({ i }) => { if (left > 0) { sizes[i]++; left--; } });
+        living.forEach((pop, i) => {
+            if (sizes[i] === 0) removePop(pop);
+            else pop.size = sizes[i];
+        });
+    }
+
+    // Moves a pop to another workplace than its current one, or removes it with its residents
+    function movePop(pop, random) {
+        const home = points.get(pop.residenceId);
+        const chooseWorkplace = home && workplaceChooser(home, pop.jobId);
+        if (!chooseWorkplace) {
+            if (home) home.residents = Math.max(0, home.residents - pop.size);
+            removePop(pop);
+            summary.residents -= pop.size;
+            return;
+        }
+        unlinkPop(pop);
+        const work = chooseWorkplace(random);
+        pop.jobId = work.index;
+        Object.assign(pop, estimateDriving(work.distance, params.detour));
+        linkPop(pop);
+        summary.popsMoved++;
+    }
+
+    // Moves share (0-1) of the pops working at point to other workplaces
+    function moveWorkers(point, share, random) {
+        const working = point.popIds.map(id => pops.get(id)).filter(pop => pop.jobId === point.id);
+        const count = Math.round(working.length * share);
+        // Partial Fisher-Yates, so the pops that move are spread over the homes
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (working.length - i));
+            [working[i], working[j]] = [working[j], working[i]];
+            movePop(working[i], random);
+        }
+    }
+
+    function randomFor(changeIndex, pointId) {
+        return createRandom(hashString(`${params.seed}:${scenario.code}:${changeIndex}:${pointId}`));
+    }
+
+    function inArea(test) {
+        return [...points.values()].filter(p => test(p.location[0], p.location[1]));
+    }
+
+    const results = scenario.changes.map((change, c) => {
+        const where = `changes[${c}] (${change.op})`;
+        summary = { op: change.op, points: 0, residents: 0, jobs: 0, popsAdded: 0, popsRemoved: 0, popsMoved: 0, popsShifted: 0 };
+
+        if (change.op === 'scale') {
+            const test = parseArea(change.area, where);
+            const residentFactor = nonNegative(change.residents, 'residents', where, 1);
+            const jobFactor = nonNegative(change.jobs, 'jobs', where, 1);
+            const affected = inArea(test);
+            if (affected.length === 0) console.warn(`Warning: ${where} has no points in its area.`);
+            // Jobs first, so new residents can already work at the new jobs
+            for (const point of affected) {
+                const jobs = Math.round(point.jobs * jobFactor);
+                if (jobs < point.jobs && point.jobs > 0) moveWorkers(point, 1 - jobs / point.jobs, randomFor(c, `${point.id}:jobs`));
+                summary.jobs += jobs - point.jobs;
+                point.jobs = jobs;
+            }
+            for (const point of affected) {
+                const residents = Math.round(point.residents * residentFactor);
+                if (residents > point.residents) {
+                    const added = addResidents(point, residents - point.residents, randomFor(c, point.id));
+                    summary.residents += added;
+                    point.residents += added;
+                } else if (residents < point.residents) {
+                    shrinkResidents(point, residents);
+                    summary.residents += residents - point.residents;
+                    point.residents = residents;
+                }
+            }
+            summary.points = affected.length;
+        } else if (change.op === 'add') {
+            const id = change.id || `p_${scenario.code}_${c}`;
+            if (!/^p_/.test(id)) throw new Error(`${where}: new point ids must start with 'p_' (got ${id})`);
+            if (points.has(id)) throw new Error(`${where}: there already is a point ${id}`);
+            const location = change.location;
+            if (!Array.isArray(location) || !Number.isFinite(location[0]) || !Number.isFinite(location[1])) {
+                throw new Error(`${where}: 'location' must be [lon, lat]`);
+            }
+            if (!isInBbox(location[0], location[1], bbox)) throw new Error(`${where}: ${id} is outside the map bbox`);
+            const residents = Math.round(nonNegative(change.residents, 'residents', where, 0));
+            const jobs = Math.round(nonNegative(change.jobs, 'jobs', where, 0));
+            if (residents === 0 && jobs === 0) throw new Error(`${where}: ${id} needs residents or jobs`);
+
+            const point = { id, location: [location[0], location[1]], jobs, residents: 0, popIds: [] };
+            points.set(id, point);
+            xy.set(id, project(point.location));
+            point.residents = addResidents(point, residents, randomFor(c, id));
+            if (point.residents < residents) {
+                console.warn(`Warning: ${where}: no jobs within ${params.maxKm} km of ${id}, its residents got no pops.`);
+                if (jobs === 0) {
+                    points.delete(id);
+                    return summary;
+                }
+            }
+            Object.assign(summary, { points: 1, residents: point.residents, jobs });
+        } else if (change.op === 'remove') {
+            let removed;
+            if (Array.isArray(change.ids)) {
+                const unknown = change.ids.filter(id => !points.has(id));
+                if (unknown.length > 0) throw new Error(`${where}: unknown point(s) ${unknown.join(', ')}`);
+                removed = change.ids.map(id => points.get(id));
+            } else {
+                removed = inArea(parseArea(change.area, where));
+            }
+            // Take all of them out first, so no pop moves to a point that is removed too
+            removed.forEach(point => { point.removed = true; point.savedJobs = point.jobs; point.jobs = 0; });
+            for (const point of removed) {
+                for (const pop of point.popIds.map(id => pops.get(id)).filter(Boolean)) {
+                    if (pop.residenceId === point.id) {
+                        removePop(pop);
+                    } else if (!points.get(pop.residenceId).removed) {
+                        movePop(pop, randomFor(c, `${point.id}:${pop.id}`));
+                    }
+                }
+            }
+            for (const point of removed) {
+                summary.residents -= point.residents;
+                summary.jobs -= point.savedJobs;
+                points.delete(point.id);
+            }
+            summary.points = removed.length;
+        } else {
+            const test = parseArea(change.area, where);
+            const factor = nonNegative(change.factor, 'factor', where, 1);
+            const seconds = Number.isFinite(change.seconds) ? change.seconds : 0;
+            const ids = new Set(inArea(test).map(p => p.id));
+            for (const pop of pops.values()) {
+                if (!ids.has(pop.residenceId) && !ids.has(pop.jobId)) continue;
+                pop.drivingSeconds = Math.max(0, Math.round((pop.drivingSeconds * factor + seconds) * 100) / 100);
+                summary.popsShifted++;
+            }
+            summary.points = ids.size;
+        }
+        return summary;
+    });
+
+    return {
+        demand: {
+            points: [...points.values()].map(p => ({ id: p.id, location: p.location, jobs: p.jobs, residents: p.residents, popIds: p.popIds })),
+            pops: [...pops.values()]
+        },
+        changes: results
+    };
+}
+
+// Error codes (with counts) that the result has and the base demand doesn't
+function newErrors(base, result, bbox) {
+    const count = demand => {
+        const report = createReport(DEMAND_FILE);
+        validateDemand(demand, bbox, report);
+        return Object.fromEntries(report.finish().errors.map(e => [e.code, e]));
+    };
+    const before = count(base);
+    return Object.values(count(result)).filter(e => !before[e.code] || e.count > before[e.code].count);
+}
+
+function describeChange(change, i) {
+    const signed = n => (n >= 0 ? '+' : '') + n;
+    const parts = [`${change.points} points`];
+    if (change.residents) parts.push(`${signed(change.residents)} residents`);
+    if (change.jobs) parts.push(`${signed(change.jobs)} jobs`);
+    if (change.popsAdded) parts.push(`${change.popsAdded} pops added`);
+    if (change.popsRemoved) parts.push(`${change.popsRemoved} pops removed`);
+    if (change.popsMoved) parts.push(`${change.popsMoved} pops moved`);
+    if (change.popsShifted) parts.push(`${change.popsShifted} pops retimed`);
+    return ` [OK] #${i + 1} ${change.op}: ${parts.join(', ')}`;
+}
+
+function sha256File(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['data', 'out']);
+    const scenarioPath = options._[0];
+    if (!scenarioPath) {
+        console.error("Usage: node tools/build-scenario.js <scenario.json> [--data <folder>] [--out <file>]");
+        process.exit(1);
+    }
+
+    let scenario;
+    try {
+        scenario = readScenario(scenarioPath);
+    } catch (err) {
+        console.error(`Error: ${scenarioPath}: ${err.message}`);
+        process.exit(1);
+    }
+
+    const dataDir = path.resolve(options.data || DATA_DIR);
+    const mainCode = CITY_PRESETS[0].code;
+    const baseCode = scenario.base || mainCode;
+    const basePath = baseCode === mainCode
+        ? path.join(dataDir, DEMAND_FILE)
+        : path.join(dataDir, PRESETS_DIR_NAME, baseCode, DEMAND_FILE);
+    if (scenario.code === mainCode || scenario.code === baseCode) {
+        console.error(`Error: The scenario needs its own code, ${scenario.code} is taken by its base.`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(basePath)) {
+        console.error(`Error: File not found: ${basePath}`);
+        process.exit(1);
+    }
+
+    const bbox = readManifest().bbox;
+    const base = readGzipJson(basePath);
+    console.log(`Base demand (${baseCode}): ${base.points.length} points, ${base.pops.length} pops`);
+
+    let result;
+    try {
+        result = applyScenario(base, scenario, bbox);
+    } catch (err) {
+        console.error(`Error: ${scenarioPath}: ${err.message}`);
+        process.exit(1);
+    }
+    result.changes.forEach((change, i) => console.log(describeChange(change, i)));
+
+    const errors = newErrors(base, result.demand, bbox);
+    if (errors.length > 0) {
+        errors.forEach(e => console.error(`Error: The result has ${e.count} ${e.code} error(s), e.g. ${JSON.stringify(e.examples[0])}`));
+        process.exit(1);
+    }
+
+    const out = path.resolve(options.out || path.join(dataDir, PRESETS_DIR_NAME, scenario.code, DEMAND_FILE));
+    writeGzipJson(out, result.demand);
+    const residents = result.demand.points.reduce((sum, p) => sum + p.residents, 0);
+    const jobs = result.demand.points.reduce((sum, p) => sum + p.jobs, 0);
+
+    const record = {
+        builtAt: new Date().toISOString(),
+        scenario: { file: path.basename(scenarioPath), sha256: sha256File(scenarioPath) },
+        base: { code: baseCode, file: path.relative(dataDir, basePath), sha256: sha256File(basePath) },
+        changes: result.changes,
+        totals: { points: result.demand.points.length, pops: result.demand.pops.length, residents, jobs },
+        output: { file: path.basename(out), sha256: sha256File(out) }
+    };
+    const recordPath = out.replace(/\.json\.gz$/, '') + '.scenario.json';
+    fs.writeFileSync(recordPath, JSON.stringify(record, null, 4) + '\n');
+
+    console.log(`[OK] Wrote ${result.demand.points.length} points, ${result.demand.pops.length} pops and ${residents} residents to ${out}`);
+    console.log(`[OK] Scenario record: ${recordPath}`);
+
+    const preset = CITY_PRESETS.find(p => p.code === scenario.code);
+    if (!preset) {
+        const basePreset = CITY_PRESETS.find(p => p.code === baseCode) || CITY_PRESETS[0];
+        const entry = Object.assign({}, basePreset, {
+            name: scenario.name || `${basePreset.name} (${scenario.code})`,
+            code: scenario.code,
+            description: scenario.description || `Scenario based on ${basePreset.name}.`,
+            population: residents,
+            bounds: null
+        });
+        console.log(`\nAdd the scenario to CITY_PRESETS in index.js, so the game lists it:\n${JSON.stringify(entry, null, 4)}`);
+    } else if (preset.population !== residents) {
+        console.warn(`Warning: ${scenario.code} is registered with population ${preset.population}, the scenario has ${residents} residents. Update CITY_PRESETS in index.js.`);
+    }
+    console.log("\nRun 'node install.js --write-checksums' to update checksums.json.");
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { applyScenario, parseArea, readScenario };
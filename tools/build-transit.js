@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { DATA_DIR, REPORTS_DIR, readManifest, readGzipJson, writeGzipJson, isInBbox } = require('../lib/datapack');
+const { createProjection } = require('../lib/demand');
+const {
+    openFeed, defaultServiceDate, parseDate, parseTime, formatTime,
+    loadTimetable, loadShapes, createPointIndex, createTransitRouter
+} = require('../lib/gtfs');
+
+// Transit baseline from a GTFS feed (e.g. Rejseplanen's): how long every pop
+// in demand_data.json.gz takes to get to work by the existing S-tog, Metro,
+// buses and so on. The result goes to data/transit_baseline.json.gz and is
+// compared with drivingSeconds in a report. With --overlay the lines and
+// stations are also written to data/transit_overlay.geojson, which the mod
+// shows over the map once it exists (see "transitOverlay" in the README).
+//
+// Usage: node tools/build-transit.js <feed.zip> [--date YYYYMMDD] [--depart 07:00]
+//            [--window 60] [--step 15] [--max-walk 1000] [--max-minutes 120]
+//            [--demand <file>] [--out <file>] [--report reports/transit_report.json]
+//            [--overlay] [--overlay-modes rail,subway,tram,ferry] [--dry-run]
+//
+//   --date           service day (default: the first Tuesday the feed has service from today)
+//   --depart         first departure from home (default 07:00)
+//   --window/--step  minutes: pops leave every --step minutes within --window,
+//                    and their travel time is the mean over those departures
+//   --max-walk       how far (m, straight line) pops walk to and from a stop
+//   --max-minutes    trips that take longer count as not reached
+//   --overlay        also write data/transit_overlay.geojson, with --overlay-modes
+//                    (rail, subway, tram, bus, ferry, other)
+//   --dry-run        only write the report (and the overlay)
+//
+// A trip walks to a stop within --max-walk, rides, changes (CHANGE_SECONDS, or
+// a walk to a stop within TRANSFER_M) and walks on to the job. Walking the
+// whole way counts when the job is within DIRECT_WALK_FACTOR * --max-walk.
+// The wait for the first departure is part of the time, so frequent lines
+// score better.
+
+const DEFAULTS = { depart: '07:00', window: 60, step: 15, maxWalk: 1000, maxMinutes: 120 };
+const DEFAULT_OVERLAY_MODES = ['rail', 'subway', 'tram', 'ferry'];
+const WALK_SPEED = 1.25;            // m/s
+const WALK_DETOUR = 1.3;            // walking distance / straight line
+const CHANGE_SECONDS = 120;
+const TRANSFER_M = 250;
+const DIRECT_WALK_FACTOR = 2;
+const STOP_CELL_M = 500;
+const REPORT_EXAMPLES = 50;
+// Overlay line colors where routes.txt has none
+const MODE_COLORS = { rail: '#c8102e', subway: '#00843d', tram: '#f28c00', bus: '#f5c400', ferry: '#0072bc', other: '#777777' };
+// Which mode a station shows as when it has several
+const MODE_RANK = ['rail', 'subway', 'tram', 'ferry', 'bus', 'other'];
+
+function sha256File(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+const walkSeconds = meters => meters * WALK_DETOUR / WALK_SPEED;
+
+// Departure times (seconds after midnight) for depart/window/step
+function departureTimes({ depart, window, step }) {
+    const first = parseTime(`${depart}:00`);
+    const times = [];
+    for (let t = 0; t < window; t += step) times.push(first + t * 60);
+    return times;
+}
+
+// Routes every pop. Returns Map(pop id => { transitSeconds, walking } or
+// { skipped: reason })
+function routePops(demand, timetable, params) {
+    const points = new Map(demand.points.map(p => [p.id, p]));
+    const project = createProjection(demand.points.reduce((sum, p) => sum + p.location[1], 0) / demand.points.length);
+    const stopXY = timetable.stops.map(stop => project([stop.lon, stop.lat]));
+    const nearbyStops = createPointIndex(stopXY, STOP_CELL_M);
+
+    const footpaths = stopXY.map(([x, y], stop) => nearbyStops(x, y, TRANSFER_M)
+        .filter(near => near.index !== stop)
+        .map(near => ({ stop: near.index, seconds: walkSeconds(near.meters) })));
+    const route = createTransitRouter(timetable, { changeSeconds: CHANGE_SECONDS, footpaths });
+
+    const walks = new Map();
+    const walkToStops = id => {
+        if (!walks.has(id)) {
+            const [x, y] = project(points.get(id).location);
+            walks.set(id, nearbyStops(x, y, params.maxWalk).map(near => ({ stop: near.index, seconds: walkSeconds(near.meters) })));
+        }
+        return walks.get(id);
+    };
+
+    const departures = departureTimes(params);
+    const maxSeconds = params.maxMinutes * 60;
+
+    // One search per residence and departure, for all of its jobs
+    const jobsByHome = new Map();
+    for (const pop of demand.pops) {
+        if (!points.has(pop.residenceId) || !points.has(pop.jobId)) continue;
+        if (!jobsByHome.has(pop.residenceId)) jobsByHome.set(pop.residenceId, new Set());
+        jobsByHome.get(pop.residenceId).add(pop.jobId);
+    }
+
+    const trips = new Map();
+    let done = 0;
+    for (const [home, jobs] of jobsByHome) {
+        const homeXY = project(points.get(home).location);
+        const access = walkToStops(home);
+        const totals = new Map([...jobs].map(job => [job, { seconds: 0, reached: 0, walked: 0 }]));
+        const walkOnly = new Map([...jobs].map(job => {
+            const [x, y] = project(points.get(job).location);
+            const meters = Math.hypot(x - homeXY[0], y - homeXY[1]);
+            return [job, meters <= params.maxWalk * DIRECT_WALK_FACTOR ? walkSeconds(meters) : Infinity];
+        }));
+
+        for (const departure of departures) {
+            const latest = departure + maxSeconds;
+            const arrived = access.length > 0 ? route(access, departure, latest) : null;
+            for (const job of jobs) {
+                let arrival = departure + walkOnly.get(job);
+                const walked = arrival;
+                if (arrived) {
+                    for (const { stop, seconds } of walkToStops(job)) {
+                        if (arrived[stop] + seconds < arrival) arrival = arrived[stop] + seconds;
+                    }
+                }
+                if (arrival > latest) continue;
+                const total = totals.get(job);
+                total.seconds += arrival - departure;
+                total.reached++;
+                if (arrival === walked) total.walked++;
+            }
+        }
+        for (const [job, total] of totals) trips.set(`${home}\n${job}`, total);
+        if (++done % 500 === 0) process.stdout.write(`\r  ${done}/${jobsByHome.size} residences`);
+    }
+    if (jobsByHome.size >= 500) process.stdout.write('\n');
+
+    const results = new Map();
+    for (const pop of demand.pops) {
+        const trip = trips.get(`${pop.residenceId}\n${pop.jobId}`);
+        if (!trip) {
+            results.set(pop.id, { skipped: 'unknown_point' });
+        } else if (trip.reached === departures.length) {
+            results.set(pop.id, {
+                transitSeconds: Math.round(trip.seconds / departures.length * 100) / 100,
+                walking: trip.walked === departures.length
+            });
+        } else if (walkToStops(pop.residenceId).length === 0 || walkToStops(pop.jobId).length === 0) {
+            results.set(pop.id, { skipped: 'no_stop_nearby', point: walkToStops(pop.residenceId).length ? pop.jobId : pop.residenceId });
+        } else {
+            results.set(pop.id, { skipped: 'not_reached' });
+        }
+    }
+    return results;
+}
+
+function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const i = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+    return Math.round(sorted[i] * 1000) / 1000;
+}
+
+// Compares the transit times with drivingSeconds
+function buildReport(demand, results) {
+    const reached = [];
+    const skipped = {};
+    let walking = 0;
+    for (const pop of demand.pops) {
+        const result = results.get(pop.id);
+        if (result.skipped) {
+            const group = skipped[result.skipped] || (skipped[result.skipped] = { count: 0, examples: [] });
+            group.count++;
+            if (group.examples.length < REPORT_EXAMPLES) {
+                group.examples.push(Object.assign({ id: pop.id, residenceId: pop.residenceId, jobId: pop.jobId }, result.point ? { point: result.point } : {}));
+            }
+            continue;
+        }
+        if (result.walking) walking++;
+        reached.push({ id: pop.id, residenceId: pop.residenceId, jobId: pop.jobId,
+            drivingSeconds: pop.drivingSeconds, transitSeconds: result.transitSeconds });
+    }
+
+    const seconds = reached.map(r => r.transitSeconds).sort((a, b) => a - b);
+    const ratios = reached.filter(r => r.drivingSeconds > 0).map(r => r.transitSeconds / r.drivingSeconds).sort((a, b) => a - b);
+    // Where a new line would make the most difference: the biggest gaps to driving
+    const byGap = reached.slice().sort((a, b) => (b.transitSeconds - b.drivingSeconds) - (a.transitSeconds - a.drivingSeconds));
+    return {
+        totals: {
+            pops: demand.pops.length,
+            reached: reached.length,
+            walking,
+            fasterThanDriving: reached.filter(r => r.transitSeconds < r.drivingSeconds).length,
+            skipped: Object.values(skipped).reduce((sum, g) => sum + g.count, 0)
+        },
+        transitSeconds: {
+            mean: seconds.length ? Math.round(seconds.reduce((sum, v) => sum + v, 0) / seconds.length * 10) / 10 : null,
+            p10: quantile(seconds, 0.1),
+            median: quantile(seconds, 0.5),
+            p90: quantile(seconds, 0.9)
+        },
+        ratioToDriving: { p10: quantile(ratios, 0.1), median: quantile(ratios, 0.5), p90: quantile(ratios, 0.9) },
+        largestGaps: byGap.slice(0, REPORT_EXAMPLES),
+        skipped
+    };
+}
+
+// --- overlay ---
+
+const roundCoordinate = ([lon, lat]) => [Math.round(lon * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5];
+
+// GeoJSON of the lines (one feature per distinct path of a route) and the
+// stations they serve, for the routes in modes
+function buildOverlay(feed, timetable, bbox, modes) {
+    const wanted = timetable.trips.filter(trip => trip.stops.length >= 2 && modes.includes(timetable.routes[trip.route].mode));
+    const shapes = feed.has('shapes.txt')
+        ? loadShapes(feed, new Set(wanted.map(trip => trip.shapeId).filter(Boolean)))
+        : new Map();
+
+    const features = [];
+    const seen = new Set();
+    const stations = new Map();
+    for (const trip of wanted) {
+        const route = timetable.routes[trip.route];
+        const stopCoords = trip.stops.map(stop => [timetable.stops[stop].lon, timetable.stops[stop].lat]);
+        const coords = (shapes.get(trip.shapeId) || stopCoords).map(roundCoordinate);
+        // The same path in the other direction is drawn once
+        const key = `${trip.route}|${JSON.stringify(coords)}`;
+        const reverseKey = `${trip.route}|${JSON.stringify(coords.slice().reverse())}`;
+        if (!seen.has(key) && !seen.has(reverseKey) && coords.some(([lon, lat]) => isInBbox(lon, lat, bbox))) {
+            seen.add(key);
+            features.push({
+                type: 'Feature',
+                properties: {
+                    kind: 'line',
+                    mode: route.mode,
+                    route: route.shortName || route.longName,
+                    name: route.longName || route.shortName,
+                    color: route.color || MODE_COLORS[route.mode]
+                },
+                geometry: { type: 'LineString', coordinates: coords }
+            });
+        }
+
+        for (const stop of trip.stops) {
+            const { station, name, lon, lat } = timetable.stops[stop];
+            if (!stations.has(station)) stations.set(station, { name, stops: new Map(), modes: new Set() });
+            stations.get(station).stops.set(stop, [lon, lat]);
+            stations.get(station).modes.add(route.mode);
+        }
+    }
+
+    for (const { name, stops, modes: served } of stations.values()) {
+        // A station is drawn at the middle of its platforms
+        const coords = [...stops.values()];
+        const center = roundCoordinate([
+            coords.reduce((sum, c) => sum + c[0], 0) / coords.length,
+            coords.reduce((sum, c) => sum + c[1], 0) / coords.length
+        ]);
+        if (!isInBbox(center[0], center[1], bbox)) continue;
+        const sorted = MODE_RANK.filter(mode => served.has(mode));
+        features.push({
+            type: 'Feature',
+            properties: { kind: 'station', name, mode: sorted[0], modes: sorted.join(',') },
+            geometry: { type: 'Point', coordinates: center }
+        });
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), [
+        'date', 'depart', 'window', 'step', 'max-walk', 'max-minutes', 'demand', 'out', 'report', 'overlay-modes'
+    ]);
+    const feedPath = options._[0];
+    if (!feedPath) {
+        console.error("Usage: node tools/build-transit.js <feed.zip> [--date YYYYMMDD] [--depart 07:00] [--overlay] [--dry-run]");
+        process.exit(1);
+    }
+    const demandPath = path.resolve(options.demand || path.join(DATA_DIR, 'demand_data.json.gz'));
+    for (const file of [feedPath, demandPath]) {
+        if (!fs.existsSync(file)) {
+            console.error(`Error: File not found: ${file}`);
+            process.exit(1);
+        }
+    }
+
+    const params = {
+        depart: options.depart || DEFAULTS.depart,
+        window: numberOption(options, 'window', DEFAULTS.window),
+        step: numberOption(options, 'step', DEFAULTS.step),
+        maxWalk: numberOption(options, 'max-walk', DEFAULTS.maxWalk),
+        maxMinutes: numberOption(options, 'max-minutes', DEFAULTS.maxMinutes)
+    };
+    const overlayModes = options['overlay-modes'] ? options['overlay-modes'].split(',').map(m => m.trim()) : DEFAULT_OVERLAY_MODES;
+    if (Number.isNaN(parseTime(`${params.depart}:00`)) || !(params.window > 0) || !(params.step > 0) ||
+        !(params.maxWalk > 0) || !(params.maxMinutes > 0)) {
+        console.error("Error: --depart must be HH:MM and --window, --step, --max-walk and --max-minutes positive numbers.");
+        process.exit(1);
+    }
+    const unknownModes = overlayModes.filter(mode => !MODE_RANK.includes(mode));
+    if (unknownModes.length > 0) {
+        console.error(`Error: Unknown --overlay-modes: ${unknownModes.join(', ')} (use ${MODE_RANK.join(', ')})`);
+        process.exit(1);
+    }
+
+    let feed;
+    let date = options.date;
+    try {
+        feed = openFeed(feedPath);
+        if (date && !parseDate(date)) throw new Error(`--date must be YYYYMMDD, not ${date}`);
+        date = date || defaultServiceDate(feed);
+        if (!date) throw new Error('the feed has no service days (calendar.txt, calendar_dates.txt)');
+    } catch (err) {
+        console.error(`Error: Could not read ${feedPath}: ${err.message}`);
+        process.exit(1);
+    }
+
+    const bbox = readManifest().bbox;
+    const started = Date.now();
+    let timetable;
+    try {
+        timetable = loadTimetable(feed, { date, bbox });
+    } catch (err) {
+        console.error(`Error: Could not read ${feedPath}: ${err.message}`);
+        process.exit(1);
+    }
+    if (timetable.connections.count === 0) {
+        console.error(`Error: No departures on ${date} within the map area. Try another --date.`);
+        process.exit(1);
+    }
+    const departures = departureTimes(params);
+    console.log(`[OK] Timetable for ${date}: ${timetable.stops.length} stops, ${timetable.connections.count} connections ` +
+        `(read in ${((Date.now() - started) / 1000).toFixed(1)} s)`);
+
+    const demand = readGzipJson(demandPath);
+    console.log(`Routing ${demand.pops.length} pops, leaving at ${departures.map(formatTime).join(', ')}...`);
+    const routeStarted = Date.now();
+    const results = routePops(demand, timetable, params);
+    console.log(`[OK] Routed in ${((Date.now() - routeStarted) / 1000).toFixed(1)} s`);
+
+    const feedInfo = { file: path.basename(feedPath), sha256: sha256File(feedPath), date, departures: departures.map(formatTime) };
+    const report = Object.assign({
+        builtAt: new Date().toISOString(),
+        demand: path.basename(demandPath),
+        feed: feedInfo,
+        params,
+        timetable: { stops: timetable.stops.length, trips: timetable.trips.length, connections: timetable.connections.count }
+    }, buildReport(demand, results));
+    const reportPath = path.resolve(options.report || path.join(REPORTS_DIR, 'transit_report.json'));
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+
+    const { totals, transitSeconds, ratioToDriving } = report;
+    console.log(` Reached ${totals.reached} of ${totals.pops} pops (${totals.walking} on foot), ${totals.skipped} not` +
+        (totals.skipped ? ` (${Object.entries(report.skipped).map(([reason, g]) => `${g.count} ${reason}`).join(', ')})` : ''));
+    console.log(` Transit time: mean ${transitSeconds.mean} s, median ${transitSeconds.median} s, median ratio to driving ${ratioToDriving.median}`);
+    console.log(` Transit is faster than driving for ${totals.fasterThanDriving} pops`);
+    console.log(`[OK] Report: ${reportPath}`);
+
+    if (options.overlay) {
+        const overlay = buildOverlay(feed, timetable, bbox, overlayModes);
+        const overlayPath = path.join(DATA_DIR, 'transit_overlay.geojson');
+        fs.writeFileSync(overlayPath, JSON.stringify(overlay));
+        const lines = overlay.features.filter(f => f.properties.kind === 'line').length;
+        console.log(`[OK] Wrote ${lines} lines and ${overlay.features.length - lines} stations (${overlayModes.join(', ')}) to ${overlayPath}`);
+    }
+
+    if (options['dry-run']) return;
+    const baseline = {
+        feed: feedInfo,
+        params,
+        pops: demand.pops.map(pop => {
+            const result = results.get(pop.id);
+            return result.skipped
+                ? { id: pop.id, transitSeconds: null, reason: result.skipped }
+                : { id: pop.id, transitSeconds: result.transitSeconds };
+        })
+    };
+    const out = path.resolve(options.out || path.join(DATA_DIR, 'transit_baseline.json.gz'));
+    writeGzipJson(out, baseline);
+    console.log(`[OK] Wrote ${out}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { routePops, buildReport, buildOverlay };
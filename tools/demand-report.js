@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, numberOption } = require('../lib/cli');
+const { DATA_DIR, REPORTS_DIR, readManifest, readGzipJson, isInBbox } = require('../lib/datapack');
+
+// Summarizes a demand file so it can be inspected without the game: residents
+// and jobs per grid cell, histograms of driving time and distance (weighted by
+// pop size), the heaviest origin -> destination point pairs and anomalies.
+//
+// Usage: node tools/demand-report.js [demand file] [--out reports/demand_report.html|report.geojson]
+//                                    [--cell-km 1] [--top 25]
+//
+// An .html report is self-contained (inline SVG, no scripts from the internet).
+// A .geojson report has the grid cells, the top pairs as lines and the anomalous
+// points as features, and the histograms and totals in a "report" member.
+
+const DEFAULT_OUT = path.join(REPORTS_DIR, 'demand_report.html');
+const DEFAULT_CELL_KM = 1;
+const DEFAULT_TOP = 25;
+const SECONDS_BIN = 300;      // 5 minutes
+const SECONDS_BINS = 18;      // up to 90 minutes, then one overflow bin
+const DISTANCE_BIN = 2000;    // 2 km
+const DISTANCE_BINS = 30;     // up to 60 km, then one overflow bin
+const MAX_SPEED = 40;         // m/s; anything faster is flagged
+const MAX_ANOMALY_ROWS = 200;
+
+function createHistogram(binSize, bins) {
+    return { binSize, counts: new Array(bins + 1).fill(0) };
+}
+
+function addToHistogram(histogram, value, weight) {
+    const bin = Math.min(histogram.counts.length - 1, Math.floor(value / histogram.binSize));
+    histogram.counts[bin] += weight;
+}
+
+function buildReport(demand, { bbox, cellKm = DEFAULT_CELL_KM, top = DEFAULT_TOP }) {
+    const points = new Map(demand.points.map(point => [point.id, point]));
+    const anomalies = [];
+    const flag = (code, id, detail) => anomalies.push(Object.assign({ code, id }, detail));
+
+    // --- grid ---
+    const midLat = (bbox[1] + bbox[3]) / 2;
+    const cellLat = cellKm / 111.32;
+    const cellLon = cellKm / (111.32 * Math.cos(midLat * Math.PI / 180));
+    const cells = new Map();
+    const cellOf = ([lon, lat]) => {
+        const x = Math.floor((lon - bbox[0]) / cellLon);
+        const y = Math.floor((lat - bbox[1]) / cellLat);
+        const key = `${x},${y}`;
+        if (!cells.has(key)) cells.set(key, { x, y, residents: 0, jobs: 0, points: 0 });
+        return cells.get(key);
+    };
+
+    const livingHere = new Map();
+    for (const point of demand.points) {
+        const cell = cellOf(point.location);
+        cell.residents += point.residents;
+        cell.jobs += point.jobs;
+        cell.points++;
+
+        if (point.residents === 0 && point.jobs === 0) flag('empty_point', point.id, { location: point.location });
+        if (point.popIds.length === 0) flag('point_without_pops', point.id, { location: point.location });
+        if (!isInBbox(point.location[0], point.location[1], bbox)) flag('point_outside_bbox', point.id, { location: point.location });
+        livingHere.set(point.id, 0);
+    }
+
+    // --- pops ---
+    const seconds = createHistogram(SECONDS_BIN, SECONDS_BINS);
+    const distance = createHistogram(DISTANCE_BIN, DISTANCE_BINS);
+    const pairs = new Map();
+    let commuters = 0;
+    let selfCommuters = 0;
+
+    for (const pop of demand.pops) {
+        const home = points.get(pop.residenceId);
+        const work = points.get(pop.jobId);
+        if (!home || !work) {
+            flag('unresolved_pop_point', pop.id, { residenceId: pop.residenceId, jobId: pop.jobId });
+            continue;
+        }
+        commuters += pop.size;
+        livingHere.set(home.id, livingHere.get(home.id) + pop.size);
+        addToHistogram(seconds, pop.drivingSeconds, pop.size);
+        addToHistogram(distance, pop.drivingDistance, pop.size);
+
+        if (home === work) selfCommuters += pop.size;
+        else if (pop.drivingSeconds <= 0 || pop.drivingDistance <= 0) flag('zero_driving', pop.id, { residenceId: home.id, jobId: work.id });
+        else if (pop.drivingDistance / pop.drivingSeconds > MAX_SPEED) {
+            flag('implausible_speed', pop.id, { speed: Math.round(pop.drivingDistance / pop.drivingSeconds), residenceId: home.id, jobId: work.id });
+        }
+
+        const key = `${home.id}\u0000${work.id}`;
+        const pair = pairs.get(key) || { from: home.id, to: work.id, size: 0, pops: 0, seconds: 0, meters: 0 };
+        pair.size += pop.size;
+        pair.pops++;
+        pair.seconds += pop.drivingSeconds * pop.size;
+        pair.meters += pop.drivingDistance * pop.size;
+        pairs.set(key, pair);
+    }
+
+    for (const point of demand.points) {
+        if (point.residents > 0 && livingHere.get(point.id) !== point.residents) {
+            flag('residents_not_matching_pops', point.id, { residents: point.residents, inPops: livingHere.get(point.id) });
+        }
+    }
+
+    const topPairs = [...pairs.values()]
+        .sort((a, b) => b.size - a.size || (a.from + a.to).localeCompare(b.from + b.to))
+        .slice(0, top)
+        .map(pair => ({
+            from: pair.from,
+            to: pair.to,
+            size: pair.size,
+            pops: pair.pops,
+            avgSeconds: Math.round(pair.seconds / pair.size),
+            avgMeters: Math.round(pair.meters / pair.size),
+            fromLocation: points.get(pair.from).location,
+            toLocation: points.get(pair.to).location
+        }));
+
+    const anomalyCounts = {};
+    anomalies.forEach(anomaly => { anomalyCounts[anomaly.code] = (anomalyCounts[anomaly.code] || 0) + 1; });
+
+    return {
+        totals: {
+            points: demand.points.length,
+            pops: demand.pops.length,
+            residents: demand.points.reduce((sum, p) => sum + p.residents, 0),
+            jobs: demand.points.reduce((sum, p) => sum + p.jobs, 0),
+            commuters,
+            selfCommuters
+        },
+        grid: { bbox, cellKm, cellLon, cellLat, cells: [...cells.values()].sort((a, b) => a.y - b.y || a.x - b.x) },
+        histograms: { drivingSeconds: seconds, drivingDistance: distance },
+        topPairs,
+        anomalyCounts,
+        anomalies
+    };
+}
+
+function cellPolygon(grid, cell) {
+    const lon0 = grid.bbox[0] + cell.x * grid.cellLon;
+    const lat0 = grid.bbox[1] + cell.y * grid.cellLat;
+    const lon1 = lon0 + grid.cellLon;
+    const lat1 = lat0 + grid.cellLat;
+    return [[[lon0, lat0], [lon1, lat0], [lon1, lat1], [lon0, lat1], [lon0, lat0]]];
+}
+
+function toGeoJSON(report) {
+    const features = [];
+    for (const cell of report.grid.cells) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: cellPolygon(report.grid, cell) },
+            properties: { kind: 'cell', residents: cell.residents, jobs: cell.jobs, points: cell.points }
+        });
+    }
+    report.topPairs.forEach((pair, rank) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: [pair.fromLocation, pair.toLocation] },
+            properties: { kind: 'od_pair', rank: rank + 1, from: pair.from, to: pair.to, size: pair.size, avgSeconds: pair.avgSeconds, avgMeters: pair.avgMeters }
+        });
+    });
+    for (const anomaly of report.anomalies) {
+        if (!anomaly.location) continue;
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: anomaly.location },
+            properties: { kind: 'anomaly', code: anomaly.code, id: anomaly.id }
+        });
+    }
+    return {
+        type: 'FeatureCollection',
+        report: { totals: report.totals, histograms: report.histograms, anomalyCounts: report.anomalyCounts, cellKm: report.grid.cellKm },
+        features
+    };
+}
+
+// --- HTML ---
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function formatNumber(n) {
+    return Math.round(n).toLocaleString('en-US');
+}
+
+function heatmapSvg(grid, field, color) {
+    const maxX = Math.max(...grid.cells.map(c => c.x)) + 1;
+    const maxY = Math.max(...grid.cells.map(c => c.y)) + 1;
+    const max = Math.max(1, ...grid.cells.map(c => c[field]));
+    const size = Math.max(2, Math.floor(640 / Math.max(maxX, maxY)));
+    const rects = grid.cells.filter(c => c[field] > 0 && c.x >= 0 && c.y >= 0).map(c => {
+        // Square root scale so the suburbs don't disappear next to the centre
+        const opacity = Math.sqrt(c[field] / max).toFixed(3);
+        return `<rect x="${c.x * size}" y="${(maxY - 1 - c.y) * size}" width="${size}" height="${size}" fill="${color}" fill-opacity="${opacity}">` +
+            `<title>${formatNumber(c[field])} ${field}</title></rect>`;
+    });
+    return `<svg width="${maxX * size}" height="${maxY * size}" style="background:#f4f4f4">${rects.join('')}</svg>`;
+}
+
+function histogramSvg(histogram, unitDivisor, unit) {
+    const max = Math.max(1, ...histogram.counts);
+    const barWidth = 24;
+    const height = 160;
+    const bars = histogram.counts.map((count, i) => {
+        const barHeight = Math.round(count / max * height);
+        const from = i * histogram.binSize / unitDivisor;
+        const label = i === histogram.counts.length - 1 ? `${from}+` : `${from}`;
+        return `<rect x="${i * barWidth}" y="${height - barHeight}" width="${barWidth - 2}" height="${barHeight}" fill="#3b6ea5">` +
+            `<title>${label} ${unit}: ${formatNumber(count)} commuters</title></rect>` +
+            `<text x="${i * barWidth + barWidth / 2}" y="${height + 14}" font-size="9" text-anchor="middle">${label}</text>`;
+    });
+    return `<svg width="${histogram.counts.length * barWidth}" height="${height + 20}">${bars.join('')}</svg>`;
+}
+
+function renderHtml(report, source) {
+    const { totals } = report;
+    const rows = (items, columns) => items.map(item =>
+        `<tr>${columns.map(col => `<td>${escapeHtml(typeof col === 'function' ? col(item) : item[col])}</td>`).join('')}</tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Demand report - ${escapeHtml(path.basename(source))}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+td, th { border: 1px solid #ccc; padding: 3px 8px; text-align: left; font-size: 13px; }
+.maps { display: flex; gap: 2em; flex-wrap: wrap; }
+</style>
+</head>
+<body>
+<h1>Demand report</h1>
+<p>${escapeHtml(source)}, generated ${escapeHtml(new Date().toISOString())}</p>
+
+<h2>Totals</h2>
+<table>
+<tr><th>Points</th><td>${formatNumber(totals.points)}</td></tr>
+<tr><th>Pops</th><td>${formatNumber(totals.pops)}</td></tr>
+<tr><th>Residents</th><td>${formatNumber(totals.residents)}</td></tr>
+<tr><th>Jobs</th><td>${formatNumber(totals.jobs)}</td></tr>
+<tr><th>Commuters (sum of pop sizes)</th><td>${formatNumber(totals.commuters)}</td></tr>
+<tr><th>Living and working at the same point</th><td>${formatNumber(totals.selfCommuters)}</td></tr>
+</table>
+
+<h2>Residents and jobs per ${report.grid.cellKm} km cell</h2>
+<div class="maps">
+<div><h3>Residents</h3>${heatmapSvg(report.grid, 'residents', '#c0392b')}</div>
+<div><h3>Jobs</h3>${heatmapSvg(report.grid, 'jobs', '#2c7a3f')}</div>
+</div>
+
+<h2>Driving time (minutes, commuters)</h2>
+${histogramSvg(report.histograms.drivingSeconds, 60, 'min')}
+<h2>Driving distance (km, commuters)</h2>
+${histogramSvg(report.histograms.drivingDistance, 1000, 'km')}
+
+<h2>Top ${report.topPairs.length} origin &rarr; destination pairs</h2>
+<table>
+<tr><th>#</th><th>From</th><th>To</th><th>Commuters</th><th>Pops</th><th>Avg. driving</th><th>Avg. distance</th></tr>
+${rows(report.topPairs.map((pair, i) => Object.assign({ rank: i + 1 }, pair)),
+        ['rank', 'from', 'to', p => formatNumber(p.size), 'pops', p => `${Math.round(p.avgSeconds / 60)} min`, p => `${(p.avgMeters / 1000).toFixed(1)} km`])}
+</table>
+
+<h2>Anomalies</h2>
+<table>
+<tr><th>Kind</th><th>Count</th></tr>
+${rows(Object.entries(report.anomalyCounts).map(([code, count]) => ({ code, count })), ['code', 'count'])}
+</table>
+<table>
+<tr><th>Kind</th><th>Id</th><th>Details</th></tr>
+${rows(report.anomalies.slice(0, MAX_ANOMALY_ROWS), ['code', 'id', a => {
+        const detail = Object.assign({}, a);
+        delete detail.code;
+        delete detail.id;
+        return JSON.stringify(detail);
+    }])}
+</table>
+${report.anomalies.length > MAX_ANOMALY_ROWS ? `<p>... and ${report.anomalies.length - MAX_ANOMALY_ROWS} more (use a .geojson report for all of them).</p>` : ''}
+</body>
+</html>
+`;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), ['out', 'cell-km', 'top']);
+    const source = path.resolve(options._[0] || path.join(DATA_DIR, 'demand_data.json.gz'));
+    const out = path.resolve(options.out || DEFAULT_OUT);
+
+    if (!fs.existsSync(source)) {
+        console.error(`Error: File not found: ${source}`);
+        process.exit(1);
+    }
+
+    const report = buildReport(readGzipJson(source), {
+        bbox: readManifest().bbox,
+        cellKm: numberOption(options, 'cell-km', DEFAULT_CELL_KM),
+        top: numberOption(options, 'top', DEFAULT_TOP)
+    });
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    if (out.endsWith('.geojson') || out.endsWith('.json')) {
+        fs.writeFileSync(out, JSON.stringify(toGeoJSON(report)));
+    } else {
+        fs.writeFileSync(out, renderHtml(report, source));
+    }
+
+    console.log(`[OK] Wrote ${out}`);
+    const anomalies = Object.entries(report.anomalyCounts);
+    if (anomalies.length > 0) {
+        console.log(`Anomalies: ${anomalies.map(([code, count]) => `${code} ${count}`).join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildReport, toGeoJSON };
@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, DATA_DIR, readManifest, readGzipJson, isInBbox } = require('./lib/datapack');
+const { loadMapPack } = require('./lib/mappack');
+
+// Checks the data pack for schema and referential consistency and prints a
+// JSON report to stdout (a short summary goes to stderr).
+//
+// Usage: node validate.js [data folder] [--pretty]
+// Exit code is 1 if any file has errors. A preset folder (data/presets/<code>)
+// is checked together with the main data folder, which has its shared files.
+
+// Only the first few offending entries of each kind are listed in the report
+const MAX_EXAMPLES = 20;
+const RUNWAY_ROAD_TYPES = ['runway', 'taxiway', 'apron'];
+const PRESETS_DIR_NAME = 'presets';
+
+// Collects errors/warnings for one file, grouped by code
+function createReport(file) {
+    const groups = { errors: {}, warnings: {} };
+
+    function add(kind, code, detail) {
+        const group = groups[kind][code] || (groups[kind][code] = { code, count: 0, examples: [] });
+        group.count++;
+        if (group.examples.length < MAX_EXAMPLES) group.examples.push(detail);
+    }
+
+    return {
+        error: (code, detail) => add('errors', code, detail),
+        warn: (code, detail) => add('warnings', code, detail),
+        stats: {},
+        finish() {
+            const errors = Object.values(groups.errors);
+            return {
+                file,
+                ok: errors.length === 0,
+                errors,
+                warnings: Object.values(groups.warnings),
+                stats: this.stats
+            };
+        }
+    };
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isCoordinate(value) {
+    return Array.isArray(value) && value.length >= 2 && isNumber(value[0]) && isNumber(value[1]);
+}
+
+// --- demand_data.json.gz ---
+function validateDemand(data, bbox, report) {
+    if (!Array.isArray(data.points) || !Array.isArray(data.pops)) {
+        report.error('schema', { message: "expected 'points' and 'pops' arrays" });
+        return;
+    }
+
+    const points = new Map();
+    const referencedPops = new Set();
+
+    for (const point of data.points) {
+        if (typeof point.id !== 'string') {
+            report.error('point_schema', { id: point.id, message: "'id' must be a string" });
+            continue;
+        }
+        if (points.has(point.id)) report.error('duplicate_point_id', { id: point.id });
+        points.set(point.id, point);
+
+        if (!isCoordinate(point.location)) {
+            report.error('point_schema', { id: point.id, message: "'location' must be [lon, lat]" });
+        } else if (!isInBbox(point.location[0], point.location[1], bbox)) {
+            report.error('point_outside_bbox', { id: point.id, location: point.location });
+        }
+        if (!isNumber(point.jobs) || point.jobs < 0 || !isNumber(point.residents) || point.residents < 0) {
+            report.error('point_schema', { id: point.id, message: "'jobs' and 'residents' must be non-negative numbers" });
+        } else if (point.jobs === 0 && point.residents === 0) {
+            report.warn('empty_point', { id: point.id });
+        }
+        if (!Array.isArray(point.popIds)) {
+            report.error('point_schema', { id: point.id, message: "'popIds' must be an array" });
+            continue;
+        }
+        point.popIds.forEach(popId => referencedPops.add(popId));
+    }
+
+    const pops = new Map();
+    for (const pop of data.pops) {
+        if (typeof pop.id !== 'string') {
+            report.error('pop_schema', { id: pop.id, message: "'id' must be a string" });
+            continue;
+        }
+        if (pops.has(pop.id)) report.error('duplicate_pop_id', { id: pop.id });
+        pops.set(pop.id, pop);
+
+        if (!isNumber(pop.size) || pop.size <= 0) {
+            report.error('pop_schema', { id: pop.id, message: "'size' must be a positive number" });
+        }
+        if (!isNumber(pop.drivingSeconds) || pop.drivingSeconds < 0 ||
+            !isNumber(pop.drivingDistance) || pop.drivingDistance < 0) {
+            report.error('pop_schema', { id: pop.id, message: "'drivingSeconds' and 'drivingDistance' must be non-negative numbers" });
+        }
+
+        for (const key of ['residenceId', 'jobId']) {
+            const point = points.get(pop[key]);
+            if (!point) {
+                report.error('unresolved_pop_point', { id: pop.id, [key]: pop[key] });
+            } else if (Array.isArray(point.popIds) && !point.popIds.includes(pop.id)) {
+                report.warn('pop_not_listed_on_point', { id: pop.id, [key]: pop[key] });
+            }
+        }
+        if (!referencedPops.has(pop.id)) report.warn('orphan_pop', { id: pop.id });
+    }
+
+    for (const point of points.values()) {
+        if (!Array.isArray(point.popIds)) continue;
+        for (const popId of point.popIds) {
+            if (!pops.has(popId)) report.error('unresolved_pop_id', { point: point.id, popId });
+        }
+    }
+
+    report.stats = { points: points.size, pops: pops.size };
+}
+
+// --- grid indexes (ocean_depth_index.json.gz, buildings_index.json.gz) ---
+// Checks cs, bbox, grid and the cells that point into data[itemsKey].
+// Returns false if the items can't be checked.
+function validateGridIndex(data, itemsKey, itemName, bbox, report) {
+    const { cs, grid, cells } = data;
+    const items = data[itemsKey];
+
+    if (!isNumber(cs) || cs <= 0) report.error('schema', { message: "'cs' must be a positive number" });
+    if (!Array.isArray(data.bbox) || data.bbox.length !== 4 || !data.bbox.every(isNumber)) {
+        report.error('schema', { message: "'bbox' must be [minLon, minLat, maxLon, maxLat]" });
+    }
+    if (!Array.isArray(grid) || grid.length !== 2 || !grid.every(n => Number.isInteger(n) && n > 0)) {
+        report.error('schema', { message: "'grid' must be [columns, rows]" });
+        return false;
+    }
+    if (!Array.isArray(cells) || !Array.isArray(items)) {
+        report.error('schema', { message: `expected 'cells' and '${itemsKey}' arrays` });
+        return false;
+    }
+
+    if (isNumber(cs) && Array.isArray(data.bbox)) {
+        // The grid should span the whole bbox (one cell of slack for rounding)
+        const [minLon, minLat, maxLon, maxLat] = data.bbox;
+        if (grid[0] * cs < maxLon - minLon - cs || grid[1] * cs < maxLat - minLat - cs) {
+            report.error('grid_does_not_cover_bbox', { grid, cs, bbox: data.bbox });
+        }
+        if (minLon > bbox[0] || minLat > bbox[1] || maxLon < bbox[2] || maxLat < bbox[3]) {
+            report.warn('index_smaller_than_map_bbox', { indexBbox: data.bbox, mapBbox: bbox });
+        }
+    }
+
+    cells.forEach((cell, i) => {
+        if (!Array.isArray(cell) || cell.length < 2 || !cell.every(Number.isInteger)) {
+            report.error('cell_schema', { index: i, message: `cell must be [x, y, ...${itemName}Indices]` });
+            return;
+        }
+        const [x, y] = cell;
+        if (x < 0 || x >= grid[0] || y < 0 || y >= grid[1]) {
+            report.error('cell_outside_grid', { index: i, x, y });
+        }
+        for (let k = 2; k < cell.length; k++) {
+            if (cell[k] < 0 || cell[k] >= items.length) {
+                report.error(`cell_${itemName}_index_out_of_range`, { index: i, [`${itemName}Index`]: cell[k] });
+            }
+        }
+    });
+    return true;
+}
+
+// Checks the items' 'b' and 'p' and the depth in depthKey against data.stats
+function validateIndexItems(data, itemsKey, itemName, depthKey, report) {
+    const items = data[itemsKey];
+    const stats = data.stats;
+    const code = `${itemName}_schema`;
+
+    let minDepth = Infinity;
+    let maxDepth = -Infinity;
+    items.forEach((item, i) => {
+        if (!Array.isArray(item.b) || item.b.length !== 4 || !item.b.every(isNumber)) {
+            report.error(code, { index: i, message: "'b' must be a bbox" });
+        }
+        if (!isNumber(item[depthKey])) {
+            report.error(code, { index: i, message: `'${depthKey}' must be a number` });
+        } else {
+            minDepth = Math.min(minDepth, item[depthKey]);
+            maxDepth = Math.max(maxDepth, item[depthKey]);
+        }
+        if (!Array.isArray(item.p) || !item.p.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isCoordinate))) {
+            report.error(code, { index: i, message: "'p' must be a list of polygon rings" });
+        }
+    });
+
+    if (!stats) {
+        report.warn('missing_stats', {});
+    } else {
+        if (stats.count !== items.length) {
+            report.warn('stats_mismatch', { field: 'count', stats: stats.count, actual: items.length });
+        }
+        if (items.length > 0 && stats.minDepth !== minDepth) {
+            report.warn('stats_mismatch', { field: 'minDepth', stats: stats.minDepth, actual: minDepth });
+        }
+        if (items.length > 0 && stats.maxDepth !== maxDepth) {
+            report.warn('stats_mismatch', { field: 'maxDepth', stats: stats.maxDepth, actual: maxDepth });
+        }
+    }
+
+    report.stats = { cells: data.cells.length, [itemsKey]: items.length, minDepth, maxDepth };
+}
+
+// --- ocean_depth_index.json.gz ---
+function validateOceanDepth(data, bbox, report) {
+    if (!validateGridIndex(data, 'depths', 'depth', bbox, report)) return;
+    validateIndexItems(data, 'depths', 'depth', 'd', report);
+}
+
+// --- buildings_index.json.gz ---
+function validateBuildings(data, bbox, report) {
+    if (!validateGridIndex(data, 'buildings', 'building', bbox, report)) return;
+    validateIndexItems(data, 'buildings', 'building', 'f', report);
+}
+
+// --- roads.geojson.gz ---
+function validateRoads(data, bbox, report) {
+    if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        report.error('schema', { message: 'expected a GeoJSON FeatureCollection' });
+        return;
+    }
+
+    const byType = {};
+    data.features.forEach((feature, i) => {
+        const props = feature.properties || {};
+        const id = props.osm_way_id;
+
+        if (typeof props.roadType !== 'string' || typeof id !== 'string') {
+            report.error('feature_schema', { index: i, id, message: "expected string 'roadType' and 'osm_way_id'" });
+        }
+        if (!isNumber(props.z_order)) {
+            report.warn('missing_z_order', { index: i, id });
+        }
+        byType[props.roadType] = (byType[props.roadType] || 0) + 1;
+
+        const geometry = feature.geometry;
+        let lines;
+        if (geometry && geometry.type === 'LineString') lines = [geometry.coordinates];
+        else if (geometry && geometry.type === 'MultiLineString') lines = geometry.coordinates;
+        else {
+            report.error('geometry_type', { index: i, id, type: geometry && geometry.type });
+            return;
+        }
+        for (const line of lines) {
+            if (!Array.isArray(line) || line.length < 2 || !line.every(isCoordinate)) {
+                report.error('invalid_line', { index: i, id });
+            } else if (!line.some(c => isInBbox(c[0], c[1], bbox))) {
+                report.warn('feature_outside_bbox', { index: i, id });
+            }
+        }
+    });
+
+    report.stats = { features: data.features.length, byRoadType: byType };
+}
+
+// --- runways_taxiways.geojson.gz ---
+function validateRunways(data, bbox, report) {
+    if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        report.error('schema', { message: 'expected a GeoJSON FeatureCollection' });
+        return;
+    }
+
+    const byType = {};
+    data.features.forEach((feature, i) => {
+        const props = feature.properties || {};
+        const id = props.osm_way_id;
+
+        if (!RUNWAY_ROAD_TYPES.includes(props.roadType)) {
+            report.error('feature_schema', { index: i, id, message: `'roadType' must be one of ${RUNWAY_ROAD_TYPES.join(', ')}` });
+        }
+        if (!isNumber(props.area) || typeof id !== 'string') {
+            report.error('feature_schema', { index: i, id, message: "expected numeric 'area' and string 'osm_way_id'" });
+        }
+        if (!isNumber(props.z_order)) {
+            report.warn('missing_z_order', { index: i, id });
+        }
+        if (props.aeroway && props.aeroway !== props.roadType) {
+            report.warn('road_type_mismatch', { index: i, id, roadType: props.roadType, aeroway: props.aeroway });
+        }
+        byType[props.roadType] = (byType[props.roadType] || 0) + 1;
+
+        const geometry = feature.geometry;
+        let polygons;
+        if (geometry && geometry.type === 'Polygon') polygons = [geometry.coordinates];
+        else if (geometry && geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+        else {
+            report.error('geometry_type', { index: i, id, type: geometry && geometry.type });
+            return;
+        }
+
+        for (const ring of [].concat(...polygons)) {
+            if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isCoordinate)) {
+                report.error('invalid_ring', { index: i, id });
+                continue;
+            }
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                report.error('ring_not_closed', { index: i, id });
+            }
+            if (!ring.every(c => isInBbox(c[0], c[1], bbox))) {
+                report.warn('feature_outside_bbox', { index: i, id });
+                break;
+            }
+        }
+    });
+
+    report.stats = { features: data.features.length, byRoadType: byType };
+}
+
+const VALIDATORS = {
+    'demand_data.json.gz': validateDemand,
+    'ocean_depth_index.json.gz': validateOceanDepth,
+    'runways_taxiways.geojson.gz': validateRunways,
+    'roads.geojson.gz': validateRoads,
+    'buildings_index.json.gz': validateBuildings
+};
+
+// The main data folder for a preset folder, or null. A preset only holds its
+// own files (its demand subset), the installer takes the rest from data/.
+function getSharedDataDir(dataDir) {
+    return path.basename(path.dirname(dataDir)) === PRESETS_DIR_NAME ? path.dirname(path.dirname(dataDir)) : null;
+}
+
+function validateDataPack(dataDir, bbox) {
+    // Files the map pack may leave out ("required": false in manifest.json)
+    const optionalFiles = loadMapPack(ROOT_DIR).optionalFiles;
+    const sharedDataDir = getSharedDataDir(dataDir);
+    const files = [];
+    for (const [file, validator] of Object.entries(VALIDATORS)) {
+        const report = createReport(file);
+        let filePath = path.join(dataDir, file);
+        if (sharedDataDir && !fs.existsSync(filePath)) filePath = path.join(sharedDataDir, file);
+
+        if (!fs.existsSync(filePath)) {
+            if (optionalFiles.includes(file)) report.warn('missing_optional_file', { path: filePath });
+            else report.error('missing_file', { path: filePath });
+        } else {
+            let data;
+            try {
+                data = readGzipJson(filePath);
+            } catch (err) {
+                report.error('unreadable', { message: err.message });
+            }
+            if (data) validator(data, bbox, report);
+        }
+        files.push(report.finish());
+    }
+
+    return { ok: files.every(f => f.ok), dataDir, sharedDataDir, bbox, files };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const dataDir = path.resolve(args.find(arg => !arg.startsWith('--')) || DATA_DIR);
+    const bbox = readManifest().bbox;
+
+    const result = validateDataPack(dataDir, bbox);
+    console.log(JSON.stringify(result, null, args.includes('--pretty') ? 2 : 0));
+
+    for (const file of result.files) {
+        const count = (groups) => groups.reduce((sum, g) => sum + g.count, 0);
+        console.error(`${file.ok ? '[OK]  ' : '[FAIL]'} ${file.file}: ${count(file.errors)} errors, ${count(file.warnings)} warnings`);
+    }
+    process.exitCode = result.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validateDataPack, validateDemand, createReport };